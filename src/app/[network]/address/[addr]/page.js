@@ -0,0 +1,11 @@
+import DeepLinkPage, { getDeepLinkMetadata } from "@/components/explorer/DeepLinkPage";
+
+export async function generateMetadata({ params }) {
+  const { network, addr } = await params;
+  return getDeepLinkMetadata("address", addr, network);
+}
+
+export default async function AddressPage({ params, searchParams }) {
+  const { addr } = await params;
+  return <DeepLinkPage segment="address" value={addr} params={params} searchParams={searchParams} />;
+}
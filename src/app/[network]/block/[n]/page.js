@@ -0,0 +1,11 @@
+import DeepLinkPage, { getDeepLinkMetadata } from "@/components/explorer/DeepLinkPage";
+
+export async function generateMetadata({ params }) {
+  const { network, n } = await params;
+  return getDeepLinkMetadata("block", n, network);
+}
+
+export default async function BlockPage({ params, searchParams }) {
+  const { n } = await params;
+  return <DeepLinkPage segment="block" value={n} params={params} searchParams={searchParams} />;
+}
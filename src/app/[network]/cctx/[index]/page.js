@@ -0,0 +1,11 @@
+import DeepLinkPage, { getDeepLinkMetadata } from "@/components/explorer/DeepLinkPage";
+
+export async function generateMetadata({ params }) {
+  const { network, index } = await params;
+  return getDeepLinkMetadata("cctx", index, network);
+}
+
+export default async function CrossChainTransactionPage({ params, searchParams }) {
+  const { index } = await params;
+  return <DeepLinkPage segment="cctx" value={index} params={params} searchParams={searchParams} />;
+}
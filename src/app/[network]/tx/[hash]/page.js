@@ -0,0 +1,11 @@
+import DeepLinkPage, { getDeepLinkMetadata } from "@/components/explorer/DeepLinkPage";
+
+export async function generateMetadata({ params }) {
+  const { network, hash } = await params;
+  return getDeepLinkMetadata("tx", hash, network);
+}
+
+export default async function TransactionPage({ params, searchParams }) {
+  const { hash } = await params;
+  return <DeepLinkPage segment="tx" value={hash} params={params} searchParams={searchParams} />;
+}
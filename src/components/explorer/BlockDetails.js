@@ -0,0 +1,185 @@
+"use client";
+
+import { useState } from "react";
+import { ChevronRight } from "lucide-react";
+import StatusIndicator from "../ui/StatusIndicator.js";
+import { formatAmount } from "../../lib/blockchain/amount.js";
+import { shortenAddress } from "../../lib/blockchain/chain-identifiers.js";
+import { EXTERNAL_CHAINS } from "../../lib/network/ExternalChainRegistry.js";
+
+/**
+ * BlockDetails Component
+ * Everything that happened at one zEVM height: the header, who proposed it,
+ * how full it was, its transactions and the CCTXs finalized in it. Rows
+ * open the transaction in the sidebar and select it in the graph.
+ */
+
+const LEG_LABELS = {
+  inbound: "Inbound finalized",
+  outbound: "Outbound finalized",
+};
+
+const Row = ({ label, children }) => (
+  <div className="flex justify-between gap-4 text-sm">
+    <span className="text-gray-500 flex-shrink-0">{label}</span>
+    <span className="text-right text-gray-800 min-w-0 truncate">{children}</span>
+  </div>
+);
+
+/**
+ * Get a chain's display name
+ * @param {number} chainId - Chain ID
+ * @returns {string} Chain name
+ */
+const getChainName = (chainId) => {
+  if (chainId === 7000) return "ZetaChain";
+  if (chainId === 7001) return "ZetaChain Testnet";
+  return EXTERNAL_CHAINS[chainId]?.name || `Chain ${chainId}`;
+};
+
+/**
+ * Clickable transaction row
+ * @param {Object} props
+ * @param {Object} props.transaction - Normalized transaction or CCTX
+ * @param {React.ReactNode} props.children - Row details
+ * @param {function} props.onSelect - Selection handler (transaction) => void
+ */
+const TransactionRow = ({ transaction, children, onSelect }) => (
+  <button
+    onClick={() => onSelect(transaction)}
+    className="w-full flex items-center gap-3 px-3 py-2 text-left hover:bg-gray-50 transition-colors border-t border-gray-200 first:border-t-0"
+  >
+    <StatusIndicator status={transaction.status} size="sm" />
+    <div className="flex-1 min-w-0">
+      <div className="font-mono text-xs text-gray-800 truncate" title={transaction.txHash}>
+        {shortenAddress(transaction.txHash, { head: 8, tail: 6 })}
+      </div>
+      <div className="text-xs text-gray-500 truncate">{children}</div>
+    </div>
+    <ChevronRight size={14} className="text-gray-400 flex-shrink-0" />
+  </button>
+);
+
+/**
+ * @param {Object} props
+ * @param {import('../../lib/search/SearchService.js').SearchResult} props.result - Block search result
+ * @param {function} props.onSelect - Transaction selection handler (transaction) => void
+ * @param {string} [props.className] - Additional CSS classes
+ */
+export default function BlockDetails({ result, onSelect, className = "" }) {
+  const [collapsed, setCollapsed] = useState(false);
+  const { block, crossChainEvents = {}, network } = result.metadata;
+  if (!block) return null;
+
+  const transactions = result.data.filter((tx) => tx.type !== "cross-chain");
+  const crossChainTransactions = result.data.filter((tx) => tx.type === "cross-chain");
+  const gasUsed = BigInt(block.gasUsed);
+  const gasLimit = BigInt(block.gasLimit);
+  const gasPercent = gasLimit > 0n ? Number((gasUsed * 10000n) / gasLimit) / 100 : 0;
+
+  return (
+    <div className={`bg-white border-2 border-black shadow-[2px_2px_0px_0px_rgba(0,0,0,1)] rounded-md overflow-hidden ${className}`}>
+      <button
+        onClick={() => setCollapsed(!collapsed)}
+        className="w-full flex items-center justify-between px-4 py-3 border-b border-gray-200 text-left"
+      >
+        <div>
+          <h3 className="text-lg font-medium text-black">
+            Block #{block.number.toLocaleString()}
+          </h3>
+          <div className="text-xs text-gray-500">
+            {new Date(block.timestamp).toLocaleString()} on {network}
+          </div>
+        </div>
+        <ChevronRight
+          size={16}
+          className={`text-gray-500 transition-transform ${collapsed ? "" : "rotate-90"}`}
+        />
+      </button>
+
+      {!collapsed && (
+        <div className="p-4 space-y-4">
+          {/* Header */}
+          <div className="space-y-1">
+            <Row label="Hash">
+              <span className="font-mono text-xs" title={block.hash}>{block.hash}</span>
+            </Row>
+            <Row label="Parent">
+              <span className="font-mono text-xs" title={block.parentHash}>{block.parentHash}</span>
+            </Row>
+            <Row label="Proposer">
+              {block.proposer?.moniker ? (
+                <span title={block.proposer.operatorAddress || block.proposer.consensusAddress}>
+                  {block.proposer.moniker}
+                </span>
+              ) : (
+                <span className="font-mono text-xs" title={block.proposer?.consensusAddress || block.miner}>
+                  {shortenAddress(block.proposer?.consensusAddress || block.miner) || "Unknown"}
+                </span>
+              )}
+            </Row>
+            <Row label="Gas used">
+              {formatAmount(block.gasUsed, 0)} / {formatAmount(block.gasLimit, 0)} ({gasPercent}%)
+            </Row>
+            <div className="h-1.5 bg-gray-200 rounded overflow-hidden">
+              <div
+                className="h-full bg-blue-500"
+                style={{ width: `${Math.min(gasPercent, 100)}%` }}
+              />
+            </div>
+            {block.baseFeePerGas !== null && (
+              <Row label="Base fee">{formatAmount(block.baseFeePerGas, 9, { symbol: "Gwei" })}</Row>
+            )}
+            {block.size !== null && (
+              <Row label="Size">{block.size.toLocaleString()} bytes</Row>
+            )}
+          </div>
+
+          {/* zEVM transactions */}
+          <div>
+            <h4 className="text-sm font-semibold text-gray-800 mb-2">
+              Transactions ({transactions.length})
+            </h4>
+            {transactions.length > 0 ? (
+              <div className="border border-gray-200 rounded max-h-64 overflow-y-auto">
+                {transactions.map((tx) => (
+                  <TransactionRow key={tx.txHash} transaction={tx} onSelect={onSelect}>
+                    {shortenAddress(tx.from)} → {tx.to && tx.to !== "Contract Creation" ? shortenAddress(tx.to) : "contract creation"}
+                    {tx.receiptError && (
+                      <span className="text-red-600" title={tx.receiptError}> · status unavailable</span>
+                    )}
+                  </TransactionRow>
+                ))}
+              </div>
+            ) : (
+              <p className="text-xs text-gray-500">No zEVM transactions in this block</p>
+            )}
+          </div>
+
+          {/* CCTXs finalized here */}
+          <div>
+            <h4 className="text-sm font-semibold text-gray-800 mb-2">
+              CCTXs finalized in this block ({crossChainTransactions.length})
+            </h4>
+            {crossChainTransactions.length > 0 ? (
+              <div className="border border-gray-200 rounded max-h-64 overflow-y-auto">
+                {crossChainTransactions.map((cctx) => (
+                  <TransactionRow key={cctx.txHash} transaction={cctx} onSelect={onSelect}>
+                    {getChainName(cctx.crossChainData?.sourceChain)} →{" "}
+                    {getChainName(cctx.crossChainData?.destinationChain)}
+                    {" · "}
+                    {(crossChainEvents[cctx.txHash] || [])
+                      .map((leg) => LEG_LABELS[leg] || leg)
+                      .join(", ")}
+                  </TransactionRow>
+                ))}
+              </div>
+            ) : (
+              <p className="text-xs text-gray-500">No CCTX legs were finalized at this height</p>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,63 @@
+import { notFound } from "next/navigation";
+import { parseDeepLink } from "@/lib/search/DeepLinks";
+import Explorer from "./Explorer.js";
+
+/**
+ * DeepLinkPage Component
+ * Server entry for the `/[network]/<segment>/[value]` routes: validates the
+ * route and hands the deep link to the explorer, which runs the search
+ * client-side. Unknown networks and malformed values are 404s.
+ */
+
+const SEGMENT_LABELS = {
+  tx: "Transaction",
+  cctx: "Cross-chain transaction",
+  address: "Address",
+  block: "Block",
+};
+
+/**
+ * Build page metadata for a deep link, so links pasted into tickets and
+ * chats preview as what they point at
+ * @param {string} segment - Route segment from DEEP_LINK_SEGMENTS
+ * @param {string} value - Value route param
+ * @param {string} network - Network route param
+ * @returns {{title: string}} Page metadata
+ */
+export function getDeepLinkMetadata(segment, value, network) {
+  const deepLink = parseDeepLink({ network, segment, value });
+  if (!deepLink) {
+    return { title: "Not found - ZetaFlow Visualizer" };
+  }
+
+  const shortValue = deepLink.value.length > 20
+    ? `${deepLink.value.slice(0, 10)}...${deepLink.value.slice(-6)}`
+    : deepLink.value;
+  return {
+    title: `${SEGMENT_LABELS[segment]} ${shortValue} (${network}) - ZetaFlow Visualizer`,
+  };
+}
+
+/**
+ * @param {Object} props
+ * @param {string} props.segment - Route segment from DEEP_LINK_SEGMENTS
+ * @param {string} props.value - Value route param
+ * @param {Promise<Object>} props.params - Route params
+ * @param {Promise<Object>} props.searchParams - Query params
+ */
+export default async function DeepLinkPage({ segment, value, params, searchParams }) {
+  const [{ network }, query] = await Promise.all([params, searchParams]);
+  const deepLink = parseDeepLink({
+    network,
+    segment,
+    value,
+    layout: query.layout,
+    node: query.node,
+  });
+
+  if (!deepLink) {
+    notFound();
+  }
+
+  return <Explorer deepLink={deepLink} />;
+}
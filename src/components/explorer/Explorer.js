@@ -0,0 +1,777 @@
+"use client";
+
+import { useState, useCallback, useRef, useEffect } from "react";
+import { AppLayout, Header } from "@/components/layout";
+import {
+  Button,
+  ActionButton,
+  StatusIndicator,
+} from "@/components/ui";
+import {
+  SearchInput,
+  BatchSearchInput,
+  SearchResults,
+  BatchResultsSummary,
+} from "@/components/search";
+import NetworkStats from "@/components/sidebar/NetworkStats";
+import TransactionSidebar from "@/components/sidebar/TransactionSidebar";
+import { useToast } from "@/components/providers";
+import { EndpointSettings } from "@/components/settings";
+import BlockDetails from "./BlockDetails.js";
+
+import { GraphVisualization, GraphControls } from "@/components/visualization";
+import { getSearchService } from "@/lib/search/SearchService";
+import { getFlowTracer } from "@/lib/blockchain/flow-tracer";
+import { useQueryClient } from "@tanstack/react-query";
+import {
+  useZetaTransactionBatch,
+  zetaChainQueryKeys,
+} from "@/lib/blockchain/zetachain-queries";
+import {
+  buildDeepLinkPath,
+  getDeepLinkForResult,
+  parseDeepLinkPath,
+} from "@/lib/search/DeepLinks";
+
+/**
+ * Explorer Component
+ * Search, graph and transaction details. The current search, network, graph
+ * layout and selected node are mirrored into a deep link URL
+ * (`/[network]/tx/[hash]?layout=…&node=…`) and restored from it.
+ * @param {Object} props
+ * @param {import('@/lib/search/DeepLinks').DeepLink|null} [props.deepLink] - Deep link to restore on load
+ */
+export default function Explorer({ deepLink: initialDeepLink = null }) {
+  const [networkMode, setNetworkMode] = useState(initialDeepLink?.network || "testnet");
+  const [selectedTransaction, setSelectedTransaction] = useState(null);
+  const [showVisualization, setShowVisualization] = useState(false);
+
+  const [sidebarTransaction, setSidebarTransaction] = useState(null);
+  const [isSearching, setIsSearching] = useState(false);
+  const [graphTransactions, setGraphTransactions] = useState([]);
+  const [graphLayout, setGraphLayout] = useState(initialDeepLink?.layout || 'fcose');
+  const [graphService, setGraphService] = useState(null);
+  const [isTracingFlow, setIsTracingFlow] = useState(false);
+  const [showSettings, setShowSettings] = useState(false);
+  // Search the URL points at, and the graph node or edge selected in it
+  const [deepLink, setDeepLink] = useState(initialDeepLink);
+  const [selectedElementId, setSelectedElementId] = useState(initialDeepLink?.node || null);
+  // Ignore flow traces that finish after a newer search started
+  const searchIdRef = useRef(0);
+  // Node to select once a restored graph contains it
+  const pendingSelectionRef = useRef(initialDeepLink?.node || null);
+  const hasRestoredRef = useRef(false);
+  // Batch lookup of a pasted or uploaded list
+  const [searchMode, setSearchMode] = useState("single");
+  const [batchQueries, setBatchQueries] = useState(null);
+  // Counts submissions, so resubmitting a cached list shows it again
+  const [batchRun, setBatchRun] = useState(0);
+  const batch = useZetaTransactionBatch(batchQueries, { network: networkMode });
+  const queryClient = useQueryClient();
+  
+  // Toast notifications
+  const { showError, showWarning, showSuccess, showInfo } = useToast();
+
+  const clearResults = () => {
+    setBatchQueries(null);
+    setSidebarTransaction(null);
+    setShowVisualization(false);
+    setSelectedTransaction(null);
+    setGraphTransactions([]);
+    setDeepLink(null);
+    setSelectedElementId(null);
+    pendingSelectionRef.current = null;
+    searchIdRef.current++;
+  };
+
+  const handleNetworkToggle = (network) => {
+    setNetworkMode(network);
+    // Clear sidebar and visualization when switching networks
+    clearResults();
+    console.log("Network switched to:", network);
+  };
+
+
+
+  const handleNodeClick = useCallback((nodeData) => {
+    console.log("Node clicked:", nodeData);
+
+    setSelectedElementId(nodeData.id);
+    pendingSelectionRef.current = null;
+
+    // Transaction nodes, and the amount nodes of Cosmos messages, show
+    // their transaction's details
+    if ((nodeData.type === 'transaction' || nodeData.type === 'amount') && nodeData.txData) {
+      setSidebarTransaction(nodeData.txData);
+    }
+    // If it's an address node, could show address details
+    else if (nodeData.type === 'address') {
+      // Could implement address details view
+      console.log("Address node clicked:", nodeData.address);
+    }
+  }, []);
+
+  const handleEdgeClick = useCallback((edgeData) => {
+    console.log("Edge clicked:", edgeData);
+    setSelectedElementId(edgeData.id);
+    pendingSelectionRef.current = null;
+
+    // Show transaction details for the edge
+    if (edgeData.txData) {
+      setSidebarTransaction(edgeData.txData);
+    }
+  }, []);
+
+  const handleGraphExport = async (format) => {
+    console.log("Exporting graph as:", format);
+
+    if (!graphService) {
+      showError('Graph service not available. Please wait for the graph to load completely.', {
+        title: "Export Error",
+        duration: 4000
+      });
+      return;
+    }
+
+    try {
+      if (format === 'png') {
+        const exportData = graphService.exportPNG();
+        if (exportData) {
+          // Create download link
+          const link = document.createElement('a');
+          link.download = `zetaflow-graph-${Date.now()}.png`;
+          link.href = exportData;
+          link.click();
+          
+          showSuccess('Graph exported as PNG successfully!', {
+            title: "Export Complete",
+            duration: 3000
+          });
+        } else {
+          showError('Failed to generate PNG export. Please try again.', {
+            title: "Export Error",
+            duration: 4000
+          });
+        }
+      } else if (format === 'json') {
+        const exportData = graphService.exportJSON();
+        if (exportData) {
+          // Create download link for JSON
+          const blob = new Blob([JSON.stringify(exportData, null, 2)], { type: 'application/json' });
+          const url = URL.createObjectURL(blob);
+          const link = document.createElement('a');
+          link.download = `zetaflow-graph-${Date.now()}.json`;
+          link.href = url;
+          link.click();
+          URL.revokeObjectURL(url);
+          
+          showSuccess('Graph data exported as JSON successfully!', {
+            title: "Export Complete",
+            duration: 3000
+          });
+        } else {
+          showError('Failed to generate JSON export. Please try again.', {
+            title: "Export Error",
+            duration: 4000
+          });
+        }
+      }
+    } catch (error) {
+      console.error('Export failed:', error);
+      showError(`Export failed: ${error.message}. Please try again.`, {
+        title: "Export Error",
+        duration: 5000
+      });
+    }
+  };
+
+  const handleGraphServiceReady = useCallback((service) => {
+    setGraphService(service);
+  }, []);
+
+  const showSearchResult = (searchResult, transactionData) => {
+    // Show visualization
+    setShowVisualization(true);
+    setSelectedTransaction(searchResult);
+
+    // Set graph transactions for visualization
+    setGraphTransactions(searchResult.data);
+
+    // Show transaction details in sidebar
+    setSidebarTransaction(transactionData);
+
+    console.log("Transaction data for sidebar:", transactionData);
+  };
+
+  const traceFlow = async (searchResult, network, searchId) => {
+    setIsTracingFlow(true);
+
+    try {
+      const flow = await getFlowTracer(network).traceFrom(searchResult.data);
+      if (searchId !== searchIdRef.current) return;
+
+      // Only replace the graph when the trace found more than the search did
+      if (flow.transactions.length > searchResult.data.length) {
+        setGraphTransactions(flow.transactions);
+        showInfo(
+          `Traced ${flow.transactions.length} connected transactions${flow.truncated ? " (flow truncated)" : ""}`,
+          {
+            title: "Flow Traced",
+            duration: 3000
+          }
+        );
+      }
+    } catch (error) {
+      console.error("Flow trace failed:", error);
+    } finally {
+      if (searchId === searchIdRef.current) {
+        setIsTracingFlow(false);
+      }
+    }
+  };
+
+  /**
+   * Run a search and show its result
+   * @param {string} query - Search query
+   * @param {string} type - Detected search type
+   * @param {import('@/lib/search/DeepLinks').DeepLink} [restore] - Deep link being restored, whose network, layout and selection are kept
+   */
+  const handleSearch = async (query, type, restore = null) => {
+    const network = restore?.network || networkMode;
+    console.log("Search initiated:", { query, type, network });
+
+    if (restore) {
+      if (restore.network !== networkMode) {
+        handleNetworkToggle(restore.network);
+      }
+      setDeepLink(restore);
+      setGraphLayout(restore.layout || 'fcose');
+      setSelectedElementId(restore.node);
+      pendingSelectionRef.current = restore.node;
+    }
+    searchIdRef.current++;
+    setBatchQueries(null);
+
+    setIsSearching(true);
+
+    try {
+      // Get the appropriate search service for the current network
+      const searchService = getSearchService(network);
+
+      // Create notification handler for the search service
+      const notificationHandler = {
+        showError,
+        showWarning,
+        showInfo,
+        showSuccess
+      };
+
+      // Perform the search with notification support
+      const searchResult = await searchService.search(query, {
+        notificationHandler,
+        type: restore?.type
+      });
+      console.log("Search result:", searchResult);
+
+      // Blocks show their header even when nothing happened in them
+      const isBlock = searchResult?.metadata?.searchType === "block";
+      if (searchResult && searchResult.data && (searchResult.data.length > 0 || isBlock)) {
+        const transactionData = searchResult.data[0] || null;
+        const resultNetwork = searchResult.metadata?.network || network;
+
+        // Follow the network the result was found on (hash lookups check
+        // both networks, explorer links carry their own)
+        if (resultNetwork !== network) {
+          handleNetworkToggle(resultNetwork);
+          showInfo(
+            searchResult.metadata.link
+              ? `Switched to ${resultNetwork} to match the ${searchResult.metadata.link.explorer} link`
+              : `Transaction only exists on ${resultNetwork}, switched networks`,
+            {
+              title: "Network Switched",
+              duration: 3000
+            }
+          );
+        }
+
+        showSearchResult(searchResult, transactionData);
+        loadFullDetails(transactionData);
+        setDeepLink(getDeepLinkForResult(searchResult, resultNetwork));
+        if (!restore) {
+          setSelectedElementId(null);
+          pendingSelectionRef.current = null;
+        }
+
+        // Follow hash lookups through the rest of their omnichain flow
+        if (["txid", "cctx", "inbound"].includes(searchResult.metadata?.searchType)) {
+          traceFlow(searchResult, resultNetwork, searchIdRef.current);
+        }
+
+        // Offer the other network when the hash exists on both
+        const alternative = searchResult.metadata?.alternatives?.[0];
+        if (alternative) {
+          showInfo(`This hash also exists on ${alternative.network}`, {
+            title: "Found on Both Networks",
+            duration: 8000,
+            action: {
+              label: `View on ${alternative.network}`,
+              onClick: () => {
+                handleNetworkToggle(alternative.network);
+                setDeepLink(getDeepLinkForResult(searchResult, alternative.network));
+                showSearchResult(
+                  {
+                    ...searchResult,
+                    data: alternative.data,
+                    metadata: {
+                      ...searchResult.metadata,
+                      network: alternative.network,
+                      alternatives: [],
+                    },
+                  },
+                  alternative.data[0]
+                );
+              }
+            }
+          });
+        }
+        
+        // Show success notification
+        const foundMessage = type === "address"
+          ? `Found ${searchResult.data.length} transaction(s) for address on ${resultNetwork} network`
+          : type === "query"
+            ? `Found ${searchResult.data.length} ${searchResult.metadata.description} on ${resultNetwork} network`
+            : searchResult.metadata?.searchType === "block"
+            ? `Loaded block ${searchResult.metadata.blockNumber.toLocaleString()} with ${searchResult.data.length} transaction(s) on ${resultNetwork} network`
+            : searchResult.data.length > 1
+            ? `Found ${searchResult.data.length} related transactions on ${resultNetwork} network`
+            : `Found transaction on ${resultNetwork} network`;
+        showSuccess(foundMessage, {
+          title: "Search Successful",
+          duration: 3000
+        });
+
+        // Native ZETA transfers leave no logs, so only recent blocks were checked
+        const { nativeScan, fromBlock } = searchResult.metadata || {};
+        if (nativeScan && nativeScan.fromBlock > fromBlock) {
+          showInfo(
+            `Native ZETA transfers were only checked in blocks ${nativeScan.fromBlock.toLocaleString()}-${nativeScan.toBlock.toLocaleString()}; older native sends are not listed`,
+            {
+              title: "Partial Native Scan",
+              duration: 6000
+            }
+          );
+        }
+      } else {
+        console.log("No transaction data found");
+        // Handle case where no results are found
+        showWarning("No transaction found for the given query", {
+          title: "No Results",
+          duration: 4000
+        });
+      }
+    } catch (error) {
+      console.error("Search failed:", error);
+      
+      // The SearchService now handles all error notifications internally
+      // This catch block is mainly for unexpected errors that bypass the service
+      if (!error.type) {
+        showError(`Unexpected error: ${error.message}`, {
+          title: "Search Error",
+          duration: 5000
+        });
+      }
+    } finally {
+      setIsSearching(false);
+    }
+  };
+
+  /**
+   * Start a batch lookup; the hook runs it and the effect below shows it
+   * @param {string[]} queries - Hashes, addresses and links
+   */
+  const handleBatchSearch = (queries) => {
+    clearResults();
+    setBatchQueries(queries);
+    setBatchRun((run) => run + 1);
+  };
+
+  const handleBatchCancel = () => {
+    queryClient.cancelQueries({
+      queryKey: [...zetaChainQueryKeys.transactions(), "batch"],
+    });
+    setBatchQueries(null);
+  };
+
+  /**
+   * Show a transaction from a batch or block result in the sidebar and
+   * select it in the graph
+   * @param {Object} transaction - Transaction from the result
+   */
+  const handleResultSelect = (transaction) => {
+    setSidebarTransaction(transaction);
+    setShowVisualization(true);
+    if (graphService?.selectElement(`tx_${transaction.txHash}`)) {
+      setSelectedElementId(`tx_${transaction.txHash}`);
+    }
+
+    loadFullDetails(transaction);
+  };
+
+  /**
+   * Block results only summarize their transactions; replace a summary shown
+   * in the sidebar with the full transaction once it loads
+   * @param {Object|null} transaction - Transaction shown in the sidebar
+   */
+  const loadFullDetails = (transaction) => {
+    if (!transaction?.summary) return;
+
+    getSearchService(transaction.network || networkMode)
+      .getTransactionDetails(transaction.txHash)
+      .then((details) => {
+        setSidebarTransaction((current) =>
+          current?.txHash === transaction.txHash ? details : current
+        );
+      })
+      .catch((error) => {
+        showWarning(`Couldn't load the full details: ${error.message}`, {
+          title: "Details Unavailable",
+          duration: 4000
+        });
+      });
+  };
+
+  // Show each finished batch; batches have no deep link
+  const batchResult = batchQueries ? batch.data : null;
+  const showBatchResultRef = useRef(null);
+  showBatchResultRef.current = (result) => {
+    const { items, alternatives = [] } = result.metadata;
+    const foundCount = items.filter((item) => item.status === "found").length;
+
+    // Items found on another network are looked up again there, never mixed
+    // into this network's graph
+    const rerunOn = (alternativeNetwork) => {
+      const queries = batchQueries;
+      handleNetworkToggle(alternativeNetwork);
+      setBatchQueries(queries);
+      setBatchRun((run) => run + 1);
+    };
+    const alternative = alternatives[0];
+    if (!result.data.length && alternative) {
+      showInfo(`Every item was found on ${alternative.network}, switched networks`, {
+        title: "Network Switched",
+        duration: 3000
+      });
+      rerunOn(alternative.network);
+      return;
+    }
+
+    if (result.data.length) {
+      showSearchResult(result, result.data[0]);
+    }
+    setDeepLink(null);
+
+    const notify = foundCount === items.length ? showSuccess : showWarning;
+    notify(
+      `Found ${foundCount} of ${items.length} items, ${result.data.length} transaction(s) on ${result.metadata.network}`,
+      {
+        title: "Batch Lookup Complete",
+        duration: 4000
+      }
+    );
+
+    if (alternative) {
+      const count = items.filter((item) => item.network === alternative.network).length;
+      showInfo(`${count} item(s) were found on ${alternative.network} and aren't shown here`, {
+        title: "Found on Another Network",
+        duration: 8000,
+        action: {
+          label: `View on ${alternative.network}`,
+          onClick: () => rerunOn(alternative.network)
+        }
+      });
+    }
+  };
+
+  useEffect(() => {
+    if (batchResult) {
+      showBatchResultRef.current(batchResult);
+    }
+  }, [batchResult, batchRun]);
+
+  // Restore a deep link, or clear everything for paths that aren't one
+  const restoreDeepLinkRef = useRef(null);
+  restoreDeepLinkRef.current = (link) => {
+    if (link) {
+      handleSearch(link.value, link.type, link);
+    } else {
+      clearResults();
+    }
+  };
+
+  // Restore the deep link the page was opened with
+  useEffect(() => {
+    if (!initialDeepLink || hasRestoredRef.current) return;
+    hasRestoredRef.current = true;
+    restoreDeepLinkRef.current(initialDeepLink);
+  }, [initialDeepLink]);
+
+  // Back and forward restore the search the URL points at
+  useEffect(() => {
+    const handlePopState = () => {
+      restoreDeepLinkRef.current(
+        parseDeepLinkPath(window.location.pathname, window.location.search)
+      );
+    };
+
+    window.addEventListener("popstate", handlePopState);
+    return () => window.removeEventListener("popstate", handlePopState);
+  }, []);
+
+  // Mirror the search, layout and selection into the URL. A new search gets
+  // its own history entry; layout and selection changes update it in place.
+  useEffect(() => {
+    const path = deepLink
+      ? buildDeepLinkPath({ ...deepLink, layout: graphLayout, node: selectedElementId })
+      : "/";
+    // Compare decoded, since "lt:hash" may be typed with or without %3A
+    const current = `${window.location.pathname}${window.location.search}`;
+    if (decodeURIComponent(path) === decodeURIComponent(current)) return;
+
+    const isSamePage =
+      decodeURIComponent(path.split("?")[0]) === decodeURIComponent(window.location.pathname);
+    window.history[isSamePage ? "replaceState" : "pushState"](null, "", path);
+  }, [deepLink, graphLayout, selectedElementId]);
+
+  // Select the restored node once the graph (or a later flow trace) has it
+  useEffect(() => {
+    if (!graphService || !pendingSelectionRef.current || !graphTransactions.length) return;
+
+    const data = graphService.selectElement(pendingSelectionRef.current);
+    if (data) {
+      pendingSelectionRef.current = null;
+      if (data.txData) {
+        setSidebarTransaction(data.txData);
+      }
+    }
+  }, [graphService, graphTransactions]);
+
+  return (
+    <AppLayout>
+      <Header
+        networkMode={networkMode}
+        onNetworkToggle={handleNetworkToggle}
+        onOpenSettings={() => setShowSettings(true)}
+      />
+      <EndpointSettings
+        isOpen={showSettings}
+        onClose={() => setShowSettings(false)}
+        networkMode={networkMode}
+      />
+
+      <main className="flex-1 py-8">
+        <div className="flex flex-col lg:flex-row gap-8 min-h-[calc(100vh-200px)] h-full px-12">
+          {/* Left Sidebar */}
+          <div className="w-full lg:w-64 xl:w-80 flex-shrink-0 space-y-4">
+            <NetworkStats networkMode={networkMode} />
+
+            <div className="bg-white border-2 border-gray-300 rounded-lg p-4 shadow-sm">
+              <h2 className="text-lg font-semibold mb-4 text-black">
+                Visualization Controls
+              </h2>
+              <div className="space-y-3">
+                <ActionButton
+                  color="blue"
+                  className="w-full"
+                  onClick={() => setShowVisualization(!showVisualization)}
+                  disabled={!graphTransactions.length}
+                >
+                  {showVisualization ? 'Hide Graph' : 'Show Graph'}
+                </ActionButton>
+                <Button
+                  variant="outline"
+                  className="w-full"
+                  disabled={!showVisualization}
+                  onClick={() => {
+                    if (graphService) {
+                      graphService.fit();
+                    }
+                  }}
+                >
+                  Reset View
+                </Button>
+                <div className="text-xs text-gray-500 mt-2">
+                  {isTracingFlow
+                    ? 'Tracing cross-chain flow...'
+                    : graphTransactions.length > 0
+                      ? `${graphTransactions.length} transaction(s) loaded`
+                      : 'Search for transactions to visualize'
+                  }
+                </div>
+              </div>
+            </div>
+          </div>
+
+          {/* Main Content Area */}
+          <div className="flex-1 flex flex-col space-y-6">
+            {/* Search Input at Top */}
+            <div className="flex justify-center">
+              <div className="w-full max-w-2xl space-y-2">
+                <div className="flex justify-end gap-2">
+                  <Button
+                    variant={searchMode === "single" ? "primary" : "outline"}
+                    size="sm"
+                    onClick={() => setSearchMode("single")}
+                  >
+                    Single
+                  </Button>
+                  <Button
+                    variant={searchMode === "batch" ? "primary" : "outline"}
+                    size="sm"
+                    onClick={() => setSearchMode("batch")}
+                  >
+                    Batch
+                  </Button>
+                </div>
+                {searchMode === "single" ? (
+                  <SearchInput
+                    placeholder={`Search ${networkMode} transactions and addresses...`}
+                    onSearch={handleSearch}
+                    isLoading={isSearching}
+                  />
+                ) : (
+                  <BatchSearchInput
+                    onSearch={handleBatchSearch}
+                    onCancel={handleBatchCancel}
+                    isLoading={batch.isFetching}
+                    progress={batch.progress}
+                  />
+                )}
+              </div>
+            </div>
+
+            {/* Block View */}
+            {selectedTransaction?.metadata?.searchType === "block" && (
+              <div className="flex justify-center">
+                <BlockDetails
+                  result={selectedTransaction}
+                  onSelect={handleResultSelect}
+                  className="w-full max-w-2xl"
+                />
+              </div>
+            )}
+
+            {/* Batch Results */}
+            {searchMode === "batch" && batchResult && (
+              <div className="flex justify-center">
+                <div className="w-full max-w-2xl space-y-3">
+                  <BatchResultsSummary
+                    items={batchResult.metadata.items}
+                    loadTime={batchResult.metadata.loadTime}
+                  />
+                  <div className="max-h-96 overflow-y-auto pr-1">
+                    <SearchResults
+                      results={batchResult.data}
+                      onResultSelect={handleResultSelect}
+                      searchQuery={batchResult.metadata.query}
+                      searchType="batch"
+                    />
+                  </div>
+                </div>
+              </div>
+            )}
+
+            {/* Graph Area */}
+            <div className="flex-1 bg-white border-2 border-gray-300 rounded-lg min-h-[600px] relative overflow-hidden shadow-sm">
+              {!showVisualization ? (
+                /* Graph Placeholder */
+                <div className="h-full flex items-center justify-center">
+                  <div className="text-center text-gray-500">
+                    <div className="w-16 h-16 mx-auto mb-4 border-2 border-gray-300 rounded-lg flex items-center justify-center">
+                      <div className="w-8 h-8 border border-gray-300 rounded"></div>
+                    </div>
+                    <p className="text-lg font-medium">Graph Visualization</p>
+                    <p className="text-sm mt-1">
+                      Search for transactions to visualize cross-chain flows
+                    </p>
+                  </div>
+                </div>
+              ) : (
+                /* Visualization Interface */
+                <div className="h-full relative">
+                  {/* Visualization Header */}
+                  <div className="absolute top-0 left-0 right-0 z-10 bg-white border-b-2 border-gray-300 p-4">
+                    <div className="flex items-center justify-between">
+                      <div className="flex items-center gap-4">
+                        <Button
+                          variant="outline"
+                          size="sm"
+                          onClick={() => setShowVisualization(false)}
+                        >
+                          ← Back to Search
+                        </Button>
+                        <div className="text-sm text-gray-600">
+                          {selectedTransaction && (
+                            <span>
+                              Visualizing:{" "}
+                              {selectedTransaction.metadata?.totalResults ||
+                                0}{" "}
+                              transaction(s)
+                            </span>
+                          )}
+                        </div>
+                      </div>
+                      <div className="flex items-center">
+                        <GraphControls
+                          currentLayout={graphLayout}
+                          onLayoutChange={setGraphLayout}
+                          onExport={handleGraphExport}
+                          graphService={graphService}
+                          disabled={!graphTransactions.length}
+                        />
+                      </div>
+                    </div>
+                  </div>
+
+                  {/* Graph Visualization */}
+                  <div className="w-full h-full pt-16">
+                    <GraphVisualization
+                      transactions={graphTransactions}
+                      onNodeClick={handleNodeClick}
+                      onEdgeClick={handleEdgeClick}
+                      onGraphServiceReady={handleGraphServiceReady}
+                      layout={graphLayout}
+                      className="h-full"
+                    />
+                  </div>
+                </div>
+              )}
+            </div>
+          </div>
+
+          {/* Right Sidebar - Transaction Details */}
+          <div className="w-full lg:w-64 xl:w-80 flex-shrink-0 space-y-4">
+            <TransactionSidebar transaction={sidebarTransaction} />
+          </div>
+        </div>
+      </main>
+
+      {/* Footer */}
+      <footer className="border-t-2 border-gray-300 bg-white mt-8">
+        <div className="py-4 px-12">
+          <div className="flex items-center justify-between text-sm text-gray-600">
+            <p>Built for ZetaChain ecosystem.</p>
+            <div className="flex items-center space-x-4">
+              <span>
+                Network: ZetaChain{" "}
+                {networkMode === "mainnet" ? "Mainnet" : "Testnet"}
+              </span>
+              <StatusIndicator status="success" size="sm" />
+            </div>
+          </div>
+        </div>
+      </footer>
+
+
+    </AppLayout>
+  );
+}
\ No newline at end of file
@@ -0,0 +1,5 @@
+/**
+ * @fileoverview Explorer components exports
+ */
+
+export { default as Explorer } from "./Explorer.js";
@@ -13,5 +13,11 @@ export * from "./providers";
 // Sidebar components
 export { default as TransactionSidebar } from "./sidebar/TransactionSidebar";
 
+// Settings components
+export * from "./settings";
+
+// Explorer components
+export * from "./explorer";
+
 // Visualization components
 export * from "./visualization";
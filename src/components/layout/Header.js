@@ -1,15 +1,19 @@
 "use client";
 
+import { Settings } from "lucide-react";
+
 /**
  * Header component with clean typography and subtle gray borders
  * @param {Object} props
  * @param {'mainnet'|'testnet'} props.networkMode
  * @param {function} props.onNetworkToggle
+ * @param {function} [props.onOpenSettings]
  * @param {string} [props.connectedWallet]
  */
 export default function Header({
   networkMode = "testnet",
   onNetworkToggle,
+  onOpenSettings,
   connectedWallet,
 }) {
   return (
@@ -67,6 +71,17 @@ export default function Header({
               </div>
             )}
 
+            {/* Endpoint Settings */}
+            {onOpenSettings && (
+              <button
+                onClick={onOpenSettings}
+                className="p-1.5 text-gray-600 hover:text-black hover:bg-gray-50 rounded-md transition-colors"
+                title="Endpoint settings"
+              >
+                <Settings className="w-4 h-4" />
+              </button>
+            )}
+
             {/* Status Indicator */}
             <div className="flex items-center space-x-2">
               <div className="w-2 h-2 bg-green-500 rounded-full animate-pulse"></div>
@@ -0,0 +1,202 @@
+"use client";
+
+import { useState, useMemo, useRef, useCallback } from "react";
+import { Upload, X, AlertCircle } from "lucide-react";
+import Button from "../ui/Button.js";
+import ActionButton from "../ui/ActionButton.js";
+import {
+  BATCH_LIMITS,
+  parseBatchInput,
+  readBatchFile,
+} from "../../lib/search/BatchParser.js";
+
+/**
+ * Batch search input: paste or upload a text/CSV list of hashes, addresses
+ * and explorer links and look them all up at once
+ * @param {Object} props
+ * @param {function} props.onSearch - Batch handler (queries: string[]) => void
+ * @param {function} [props.onCancel] - Cancels the running batch
+ * @param {boolean} [props.isLoading] - Whether a batch is running
+ * @param {{completed: number, total: number, failed: number}} [props.progress] - Progress of the running batch
+ * @param {boolean} [props.disabled] - Disabled state
+ * @param {string} [props.className] - Additional CSS classes
+ */
+export default function BatchSearchInput({
+  onSearch,
+  onCancel,
+  isLoading = false,
+  progress,
+  disabled = false,
+  className = "",
+}) {
+  const [text, setText] = useState("");
+  const [fileName, setFileName] = useState(null);
+  const [fileError, setFileError] = useState(null);
+  const fileInputRef = useRef(null);
+
+  // Recognized items, recomputed as the list is edited
+  const parsed = useMemo(() => parseBatchInput(text), [text]);
+
+  /**
+   * Load an uploaded file into the text area
+   * @param {React.ChangeEvent<HTMLInputElement>} e - File input change event
+   */
+  const handleFileChange = useCallback(async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = ""; // Allow picking the same file again
+    if (!file) return;
+
+    try {
+      setText(await readBatchFile(file));
+      setFileName(file.name);
+      setFileError(null);
+    } catch (error) {
+      setFileError(error.message);
+    }
+  }, []);
+
+  /**
+   * Clear the list
+   */
+  const handleClear = useCallback(() => {
+    setText("");
+    setFileName(null);
+    setFileError(null);
+  }, []);
+
+  /**
+   * Start the batch lookup
+   */
+  const handleSearch = useCallback(() => {
+    if (!parsed.items.length || isLoading || disabled) return;
+    onSearch(parsed.items.map((item) => item.query));
+  }, [parsed, isLoading, disabled, onSearch]);
+
+  const percent = progress?.total
+    ? Math.round((progress.completed / progress.total) * 100)
+    : 0;
+
+  // What was recognized and what was left out
+  const notes = [
+    parsed.duplicates > 0 && `${parsed.duplicates} duplicate${parsed.duplicates !== 1 ? "s" : ""} skipped`,
+    parsed.truncated > 0 && `${parsed.truncated} over the ${BATCH_LIMITS.maxItems} item limit skipped`,
+  ].filter(Boolean);
+
+  return (
+    <div className={`w-full max-w-2xl ${className}`}>
+      <div className="bg-white border-2 border-black shadow-[2px_2px_0px_0px_rgba(0,0,0,1)] rounded-md overflow-hidden">
+        <textarea
+          value={text}
+          onChange={(e) => {
+            setText(e.target.value);
+            setFileName(null);
+          }}
+          placeholder={"Paste transaction hashes, CCTX indexes, addresses or explorer links\none per line, or a CSV export with them in any column"}
+          disabled={disabled || isLoading}
+          rows={6}
+          className="w-full px-4 py-3 bg-transparent border-none outline-none resize-y text-black placeholder-gray-400 text-sm font-mono disabled:cursor-not-allowed"
+        />
+
+        <div className="flex items-center justify-between gap-2 px-3 py-2 border-t-2 border-black bg-gray-50">
+          <div className="text-xs text-gray-600 min-w-0 truncate">
+            {fileName && <span className="font-medium mr-1">{fileName}:</span>}
+            <span className="font-medium">{parsed.items.length}</span> item
+            {parsed.items.length !== 1 ? "s" : ""} recognized
+            {notes.length > 0 && `, ${notes.join(", ")}`}
+          </div>
+
+          <div className="flex items-center gap-2 flex-shrink-0">
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept=".txt,.csv,.tsv,text/plain,text/csv"
+              onChange={handleFileChange}
+              className="hidden"
+            />
+            <Button
+              variant="outline"
+              size="sm"
+              onClick={() => fileInputRef.current?.click()}
+              disabled={disabled || isLoading}
+              className="flex items-center gap-1"
+            >
+              <Upload size={14} />
+              Upload
+            </Button>
+            {text && !isLoading && (
+              <button
+                onClick={handleClear}
+                className="flex items-center justify-center w-8 h-8 text-gray-400 hover:text-gray-600 transition-colors"
+                aria-label="Clear list"
+              >
+                <X size={16} />
+              </button>
+            )}
+            {isLoading && onCancel ? (
+              <ActionButton size="sm" onClick={onCancel} className="h-8">
+                <span className="text-xs">Cancel</span>
+              </ActionButton>
+            ) : (
+              <ActionButton
+                color={parsed.items.length ? "blue" : "default"}
+                size="sm"
+                onClick={handleSearch}
+                disabled={!parsed.items.length || isLoading || disabled}
+                className="h-8"
+              >
+                <span className="text-xs">
+                  Look up {parsed.items.length || ""}
+                </span>
+              </ActionButton>
+            )}
+          </div>
+        </div>
+
+        {/* Progress */}
+        {isLoading && progress?.total > 0 && (
+          <div className="px-3 py-2 border-t border-gray-200">
+            <div className="flex items-center justify-between text-xs text-gray-600 mb-1">
+              <span>
+                Looked up {progress.completed} of {progress.total}
+              </span>
+              {progress.failed > 0 && (
+                <span className="text-red-600">{progress.failed} failed</span>
+              )}
+            </div>
+            <div className="h-2 bg-gray-200 rounded overflow-hidden">
+              <div
+                className="h-full bg-blue-500 transition-all duration-200"
+                style={{ width: `${percent}%` }}
+              />
+            </div>
+          </div>
+        )}
+      </div>
+
+      {/* Cells that look like hashes or addresses but aren't valid */}
+      {(fileError || parsed.invalid.length > 0) && (
+        <div className="mt-2 flex items-start gap-2 p-3 bg-red-50 border border-red-200 rounded-md">
+          <AlertCircle size={16} className="text-red-600 mt-0.5 flex-shrink-0" />
+          <div className="text-sm text-red-700 min-w-0">
+            {fileError || (
+              <>
+                <p className="font-medium">
+                  {parsed.invalid.length} entr{parsed.invalid.length !== 1 ? "ies" : "y"} not
+                  recognized as a hash, address or supported link:
+                </p>
+                <ul className="mt-1 font-mono text-xs space-y-0.5">
+                  {parsed.invalid.slice(0, 5).map((cell) => (
+                    <li key={cell} className="truncate">{cell}</li>
+                  ))}
+                  {parsed.invalid.length > 5 && (
+                    <li>and {parsed.invalid.length - 5} more</li>
+                  )}
+                </ul>
+              </>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
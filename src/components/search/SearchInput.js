@@ -4,18 +4,64 @@ import { useState, useCallback, useMemo } from "react";
 import { Search, X, AlertCircle } from "lucide-react";
 import Button from "../ui/Button.js";
 import ActionButton from "../ui/ActionButton.js";
+import {
+  looksLikeUrl,
+  parseExplorerUrl,
+  describeLink,
+} from "../../lib/search/UrlParser.js";
+import {
+  CHAIN_FAMILIES,
+  detectIdentifier,
+} from "../../lib/blockchain/chain-identifiers.js";
+import {
+  getQuerySuggestions,
+  isStructuredQuery,
+  parseQuery,
+} from "../../lib/search/QueryParser.js";
 
 /**
- * @typedef {'txid'|'address'|'invalid'|'empty'} InputType
+ * @typedef {'txid'|'address'|'cctx'|'inbound'|'block'|'query'|'invalid'|'empty'} InputType
  */
 
 /**
  * @typedef {Object} ValidationResult
  * @property {boolean} isValid - Whether input is valid
  * @property {InputType} type - Detected input type
+ * @property {string|null} [chain] - Chain family of a hash or address (null for bare 64-hex hashes)
+ * @property {import('../../lib/search/UrlParser.js').ParsedLink} [link] - Parsed explorer link
+ * @property {import('../../lib/search/QueryParser.js').QueryError} [errorPosition] - Where a structured query went wrong
  * @property {string} [error] - Error message if invalid
  */
 
+// zEVM block numbers ("5123456" or "#5123456")
+const BLOCK_NUMBER_REGEX = /^#?\d{1,12}$/;
+
+const UNSUPPORTED_LINK_ERROR =
+  "Unsupported link. Paste a ZetaScan, Etherscan, BscScan, Polygonscan, Blockstream, mempool.space, Solscan or Tonviewer transaction or address URL.";
+
+// Type indicator prefixes per chain family (EVM hashes keep the generic labels)
+const CHAIN_FAMILY_LABELS = {
+  [CHAIN_FAMILIES.BITCOIN]: "Bitcoin",
+  [CHAIN_FAMILIES.SOLANA]: "Solana",
+  [CHAIN_FAMILIES.TON]: "TON",
+};
+
+/**
+ * Normalize a validated query for searching: links are passed through as-is,
+ * bare hex hashes and addresses get a 0x prefix for consistency, and other
+ * chains' identifiers are kept as typed since they are case-sensitive
+ * @param {string} query - Raw query
+ * @param {ValidationResult} validation - Validation result for the query
+ * @returns {string} Query to hand to onSearch
+ */
+function normalizeSearchValue(query, validation) {
+  const trimmed = query.trim();
+  if (validation.link) {
+    return trimmed;
+  }
+  return /^([a-fA-F0-9]{40}|[a-fA-F0-9]{64})$/.test(trimmed) ? `0x${trimmed}` : trimmed;
+}
+
 /**
  * Search input component with real-time TxID and address validation
  * @param {Object} props
@@ -70,51 +116,68 @@ export default function SearchInput({
       };
     }
 
-    // Transaction hash validation (64 hex characters, optionally prefixed with 0x)
-    const txHashRegex = /^(0x)?[a-fA-F0-9]{64}$/;
-    if (txHashRegex.test(trimmed)) {
-      return {
-        isValid: true,
-        type: "txid",
-        error: null,
-      };
+    // ZetaScan and external explorer links
+    if (looksLikeUrl(trimmed)) {
+      const link = parseExplorerUrl(trimmed);
+      return link
+        ? { isValid: true, type: link.type, link, error: null }
+        : { isValid: false, type: "invalid", error: UNSUPPORTED_LINK_ERROR };
     }
 
-    // Ethereum address validation (40 hex characters, optionally prefixed with 0x)
-    const addressRegex = /^(0x)?[a-fA-F0-9]{40}$/;
-    if (addressRegex.test(trimmed)) {
+    // Structured queries such as "from:0x… status:failed after:7d"
+    if (isStructuredQuery(trimmed)) {
+      const { isValid, errors } = parseQuery(trimmed);
+      return isValid
+        ? { isValid: true, type: "query", error: null }
+        : {
+            isValid: false,
+            type: "invalid",
+            errorPosition: errors[0],
+            error: errors[0].message,
+          };
+    }
+
+    // zEVM block numbers
+    if (BLOCK_NUMBER_REGEX.test(trimmed)) {
+      return { isValid: true, type: "block", error: null };
+    }
+
+    // Hashes and addresses of every connected chain (EVM, Bitcoin, Solana, TON)
+    const identifier = detectIdentifier(trimmed);
+    if (identifier) {
       return {
         isValid: true,
-        type: "address",
+        type: identifier.type,
+        chain: identifier.family,
         error: null,
       };
     }
 
     // Check for common input patterns to provide helpful error messages
-    if (trimmed.length < 40) {
+    if (trimmed.length < 26) {
       return {
         isValid: false,
         type: "invalid",
         error:
-          "Input too short. Enter a valid transaction hash (64 chars) or address (40 chars).",
+          "Input too short. Enter a transaction hash, CCTX index, address or block number.",
       };
     }
 
-    if (trimmed.length > 66) {
+    if (trimmed.length > 100) {
       return {
         isValid: false,
         type: "invalid",
         error:
-          "Input too long. Transaction hashes are 64 characters, addresses are 40 characters.",
+          "Input too long. Enter a single transaction hash, CCTX index, address or block.",
       };
     }
 
-    if (!/^(0x)?[a-fA-F0-9]+$/.test(trimmed)) {
+    if (trimmed.startsWith("0x") && !/^0x[a-fA-F0-9]+$/.test(trimmed)) {
       return {
         isValid: false,
         type: "invalid",
         error:
-          "Invalid characters. Only hexadecimal characters (0-9, a-f) are allowed.",
+          "Invalid characters. Only hexadecimal characters (0-9, a-f) are allowed after 0x.",
       };
     }
 
@@ -122,7 +185,7 @@ export default function SearchInput({
       isValid: false,
       type: "invalid",
       error:
-        "Invalid format. Enter a valid transaction hash or wallet address.",
+        "Invalid format. Enter an EVM, Bitcoin, Solana or TON transaction hash or address.",
     };
   }, []);
 
@@ -145,9 +208,14 @@ export default function SearchInput({
       const newValue = e.target.value;
       handleInputChange(newValue);
 
-      // Update suggestions
-      if (showSuggestions && getSuggestions && newValue.length >= 2) {
-        const newSuggestions = getSuggestions(newValue, 5);
+      // Update suggestions: filter keys and values first, then history
+      const filterSuggestions = getQuerySuggestions(newValue, 5).map(
+        (suggestion) => ({ ...suggestion, type: "filter" })
+      );
+      if (showSuggestions && (filterSuggestions.length || newValue.length >= 2)) {
+        const historySuggestions =
+          getSuggestions && newValue.length >= 2 ? getSuggestions(newValue, 5) : [];
+        const newSuggestions = [...filterSuggestions, ...historySuggestions].slice(0, 8);
         setSuggestions(newSuggestions);
         setShowSuggestionsList(newSuggestions.length > 0);
       } else {
@@ -159,6 +227,21 @@ export default function SearchInput({
     [handleInputChange, showSuggestions, getSuggestions]
   );
 
+  /**
+   * Complete the input with a filter key or value suggestion, keeping focus
+   * in the input so the query can be finished
+   * @param {Object} suggestion - Filter suggestion
+   */
+  const completeFilter = useCallback(
+    (suggestion) => {
+      handleInputChange(suggestion.query);
+      setSuggestions([]);
+      setShowSuggestionsList(false);
+      setSelectedSuggestionIndex(-1);
+    },
+    [handleInputChange]
+  );
+
   /**
    * Handle search submission
    */
@@ -167,13 +250,7 @@ export default function SearchInput({
       return;
     }
 
-    const trimmedValue = inputValue.trim();
-    // Ensure 0x prefix for consistency
-    const normalizedValue = trimmedValue.startsWith("0x")
-      ? trimmedValue
-      : `0x${trimmedValue}`;
-
-    onSearch(normalizedValue, validation.type);
+    onSearch(normalizeSearchValue(inputValue, validation), validation.type);
   }, [validation, inputValue, onSearch, isLoading, disabled]);
 
   /**
@@ -191,6 +268,15 @@ export default function SearchInput({
       }
 
       switch (e.key) {
+        case "Tab": {
+          const filterSuggestion =
+            suggestions[Math.max(selectedSuggestionIndex, 0)];
+          if (filterSuggestion?.type === "filter") {
+            e.preventDefault();
+            completeFilter(filterSuggestion);
+          }
+          break;
+        }
         case "ArrowDown":
           e.preventDefault();
           setSelectedSuggestionIndex((prev) =>
@@ -203,7 +289,9 @@ export default function SearchInput({
           break;
         case "Enter":
           e.preventDefault();
-          if (selectedSuggestionIndex >= 0) {
+          if (suggestions[selectedSuggestionIndex]?.type === "filter") {
+            completeFilter(suggestions[selectedSuggestionIndex]);
+          } else if (selectedSuggestionIndex >= 0) {
             const selectedSuggestion = suggestions[selectedSuggestionIndex];
             handleInputChange(selectedSuggestion.query);
             setShowSuggestionsList(false);
@@ -212,12 +300,10 @@ export default function SearchInput({
             setTimeout(() => {
               const validation = validateInput(selectedSuggestion.query);
               if (validation.isValid) {
-                const normalizedValue = selectedSuggestion.query.startsWith(
-                  "0x"
-                )
-                  ? selectedSuggestion.query
-                  : `0x${selectedSuggestion.query}`;
-                onSearch(normalizedValue, validation.type);
+                onSearch(
+                  normalizeSearchValue(selectedSuggestion.query, validation),
+                  validation.type
+                );
               }
             }, 0);
           } else {
@@ -236,6 +322,7 @@ export default function SearchInput({
       selectedSuggestionIndex,
       handleSearch,
       handleInputChange,
+      completeFilter,
       validateInput,
       onSearch,
     ]
@@ -257,6 +344,11 @@ export default function SearchInput({
    */
   const handleSuggestionSelect = useCallback(
     (suggestion) => {
+      if (suggestion.type === "filter") {
+        completeFilter(suggestion);
+        return;
+      }
+
       handleInputChange(suggestion.query);
       setShowSuggestionsList(false);
       setSelectedSuggestionIndex(-1);
@@ -265,14 +357,14 @@ export default function SearchInput({
       setTimeout(() => {
         const validation = validateInput(suggestion.query);
         if (validation.isValid) {
-          const normalizedValue = suggestion.query.startsWith("0x")
-            ? suggestion.query
-            : `0x${suggestion.query}`;
-          onSearch(normalizedValue, validation.type);
+          onSearch(
+            normalizeSearchValue(suggestion.query, validation),
+            validation.type
+          );
         }
       }, 0);
     },
-    [handleInputChange, validateInput, onSearch]
+    [handleInputChange, completeFilter, validateInput, onSearch]
   );
 
   /**
@@ -300,11 +392,25 @@ export default function SearchInput({
   const getTypeIndicator = () => {
     if (!inputValue.trim()) return null;
 
+    if (validation.link) {
+      return describeLink(validation.link);
+    }
+
+    if (validation.errorPosition) {
+      return "Invalid Query";
+    }
+
+    const family = CHAIN_FAMILY_LABELS[validation.chain];
     switch (validation.type) {
       case "txid":
-        return "Transaction Hash";
+        if (validation.chain === CHAIN_FAMILIES.SOLANA) return "Solana Signature";
+        return family ? `${family} Transaction` : "Transaction or Block Hash";
       case "address":
-        return "Wallet Address";
+        return family ? `${family} Address` : "Wallet Address";
+      case "block":
+        return "Block Number";
+      case "query":
+        return "Query";
       case "invalid":
         return "Invalid Format";
       default:
@@ -370,9 +476,9 @@ export default function SearchInput({
                 px-2 py-1 mx-2 text-xs font-medium rounded
                 ${
                   validation.isValid
-                    ? validation.type === "txid"
-                      ? "bg-blue-50 text-blue-700 border border-blue-200"
-                      : "bg-green-50 text-green-700 border border-green-200"
+                    ? validation.type === "address"
+                      ? "bg-green-50 text-green-700 border border-green-200"
+                      : "bg-blue-50 text-blue-700 border border-blue-200"
                     : "bg-red-50 text-red-700 border border-red-200"
                 }
               `}
@@ -441,6 +547,16 @@ export default function SearchInput({
                   ${index > 0 ? "border-t border-gray-200" : ""}
                 `}
               >
+                {suggestion.type === "filter" ? (
+                  <div className="flex items-center justify-between gap-3">
+                    <span className="font-mono text-sm text-gray-800">
+                      {suggestion.label}
+                    </span>
+                    <span className="text-xs text-gray-500 truncate">
+                      {suggestion.description}
+                    </span>
+                  </div>
+                ) : (
                 <div className="flex items-center justify-between">
                   <div className="flex-1 min-w-0">
                     <div className="font-mono text-sm text-gray-800 truncate">
@@ -471,6 +587,7 @@ export default function SearchInput({
                     {new Date(suggestion.timestamp).toLocaleDateString()}
                   </div>
                 </div>
+                )}
               </button>
             ))}
           </div>
@@ -486,7 +603,23 @@ export default function SearchInput({
             size={16}
             className="text-red-600 mt-0.5 flex-shrink-0"
           />
-          <p className="text-sm text-red-700 font-medium">{errorMessage}</p>
+          <div className="min-w-0">
+            <p className="text-sm text-red-700 font-medium">{errorMessage}</p>
+            {/* Where in the query the problem is */}
+            {!externalError && validation.errorPosition && (
+              <pre className="mt-2 text-xs font-mono text-red-700 overflow-x-auto">
+                {inputValue.trim()}
+                {"\n"}
+                {" ".repeat(validation.errorPosition.start)}
+                {"^".repeat(
+                  Math.max(
+                    validation.errorPosition.end - validation.errorPosition.start,
+                    1
+                  )
+                )}
+              </pre>
+            )}
+          </div>
         </div>
       )}
 
@@ -500,7 +633,23 @@ export default function SearchInput({
             characters)
           </p>
           <p className="mt-1">
-            Examples: 0x1234... or 1234... (0x prefix is optional)
+            Examples: 0x1234... or 1234... (0x prefix is optional), or a block
+            number or hash
+          </p>
+          <p className="mt-1">
+            Cosmos transaction hashes (observer votes, staking, governance)
+            resolve too
+          </p>
+          <p className="mt-1">
+            ZetaScan, Etherscan, BscScan, Polygonscan and Blockstream links
+            work too
+          </p>
+          <p className="mt-1">
+            Or filter with{" "}
+            <span className="font-mono">
+              from: to: chain: status: token: after: before: min: type:
+            </span>
+            , e.g. <span className="font-mono">chain:bsc status:failed after:7d</span>
           </p>
         </div>
       )}
@@ -529,6 +678,13 @@ export function useSearchInput(options = {}) {
       return { isValid: false, type: "empty", error: null };
     }
 
+    if (looksLikeUrl(trimmed)) {
+      const link = parseExplorerUrl(trimmed);
+      return link
+        ? { isValid: true, type: link.type, link, error: null }
+        : { isValid: false, type: "invalid", error: UNSUPPORTED_LINK_ERROR };
+    }
+
     const txHashRegex = /^(0x)?[a-fA-F0-9]{64}$/;
     if (txHashRegex.test(trimmed)) {
       return { isValid: true, type: "txid", error: null };
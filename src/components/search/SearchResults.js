@@ -10,6 +10,7 @@ import {
 } from "lucide-react";
 import StatusIndicator from "../ui/StatusIndicator.js";
 import Button from "../ui/Button.js";
+import { formatAmount as formatRawAmount, formatUnits } from "../../lib/blockchain/amount.js";
 
 /**
  * @typedef {import('../../types/blockchain.js').TransactionData} TransactionData
@@ -24,7 +25,7 @@ import Button from "../ui/Button.js";
  * @param {boolean} [props.isLoading] - Loading state
  * @param {string} [props.error] - Error message
  * @param {string} [props.searchQuery] - Original search query
- * @param {'txid'|'address'} [props.searchType] - Type of search performed
+ * @param {'txid'|'address'|'query'|'batch'} [props.searchType] - Type of search performed
  * @param {string} [props.className] - Additional CSS classes
  */
 export default function SearchResults({
@@ -54,32 +55,26 @@ export default function SearchResults({
 
   /**
    * Format transaction amount for display
-   * @param {string} amount - Amount in wei
+   * @param {string} amount - Amount in base units (decimal or 0x hex)
    * @param {string} [symbol] - Token symbol
+   * @param {number} [decimals] - Token decimals
    * @returns {string} Formatted amount
    */
-  const formatAmount = (amount, symbol = "ETH") => {
+  const formatAmount = (amount, symbol = "ETH", decimals = 18) => {
     if (!amount || amount === "0") return "0";
 
-    try {
-      // Convert from wei to ether (assuming 18 decimals)
-      const value = parseFloat(amount) / Math.pow(10, 18);
-      if (value < 0.0001) return `< 0.0001 ${symbol}`;
-      if (value < 1) return `${value.toFixed(6)} ${symbol}`;
-      return `${value.toFixed(4)} ${symbol}`;
-    } catch {
-      return `${amount} ${symbol}`;
-    }
+    return formatRawAmount(amount, decimals, { symbol, maxFractionDigits: 4 });
   };
 
   /**
    * Format timestamp for display
-   * @param {number} timestamp - Unix timestamp
+   * @param {number} timestamp - Timestamp in milliseconds (normalized transactions) or seconds
    * @returns {string} Formatted date
    */
   const formatTimestamp = (timestamp) => {
+    if (!timestamp) return "Pending";
     try {
-      const date = new Date(timestamp * 1000);
+      const date = new Date(timestamp > 1e12 ? timestamp : timestamp * 1000);
       return date.toLocaleString();
     } catch {
       return "Unknown";
@@ -127,7 +122,11 @@ export default function SearchResults({
   const renderResult = (result, index) => {
     const resultId = result.txHash || `result-${index}`;
     const isExpanded = expandedResults.has(resultId);
-    const isCrossChain = "sourceChain" in result;
+    // Normalized CCTXs keep their chains in crossChainData
+    const isCrossChain = result.type === "cross-chain" || "sourceChain" in result;
+    const sourceChainId = result.crossChainData?.sourceChain ?? result.sourceChain?.chainId;
+    const destinationChainId =
+      result.crossChainData?.destinationChain ?? result.destinationChain?.chainId;
 
     return (
       <div
@@ -140,7 +139,7 @@ export default function SearchResults({
             <div className="flex items-center gap-3">
               <StatusIndicator
                 status={
-                  result.status === "completed"
+                  result.status === "completed" || result.status === "success"
                     ? "success"
                     : result.status === "failed"
                     ? "failed"
@@ -150,7 +149,11 @@ export default function SearchResults({
               />
               <div>
                 <div className="font-medium text-black">
-                  {isCrossChain ? "Cross-Chain Transaction" : "Transaction"}
+                  {isCrossChain
+                    ? "Cross-Chain Transaction"
+                    : result.type === "cosmos"
+                    ? "Cosmos Transaction"
+                    : "Transaction"}
                 </div>
                 <div className="text-sm text-gray-600 font-mono">
                   {truncateHash(result.txHash)}
@@ -179,10 +182,17 @@ export default function SearchResults({
           <div className="mt-3 grid grid-cols-2 md:grid-cols-4 gap-4 text-sm">
             <div>
               <div className="text-gray-500">Amount</div>
-              <div className="font-medium">
+              <div
+                className="font-medium"
+                title={formatUnits(
+                  result.amount || result.value || "0",
+                  result.tokenInfo?.decimals ?? 18
+                )}
+              >
                 {formatAmount(
                   result.amount || result.value,
-                  result.tokenInfo?.symbol
+                  result.tokenInfo?.symbol,
+                  result.tokenInfo?.decimals ?? 18
                 )}
               </div>
             </div>
@@ -199,13 +209,13 @@ export default function SearchResults({
                 <div>
                   <div className="text-gray-500">From</div>
                   <div className="font-medium">
-                    {getChainName(result.sourceChain.chainId)}
+                    {getChainName(sourceChainId)}
                   </div>
                 </div>
                 <div>
                   <div className="text-gray-500">To</div>
                   <div className="font-medium">
-                    {getChainName(result.destinationChain.chainId)}
+                    {getChainName(destinationChainId)}
                   </div>
                 </div>
               </>
@@ -328,7 +338,7 @@ export default function SearchResults({
                   onClick={() => {
                     // Open in explorer - this would need the actual explorer URL
                     const explorerUrl = isCrossChain
-                      ? result.sourceChain.explorerUrl || "https://zetascan.com"
+                      ? result.sourceChain?.explorerUrl || "https://zetascan.com"
                       : "https://zetascan.com";
                     window.open(`${explorerUrl}/tx/${result.txHash}`, "_blank");
                   }}
@@ -382,9 +392,9 @@ export default function SearchResults({
           <div className="text-gray-500 mb-2">No results found</div>
           <p className="text-sm text-gray-600">
             No transactions found for{" "}
-            {searchType === "txid" ? "transaction hash" : "address"}:
+            {searchType === "txid" ? "transaction hash" : searchType === "query" ? "query" : searchType === "batch" ? "batch" : "address"}:
             <span className="font-mono ml-1">
-              {truncateHash(searchQuery, 8)}
+              {searchType === "query" || searchType === "batch" ? searchQuery : truncateHash(searchQuery, 8)}
             </span>
           </p>
         </div>
@@ -403,9 +413,9 @@ export default function SearchResults({
               Search Results ({results.length})
             </h3>
             <div className="text-sm text-gray-600">
-              {searchType === "txid" ? "Transaction Hash" : "Address"}:
+              {searchType === "txid" ? "Transaction Hash" : searchType === "query" ? "Query" : searchType === "batch" ? "Batch" : "Address"}:
               <span className="font-mono ml-1">
-                {truncateHash(searchQuery, 8)}
+                {searchType === "query" || searchType === "batch" ? searchQuery : truncateHash(searchQuery, 8)}
               </span>
             </div>
           </div>
@@ -425,7 +435,7 @@ export default function SearchResults({
  * @param {Object} props
  * @param {number} props.totalResults - Total number of results
  * @param {string} props.searchQuery - Search query
- * @param {'txid'|'address'} props.searchType - Search type
+ * @param {'txid'|'address'|'query'} props.searchType - Search type
  * @param {number} [props.loadTime] - Search load time in ms
  */
 export function SearchResultsSummary({
@@ -440,10 +450,74 @@ export function SearchResultsSummary({
         <div className="text-blue-700">
           Found <span className="font-medium">{totalResults}</span> result
           {totalResults !== 1 ? "s" : ""}
-          for {searchType === "txid" ? "transaction" : "address"}
+          for {searchType === "txid" ? "transaction" : searchType === "query" ? "query" : "address"}
+        </div>
+        {loadTime && <div className="text-blue-600">{loadTime}ms</div>}
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Outcome of every item of a batch lookup, failures first
+ * @param {Object} props
+ * @param {import('../../lib/search/SearchService.js').BatchItemResult[]} props.items - Batch item outcomes
+ * @param {number} [props.loadTime] - Batch load time in ms
+ * @param {string} [props.className] - Additional CSS classes
+ */
+export function BatchResultsSummary({ items, loadTime, className = "" }) {
+  const [showAll, setShowAll] = useState(false);
+  const counts = items.reduce(
+    (totals, item) => ({ ...totals, [item.status]: (totals[item.status] || 0) + 1 }),
+    {}
+  );
+  const order = { error: 0, not_found: 1, found: 2 };
+  const sorted = [...items].sort((a, b) => order[a.status] - order[b.status]);
+  const shown = showAll ? sorted : sorted.slice(0, 5);
+
+  return (
+    <div className={`p-3 bg-blue-50 border border-blue-200 rounded-md ${className}`}>
+      <div className="flex items-center justify-between text-sm">
+        <div className="text-blue-700">
+          <span className="font-medium">{counts.found || 0}</span> of{" "}
+          {items.length} found
+          {counts.not_found ? `, ${counts.not_found} not found` : ""}
+          {counts.error ? `, ${counts.error} failed` : ""}
         </div>
         {loadTime && <div className="text-blue-600">{loadTime}ms</div>}
       </div>
+
+      <ul className="mt-2 space-y-1">
+        {shown.map((item) => (
+          <li key={item.query} className="flex items-start gap-2 text-xs">
+            {item.status === "found" ? (
+              <CheckCircle size={14} className="text-green-600 mt-0.5 flex-shrink-0" />
+            ) : (
+              <XCircle
+                size={14}
+                className={`${item.status === "error" ? "text-red-600" : "text-gray-400"} mt-0.5 flex-shrink-0`}
+              />
+            )}
+            <div className="min-w-0">
+              <div className="font-mono text-gray-800 truncate">{item.query}</div>
+              <div className="text-gray-600">
+                {item.status === "found"
+                  ? `${item.resultCount} transaction${item.resultCount !== 1 ? "s" : ""} on ${item.network}`
+                  : item.error}
+              </div>
+            </div>
+          </li>
+        ))}
+      </ul>
+
+      {items.length > 5 && (
+        <button
+          onClick={() => setShowAll(!showAll)}
+          className="mt-2 text-xs text-blue-700 hover:underline"
+        >
+          {showAll ? "Show fewer" : `Show all ${items.length} items`}
+        </button>
+      )}
     </div>
   );
 }
@@ -3,9 +3,11 @@
  */
 
 export { default as SearchInput, useSearchInput } from "./SearchInput.js";
+export { default as BatchSearchInput } from "./BatchSearchInput.js";
 export {
   default as SearchResults,
   SearchResultsSummary,
+  BatchResultsSummary,
 } from "./SearchResults.js";
 export {
   default as SearchContainer,
@@ -0,0 +1,277 @@
+"use client";
+
+import { useState, useEffect } from "react";
+import { X, Plus, Trash2 } from "lucide-react";
+import Button from "../ui/Button.js";
+import endpointRegistry, {
+  ENDPOINT_KINDS,
+} from "../../lib/network/EndpointRegistry.js";
+import externalChainRegistry from "../../lib/network/ExternalChainRegistry.js";
+
+const KIND_LABELS = {
+  [ENDPOINT_KINDS.EVM]: "EVM JSON-RPC",
+  [ENDPOINT_KINDS.LCD]: "LCD (Cosmos REST)",
+};
+
+/**
+ * Format endpoint health for display
+ * @param {import('../../lib/network/EndpointRegistry.js').EndpointHealth} health
+ * @returns {{label: string, color: string}} Status label and dot color
+ */
+function getHealthStatus(health) {
+  if (health.coolingDown) {
+    return { label: "Failing", color: "bg-red-500" };
+  }
+  if (health.requests === 0) {
+    return { label: "Untested", color: "bg-gray-400" };
+  }
+  if (health.errorRate > 0.3) {
+    return { label: "Degraded", color: "bg-yellow-500" };
+  }
+  return { label: "Healthy", color: "bg-green-500" };
+}
+
+/**
+ * Endpoint list with health stats and an input for adding endpoints
+ * @param {Object} props
+ * @param {'mainnet'|'testnet'} props.network
+ * @param {'evm'|'lcd'} props.kind
+ */
+function EndpointList({ network, kind }) {
+  const [newUrl, setNewUrl] = useState("");
+  const [error, setError] = useState(null);
+  const endpoints = endpointRegistry.getHealth(network, kind);
+
+  const handleAdd = (e) => {
+    e.preventDefault();
+    if (endpointRegistry.addEndpoint(network, kind, newUrl)) {
+      setNewUrl("");
+      setError(null);
+    } else {
+      setError("Enter a new http(s) URL");
+    }
+  };
+
+  return (
+    <div>
+      <h3 className="text-sm font-semibold text-gray-800 mb-2">
+        {KIND_LABELS[kind]}
+      </h3>
+      <ul className="space-y-1 mb-2">
+        {endpoints.map((health, index) => {
+          const status = getHealthStatus(health);
+          return (
+            <li
+              key={health.url}
+              className="flex items-center gap-2 text-xs bg-gray-50 rounded px-2 py-1.5"
+              title={health.lastError || undefined}
+            >
+              <span className={`w-2 h-2 rounded-full flex-shrink-0 ${status.color}`}></span>
+              <span className="font-mono text-gray-800 truncate flex-1">
+                {health.url}
+              </span>
+              {index === 0 && (
+                <span className="text-blue-600 font-medium">active</span>
+              )}
+              {health.custom && (
+                <span className="text-gray-500">custom</span>
+              )}
+              <span className="text-gray-600 w-16 text-right">
+                {health.latency !== null ? `${Math.round(health.latency)} ms` : status.label}
+              </span>
+              <span className="text-gray-600 w-12 text-right">
+                {health.requests > 0 ? `${Math.round(health.errorRate * 100)}% err` : ""}
+              </span>
+              {health.custom && (
+                <button
+                  onClick={() => endpointRegistry.removeEndpoint(network, kind, health.url)}
+                  className="p-0.5 text-gray-400 hover:text-red-600"
+                  title="Remove endpoint"
+                >
+                  <Trash2 className="w-3 h-3" />
+                </button>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+      <form onSubmit={handleAdd} className="flex gap-2">
+        <input
+          type="url"
+          value={newUrl}
+          onChange={(e) => setNewUrl(e.target.value)}
+          placeholder="https://..."
+          className="flex-1 text-xs font-mono border border-gray-300 rounded px-2 py-1 focus:outline-none focus:border-black"
+        />
+        <Button type="submit" size="sm" variant="outline" disabled={!newUrl.trim()}>
+          <Plus className="w-3 h-3 mr-1" />
+          Add
+        </Button>
+      </form>
+      {error && <p className="text-xs text-red-600 mt-1">{error}</p>}
+    </div>
+  );
+}
+
+/**
+ * Endpoints of one connected chain, used to look up CCTX legs
+ * @param {Object} props
+ * @param {import('../../lib/network/ExternalChainRegistry.js').ExternalChainConfig} props.chain
+ */
+function ExternalChainEndpoints({ chain }) {
+  const [newUrl, setNewUrl] = useState("");
+  const [error, setError] = useState(null);
+
+  const handleAdd = (e) => {
+    e.preventDefault();
+    if (externalChainRegistry.addEndpoint(chain.chainId, newUrl)) {
+      setNewUrl("");
+      setError(null);
+    } else {
+      setError("Enter a new http(s) URL");
+    }
+  };
+
+  return (
+    <div>
+      <div className="flex items-center gap-2 mb-1">
+        <span className="text-xs font-medium text-gray-800">{chain.name}</span>
+        <span className="text-xs text-gray-500">
+          {chain.chainId} · {chain.protocol === "esplora" ? "Esplora API" : "JSON-RPC"}
+        </span>
+      </div>
+      <ul className="space-y-1 mb-1">
+        {chain.endpoints.map((url) => (
+          <li key={url} className="flex items-center gap-2 text-xs bg-gray-50 rounded px-2 py-1">
+            <span className="font-mono text-gray-800 truncate flex-1">{url}</span>
+            {chain.customEndpoints.includes(url) && (
+              <>
+                <span className="text-gray-500">custom</span>
+                <button
+                  onClick={() => externalChainRegistry.removeEndpoint(chain.chainId, url)}
+                  className="p-0.5 text-gray-400 hover:text-red-600"
+                  title="Remove endpoint"
+                >
+                  <Trash2 className="w-3 h-3" />
+                </button>
+              </>
+            )}
+          </li>
+        ))}
+      </ul>
+      <form onSubmit={handleAdd} className="flex gap-2">
+        <input
+          type="url"
+          value={newUrl}
+          onChange={(e) => setNewUrl(e.target.value)}
+          placeholder="https://..."
+          className="flex-1 text-xs font-mono border border-gray-300 rounded px-2 py-1 focus:outline-none focus:border-black"
+        />
+        <Button type="submit" size="sm" variant="outline" disabled={!newUrl.trim()}>
+          <Plus className="w-3 h-3 mr-1" />
+          Add
+        </Button>
+      </form>
+      {error && <p className="text-xs text-red-600 mt-1">{error}</p>}
+    </div>
+  );
+}
+
+/**
+ * Settings dialog for RPC, LCD and connected chain endpoints
+ * @param {Object} props
+ * @param {boolean} props.isOpen - Whether the dialog is shown
+ * @param {function} props.onClose - Close handler
+ * @param {'mainnet'|'testnet'} props.networkMode - Network shown first
+ */
+export default function EndpointSettings({ isOpen, onClose, networkMode = "testnet" }) {
+  const [network, setNetwork] = useState(networkMode);
+  const [, setRevision] = useState(0);
+
+  useEffect(() => {
+    setNetwork(networkMode);
+  }, [networkMode]);
+
+  // Re-render on health updates and endpoint changes
+  useEffect(() => {
+    if (!isOpen) return;
+    const rerender = () => setRevision((r) => r + 1);
+    const unsubscribeEndpoints = endpointRegistry.subscribe(rerender);
+    const unsubscribeChains = externalChainRegistry.subscribe(rerender);
+    return () => {
+      unsubscribeEndpoints();
+      unsubscribeChains();
+    };
+  }, [isOpen]);
+
+  if (!isOpen) return null;
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/30">
+      <div className="bg-white border-2 border-gray-300 rounded-lg shadow-lg w-full max-w-2xl max-h-[80vh] overflow-y-auto p-6">
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-lg font-semibold text-black">Endpoints</h2>
+          <button
+            onClick={onClose}
+            className="p-1 text-gray-500 hover:text-black"
+            title="Close"
+          >
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+
+        <p className="text-xs text-gray-600 mb-4">
+          Requests go to the healthiest endpoint and fail over to the next one on
+          errors, timeouts or rate limits. Endpoints you add are tried first and
+          saved in this browser.
+        </p>
+
+        <div className="flex border border-gray-200 rounded-md overflow-hidden w-fit mb-4">
+          {["testnet", "mainnet"].map((option) => (
+            <button
+              key={option}
+              onClick={() => setNetwork(option)}
+              className={`px-3 py-1 text-sm font-medium capitalize transition-colors ${
+                network === option
+                  ? "bg-black text-white"
+                  : "bg-white text-gray-600 hover:bg-gray-50"
+              }`}
+            >
+              {option}
+            </button>
+          ))}
+        </div>
+
+        <div className="space-y-6">
+          <EndpointList key={`${network}-evm`} network={network} kind={ENDPOINT_KINDS.EVM} />
+          <EndpointList key={`${network}-lcd`} network={network} kind={ENDPOINT_KINDS.LCD} />
+
+          <div>
+            <div className="flex items-center justify-between mb-2">
+              <h3 className="text-sm font-semibold text-gray-800">Connected chains</h3>
+              <label className="flex items-center gap-2 text-xs text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={externalChainRegistry.isEnabled()}
+                  onChange={(e) => externalChainRegistry.setEnabled(e.target.checked)}
+                />
+                Look up CCTX legs on their chains
+              </label>
+            </div>
+            <p className="text-xs text-gray-600 mb-3">
+              Inbound and outbound transactions are fetched from these endpoints to
+              confirm they landed. Endpoints are tried in order.
+            </p>
+            {externalChainRegistry.isEnabled() && (
+              <div className="space-y-4">
+                {externalChainRegistry.getChains(network).map((chain) => (
+                  <ExternalChainEndpoints key={chain.chainId} chain={chain} />
+                ))}
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,5 @@
+/**
+ * @fileoverview Settings components exports
+ */
+
+export { default as EndpointSettings } from "./EndpointSettings.js";
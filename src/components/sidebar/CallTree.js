@@ -0,0 +1,78 @@
+'use client';
+
+import { useState } from 'react';
+import { ChevronDown, ChevronRight } from 'lucide-react';
+import { formatAmount } from '../../lib/blockchain/amount.js';
+import { flattenCallTree } from '../../lib/blockchain/call-tracer.js';
+
+/**
+ * CallTree Component
+ * Internal calls of a transaction from debug_traceTransaction, as a
+ * collapsible tree with value transfers, gas and reverts per frame
+ */
+
+const shorten = (value) => (value ? `${value.slice(0, 6)}...${value.slice(-4)}` : 'N/A');
+
+// One call frame and, when expanded, its sub-calls
+const CallFrameRow = ({ frame }) => {
+  const [isOpen, setIsOpen] = useState(frame.depth < 2);
+  const hasCalls = frame.calls.length > 0;
+
+  return (
+    <div className={frame.depth > 0 ? 'ml-3 border-l border-gray-200 pl-2' : ''}>
+      <div
+        className={`flex items-start gap-1 py-1 text-xs ${frame.reverted ? 'text-red-600' : 'text-gray-700'}`}
+      >
+        <button
+          onClick={() => setIsOpen(!isOpen)}
+          disabled={!hasCalls}
+          className="mt-0.5 text-gray-400 hover:text-black disabled:invisible"
+          aria-label={isOpen ? 'Collapse call' : 'Expand call'}
+        >
+          {isOpen ? <ChevronDown className="w-3 h-3" /> : <ChevronRight className="w-3 h-3" />}
+        </button>
+        <div className="min-w-0 flex-1">
+          <div className="flex flex-wrap items-center gap-1">
+            <span className="text-[10px] font-medium text-gray-500 bg-gray-100 px-1 rounded">
+              {frame.type}
+            </span>
+            <span className="font-mono" title={frame.to || ''}>{shorten(frame.to)}</span>
+            {frame.method && <span className="font-mono font-medium">.{frame.method}</span>}
+          </div>
+          <div className="flex flex-wrap gap-x-3 text-gray-500">
+            {frame.hasValue && (
+              <span className="text-green-700">{formatAmount(frame.value, 18, { symbol: 'ZETA' })}</span>
+            )}
+            <span>{frame.gasUsed.toLocaleString()} gas</span>
+            {frame.reverted && (
+              <span className="text-red-600">{frame.revertReason || frame.error}</span>
+            )}
+          </div>
+        </div>
+      </div>
+      {isOpen && frame.calls.map((call) => (
+        <CallFrameRow key={call.id} frame={call} />
+      ))}
+    </div>
+  );
+};
+
+export default function CallTree({ callTrace }) {
+  const frames = flattenCallTree(callTrace);
+  const internalCalls = frames.length - 1;
+  const revertedCalls = frames.filter((frame) => frame.reverted).length;
+
+  return (
+    <div className="border-t pt-4">
+      <h3 className="text-sm font-semibold text-gray-800 mb-3">
+        Internal Calls{' '}
+        <span className="text-xs font-normal text-gray-500">
+          ({internalCalls}{revertedCalls > 0 ? `, ${revertedCalls} reverted` : ''})
+        </span>
+      </h3>
+      <div className="bg-gray-50 p-2 rounded-lg max-h-80 overflow-y-auto">
+        <CallFrameRow frame={callTrace} />
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,174 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import { abiRegistry, ABI_SOURCES } from '../../lib/decoding/abi-registry.js';
+import { decodeCalldata } from '../../lib/decoding/calldata-decoder.js';
+import DecodedArguments from './DecodedArguments.js';
+
+/**
+ * ContractInteraction Component
+ * Decoded function call for a contract transaction, with the raw calldata
+ * and a form to upload an ABI for the contract
+ */
+
+const SOURCE_LABELS = {
+  [ABI_SOURCES.CUSTOM]: 'Uploaded ABI',
+  [ABI_SOURCES.CONTRACT]: 'Known contract',
+  [ABI_SOURCES.SELECTOR]: 'Matched by selector',
+};
+
+// Form for uploading or removing the ABI of a contract
+const AbiUpload = ({ network, address }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [abiText, setAbiText] = useState('');
+  const [error, setError] = useState(null);
+  const hasCustomAbi = abiRegistry.hasCustomAbi(network, address);
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    if (file) {
+      setAbiText(await file.text());
+    }
+  };
+
+  const handleSave = () => {
+    try {
+      abiRegistry.addAbi(network, address, abiText);
+      setAbiText('');
+      setError(null);
+      setIsOpen(false);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  if (!isOpen) {
+    return (
+      <div className="flex gap-3 text-xs">
+        <button
+          onClick={() => setIsOpen(true)}
+          className="text-blue-600 hover:text-blue-800"
+        >
+          {hasCustomAbi ? 'Replace ABI' : 'Upload ABI'}
+        </button>
+        {hasCustomAbi && (
+          <button
+            onClick={() => abiRegistry.removeAbi(network, address)}
+            className="text-gray-500 hover:text-red-600"
+          >
+            Remove ABI
+          </button>
+        )}
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-2">
+      <textarea
+        value={abiText}
+        onChange={(e) => setAbiText(e.target.value)}
+        placeholder="Paste a JSON ABI, a build artifact or one signature per line"
+        rows={4}
+        className="w-full text-xs font-mono border border-gray-300 rounded px-2 py-1 focus:outline-none focus:border-black"
+      />
+      <input
+        type="file"
+        accept=".json,application/json,text/plain"
+        onChange={handleFile}
+        className="block text-xs text-gray-600"
+      />
+      {error && <p className="text-xs text-red-600">{error}</p>}
+      <div className="flex gap-3 text-xs">
+        <button
+          onClick={handleSave}
+          disabled={!abiText.trim()}
+          className="text-blue-600 hover:text-blue-800 disabled:text-gray-400"
+        >
+          Save for {`${address.slice(0, 6)}...${address.slice(-4)}`}
+        </button>
+        <button
+          onClick={() => {
+            setIsOpen(false);
+            setError(null);
+          }}
+          className="text-gray-500 hover:text-black"
+        >
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default function ContractInteraction({ transaction }) {
+  const [showRaw, setShowRaw] = useState(false);
+  const [, setAbiRevision] = useState(0);
+  const inputData = transaction.evmData?.inputData;
+  const network = transaction.network || 'mainnet';
+  const address = transaction.to?.startsWith('0x') ? transaction.to : null;
+
+  // Re-render (and so re-decode) when the user uploads or removes an ABI
+  useEffect(() => abiRegistry.subscribe(() => setAbiRevision((r) => r + 1)), []);
+
+  const decoded = address
+    ? decodeCalldata(inputData, { to: address, network, value: transaction.value })
+    : null;
+
+  return (
+    <div className="border-t pt-4">
+      <h3 className="text-sm font-semibold text-gray-800 mb-3">Contract Interaction</h3>
+      <div className="space-y-3">
+        <div>
+          <label className="block text-xs font-medium text-gray-600 uppercase tracking-wide mb-1">
+            Method
+          </label>
+          {decoded ? (
+            <div>
+              <div className="flex items-center gap-2">
+                <span className="text-sm text-black font-mono font-medium">{decoded.name}</span>
+                <span className="text-xs text-gray-500 bg-gray-100 px-2 py-0.5 rounded">
+                  {decoded.contractName || SOURCE_LABELS[decoded.source]}
+                </span>
+              </div>
+              <span className="block text-xs text-gray-500 font-mono break-all mt-0.5" title={SOURCE_LABELS[decoded.source]}>
+                {decoded.signature} · {decoded.selector}
+              </span>
+            </div>
+          ) : (
+            <span className="text-sm text-black font-mono">
+              {inputData ? inputData.slice(0, 10) : 'Unknown'}
+            </span>
+          )}
+        </div>
+
+        {decoded?.args.length > 0 && (
+          <div>
+            <label className="block text-xs font-medium text-gray-600 uppercase tracking-wide mb-1">
+              Arguments
+            </label>
+            <DecodedArguments args={decoded.args} className="bg-gray-50 p-2 rounded-lg" />
+          </div>
+        )}
+
+        {inputData && inputData.length > 10 && (
+          <div>
+            <button
+              onClick={() => setShowRaw(!showRaw)}
+              className="text-xs font-medium text-gray-600 uppercase tracking-wide hover:text-black"
+            >
+              {showRaw ? 'Hide' : 'Show'} Input Data
+            </button>
+            {showRaw && (
+              <span className="block text-xs text-gray-600 font-mono break-all mt-1 max-h-40 overflow-y-auto">
+                {inputData}
+              </span>
+            )}
+          </div>
+        )}
+
+        {address && <AbiUpload network={network} address={address} />}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,140 @@
+'use client';
+
+import { formatAmount, formatUnits } from '../../lib/blockchain/amount.js';
+import { shortenAddress } from '../../lib/blockchain/chain-identifiers.js';
+import { FIELD_FORMATS } from '../../lib/decoding/cosmos-decoder.js';
+
+/**
+ * CosmosTransactionDetails Component
+ * Cosmos-side details of a ZetaChain transaction: result, fee, memo and each
+ * decoded message with its signer, fields and the amounts it moves. Observer
+ * votes here are the evidence of why a CCTX did or didn't advance.
+ */
+
+const Row = ({ label, children }) => (
+  <div className="flex justify-between gap-2 text-xs">
+    <span className="text-gray-500 flex-shrink-0">{label}</span>
+    <span className="text-right text-gray-700 min-w-0 break-all">{children}</span>
+  </div>
+);
+
+// Render a decoded field value in its format
+const FieldValue = ({ field, getChainName }) => {
+  const value = String(field.value);
+
+  switch (field.format) {
+    case FIELD_FORMATS.ADDRESS:
+      return <span className="font-mono" title={value}>{shortenAddress(value, { head: 6, tail: 4 })}</span>;
+    case FIELD_FORMATS.HASH:
+      return (
+        <span className="font-mono" title={value}>
+          {value.length > 20 ? `${value.slice(0, 8)}...${value.slice(-6)}` : value}
+        </span>
+      );
+    case FIELD_FORMATS.CHAIN:
+      return <span title={`Chain ID ${value}`}>{getChainName(field.value)}</span>;
+    case FIELD_FORMATS.NUMBER:
+      return <span>{/^\d+$/.test(value) ? formatAmount(value, 0) : value}</span>;
+    default:
+      return <span>{value}</span>;
+  }
+};
+
+// Amount moved or reported by a message; foreign amounts whose token isn't
+// known are shown in raw units
+const TransferAmount = ({ transfer }) => (
+  transfer.decimals !== null ? (
+    <span title={`${formatUnits(transfer.amount, transfer.decimals)} ${transfer.symbol}`}>
+      {formatAmount(transfer.amount, transfer.decimals, { symbol: transfer.symbol })}
+    </span>
+  ) : (
+    <span title="Token decimals unknown">{formatAmount(transfer.amount, 0)} units</span>
+  )
+);
+
+export default function CosmosTransactionDetails({ transaction, getChainName }) {
+  const { cosmosData } = transaction;
+
+  return (
+    <div className="border-t pt-4">
+      <h3 className="text-sm font-semibold text-gray-800 mb-3">Cosmos Transaction</h3>
+      <div className="space-y-2">
+        <Row label="Result">
+          {cosmosData.code === 0 ? (
+            <span className="text-green-600">Executed</span>
+          ) : (
+            <span className="text-red-600">
+              Failed ({cosmosData.codespace ? `${cosmosData.codespace} ` : ''}code {cosmosData.code})
+            </span>
+          )}
+        </Row>
+        {cosmosData.error && (
+          <div className="bg-red-50 border border-red-200 rounded p-2 text-xs text-red-700 break-all">
+            {cosmosData.error}
+          </div>
+        )}
+        {cosmosData.gasWanted && (
+          <Row label="Gas wanted">{formatAmount(cosmosData.gasWanted, 0)}</Row>
+        )}
+        {cosmosData.fee.length > 0 && (
+          <Row label="Fee">
+            {cosmosData.fee.map((coin) => (
+              <span key={coin.symbol} className="block" title={`${formatUnits(coin.amount, coin.decimals)} ${coin.symbol}`}>
+                {formatAmount(coin.amount, coin.decimals, { symbol: coin.symbol })}
+              </span>
+            ))}
+          </Row>
+        )}
+        {cosmosData.memo && <Row label="Memo">{cosmosData.memo}</Row>}
+      </div>
+
+      {/* Messages */}
+      <div className="mt-3 space-y-2">
+        <span className="block text-xs font-medium text-gray-600 uppercase tracking-wide">
+          Messages ({cosmosData.messages.length})
+        </span>
+        {cosmosData.messages.map((message) => (
+          <div key={message.index} className="bg-gray-50 p-2 rounded-lg space-y-1">
+            <div className="flex justify-between gap-2">
+              <span className="text-xs font-semibold text-gray-800">{message.label}</span>
+              <span className="text-xs text-gray-400 font-mono truncate" title={message.typeUrl}>
+                {message.module}
+              </span>
+            </div>
+            {message.signer && (
+              <Row label="Signer">
+                <span className="font-mono" title={message.signer}>
+                  {shortenAddress(message.signer, { head: 6, tail: 4 })}
+                </span>
+              </Row>
+            )}
+            {message.grantee && message.grantee !== message.signer && (
+              <Row label="Via grantee">
+                <span className="font-mono" title={message.grantee}>
+                  {shortenAddress(message.grantee, { head: 6, tail: 4 })}
+                </span>
+              </Row>
+            )}
+            {message.fields.map((field, index) => (
+              <Row key={index} label={field.label}>
+                <FieldValue field={field} getChainName={getChainName} />
+              </Row>
+            ))}
+            {message.transfers.map((transfer, index) => (
+              <Row key={index} label={<span className="capitalize">{transfer.label}</span>}>
+                <TransferAmount transfer={transfer} />
+              </Row>
+            ))}
+            {message.ethereumTxHash && (
+              <Row label="zEVM transaction">
+                <span className="font-mono" title={message.ethereumTxHash}>
+                  {`${message.ethereumTxHash.slice(0, 10)}...${message.ethereumTxHash.slice(-8)}`}
+                </span>
+              </Row>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,130 @@
+'use client';
+
+import { useState } from 'react';
+import { MESSAGE_FORMATS } from '../../lib/decoding/message-decoder.js';
+import DecodedArguments from './DecodedArguments.js';
+
+/**
+ * CrossChainCall Component
+ * Message a CCTX relayed to its target, with the call and revert options
+ */
+
+const FORMAT_LABELS = {
+  [MESSAGE_FORMATS.CALLDATA]: 'Function call',
+  [MESSAGE_FORMATS.UTF8]: 'Text',
+  [MESSAGE_FORMATS.ABI]: 'ABI-encoded',
+  [MESSAGE_FORMATS.RAW]: 'Raw bytes',
+};
+
+const shorten = (value) => `${value.slice(0, 6)}...${value.slice(-4)}`;
+
+const Label = ({ children }) => (
+  <label className="block text-xs font-medium text-gray-600 uppercase tracking-wide mb-1">
+    {children}
+  </label>
+);
+
+const Row = ({ label, children }) => (
+  <div className="flex justify-between gap-2 text-xs">
+    <span className="text-gray-500">{label}:</span>
+    <span className="text-gray-800 text-right break-all">{children}</span>
+  </div>
+);
+
+const AddressValue = ({ address, fallback }) =>
+  address ? (
+    <span className="font-mono" title={address}>{shorten(address)}</span>
+  ) : (
+    <span className="text-gray-500">{fallback}</span>
+  );
+
+// A decoded message with a toggle for its raw bytes
+const Message = ({ decoded }) => {
+  const [showRaw, setShowRaw] = useState(false);
+
+  return (
+    <div className="bg-gray-50 p-2 rounded-lg space-y-2">
+      <div className="flex items-center justify-between text-xs">
+        <span className="text-gray-500 bg-gray-100 px-2 py-0.5 rounded">
+          {FORMAT_LABELS[decoded.format]}
+          {decoded.layout && ` (${decoded.layout.join(', ')})`}
+        </span>
+        <span className="text-gray-400">{decoded.size} bytes</span>
+      </div>
+
+      {decoded.call && (
+        <span className="block text-xs font-mono font-medium text-black break-all">
+          {decoded.call.signature}
+        </span>
+      )}
+      {decoded.text && (
+        <p className="text-sm text-black break-words whitespace-pre-wrap">{decoded.text}</p>
+      )}
+      {decoded.args.length > 0 && <DecodedArguments args={decoded.args} />}
+
+      <button
+        onClick={() => setShowRaw(!showRaw)}
+        className="text-xs text-gray-600 hover:text-black"
+      >
+        {showRaw ? 'Hide' : 'Show'} raw bytes
+      </button>
+      {showRaw && (
+        <span className="block text-xs text-gray-600 font-mono break-all max-h-40 overflow-y-auto">
+          {decoded.hex}
+        </span>
+      )}
+    </div>
+  );
+};
+
+export default function CrossChainCall({ call }) {
+  const { decodedMessage, revertOptions } = call;
+
+  return (
+    <div className="border-t pt-4">
+      <h3 className="text-sm font-semibold text-gray-800 mb-3">Cross-chain call</h3>
+      <div className="space-y-3">
+        <div className="space-y-1">
+          <Row label="Target">
+            <AddressValue address={call.target} fallback="Unknown" />
+          </Row>
+          <Row label="Call type">{call.isArbitraryCall ? 'Arbitrary call' : 'Authenticated call (onCall)'}</Row>
+          {call.gasLimit && <Row label="Gas limit">{parseInt(call.gasLimit).toLocaleString()}</Row>}
+        </div>
+
+        <div>
+          <Label>Message</Label>
+          {decodedMessage ? (
+            <Message decoded={decodedMessage} />
+          ) : (
+            <span className="text-sm text-gray-500">No message</span>
+          )}
+        </div>
+
+        {revertOptions && (
+          <div>
+            <Label>Revert Options</Label>
+            <div className="space-y-1">
+              <Row label="Revert address">
+                <AddressValue address={revertOptions.revertAddress} fallback="Sender" />
+              </Row>
+              <Row label="Call on revert">{revertOptions.callOnRevert ? 'Yes' : 'No'}</Row>
+              <Row label="Abort address">
+                <AddressValue address={revertOptions.abortAddress} fallback="None" />
+              </Row>
+              {revertOptions.revertGasLimit && (
+                <Row label="Revert gas limit">{parseInt(revertOptions.revertGasLimit).toLocaleString()}</Row>
+              )}
+            </div>
+            {revertOptions.decodedRevertMessage && (
+              <div className="mt-2">
+                <span className="block text-xs text-gray-500 mb-1">Revert message:</span>
+                <Message decoded={revertOptions.decodedRevertMessage} />
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
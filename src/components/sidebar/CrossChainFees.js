@@ -0,0 +1,111 @@
+'use client';
+
+import { formatAmount, formatUnits } from '../../lib/blockchain/amount.js';
+
+/**
+ * CrossChainFees Component
+ * What a CCTX cost on each leg, each in its chain's native unit, and how
+ * much of the sent amount didn't arrive
+ */
+
+const OUTBOUND_LABELS = {
+  outbound: 'Outbound gas',
+  revert: 'Revert gas',
+};
+
+// An amount in a fee unit, exact value on hover
+const FeeAmount = ({ amount, unit, className = 'text-gray-800' }) => (
+  <span className={className} title={`${formatUnits(amount, unit.decimals)} ${unit.symbol}`}>
+    {formatAmount(amount, unit.decimals, { symbol: unit.symbol })}
+  </span>
+);
+
+const Row = ({ label, children }) => (
+  <div className="flex justify-between gap-2 text-xs">
+    <span className="text-gray-500">{label}</span>
+    <span className="text-right">{children}</span>
+  </div>
+);
+
+// Gas figures of one leg
+const GasLeg = ({ label, fee, getChainName }) => (
+  <div className="bg-gray-50 p-2 rounded-lg space-y-1">
+    <div className="flex justify-between text-xs">
+      <span className="font-medium text-gray-700">{label}</span>
+      {fee.chainId !== undefined && (
+        <span className="text-gray-500">{getChainName(fee.chainId)}</span>
+      )}
+    </div>
+    {fee.gasLimit && <Row label="Gas limit">{parseInt(fee.gasLimit).toLocaleString()}</Row>}
+    {fee.gasUsed && <Row label="Gas used">{parseInt(fee.gasUsed).toLocaleString()}</Row>}
+    {fee.gasPrice && <Row label="Gas price">{parseInt(fee.gasPrice).toLocaleString()}</Row>}
+    <Row label="Fee">
+      {fee.fee ? <FeeAmount amount={fee.fee} unit={fee.unit} /> : <span className="text-gray-500">Pending</span>}
+    </Row>
+  </div>
+);
+
+export default function CrossChainFees({ fees, amountToken, getChainName }) {
+  const deducted = fees.deducted !== '0';
+
+  return (
+    <div className="border-t pt-4">
+      <h3 className="text-sm font-semibold text-gray-800 mb-3">Fees</h3>
+      <div className="space-y-2">
+        {fees.totals.length > 0 && (
+          <div className="flex justify-between items-start">
+            <span className="text-xs font-medium text-gray-600 uppercase tracking-wide">Total cost</span>
+            <div className="text-right text-sm font-semibold">
+              {fees.totals.map((total) => (
+                <div key={total.symbol}>
+                  <FeeAmount amount={total.amount} unit={total} className="text-black" />
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
+        {fees.inbound ? (
+          <GasLeg label="Inbound gas" fee={fees.inbound} getChainName={getChainName} />
+        ) : (
+          <p className="text-xs text-gray-500">
+            Inbound gas was paid on the source chain, which couldn&apos;t be looked up. Add its
+            endpoints under Connected chains in the endpoint settings to see it.
+          </p>
+        )}
+
+        {fees.protocol && (
+          <div className="bg-gray-50 p-2 rounded-lg space-y-1">
+            <span className="block text-xs font-medium text-gray-700">Protocol fee</span>
+            {fees.protocol.protocolFlatFee !== '0' && (
+              <>
+                <Row label="Gas fee"><FeeAmount amount={fees.protocol.gasFee} unit={fees.protocol.unit} /></Row>
+                <Row label="Flat fee"><FeeAmount amount={fees.protocol.protocolFlatFee} unit={fees.protocol.unit} /></Row>
+              </>
+            )}
+            <Row label="Charged"><FeeAmount amount={fees.protocol.amount} unit={fees.protocol.unit} /></Row>
+          </div>
+        )}
+
+        {fees.outbounds.map((fee, index) => (
+          <GasLeg
+            key={index}
+            label={`${OUTBOUND_LABELS[fee.kind] || 'Outbound gas'} (paid by the protocol)`}
+            fee={fee}
+            getChainName={getChainName}
+          />
+        ))}
+
+        {deducted && amountToken && (
+          <div className="bg-yellow-50 p-2 rounded-lg space-y-1">
+            <Row label="Sent"><FeeAmount amount={fees.amountSent} unit={amountToken} /></Row>
+            <Row label="Received"><FeeAmount amount={fees.amountReceived} unit={amountToken} /></Row>
+            <Row label="Withheld in transit">
+              <FeeAmount amount={fees.deducted} unit={amountToken} className="text-yellow-800 font-medium" />
+            </Row>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,82 @@
+'use client';
+
+import { CHAIN_FAMILIES, decodeAddressBytes } from '../../lib/blockchain/chain-identifiers.js';
+
+/**
+ * DecodedArguments Component
+ * Named, typed arguments of a decoded function call or event
+ */
+
+// Render a decoded argument value; tuples and arrays nest
+const ArgumentValue = ({ value }) => {
+  if (Array.isArray(value)) {
+    if (value.length === 0) {
+      return <span className="text-gray-500">[]</span>;
+    }
+    return (
+      <div className="pl-3 border-l border-gray-200 space-y-1">
+        {value.map((item, index) =>
+          item && typeof item === 'object' && 'type' in item ? (
+            <Argument key={index} arg={item} />
+          ) : (
+            <div key={index} className="flex gap-2">
+              <span className="text-gray-400">[{index}]</span>
+              <ArgumentValue value={item} />
+            </div>
+          )
+        )}
+      </div>
+    );
+  }
+
+  return (
+    <span className="font-mono text-gray-800 break-all">
+      {typeof value === 'boolean' ? String(value) : value}
+    </span>
+  );
+};
+
+// Gateway withdrawals to Bitcoin, Solana and TON pass the receiver as the
+// address string's bytes; show it as the address it encodes
+const getEncodedAddress = (arg) => {
+  if (arg.type !== 'bytes') return null;
+  const decoded = decodeAddressBytes(arg.value);
+  return decoded && decoded.family !== CHAIN_FAMILIES.EVM ? decoded.address : null;
+};
+
+// Render one named, typed argument
+const Argument = ({ arg }) => {
+  const isNested = Array.isArray(arg.value);
+  const type = arg.type.startsWith('tuple') ? 'tuple' : arg.type;
+  const encodedAddress = getEncodedAddress(arg);
+
+  return (
+    <div className={isNested ? 'space-y-1' : 'flex gap-2'}>
+      <span className="text-gray-500 whitespace-nowrap">
+        {arg.name || '_'} <span className="text-gray-400">{type}</span>
+      </span>
+      {encodedAddress ? (
+        <span className="font-mono text-gray-800 break-all" title={arg.value}>
+          {encodedAddress}
+        </span>
+      ) : (
+        <ArgumentValue value={arg.value} />
+      )}
+    </div>
+  );
+};
+
+/**
+ * @param {Object} props
+ * @param {Array<import('../../lib/decoding/calldata-decoder.js').DecodedArgument>} props.args - Decoded arguments
+ * @param {string} [props.className] - Additional CSS classes
+ */
+export default function DecodedArguments({ args, className = '' }) {
+  return (
+    <div className={`text-xs space-y-1 ${className}`}>
+      {args.map((arg, index) => (
+        <Argument key={index} arg={arg} />
+      ))}
+    </div>
+  );
+}
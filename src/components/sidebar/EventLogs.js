@@ -0,0 +1,83 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import { abiRegistry } from '../../lib/decoding/abi-registry.js';
+import { decodeLog } from '../../lib/decoding/event-decoder.js';
+import DecodedArguments from './DecodedArguments.js';
+
+/**
+ * EventLogs Component
+ * Every log a transaction emitted, decoded where an ABI matches and shown
+ * with raw topics otherwise
+ */
+
+const shorten = (value) => `${value.slice(0, 6)}...${value.slice(-4)}`;
+
+// Raw topics and data of a log no ABI matched
+const RawLog = ({ event }) => (
+  <div className="text-xs space-y-1">
+    {event.topics.map((topic, index) => (
+      <div key={index} className="flex gap-2">
+        <span className="text-gray-500 whitespace-nowrap">topic{index}</span>
+        <span className="font-mono text-gray-800 break-all">{topic}</span>
+      </div>
+    ))}
+    {event.data && event.data !== '0x' && (
+      <div className="flex gap-2">
+        <span className="text-gray-500">data</span>
+        <span className="font-mono text-gray-800 break-all" title={event.data}>
+          {event.data.length > 138 ? `${event.data.slice(0, 138)}...` : event.data}
+        </span>
+      </div>
+    )}
+  </div>
+);
+
+export default function EventLogs({ transaction }) {
+  const [, setAbiRevision] = useState(0);
+  const network = transaction.network || 'mainnet';
+
+  // Re-render (and so re-decode) when the user uploads or removes an ABI
+  useEffect(() => abiRegistry.subscribe(() => setAbiRevision((r) => r + 1)), []);
+
+  const events = (transaction.events || []).map((event) => decodeLog(event, { network }));
+  if (events.length === 0) return null;
+
+  return (
+    <div className="border-t pt-4">
+      <h3 className="text-sm font-semibold text-gray-800 mb-3">
+        Events <span className="text-xs font-normal text-gray-500">({events.length})</span>
+      </h3>
+      <div className="space-y-3">
+        {events.map((event) => (
+          <div key={event.logIndex} className="bg-gray-50 p-3 rounded-lg space-y-2">
+            <div className="flex items-center justify-between gap-2">
+              <div className="flex items-center gap-2 min-w-0">
+                <span className={`text-sm font-mono font-medium ${event.decoded ? 'text-black' : 'text-gray-500'}`}>
+                  {event.name || 'Unknown event'}
+                </span>
+                {event.contractName && (
+                  <span className="text-xs text-gray-500 bg-gray-100 px-2 py-0.5 rounded truncate">
+                    {event.contractName}
+                  </span>
+                )}
+              </div>
+              <span className="text-xs text-gray-400 whitespace-nowrap">#{event.logIndex}</span>
+            </div>
+            <div className="flex justify-between text-xs">
+              <span className="text-gray-500">Emitted by:</span>
+              <span className="font-mono text-gray-700" title={event.address}>
+                {event.address ? shorten(event.address) : 'N/A'}
+              </span>
+            </div>
+            {event.decoded ? (
+              <DecodedArguments args={event.args} />
+            ) : (
+              <RawLog event={event} />
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
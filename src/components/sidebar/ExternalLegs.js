@@ -0,0 +1,80 @@
+'use client';
+
+/**
+ * ExternalLegs Component
+ * Inbound and outbound transactions of a CCTX as the connected chains see
+ * them: whether each one landed, how deep it is and when it was mined
+ */
+
+const LEG_LABELS = {
+  inbound: 'Inbound',
+  outbound: 'Outbound',
+  revert: 'Revert',
+};
+
+const Row = ({ label, children }) => (
+  <div className="flex justify-between gap-2 text-xs">
+    <span className="text-gray-500">{label}</span>
+    <span className="text-right text-gray-700">{children}</span>
+  </div>
+);
+
+// Confirmation state of a found transaction
+const getLegState = (transaction) => {
+  if (transaction.status === 'failed') return { label: 'Failed on chain', color: 'text-red-600' };
+  if (transaction.externalData.confirmed) return { label: 'Confirmed', color: 'text-green-600' };
+  if (transaction.blockNumber === null) return { label: 'In mempool', color: 'text-yellow-600' };
+  return { label: 'Confirming', color: 'text-yellow-600' };
+};
+
+export default function ExternalLegs({ legs, getChainName }) {
+  return (
+    <div className="border-t pt-4">
+      <h3 className="text-sm font-semibold text-gray-800 mb-3">On-chain Legs</h3>
+      <div className="space-y-2">
+        {legs.map((leg) => {
+          const transaction = leg.transaction;
+          const state = transaction ? getLegState(transaction) : null;
+
+          return (
+            <div key={`${leg.leg}-${leg.attemptIndex ?? 'in'}`} className="bg-gray-50 p-2 rounded-lg space-y-1">
+              <div className="flex justify-between text-xs">
+                <span className="font-medium text-gray-700">
+                  {LEG_LABELS[leg.leg] || leg.leg} on {getChainName(leg.chainId)}
+                </span>
+                {state ? (
+                  <span className={state.color}>{state.label}</span>
+                ) : (
+                  <span className="text-red-600">Not found</span>
+                )}
+              </div>
+              <Row label="Hash">
+                <span className="font-mono" title={leg.hash}>
+                  {`${leg.hash.slice(0, 8)}...${leg.hash.slice(-6)}`}
+                </span>
+              </Row>
+              {transaction ? (
+                <>
+                  <Row label="Confirmations">
+                    {transaction.confirmations.toLocaleString()} / {transaction.externalData.requiredConfirmations}
+                  </Row>
+                  {transaction.blockNumber !== null && (
+                    <Row label="Block">{transaction.blockNumber.toLocaleString()}</Row>
+                  )}
+                  {transaction.timestamp && (
+                    <Row label="Block time">{new Date(transaction.timestamp).toLocaleString()}</Row>
+                  )}
+                  {transaction.events.length > 0 && (
+                    <Row label="Logs">{transaction.events.length}</Row>
+                  )}
+                </>
+              ) : (
+                <p className="text-xs text-gray-500 break-words">{leg.error}</p>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,80 @@
+'use client';
+
+import { formatAmount, formatUnits } from '../../lib/blockchain/amount.js';
+
+/**
+ * ExternalTransactionDetails Component
+ * Chain-side details of a CCTX leg fetched from an external chain: which leg
+ * it is, confirmation depth, block hash, fee, and Bitcoin inputs, outputs
+ * and memo
+ */
+
+const Row = ({ label, children }) => (
+  <div className="flex justify-between gap-2 text-xs">
+    <span className="text-gray-500">{label}</span>
+    <span className="text-right text-gray-700">{children}</span>
+  </div>
+);
+
+const shorten = (value) => (value ? `${value.slice(0, 8)}...${value.slice(-6)}` : 'N/A');
+
+// Bitcoin input or output list
+const UtxoList = ({ title, entries, decimals, symbol }) => (
+  <div>
+    <span className="block text-xs font-medium text-gray-600 mb-1">{title}</span>
+    <div className="space-y-1">
+      {entries.map((entry, index) => (
+        <Row key={index} label={<span className="font-mono" title={entry.address || entry.type}>{entry.address ? shorten(entry.address) : entry.type}</span>}>
+          <span title={`${formatUnits(entry.value, decimals)} ${symbol}`}>
+            {formatAmount(entry.value, decimals, { symbol })}
+          </span>
+        </Row>
+      ))}
+    </div>
+  </div>
+);
+
+export default function ExternalTransactionDetails({ transaction, decimals }) {
+  const { externalData, tokenSymbol } = transaction;
+
+  return (
+    <div className="border-t pt-4">
+      <h3 className="text-sm font-semibold text-gray-800 mb-3">
+        {externalData.chainName} Transaction
+      </h3>
+      <div className="space-y-2">
+        {externalData.leg && <Row label="CCTX leg"><span className="capitalize">{externalData.leg}</span></Row>}
+        <Row label="Finality">
+          <span className={externalData.confirmed ? 'text-green-600' : 'text-yellow-600'}>
+            {externalData.confirmed
+              ? 'Confirmed'
+              : `${transaction.confirmations} of ${externalData.requiredConfirmations} confirmations`}
+          </span>
+        </Row>
+        {externalData.blockHash && (
+          <Row label="Block hash">
+            <span className="font-mono" title={externalData.blockHash}>{shorten(externalData.blockHash)}</span>
+          </Row>
+        )}
+        {externalData.fee && (
+          <Row label="Fee">
+            <span title={`${formatUnits(externalData.fee, decimals)} ${tokenSymbol}`}>
+              {formatAmount(externalData.fee, decimals, { symbol: tokenSymbol })}
+            </span>
+          </Row>
+        )}
+        {externalData.memo && (
+          <Row label="Memo">
+            <span className="font-mono break-all" title={externalData.memo}>{shorten(externalData.memo)}</span>
+          </Row>
+        )}
+        {externalData.inputs.length > 0 && (
+          <UtxoList title="Inputs" entries={externalData.inputs} decimals={decimals} symbol={tokenSymbol} />
+        )}
+        {externalData.outputs.length > 0 && (
+          <UtxoList title="Outputs" entries={externalData.outputs} decimals={decimals} symbol={tokenSymbol} />
+        )}
+      </div>
+    </div>
+  );
+}
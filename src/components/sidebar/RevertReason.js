@@ -0,0 +1,43 @@
+'use client';
+
+import { REVERT_KINDS } from '../../lib/decoding/error-decoder.js';
+import DecodedArguments from './DecodedArguments.js';
+
+/**
+ * RevertReason Component
+ * Why a failed transaction reverted, recovered by replaying the call
+ */
+
+const KIND_LABELS = {
+  [REVERT_KINDS.ERROR]: 'Revert message',
+  [REVERT_KINDS.PANIC]: 'Panic',
+  [REVERT_KINDS.CUSTOM]: 'Custom error',
+  [REVERT_KINDS.OUT_OF_GAS]: 'Out of gas',
+  [REVERT_KINDS.UNKNOWN]: 'Unknown reason',
+};
+
+export default function RevertReason({ reason }) {
+  const showArgs = reason.kind === REVERT_KINDS.CUSTOM && reason.args.length > 0;
+
+  return (
+    <div className="bg-red-50 border border-red-200 p-3 rounded-lg space-y-1">
+      <div className="flex items-center justify-between gap-2">
+        <span className="text-xs font-medium text-red-700 uppercase tracking-wide">
+          {KIND_LABELS[reason.kind] || 'Revert reason'}
+        </span>
+        {reason.contractName && (
+          <span className="text-xs text-gray-500 bg-white px-2 py-0.5 rounded">
+            {reason.contractName}
+          </span>
+        )}
+      </div>
+      <p className="text-sm text-red-800 break-words">{reason.message}</p>
+      {reason.signature && reason.kind === REVERT_KINDS.CUSTOM && (
+        <span className="block text-xs text-gray-500 font-mono break-all">
+          {reason.signature} · {reason.selector}
+        </span>
+      )}
+      {showArgs && <DecodedArguments args={reason.args} />}
+    </div>
+  );
+}
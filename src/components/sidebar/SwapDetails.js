@@ -0,0 +1,102 @@
+'use client';
+
+/**
+ * SwapDetails Component
+ * Swap reconstructed from pool Swap events: what went in and out, the
+ * effective price and every hop of the route
+ */
+
+const shorten = (value) => `${value.slice(0, 6)}...${value.slice(-4)}`;
+
+// One pool hop of the route
+const SwapHop = ({ hop, index }) => (
+  <div className="bg-white p-2 rounded border border-blue-100 space-y-1">
+    <div className="flex items-center justify-between text-xs">
+      <span className="font-medium text-gray-700">
+        {index + 1}. {hop.tokenIn.symbol} → {hop.tokenOut.symbol}
+      </span>
+      <span className="text-gray-500">{hop.protocol}</span>
+    </div>
+    <div className="flex justify-between text-xs">
+      <span className="text-gray-500">Pool:</span>
+      <span className="font-mono text-gray-700" title={hop.pool}>{shorten(hop.pool)}</span>
+    </div>
+    <div className="flex justify-between text-xs">
+      <span className="text-gray-500">Amounts:</span>
+      <span className="text-gray-700">
+        <span title={hop.tokenIn.exactAmount}>{hop.tokenIn.amount} {hop.tokenIn.symbol}</span>
+        {' → '}
+        <span title={hop.tokenOut.exactAmount}>{hop.tokenOut.amount} {hop.tokenOut.symbol}</span>
+      </span>
+    </div>
+    {hop.price && (
+      <div className="flex justify-between text-xs">
+        <span className="text-gray-500">Price:</span>
+        <span className="text-gray-700" title={hop.exactPrice}>
+          1 {hop.tokenIn.symbol} = {hop.price} {hop.tokenOut.symbol}
+        </span>
+      </div>
+    )}
+  </div>
+);
+
+export default function SwapDetails({ swapInfo }) {
+  const { tokenIn, tokenOut, hops = [] } = swapInfo;
+
+  return (
+    <div className="border-t pt-4">
+      <h3 className="text-sm font-semibold text-gray-800 mb-3">
+        Swap Details - {swapInfo.dexName}
+      </h3>
+      <div className="bg-blue-50 p-3 rounded-lg">
+        <div className="flex items-center justify-between mb-3">
+          <span className="text-xs font-medium text-blue-600 uppercase">
+            {swapInfo.method}
+          </span>
+          {hops.length > 1 && (
+            <span className="text-xs text-gray-500">{hops.length} hops</span>
+          )}
+        </div>
+
+        <div className="space-y-2">
+          <div className="flex items-center justify-between">
+            <span className="text-sm text-gray-600">From:</span>
+            <span className="text-sm font-semibold text-red-600" title={tokenIn.exactAmount}>
+              -{tokenIn.amount} {tokenIn.symbol}
+            </span>
+          </div>
+          <div className="flex items-center justify-center">
+            <svg className="w-4 h-4 text-gray-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 14l-7 7m0 0l-7-7m7 7V3" />
+            </svg>
+          </div>
+          <div className="flex items-center justify-between">
+            <span className="text-sm text-gray-600">To:</span>
+            <span className="text-sm font-semibold text-green-600" title={tokenOut.exactAmount}>
+              +{tokenOut.amount} {tokenOut.symbol}
+            </span>
+          </div>
+          {swapInfo.effectivePrice && (
+            <div className="flex items-center justify-between">
+              <span className="text-sm text-gray-600">Effective price:</span>
+              <span className="text-sm text-black" title={swapInfo.exactEffectivePrice}>
+                1 {tokenIn.symbol} = {swapInfo.effectivePrice} {tokenOut.symbol}
+              </span>
+            </div>
+          )}
+        </div>
+
+        {hops.length > 0 && (
+          <div className="mt-3 space-y-2">
+            <label className="block text-xs font-medium text-gray-600 uppercase tracking-wide mb-1">
+              Route
+            </label>
+            {hops.map((hop, index) => (
+              <SwapHop key={hop.logIndex} hop={hop} index={index} />
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
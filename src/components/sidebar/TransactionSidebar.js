@@ -1,6 +1,25 @@
 'use client';
 
 import { useState } from 'react';
+import {
+  formatAmount as formatRawAmount,
+  formatUnits,
+  multiplyAmounts,
+} from '../../lib/blockchain/amount.js';
+import { COIN_TYPES, findTokenByOrigin } from '../../lib/blockchain/token-registry.js';
+import { useZRC20Tokens } from '../../lib/blockchain/zetachain-queries.js';
+import { EXTERNAL_CHAINS } from '../../lib/network/ExternalChainRegistry.js';
+import { shortenAddress } from '../../lib/blockchain/chain-identifiers.js';
+import ContractInteraction from './ContractInteraction.js';
+import EventLogs from './EventLogs.js';
+import SwapDetails from './SwapDetails.js';
+import CallTree from './CallTree.js';
+import RevertReason from './RevertReason.js';
+import CrossChainCall from './CrossChainCall.js';
+import CrossChainFees from './CrossChainFees.js';
+import ExternalLegs from './ExternalLegs.js';
+import ExternalTransactionDetails from './ExternalTransactionDetails.js';
+import CosmosTransactionDetails from './CosmosTransactionDetails.js';
 
 /**
  * TransactionSidebar Component
@@ -19,7 +38,14 @@ const CHAIN_NAMES = {
   250: 'Fantom',
   42161: 'Arbitrum',
   10: 'Optimism',
-  8453: 'Base'
+  8453: 'Base',
+  8332: 'Bitcoin',
+  18332: 'Bitcoin Testnet',
+  18333: 'Bitcoin Signet',
+  900: 'Solana',
+  901: 'Solana Devnet',
+  2015140: 'TON',
+  2015141: 'TON Testnet'
 };
 
 // Chain ID to native token mapping
@@ -33,7 +59,14 @@ const CHAIN_TOKENS = {
   250: 'FTM',
   42161: 'ETH',
   10: 'ETH',
-  8453: 'ETH'
+  8453: 'ETH',
+  8332: 'BTC',
+  18332: 'BTC',
+  18333: 'BTC',
+  900: 'SOL',
+  901: 'SOL',
+  2015140: 'TON',
+  2015141: 'TON'
 };
 
 // Copy to clipboard utility
@@ -141,10 +174,26 @@ const formatTimestamp = (timestamp) => {
   return date.toLocaleString('en-US', options);
 };
 
+// Format how long ago a timestamp was, e.g. "5 min ago"
+const formatAge = (timestamp) => {
+  if (!timestamp) return null;
+
+  const ms = typeof timestamp === 'number' && timestamp < 1000000000000
+    ? timestamp * 1000
+    : new Date(timestamp).getTime();
+  const seconds = Math.floor((Date.now() - ms) / 1000);
+
+  if (isNaN(seconds) || seconds < 0) return null;
+  if (seconds < 60) return `${seconds} sec ago`;
+  if (seconds < 3600) return `${Math.floor(seconds / 60)} min ago`;
+  if (seconds < 86400) return `${Math.floor(seconds / 3600)} hr ago`;
+  return `${Math.floor(seconds / 86400)} days ago`;
+};
+
 // Get chain name from ID
 const getChainName = (chainId) => {
   if (!chainId) return "Unknown Chain";
-  return CHAIN_NAMES[chainId] || `Chain ${chainId}`;
+  return CHAIN_NAMES[chainId] || EXTERNAL_CHAINS[chainId]?.name || `Chain ${chainId}`;
 };
 
 // Get token symbol for a chain
@@ -168,22 +217,35 @@ const getTokenSymbol = (transaction) => {
   return 'ZETA';
 };
 
+// Get symbol and decimals of the transaction amount. CCTX amounts are in the
+// inbound asset's units, which the ZRC-20 registry knows for every asset.
+const getAmountToken = (transaction, zrc20Tokens) => {
+  const crossChain = transaction.crossChainData;
+  if (crossChain?.coinType === COIN_TYPES.ZETA) {
+    return { symbol: 'ZETA', decimals: 18 };
+  }
+
+  const zrc20 = crossChain && findTokenByOrigin(zrc20Tokens, crossChain.sourceChain, crossChain.asset);
+  if (zrc20) {
+    return { symbol: zrc20.symbol, decimals: zrc20.decimals };
+  }
+
+  const symbol = getTokenSymbol(transaction);
+  return { symbol, decimals: getTokenDecimals(symbol) };
+};
+
 // Format amount with proper decimals based on token
-const formatAmount = (value, tokenSymbol) => {
+const formatAmount = (value, tokenSymbol, decimals = getTokenDecimals(tokenSymbol)) => {
   if (!value || value === '0') return `0 ${tokenSymbol}`;
-  
+
   // Most tokens use 18 decimals, but some use different amounts
-  const decimals = getTokenDecimals(tokenSymbol);
-  const amount = parseFloat(value) / Math.pow(10, decimals);
-  
-  // Format with appropriate precision
-  if (amount < 0.000001) {
-    return `${amount.toExponential(3)} ${tokenSymbol}`;
-  } else if (amount < 1) {
-    return `${amount.toFixed(6)} ${tokenSymbol}`;
-  } else {
-    return `${amount.toFixed(4)} ${tokenSymbol}`;
-  }
+  return formatRawAmount(value, decimals, { symbol: tokenSymbol });
+};
+
+// Full-precision amount for copying
+const getExactAmount = (value, tokenSymbol, decimals = getTokenDecimals(tokenSymbol)) => {
+  if (value === null || value === undefined) return '0';
+  return formatUnits(value, decimals);
 };
 
 // Get token decimals
@@ -192,13 +254,19 @@ const getTokenDecimals = (tokenSymbol) => {
     'USDC': 6,
     'USDT': 6,
     'BTC': 8,
-    'WBTC': 8
+    'WBTC': 8,
+    'SOL': 9,
+    'TON': 9
   };
   
   return tokenDecimals[tokenSymbol] || 18; // Default to 18 decimals
 };
 
 export default function TransactionSidebar({ transaction }) {
+  const { data: zrc20Tokens } = useZRC20Tokens(transaction?.network, {
+    enabled: Boolean(transaction),
+  });
+
   if (!transaction) {
     return (
       <div className="bg-white border-2 border-gray-300 rounded-lg p-4 h-full shadow-sm">
@@ -218,6 +286,10 @@ export default function TransactionSidebar({ transaction }) {
     );
   }
 
+  const amountToken = getAmountToken(transaction, zrc20Tokens);
+  // Cosmos transactions carry their recipients and amounts per message
+  const isCosmos = transaction.type === 'cosmos';
+
   return (
     <div className="bg-white border-2 border-gray-300 rounded-lg p-4 h-full shadow-sm">
       <h2 className="text-lg font-semibold mb-4 text-black">
@@ -255,38 +327,49 @@ export default function TransactionSidebar({ transaction }) {
             }`}>
               {transaction.status || "Unknown"}
             </span>
+            {transaction.detailedStatus && (
+              <span className="text-xs text-gray-500 bg-gray-100 px-2 py-1 rounded">
+                {transaction.detailedStatus}
+              </span>
+            )}
           </div>
+          {transaction.revertReason && (
+            <div className="mt-2">
+              <RevertReason reason={transaction.revertReason} />
+            </div>
+          )}
         </div>
 
         {/* From Address */}
         <CopyableField
-          label="From Address"
+          label={isCosmos ? "Signer" : "From Address"}
           value={transaction.from ? 
-            `${transaction.from.slice(0, 6)}...${transaction.from.slice(-4)}` : 
+            shortenAddress(transaction.from, { head: 4, tail: 4 }) : 
             "N/A"
           }
           fullValue={transaction.from}
         />
 
-        {/* To Address */}
-        <CopyableField
-          label="To Address"
-          value={transaction.to ? 
-            `${transaction.to.slice(0, 6)}...${transaction.to.slice(-4)}` : 
-            "N/A"
-          }
-          fullValue={transaction.to}
-        />
+        {!isCosmos && (
+          <>
+            {/* To Address */}
+            <CopyableField
+              label="To Address"
+              value={transaction.to ? 
+                shortenAddress(transaction.to, { head: 4, tail: 4 }) : 
+                "N/A"
+              }
+              fullValue={transaction.to}
+            />
 
-        {/* Amount */}
-        <div>
-          <label className="block text-xs font-medium text-gray-600 uppercase tracking-wide mb-1">
-            Amount
-          </label>
-          <span className="text-sm text-black font-medium">
-            {formatAmount(transaction.value, getTokenSymbol(transaction))}
-          </span>
-        </div>
+            {/* Amount */}
+            <CopyableField
+              label="Amount"
+              value={formatAmount(transaction.value, amountToken.symbol, amountToken.decimals)}
+              fullValue={getExactAmount(transaction.value, amountToken.symbol, amountToken.decimals)}
+            />
+          </>
+        )}
 
         {/* Gas Information */}
         {(transaction.gasUsed || transaction.gasPrice) && (
@@ -307,7 +390,7 @@ export default function TransactionSidebar({ transaction }) {
                   Gas Price
                 </label>
                 <span className="text-sm text-black">
-                  {(parseFloat(transaction.gasPrice) / Math.pow(10, 9)).toFixed(2)} Gwei
+                  {formatRawAmount(transaction.gasPrice, 9, { maxFractionDigits: 2 })} Gwei
                 </span>
               </div>
             )}
@@ -388,10 +471,111 @@ export default function TransactionSidebar({ transaction }) {
                   </span>
                 </div>
               </div>
+
+              {/* Outbound attempts, including the revert back to the sender */}
+              {transaction.crossChainData.outbounds?.length > 0 && (
+                <div>
+                  <label className="block text-xs font-medium text-gray-600 uppercase tracking-wide mb-1">
+                    Outbound Attempts
+                  </label>
+                  <div className="space-y-2">
+                    {transaction.crossChainData.outbounds.map((attempt) => (
+                      <div key={attempt.index} className="bg-gray-50 p-2 rounded-lg text-xs space-y-1">
+                        <div className="flex justify-between">
+                          <span className="font-medium text-gray-700 capitalize">
+                            {attempt.kind} to {getChainName(attempt.chainId)}
+                          </span>
+                          <span className={
+                            attempt.status === 'success' ? 'text-green-600' :
+                            attempt.status === 'failed' ? 'text-red-600' :
+                            'text-yellow-600'
+                          }>
+                            {attempt.status}
+                          </span>
+                        </div>
+                        {attempt.hash && (
+                          <div className="flex justify-between">
+                            <span className="text-gray-500">Hash:</span>
+                            <span className="font-mono text-gray-700" title={attempt.hash}>
+                              {`${attempt.hash.slice(0, 8)}...${attempt.hash.slice(-6)}`}
+                            </span>
+                          </div>
+                        )}
+                        {attempt.nonce !== null && (
+                          <div className="flex justify-between">
+                            <span className="text-gray-500">Nonce:</span>
+                            <span className="text-gray-700">{attempt.nonce}</span>
+                          </div>
+                        )}
+                        {(attempt.gasUsed || attempt.gasLimit) && (
+                          <div className="flex justify-between">
+                            <span className="text-gray-500">Gas:</span>
+                            <span className="text-gray-700">
+                              {attempt.gasUsed ? parseInt(attempt.gasUsed).toLocaleString() : '-'}
+                              {attempt.gasLimit && ` / ${parseInt(attempt.gasLimit).toLocaleString()}`}
+                            </span>
+                          </div>
+                        )}
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              )}
+
+              {/* Refund after a revert or abort */}
+              {transaction.crossChainData.refund && (
+                <div>
+                  <label className="block text-xs font-medium text-gray-600 uppercase tracking-wide mb-1">
+                    Refund
+                  </label>
+                  <span className={`text-sm ${
+                    transaction.crossChainData.refund.status === 'success' ? 'text-green-600' : 'text-yellow-600'
+                  }`}>
+                    {transaction.crossChainData.refund.status === 'success'
+                      ? `Refunded (${transaction.crossChainData.refund.kind})`
+                      : `Refund ${transaction.crossChainData.refund.status} (${transaction.crossChainData.refund.kind})`}
+                  </span>
+                  {transaction.crossChainData.refund.address && (
+                    <span className="block text-xs font-mono text-gray-600 mt-0.5" title={transaction.crossChainData.refund.address}>
+                      to {shortenAddress(transaction.crossChainData.refund.address, { head: 4, tail: 4 })}
+                      {transaction.crossChainData.refund.chainId && ` on ${getChainName(transaction.crossChainData.refund.chainId)}`}
+                    </span>
+                  )}
+                </div>
+              )}
             </div>
           </div>
         )}
 
+        {/* Cross-chain Call */}
+        {transaction.crossChainData?.call && (
+          <CrossChainCall call={transaction.crossChainData.call} />
+        )}
+
+        {/* Cross-chain Fees */}
+        {transaction.crossChainData?.fees && (
+          <CrossChainFees
+            fees={transaction.crossChainData.fees}
+            amountToken={amountToken}
+            getChainName={getChainName}
+          />
+        )}
+
+        {/* Legs on the connected chains */}
+        {transaction.crossChainData?.externalLegs?.length > 0 && (
+          <ExternalLegs legs={transaction.crossChainData.externalLegs} getChainName={getChainName} />
+        )}
+
+        {/* Cosmos messages */}
+        {transaction.cosmosData && (
+          <CosmosTransactionDetails transaction={transaction} getChainName={getChainName} />
+        )}
+
+        {/* External chain details */}
+        {transaction.externalData && (
+          <ExternalTransactionDetails transaction={transaction} decimals={amountToken.decimals} />
+        )}
+
         {/* Timestamp */}
         {transaction.timestamp && (
           <div>
@@ -401,60 +585,26 @@ export default function TransactionSidebar({ transaction }) {
             <span className="text-sm text-black">
               {formatTimestamp(transaction.timestamp)}
             </span>
+            {formatAge(transaction.timestamp) && (
+              <span className="block text-xs text-gray-500 mt-0.5">
+                {formatAge(transaction.timestamp)}
+              </span>
+            )}
           </div>
         )}
 
         {/* Transaction Fee */}
-        {transaction.gasUsed && transaction.gasPrice && (
-          <div>
-            <label className="block text-xs font-medium text-gray-600 uppercase tracking-wide mb-1">
-              Transaction Fee
-            </label>
-            <span className="text-sm text-black font-medium">
-              {formatAmount(
-                (parseFloat(transaction.gasUsed) * parseFloat(transaction.gasPrice)).toString(),
-                'ZETA'
-              )}
-            </span>
-          </div>
+        {transaction.gasUsed && transaction.gasPrice && !transaction.externalData && (
+          <CopyableField
+            label="Transaction Fee"
+            value={formatAmount(multiplyAmounts(transaction.gasUsed, transaction.gasPrice), 'ZETA')}
+            fullValue={getExactAmount(multiplyAmounts(transaction.gasUsed, transaction.gasPrice), 'ZETA')}
+          />
         )}
 
         {/* Swap Information */}
         {transaction.swapInfo && transaction.swapInfo.isSwap && (
-          <div className="border-t pt-4">
-            <h3 className="text-sm font-semibold text-gray-800 mb-3">
-              Swap Details - {transaction.swapInfo.dexName}
-            </h3>
-            <div className="bg-blue-50 p-3 rounded-lg">
-              <div className="flex items-center justify-between mb-3">
-                <span className="text-xs font-medium text-blue-600 uppercase">
-                  {transaction.swapInfo.method}
-                </span>
-              </div>
-              
-              {transaction.swapInfo.tokenIn && transaction.swapInfo.tokenOut && (
-                <div className="space-y-2">
-                  <div className="flex items-center justify-between">
-                    <span className="text-sm text-gray-600">From:</span>
-                    <span className="text-sm font-semibold text-red-600">
-                      -{transaction.swapInfo.tokenIn.amount} {transaction.swapInfo.tokenIn.symbol}
-                    </span>
-                  </div>
-                  <div className="flex items-center justify-center">
-                    <svg className="w-4 h-4 text-gray-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 14l-7 7m0 0l-7-7m7 7V3" />
-                    </svg>
-                  </div>
-                  <div className="flex items-center justify-between">
-                    <span className="text-sm text-gray-600">To:</span>
-                    <span className="text-sm font-semibold text-green-600">
-                      +{transaction.swapInfo.tokenOut.amount} {transaction.swapInfo.tokenOut.symbol}
-                    </span>
-                  </div>
-                </div>
-              )}
-            </div>
-          </div>
+          <SwapDetails swapInfo={transaction.swapInfo} />
         )}
 
         {/* Token Transfers */}
@@ -468,7 +618,7 @@ export default function TransactionSidebar({ transaction }) {
                     <span className="text-xs font-medium text-gray-600 uppercase">
                       {transfer.tokenSymbol || 'Unknown Token'}
                     </span>
-                    <span className="text-sm font-semibold text-black">
+                    <span className="text-sm font-semibold text-black" title={transfer.exactAmount}>
                       {transfer.amount} {transfer.tokenSymbol}
                     </span>
                   </div>
@@ -477,15 +627,23 @@ export default function TransactionSidebar({ transaction }) {
                     <div className="flex justify-between">
                       <span className="text-gray-500">From:</span>
                       <span className="font-mono text-gray-700">
-                        {transfer.from ? `${transfer.from.slice(0, 6)}...${transfer.from.slice(-4)}` : 'N/A'}
+                        {transfer.from ? shortenAddress(transfer.from, { head: 4, tail: 4 }) : 'N/A'}
                       </span>
                     </div>
                     <div className="flex justify-between">
                       <span className="text-gray-500">To:</span>
                       <span className="font-mono text-gray-700">
-                        {transfer.to ? `${transfer.to.slice(0, 6)}...${transfer.to.slice(-4)}` : 'N/A'}
+                        {transfer.to ? shortenAddress(transfer.to, { head: 4, tail: 4 }) : 'N/A'}
                       </span>
                     </div>
+                    {transfer.zrc20 && (
+                      <div className="flex justify-between">
+                        <span className="text-gray-500">Origin:</span>
+                        <span className="text-gray-700">
+                          {getChainName(transfer.zrc20.chainId)} ({transfer.zrc20.coinType})
+                        </span>
+                      </div>
+                    )}
                     {transfer.tokenAddress && (
                       <div className="flex justify-between">
                         <span className="text-gray-500">Token:</span>
@@ -503,36 +661,21 @@ export default function TransactionSidebar({ transaction }) {
 
         {/* Contract Interaction */}
         {transaction.evmData?.isContractInteraction && (
-          <div className="border-t pt-4">
-            <h3 className="text-sm font-semibold text-gray-800 mb-3">Contract Interaction</h3>
-            <div className="space-y-2">
-              <div>
-                <label className="block text-xs font-medium text-gray-600 uppercase tracking-wide mb-1">
-                  Method
-                </label>
-                <span className="text-sm text-black font-mono">
-                  {transaction.evmData.inputData ? 
-                    `0x${transaction.evmData.inputData.slice(2, 10)}` : 
-                    'Unknown'
-                  }
-                </span>
-              </div>
-              {transaction.evmData.inputData && transaction.evmData.inputData.length > 10 && (
-                <div>
-                  <label className="block text-xs font-medium text-gray-600 uppercase tracking-wide mb-1">
-                    Input Data
-                  </label>
-                  <span className="text-xs text-gray-600 font-mono break-all">
-                    {`${transaction.evmData.inputData.slice(0, 50)}...`}
-                  </span>
-                </div>
-              )}
-            </div>
-          </div>
+          <ContractInteraction transaction={transaction} />
+        )}
+
+        {/* Internal Calls */}
+        {transaction.callTrace?.calls.length > 0 && (
+          <CallTree callTrace={transaction.callTrace} />
+        )}
+
+        {/* Events */}
+        {transaction.events?.length > 0 && (
+          <EventLogs transaction={transaction} />
         )}
 
         {/* Confirmations */}
-        {transaction.confirmations && (
+        {transaction.confirmations !== null && transaction.confirmations !== undefined && (
           <div>
             <label className="block text-xs font-medium text-gray-600 uppercase tracking-wide mb-1">
               Confirmations
@@ -3,6 +3,9 @@
 import { useEffect, useRef, useState } from 'react';
 import { GraphService } from '../../lib/visualization/utils';
 
+// Tooltips are HTML; on-chain strings such as revert messages must be escaped
+const escapeHtml = (text) => String(text).replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+
 /**
  * GraphVisualization Component
  * Renders interactive transaction graph using Cytoscape.js
@@ -84,6 +87,8 @@ export default function GraphVisualization({
             <div class="text-xs font-mono mb-1">${txData?.txHash || 'N/A'}</div>
             ${txData?.amount ? `<div class="text-xs">Amount: ${txData.amount}</div>` : ''}
             ${txData?.status ? `<div class="text-xs">Status: ${txData.status}</div>` : ''}
+            ${txData?.externalData ? `<div class="text-xs">${escapeHtml(txData.externalData.chainName)} · ${txData.confirmations} confirmation(s)</div>` : ''}
+            ${txData?.revertReason ? `<div class="text-xs text-red-300 mt-1">Reverted: ${escapeHtml(txData.revertReason.message)}</div>` : ''}
           `;
         } else if (nodeData.type === 'chain') {
           tooltipContent = `
@@ -117,6 +122,8 @@ export default function GraphVisualization({
             <div class="text-xs font-mono mb-1">${txData.txHash?.slice(0, 16)}...</div>
             ${txData.amount ? `<div class="text-xs">Amount: ${txData.amount}</div>` : ''}
             ${edgeData.type === 'cross_chain' ? '<div class="text-xs text-blue-300">Cross-chain</div>' : ''}
+            ${edgeData.event ? `<div class="text-xs">Event: ${edgeData.event.name} (log #${edgeData.event.logIndex})</div>` : ''}
+            ${edgeData.callFrame ? `<div class="text-xs">Internal ${edgeData.callFrame.type} · ${edgeData.callFrame.gasUsed.toLocaleString()} gas${edgeData.callFrame.reverted ? ' · reverted' : ''}</div>` : ''}
           `;
         } else {
           tooltipContent = '<div class="text-xs">Transaction Flow</div>';
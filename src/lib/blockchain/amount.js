@@ -0,0 +1,201 @@
+/**
+ * @fileoverview Amount formatting - Exact token and native amount rendering
+ * Raw amounts are converted with BigInt so values above 2^53 and long
+ * fractions keep every digit; only the display string is ever shortened
+ */
+
+/**
+ * Display defaults
+ */
+export const AMOUNT_FORMAT = {
+  maxFractionDigits: 6,
+  compactFractionDigits: 2,
+};
+
+// Compact suffixes, largest first: [suffix, number of integer digits dropped]
+const COMPACT_UNITS = [
+  ["T", 12],
+  ["B", 9],
+  ["M", 6],
+  ["K", 3],
+];
+
+/**
+ * Convert a raw amount to a BigInt
+ * @param {bigint|number|string} value - Raw amount as bigint, integer, decimal string or 0x hex string
+ * @returns {bigint|null} Amount, or null when the value is not an integer amount
+ */
+export function toBigInt(value) {
+  if (typeof value === "bigint") return value;
+  if (typeof value === "number") {
+    return Number.isSafeInteger(value) ? BigInt(value) : null;
+  }
+  if (typeof value !== "string") return null;
+
+  const trimmed = value.trim();
+  if (trimmed === "" || trimmed === "0x") return 0n; // empty log data
+  if (!/^(0x[0-9a-fA-F]+|-?\d+)$/.test(trimmed)) return null;
+
+  return BigInt(trimmed);
+}
+
+/**
+ * Split a raw amount into integer and fraction digit strings
+ * @param {bigint} amount - Raw amount
+ * @param {number} decimals - Token decimals
+ * @returns {{negative: boolean, integer: string, fraction: string}} Digits, fraction without trailing zeros
+ */
+function splitUnits(amount, decimals) {
+  const negative = amount < 0n;
+  const digits = (negative ? -amount : amount).toString().padStart(decimals + 1, "0");
+  const integer = digits.slice(0, digits.length - decimals);
+  const fraction = digits.slice(digits.length - decimals).replace(/0+$/, "");
+
+  return { negative, integer, fraction };
+}
+
+/**
+ * Group the integer part of a decimal string by thousands
+ * @param {string} decimal - Decimal string, e.g. "1234567.89"
+ * @returns {string} Grouped string, e.g. "1,234,567.89"
+ */
+export function groupThousands(decimal) {
+  const [integer, fraction] = decimal.split(".");
+  const grouped = integer.replace(/\B(?=(\d{3})+(?!\d))/g, ",");
+  return fraction !== undefined ? `${grouped}.${fraction}` : grouped;
+}
+
+/**
+ * Convert a raw amount to an exact decimal string. This is the full-precision
+ * value to copy or export; it is never rounded or grouped.
+ * @param {bigint|number|string} value - Raw amount
+ * @param {number} [decimals=18] - Token decimals
+ * @returns {string} Exact decimal string, e.g. "1234.000000000000000001"
+ */
+export function formatUnits(value, decimals = 18) {
+  const amount = toBigInt(value);
+  if (amount === null) return String(value ?? "");
+
+  const { negative, integer, fraction } = splitUnits(amount, decimals);
+  return `${negative ? "-" : ""}${integer}${fraction ? `.${fraction}` : ""}`;
+}
+
+/**
+ * Convert a decimal string to a raw amount, the inverse of formatUnits.
+ * Digits beyond the token's decimals are truncated.
+ * @param {string} decimal - Decimal string, e.g. "1000.5"
+ * @param {number} [decimals=18] - Token decimals
+ * @returns {bigint|null} Raw amount, or null when the string isn't a plain decimal
+ */
+export function parseUnits(decimal, decimals = 18) {
+  const match = typeof decimal === "string" && decimal.trim().match(/^(-?)(\d*)(?:\.(\d*))?$/);
+  if (!match || (!match[2] && !match[3])) return null;
+
+  const [, sign, integer, fraction = ""] = match;
+  const digits = `${integer || "0"}${fraction.slice(0, decimals).padEnd(decimals, "0")}`;
+  return BigInt(digits) * (sign ? -1n : 1n);
+}
+
+/**
+ * Format a raw amount in compact notation (1.23K, 4.5M, 7B, 1.2T)
+ * @param {bigint|number|string} value - Raw amount
+ * @param {number} [decimals=18] - Token decimals
+ * @param {number} [fractionDigits] - Digits kept after the decimal point
+ * @returns {string} Compact amount; amounts under 1,000 use formatAmount
+ */
+export function formatCompact(
+  value,
+  decimals = 18,
+  fractionDigits = AMOUNT_FORMAT.compactFractionDigits
+) {
+  const amount = toBigInt(value);
+  if (amount === null) return String(value ?? "");
+
+  const { negative, integer } = splitUnits(amount, decimals);
+  const unit = COMPACT_UNITS.find(([, dropped]) => integer.length > dropped);
+  if (!unit) {
+    return formatAmount(amount, decimals, { maxFractionDigits: fractionDigits });
+  }
+
+  // Truncate rather than round so a compact value never overstates the amount
+  const [suffix, dropped] = unit;
+  const whole = integer.slice(0, integer.length - dropped);
+  const fraction = integer
+    .slice(integer.length - dropped, integer.length - dropped + fractionDigits)
+    .replace(/0+$/, "");
+
+  return `${negative ? "-" : ""}${groupThousands(whole)}${fraction ? `.${fraction}` : ""}${suffix}`;
+}
+
+/**
+ * Format a raw amount for display: exact integer part with thousands grouping
+ * and the fraction truncated to `maxFractionDigits`
+ * @param {bigint|number|string} value - Raw amount
+ * @param {number} [decimals=18] - Token decimals
+ * @param {Object} [options] - Display options
+ * @param {string} [options.symbol] - Symbol appended to the amount
+ * @param {number} [options.maxFractionDigits] - Fraction digits shown
+ * @param {boolean} [options.compact=false] - Use compact notation for large amounts
+ * @returns {string} Display amount, e.g. "1,234.5 ZETA" or "< 0.000001 ZETA"
+ */
+export function formatAmount(value, decimals = 18, options = {}) {
+  const {
+    symbol,
+    maxFractionDigits = AMOUNT_FORMAT.maxFractionDigits,
+    compact = false,
+  } = options;
+  const withSymbol = (text) => (symbol ? `${text} ${symbol}` : text);
+
+  const amount = toBigInt(value);
+  if (amount === null) return withSymbol(String(value ?? ""));
+
+  if (compact) {
+    return withSymbol(formatCompact(amount, decimals));
+  }
+
+  const { negative, integer, fraction } = splitUnits(amount, decimals);
+  const shown = fraction.slice(0, maxFractionDigits).replace(/0+$/, "");
+
+  // Dust that truncates to zero still shows that something moved
+  if (integer === "0" && !shown && fraction) {
+    const smallest = maxFractionDigits > 0 ? `0.${"0".repeat(maxFractionDigits - 1)}1` : "1";
+    return withSymbol(`${negative ? "> -" : "< "}${smallest}`);
+  }
+
+  const text = `${groupThousands(integer)}${shown ? `.${shown}` : ""}`;
+  return withSymbol(negative ? `-${text}` : text);
+}
+
+/**
+ * Multiply two raw amounts exactly (e.g. gas used x gas price)
+ * @param {bigint|number|string} a - First raw amount
+ * @param {bigint|number|string} b - Second raw amount
+ * @returns {bigint|null} Product, or null when either value is invalid
+ */
+export function multiplyAmounts(a, b) {
+  const left = toBigInt(a);
+  const right = toBigInt(b);
+  return left === null || right === null ? null : left * right;
+}
+
+/**
+ * Divide two raw amounts of different tokens exactly, e.g. for a swap price
+ * ("how many output units one input unit bought")
+ * @param {bigint|number|string} numerator - Raw amount on top
+ * @param {number} numeratorDecimals - Decimals of the numerator token
+ * @param {bigint|number|string} denominator - Raw amount below
+ * @param {number} denominatorDecimals - Decimals of the denominator token
+ * @param {number} [precision=18] - Decimals of the result (truncated)
+ * @returns {bigint|null} Quotient as a raw amount with `precision` decimals, or
+ *   null when either value is invalid or the denominator is zero
+ */
+export function divideAmounts(numerator, numeratorDecimals, denominator, denominatorDecimals, precision = 18) {
+  const top = toBigInt(numerator);
+  const bottom = toBigInt(denominator);
+  if (top === null || bottom === null || bottom === 0n) return null;
+
+  return (
+    (top * 10n ** BigInt(denominatorDecimals + precision)) /
+    (bottom * 10n ** BigInt(numeratorDecimals))
+  );
+}
@@ -0,0 +1,141 @@
+import { describe, expect, it } from "vitest";
+import {
+  divideAmounts,
+  formatAmount,
+  formatCompact,
+  formatUnits,
+  groupThousands,
+  multiplyAmounts,
+  parseUnits,
+  toBigInt,
+} from "./amount.js";
+
+// 2^64 wei, well past Number.MAX_SAFE_INTEGER
+const LARGE_WEI = "18446744073709551616";
+
+describe("toBigInt", () => {
+  it("accepts bigints, safe integers, decimal and hex strings", () => {
+    expect(toBigInt(5n)).toBe(5n);
+    expect(toBigInt(42)).toBe(42n);
+    expect(toBigInt(LARGE_WEI)).toBe(18446744073709551616n);
+    expect(toBigInt("0x10000000000000000")).toBe(18446744073709551616n);
+    expect(toBigInt("-7")).toBe(-7n);
+  });
+
+  it("treats empty log data as zero", () => {
+    expect(toBigInt("0x")).toBe(0n);
+    expect(toBigInt("")).toBe(0n);
+  });
+
+  it("rejects values that aren't exact integers", () => {
+    expect(toBigInt(2 ** 60)).toBeNull();
+    expect(toBigInt(1.5)).toBeNull();
+    expect(toBigInt("1.5")).toBeNull();
+    expect(toBigInt("abc")).toBeNull();
+    expect(toBigInt(null)).toBeNull();
+  });
+});
+
+describe("formatUnits", () => {
+  it("keeps every digit of large amounts", () => {
+    expect(formatUnits("1234000000000000000001", 18)).toBe("1234.000000000000000001");
+    expect(formatUnits(LARGE_WEI, 18)).toBe("18.446744073709551616");
+  });
+
+  it("drops trailing fraction zeros and handles small decimals", () => {
+    expect(formatUnits("1500000", 6)).toBe("1.5");
+    expect(formatUnits("1", 18)).toBe("0.000000000000000001");
+    expect(formatUnits("100", 0)).toBe("100");
+    expect(formatUnits("-1500000", 6)).toBe("-1.5");
+  });
+
+  it("returns invalid input unchanged", () => {
+    expect(formatUnits("n/a")).toBe("n/a");
+    expect(formatUnits(undefined)).toBe("");
+  });
+
+  it("round-trips through parseUnits", () => {
+    const raw = 123456789012345678901234567890n;
+    expect(parseUnits(formatUnits(raw, 18), 18)).toBe(raw);
+  });
+});
+
+describe("parseUnits", () => {
+  it("converts decimal strings to raw amounts", () => {
+    expect(parseUnits("1000.5", 6)).toBe(1000500000n);
+    expect(parseUnits(".5", 2)).toBe(50n);
+    expect(parseUnits("-2", 3)).toBe(-2000n);
+  });
+
+  it("truncates digits beyond the token decimals", () => {
+    expect(parseUnits("1.23456789", 6)).toBe(1234567n);
+  });
+
+  it("rejects anything that isn't a plain decimal", () => {
+    expect(parseUnits("")).toBeNull();
+    expect(parseUnits(".")).toBeNull();
+    expect(parseUnits("1e18")).toBeNull();
+    expect(parseUnits(100)).toBeNull();
+  });
+});
+
+describe("groupThousands", () => {
+  it("groups only the integer part", () => {
+    expect(groupThousands("1234567.891011")).toBe("1,234,567.891011");
+    expect(groupThousands("999")).toBe("999");
+  });
+});
+
+describe("formatAmount", () => {
+  it("groups thousands and truncates the fraction", () => {
+    expect(formatAmount("1234567891234567890123", 18)).toBe("1,234.567891");
+    expect(formatAmount("1999999999999999999", 18, { maxFractionDigits: 2 })).toBe("1.99");
+  });
+
+  it("appends the symbol", () => {
+    expect(formatAmount("1500000000000000000", 18, { symbol: "ZETA" })).toBe("1.5 ZETA");
+  });
+
+  it("shows dust that truncates to zero as a bound", () => {
+    expect(formatAmount("1", 18, { symbol: "ZETA" })).toBe("< 0.000001 ZETA");
+    expect(formatAmount("-1", 18)).toBe("> -0.000001");
+    expect(formatAmount("0", 18)).toBe("0");
+  });
+
+  it("switches to compact notation on request", () => {
+    expect(formatAmount("2500000000000000000000000", 18, { compact: true })).toBe("2.5M");
+  });
+});
+
+describe("formatCompact", () => {
+  it("truncates rather than rounds", () => {
+    expect(formatCompact("1999999", 0)).toBe("1.99M");
+    expect(formatCompact("1000", 0)).toBe("1K");
+    expect(formatCompact("-1234567890123", 0)).toBe("-1.23T");
+  });
+
+  it("keeps grouping above the largest unit", () => {
+    expect(formatCompact("1234000000000000", 0)).toBe("1,234T");
+  });
+
+  it("falls back to formatAmount under a thousand", () => {
+    expect(formatCompact("999123", 3)).toBe("999.12");
+  });
+});
+
+describe("multiplyAmounts and divideAmounts", () => {
+  it("multiplies exactly", () => {
+    expect(multiplyAmounts("21000", "0x2540be400")).toBe(210000000000000n);
+    expect(multiplyAmounts("21000", "n/a")).toBeNull();
+  });
+
+  it("divides amounts of different decimals", () => {
+    // 2 USDC (6 decimals) for 1 ZETA (18 decimals) is a price of 2
+    const price = divideAmounts("2000000", 6, "1000000000000000000", 18);
+    expect(formatUnits(price, 18)).toBe("2");
+  });
+
+  it("refuses to divide by zero", () => {
+    expect(divideAmounts("1", 18, "0", 18)).toBeNull();
+  });
+});
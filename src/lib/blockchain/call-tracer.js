@@ -0,0 +1,103 @@
+/**
+ * @fileoverview Call tracer - Normalizes debug_traceTransaction callTracer output
+ * The callTracer returns one frame per call with its sub-calls nested under
+ * `calls`; frames are normalized into a tree with decoded methods, decimal
+ * values and gas, and can be flattened for the graph
+ */
+
+import { decodeCalldata } from "../decoding/calldata-decoder.js";
+import { toBigInt } from "./amount.js";
+
+// JSON-RPC "method not found"
+const METHOD_NOT_FOUND_CODE = -32601;
+
+// Messages endpoints use when the debug namespace is disabled. They name the
+// method or namespace, so per-transaction errors such as "historical state
+// not available" don't match
+const UNSUPPORTED_PATTERNS = [
+  /method not found/,
+  /unsupported method/,
+  // "the method debug_traceTransaction does not exist/is not available"
+  /\bmethod\b\s*\S*\s*(does not exist|is not available|not supported|not enabled|not allowed)/,
+  // "debug namespace is disabled", "debug_traceTransaction is not enabled"
+  /\bdebug(_\w+| namespace| api)\s+(is\s+)?(disabled|not available|not enabled|not supported|not allowed)/,
+];
+
+/**
+ * @typedef {Object} CallFrame
+ * @property {string} id - Position in the tree, e.g. "0.2.1"
+ * @property {number} depth - Nesting depth (0 for the top-level call)
+ * @property {string} type - CALL, DELEGATECALL, STATICCALL, CREATE, CREATE2 or SELFDESTRUCT
+ * @property {string} from - Caller address (lowercase)
+ * @property {string|null} to - Callee address (lowercase)
+ * @property {string} value - Value sent, in wei
+ * @property {boolean} hasValue - Whether the frame moved native ZETA
+ * @property {number} gas - Gas given to the frame
+ * @property {number} gasUsed - Gas used by the frame, including sub-calls
+ * @property {string} input - Calldata
+ * @property {string|null} method - Decoded method name, when an ABI matches
+ * @property {string|null} error - Error, e.g. "execution reverted"
+ * @property {string|null} revertReason - Revert reason reported by the tracer
+ * @property {boolean} reverted - Whether this frame failed
+ * @property {CallFrame[]} calls - Sub-calls
+ */
+
+/**
+ * Check whether an RPC error means the endpoint can't trace transactions
+ * @param {Error} error - Error thrown by the RPC client
+ * @returns {boolean}
+ */
+export function isTraceUnsupportedError(error) {
+  if (error?.code === METHOD_NOT_FOUND_CODE) return true;
+
+  const message = error?.message?.toLowerCase() || "";
+  return UNSUPPORTED_PATTERNS.some((pattern) => pattern.test(message));
+}
+
+/**
+ * Normalize a callTracer frame and its sub-calls
+ * @param {Object} frame - Raw callTracer frame
+ * @param {Object} [options] - Normalize options
+ * @param {'mainnet'|'testnet'} [options.network] - Network used to decode calldata
+ * @param {string} [options.id] - Tree position of this frame
+ * @param {number} [options.depth] - Depth of this frame
+ * @returns {CallFrame} Normalized frame
+ */
+export function normalizeCallFrame(frame, options = {}) {
+  const { network = "mainnet", id = "0", depth = 0 } = options;
+  const value = (toBigInt(frame.value || "0x0") ?? 0n).toString();
+  const to = frame.to ? frame.to.toLowerCase() : null;
+  const decoded = to && frame.input && frame.input.length >= 10
+    ? decodeCalldata(frame.input, { to, network, value })
+    : null;
+
+  return {
+    id,
+    depth,
+    type: frame.type || "CALL",
+    from: frame.from?.toLowerCase(),
+    to,
+    value,
+    hasValue: value !== "0",
+    gas: frame.gas ? parseInt(frame.gas, 16) : 0,
+    gasUsed: frame.gasUsed ? parseInt(frame.gasUsed, 16) : 0,
+    input: frame.input || "0x",
+    method: decoded?.name || null,
+    error: frame.error || null,
+    revertReason: frame.revertReason || null,
+    reverted: Boolean(frame.error),
+    calls: (frame.calls || []).map((call, index) =>
+      normalizeCallFrame(call, { network, id: `${id}.${index}`, depth: depth + 1 })
+    ),
+  };
+}
+
+/**
+ * Flatten a call tree depth-first
+ * @param {CallFrame|null} root - Top-level frame
+ * @returns {CallFrame[]} Every frame, parents before their sub-calls
+ */
+export function flattenCallTree(root) {
+  if (!root) return [];
+  return [root, ...root.calls.flatMap(flattenCallTree)];
+}
@@ -0,0 +1,44 @@
+import { describe, expect, it } from "vitest";
+import { RpcError } from "../network/RpcClient.js";
+import { isTraceUnsupportedError } from "./call-tracer.js";
+
+/**
+ * Build the error the RPC client throws for a failed trace
+ * @param {string} message - JSON-RPC error message
+ * @param {number} [code] - JSON-RPC error code
+ * @returns {RpcError}
+ */
+const traceError = (message, code = -32000) =>
+  new RpcError("debug_traceTransaction", { code, message });
+
+describe("isTraceUnsupportedError", () => {
+  it("recognizes method not found by its code", () => {
+    expect(isTraceUnsupportedError(traceError("whatever", -32601))).toBe(true);
+  });
+
+  it.each([
+    "the method debug_traceTransaction does not exist/is not available",
+    "Method not found",
+    "unsupported method: debug_traceTransaction",
+    "method not allowed",
+    "debug namespace is disabled",
+    "debug_traceTransaction is not enabled on this node",
+  ])("recognizes %s", (message) => {
+    expect(isTraceUnsupportedError(traceError(message))).toBe(true);
+  });
+
+  it.each([
+    "historical state not available",
+    "required historical state unavailable (reexec=128)",
+    "transaction not found",
+    "tracing not allowed for pending transactions",
+    "execution timeout",
+  ])("doesn't treat %s as unsupported", (message) => {
+    expect(isTraceUnsupportedError(traceError(message))).toBe(false);
+  });
+
+  it("handles errors without a message", () => {
+    expect(isTraceUnsupportedError(null)).toBe(false);
+    expect(isTraceUnsupportedError({})).toBe(false);
+  });
+});
@@ -0,0 +1,281 @@
+/**
+ * @fileoverview Chain identifiers - Recognizes hashes and addresses of every connected chain
+ * ZetaChain connects EVM chains, Bitcoin, Solana and TON, and CCTXs carry
+ * their senders, receivers and inbound hashes in each chain's native format.
+ * This module tells those formats apart, keeps case-sensitive ones intact and
+ * shortens them for display.
+ */
+
+import { sha256, toUtf8String } from "ethers";
+
+/**
+ * Chain families with their own identifier formats
+ * @enum {string}
+ */
+export const CHAIN_FAMILIES = {
+  EVM: "evm",
+  BITCOIN: "bitcoin",
+  SOLANA: "solana",
+  TON: "ton",
+};
+
+/**
+ * What an identifier points at (the search types that look it up)
+ * @enum {string}
+ */
+export const IDENTIFIER_TYPES = {
+  TRANSACTION: "txid",
+  ADDRESS: "address",
+};
+
+const BASE58_ALPHABET = "123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz";
+
+// Version bytes of base58 Bitcoin addresses: P2PKH and P2SH, mainnet and testnet
+const BITCOIN_BASE58_VERSIONS = [0x00, 0x05, 0x6f, 0xc4];
+
+// Flag bytes of user-friendly TON addresses: bounceable or not, mainnet or testnet
+const TON_ADDRESS_FLAGS = [0x11, 0x51, 0x91, 0xd1];
+
+const EVM_HASH_REGEX = /^0x[a-fA-F0-9]{64}$/;
+const EVM_ADDRESS_REGEX = /^(0x)?[a-fA-F0-9]{40}$/;
+const HEX_HASH_REGEX = /^[a-fA-F0-9]{64}$/;
+const BECH32_ADDRESS_REGEX = /^(bc|tb|bcrt)1[02-9ac-hj-np-z]{6,87}$/;
+const ZETACHAIN_BECH32_REGEX = /^zeta(valoper|valcons)?1[02-9ac-hj-np-z]{38,58}$/;
+const BASE58_REGEX = /^[1-9A-HJ-NP-Za-km-z]+$/;
+const TON_RAW_ADDRESS_REGEX = /^(0|-1):[a-fA-F0-9]{64}$/;
+const TON_FRIENDLY_ADDRESS_REGEX = /^[A-Za-z0-9_+/-]{48}$/;
+const TON_TX_ID_REGEX = /^\d+:[a-fA-F0-9]{64}$/; // "<logical time>:<hash>", as ZetaChain records TON inbounds
+
+/**
+ * @typedef {Object} ChainIdentifier
+ * @property {string} type - What the identifier points at, from IDENTIFIER_TYPES
+ * @property {string|null} family - Chain family from CHAIN_FAMILIES (null for bare 64-hex hashes, which any chain can use)
+ * @property {string} value - Identifier as it should be looked up
+ */
+
+/**
+ * Decode a base58 string
+ * @param {string} value - Base58 string
+ * @returns {Uint8Array|null} Bytes, or null when the string isn't base58
+ */
+export function decodeBase58(value) {
+  if (!value || !BASE58_REGEX.test(value)) return null;
+
+  let number = 0n;
+  for (const char of value) {
+    number = number * 58n + BigInt(BASE58_ALPHABET.indexOf(char));
+  }
+
+  const bytes = [];
+  while (number > 0n) {
+    bytes.unshift(Number(number % 256n));
+    number /= 256n;
+  }
+
+  // Each leading "1" is a leading zero byte
+  const leadingZeros = value.match(/^1*/)[0].length;
+  return Uint8Array.from([...new Array(leadingZeros).fill(0), ...bytes]);
+}
+
+/**
+ * Check whether a value is an EVM address (with or without 0x)
+ * @param {string} value
+ * @returns {boolean}
+ */
+export function isEvmAddress(value) {
+  return typeof value === "string" && EVM_ADDRESS_REGEX.test(value);
+}
+
+/**
+ * Check whether a value is a 0x-prefixed EVM transaction hash (or CCTX index)
+ * @param {string} value
+ * @returns {boolean}
+ */
+export function isEvmTxHash(value) {
+  return typeof value === "string" && EVM_HASH_REGEX.test(value);
+}
+
+/**
+ * Check whether a value is a Bitcoin address: bech32/bech32m (bc1, tb1,
+ * bcrt1) or base58 P2PKH/P2SH with a valid checksum
+ * @param {string} value
+ * @returns {boolean}
+ */
+export function isBitcoinAddress(value) {
+  if (typeof value !== "string") return false;
+  if (BECH32_ADDRESS_REGEX.test(value.toLowerCase()) && value === value.toLowerCase()) {
+    return true;
+  }
+
+  const bytes = decodeBase58(value);
+  if (!bytes || bytes.length !== 25 || !BITCOIN_BASE58_VERSIONS.includes(bytes[0])) {
+    return false;
+  }
+
+  const checksum = sha256(sha256(bytes.slice(0, 21))).slice(2, 10);
+  const expected = Array.from(bytes.slice(21), (byte) => byte.toString(16).padStart(2, "0")).join("");
+  return checksum === expected;
+}
+
+/**
+ * Check whether a value is a ZetaChain bech32 account or validator address
+ * (zeta1, zetavaloper1, zetavalcons1)
+ * @param {string} value
+ * @returns {boolean}
+ */
+export function isZetaChainBech32Address(value) {
+  return typeof value === "string" && ZETACHAIN_BECH32_REGEX.test(value.toLowerCase());
+}
+
+/**
+ * Check whether a value is a Solana public key (32 bytes, base58)
+ * @param {string} value
+ * @returns {boolean}
+ */
+export function isSolanaAddress(value) {
+  if (typeof value !== "string" || value.length < 32 || value.length > 44) return false;
+  return decodeBase58(value)?.length === 32;
+}
+
+/**
+ * Check whether a value is a Solana transaction signature (64 bytes, base58)
+ * @param {string} value
+ * @returns {boolean}
+ */
+export function isSolanaSignature(value) {
+  if (typeof value !== "string" || value.length < 64 || value.length > 88) return false;
+  return decodeBase58(value)?.length === 64;
+}
+
+/**
+ * Check whether a value is a TON address: raw ("0:<hex>") or user-friendly
+ * (48 characters of base64/base64url)
+ * @param {string} value
+ * @returns {boolean}
+ */
+export function isTonAddress(value) {
+  if (typeof value !== "string") return false;
+  if (TON_RAW_ADDRESS_REGEX.test(value)) return true;
+  if (!TON_FRIENDLY_ADDRESS_REGEX.test(value)) return false;
+
+  try {
+    const bytes = atob(value.replace(/-/g, "+").replace(/_/g, "/"));
+    return bytes.length === 36 && TON_ADDRESS_FLAGS.includes(bytes.charCodeAt(0) & 0xff);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Check whether a value is a TON transaction ID as ZetaChain records it
+ * ("<logical time>:<hash>")
+ * @param {string} value
+ * @returns {boolean}
+ */
+export function isTonTxId(value) {
+  return typeof value === "string" && TON_TX_ID_REGEX.test(value) && !TON_RAW_ADDRESS_REGEX.test(value);
+}
+
+/**
+ * Recognize a transaction hash or address of any connected chain
+ * @param {string} input - Hash or address
+ * @returns {ChainIdentifier|null} Identifier, or null when no format matches
+ */
+export function detectIdentifier(input) {
+  const value = typeof input === "string" ? input.trim() : "";
+  if (!value) return null;
+
+  if (isEvmTxHash(value)) {
+    return { type: IDENTIFIER_TYPES.TRANSACTION, family: CHAIN_FAMILIES.EVM, value };
+  }
+  // Bitcoin txids, TON hashes and unprefixed EVM hashes look the same
+  if (HEX_HASH_REGEX.test(value)) {
+    return { type: IDENTIFIER_TYPES.TRANSACTION, family: null, value };
+  }
+  if (isEvmAddress(value)) {
+    return { type: IDENTIFIER_TYPES.ADDRESS, family: CHAIN_FAMILIES.EVM, value };
+  }
+  if (isTonTxId(value)) {
+    return { type: IDENTIFIER_TYPES.TRANSACTION, family: CHAIN_FAMILIES.TON, value: value.toLowerCase() };
+  }
+  if (isTonAddress(value)) {
+    return { type: IDENTIFIER_TYPES.ADDRESS, family: CHAIN_FAMILIES.TON, value };
+  }
+  // ZetaChain's own bech32 addresses can also be valid base58; they aren't
+  // a connected chain's identifier, so they must not fall through to Solana
+  if (isZetaChainBech32Address(value)) {
+    return null;
+  }
+  if (isBitcoinAddress(value)) {
+    return { type: IDENTIFIER_TYPES.ADDRESS, family: CHAIN_FAMILIES.BITCOIN, value };
+  }
+  if (isSolanaSignature(value)) {
+    return { type: IDENTIFIER_TYPES.TRANSACTION, family: CHAIN_FAMILIES.SOLANA, value };
+  }
+  if (isSolanaAddress(value)) {
+    return { type: IDENTIFIER_TYPES.ADDRESS, family: CHAIN_FAMILIES.SOLANA, value };
+  }
+
+  return null;
+}
+
+/**
+ * Normalize an address for comparisons and graph node IDs. EVM and bech32 addresses
+ * are lowercased; base58 and base64 addresses are case-sensitive and kept as-is.
+ * @param {string} address - Address of any chain
+ * @returns {string} Normalized address
+ */
+export function normalizeAddress(address) {
+  if (typeof address !== "string") return address;
+  if (
+    isEvmAddress(address) ||
+    BECH32_ADDRESS_REGEX.test(address.toLowerCase()) ||
+    isZetaChainBech32Address(address)
+  ) {
+    return address.toLowerCase();
+  }
+  return address;
+}
+
+/**
+ * Shorten an address for labels, keeping its recognizable prefix
+ * ("0x", "bc1q", "zeta1", "0:") so chains stay distinguishable
+ * @param {string} address - Address of any chain
+ * @param {Object} [options] - Shorten options
+ * @param {number} [options.head] - Characters kept after the prefix
+ * @param {number} [options.tail] - Characters kept at the end
+ * @returns {string} Shortened address
+ */
+export function shortenAddress(address, options = {}) {
+  const { head = 4, tail = 3 } = options;
+  if (!address || typeof address !== "string") return "";
+
+  const prefix = address.match(/^(0x|(bc|tb|bcrt)1[qp]?|zeta(valoper)?1|-?\d+:)/i)?.[0] || "";
+  if (address.length <= prefix.length + head + tail + 3) return address;
+
+  return `${address.slice(0, prefix.length + head)}...${address.slice(-tail)}`;
+}
+
+/**
+ * Read an address a contract stored as bytes, as the gateway does for
+ * withdraw receivers on non-EVM chains (the address string's UTF-8 bytes)
+ * @param {string} hex - Bytes as 0x hex
+ * @returns {{address: string, family: string}|null} Address, or null when the bytes aren't one
+ */
+export function decodeAddressBytes(hex) {
+  if (typeof hex !== "string" || !/^0x([a-fA-F0-9]{2})+$/.test(hex)) return null;
+
+  if (hex.length === 42) {
+    return { address: hex.toLowerCase(), family: CHAIN_FAMILIES.EVM };
+  }
+
+  try {
+    const text = toUtf8String(hex);
+    const identifier = detectIdentifier(text);
+    return identifier?.type === IDENTIFIER_TYPES.ADDRESS && identifier.family !== CHAIN_FAMILIES.EVM
+      ? { address: identifier.value, family: identifier.family }
+      : null;
+  } catch {
+    return null;
+  }
+}
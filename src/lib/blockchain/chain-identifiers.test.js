@@ -0,0 +1,123 @@
+import { hexlify, toUtf8Bytes } from "ethers";
+import { describe, expect, it } from "vitest";
+import {
+  CHAIN_FAMILIES,
+  decodeAddressBytes,
+  detectIdentifier,
+  IDENTIFIER_TYPES,
+  isBitcoinAddress,
+  isSolanaAddress,
+  isZetaChainBech32Address,
+  normalizeAddress,
+  shortenAddress,
+} from "./chain-identifiers.js";
+
+const EVM_HASH = `0x${"ab".repeat(32)}`;
+const EVM_ADDRESS = "0x000000000000000000000000000000000000dEaD";
+const BTC_P2PKH = "1A1zP1eP5QGefi2DMPTfTL5SLmv7DivfNa";
+const BTC_P2SH = "3J98t1WpEZ73CNmQviecrnyiWrnqRhWNLy";
+const BTC_BECH32 = "bc1qar0srrr7xfkvy5l643lydnw9re59gtzzwf5mdq";
+const SOLANA_ADDRESS = "So11111111111111111111111111111111111111112";
+const SOLANA_SIGNATURE =
+  "5VERv8NMvzbJMEkV8xnrLkEaWRtSz9CosKDYjCJjBRnbJLgp8uirBgmQpjKhoR4tjF3ZpRzrFmBV6UjKdiSZkQUW";
+const TON_FRIENDLY = "EQDtFpEwcFAEcRe5mLVh2N6C0x-_hJEM7W61_JLnSF74p4q2";
+const TON_RAW = `0:${"ab".repeat(32)}`;
+// Also valid base58 that decodes to 32 bytes, i.e. looks like a Solana key
+const ZETA_ADDRESS = "zeta1qzz9wgzj3f4k5hzs8rn7qdyjvr7r6x5cn8v6dr";
+
+describe("detectIdentifier", () => {
+  it.each([
+    [EVM_HASH, IDENTIFIER_TYPES.TRANSACTION, CHAIN_FAMILIES.EVM],
+    ["ab".repeat(32), IDENTIFIER_TYPES.TRANSACTION, null],
+    [EVM_ADDRESS, IDENTIFIER_TYPES.ADDRESS, CHAIN_FAMILIES.EVM],
+    [BTC_P2PKH, IDENTIFIER_TYPES.ADDRESS, CHAIN_FAMILIES.BITCOIN],
+    [BTC_P2SH, IDENTIFIER_TYPES.ADDRESS, CHAIN_FAMILIES.BITCOIN],
+    [BTC_BECH32, IDENTIFIER_TYPES.ADDRESS, CHAIN_FAMILIES.BITCOIN],
+    [SOLANA_ADDRESS, IDENTIFIER_TYPES.ADDRESS, CHAIN_FAMILIES.SOLANA],
+    [SOLANA_SIGNATURE, IDENTIFIER_TYPES.TRANSACTION, CHAIN_FAMILIES.SOLANA],
+    [TON_FRIENDLY, IDENTIFIER_TYPES.ADDRESS, CHAIN_FAMILIES.TON],
+    [TON_RAW, IDENTIFIER_TYPES.ADDRESS, CHAIN_FAMILIES.TON],
+    [`123:${"ab".repeat(32)}`, IDENTIFIER_TYPES.TRANSACTION, CHAIN_FAMILIES.TON],
+  ])("recognizes %s", (value, type, family) => {
+    expect(detectIdentifier(value)).toEqual({ type, family, value });
+  });
+
+  it("trims input and lowercases TON transaction IDs", () => {
+    expect(detectIdentifier(`  123:${"AB".repeat(32)} `)?.value).toBe(`123:${"ab".repeat(32)}`);
+  });
+
+  it("keeps ZetaChain bech32 addresses out of Solana", () => {
+    expect(isSolanaAddress(ZETA_ADDRESS)).toBe(true);
+    expect(isZetaChainBech32Address(ZETA_ADDRESS)).toBe(true);
+    expect(detectIdentifier(ZETA_ADDRESS)).toBeNull();
+  });
+
+  it("rejects bad checksums and unknown formats", () => {
+    expect(detectIdentifier("1A1zP1eP5QGefi2DMPTfTL5SLmv7DivfNb")).toBeNull();
+    expect(detectIdentifier("hello")).toBeNull();
+    expect(detectIdentifier("")).toBeNull();
+    expect(detectIdentifier(null)).toBeNull();
+  });
+});
+
+describe("isBitcoinAddress", () => {
+  it("rejects mixed-case bech32", () => {
+    expect(isBitcoinAddress(BTC_BECH32.toUpperCase())).toBe(false);
+    expect(isBitcoinAddress("bc1qAr0srrr7xfkvy5l643lydnw9re59gtzzwf5mdq")).toBe(false);
+  });
+});
+
+describe("isZetaChainBech32Address", () => {
+  it("accepts account and validator prefixes", () => {
+    expect(isZetaChainBech32Address("zetavaloper1qzz9wgzj3f4k5hzs8rn7qdyjvr7r6x5cn8v6dr")).toBe(true);
+    expect(isZetaChainBech32Address("zeta1short")).toBe(false);
+    expect(isZetaChainBech32Address(BTC_BECH32)).toBe(false);
+  });
+});
+
+describe("normalizeAddress", () => {
+  it("lowercases EVM and bech32 addresses", () => {
+    expect(normalizeAddress(EVM_ADDRESS)).toBe(EVM_ADDRESS.toLowerCase());
+    expect(normalizeAddress(ZETA_ADDRESS.toUpperCase())).toBe(ZETA_ADDRESS);
+  });
+
+  it("keeps case-sensitive addresses intact", () => {
+    expect(normalizeAddress(SOLANA_ADDRESS)).toBe(SOLANA_ADDRESS);
+    expect(normalizeAddress(TON_FRIENDLY)).toBe(TON_FRIENDLY);
+    expect(normalizeAddress(BTC_P2PKH)).toBe(BTC_P2PKH);
+  });
+});
+
+describe("shortenAddress", () => {
+  it("keeps each chain's prefix", () => {
+    expect(shortenAddress(EVM_ADDRESS)).toBe("0x0000...EaD");
+    expect(shortenAddress(BTC_BECH32)).toBe("bc1qar0s...mdq");
+    expect(shortenAddress(ZETA_ADDRESS)).toBe("zeta1qzz9...6dr");
+    expect(shortenAddress(TON_RAW)).toBe("0:abab...bab");
+    expect(shortenAddress(SOLANA_ADDRESS, { head: 6, tail: 4 })).toBe("So1111...1112");
+  });
+
+  it("leaves short values alone", () => {
+    expect(shortenAddress("0x1234")).toBe("0x1234");
+    expect(shortenAddress(null)).toBe("");
+  });
+});
+
+describe("decodeAddressBytes", () => {
+  it("reads EVM addresses and non-EVM address strings", () => {
+    expect(decodeAddressBytes(EVM_ADDRESS)).toEqual({
+      address: EVM_ADDRESS.toLowerCase(),
+      family: CHAIN_FAMILIES.EVM,
+    });
+    expect(decodeAddressBytes(hexlify(toUtf8Bytes(BTC_BECH32)))).toEqual({
+      address: BTC_BECH32,
+      family: CHAIN_FAMILIES.BITCOIN,
+    });
+  });
+
+  it("returns null for anything else", () => {
+    expect(decodeAddressBytes(hexlify(toUtf8Bytes("hello")))).toBeNull();
+    expect(decodeAddressBytes(hexlify(toUtf8Bytes(ZETA_ADDRESS)))).toBeNull();
+    expect(decodeAddressBytes("0x123")).toBeNull();
+  });
+});
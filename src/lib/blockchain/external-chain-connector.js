@@ -0,0 +1,264 @@
+/**
+ * @fileoverview External chain connector - Fetches CCTX legs from the chains they ran on
+ * Looks up the inbound and outbound transactions of a CCTX on the connected
+ * chain itself and normalizes them into transactions the sidebar and graph can
+ * show next to the CCTX, with block time, confirmations and logs (outputs and
+ * memo for Bitcoin).
+ */
+
+import externalChainRegistry, { CHAIN_PROTOCOLS } from "../network/ExternalChainRegistry.js";
+import { decodeLogs } from "../decoding/event-decoder.js";
+import { toBigInt } from "./amount.js";
+
+/**
+ * @typedef {Object} ExternalChainData
+ * @property {string} chainName - Name of the chain
+ * @property {string} protocol - Protocol from CHAIN_PROTOCOLS
+ * @property {string} leg - Which leg of the CCTX this is ("inbound", "outbound" or "revert")
+ * @property {string|null} blockHash - Hash of the including block
+ * @property {boolean} confirmed - Whether the transaction has the chain's required confirmations
+ * @property {number} requiredConfirmations - Confirmations the chain needs
+ * @property {string|null} fee - Fee paid, in the chain's smallest unit
+ * @property {Array<{address: string|null, value: string}>} inputs - Bitcoin inputs
+ * @property {Array<{address: string|null, value: string, type: string}>} outputs - Bitcoin outputs
+ * @property {string|null} memo - Bitcoin OP_RETURN data (hex)
+ */
+
+/**
+ * @typedef {Object} ExternalTransaction
+ * A transaction on a connected chain, in the TransactionData shape with
+ * `type: "external"` and chain details under `externalData`
+ * @property {string} txHash - Transaction hash as the chain reports it
+ * @property {number|null} blockNumber - Block the transaction was included in (null while pending)
+ * @property {number|null} timestamp - Block time in milliseconds (null while pending)
+ * @property {number} confirmations - Blocks on top of the including block, counting it
+ * @property {string|null} from - Sender
+ * @property {string|null} to - Recipient
+ * @property {string} value - Amount moved, in the chain's smallest unit
+ * @property {'success'|'pending'|'failed'} status - Execution status
+ * @property {number} chainId - Chain ID
+ * @property {string} tokenSymbol - Native unit of the chain
+ * @property {import('../decoding/event-decoder.js').DecodedEvent[]} events - Decoded receipt logs (EVM)
+ * @property {ExternalChainData} externalData - Chain details
+ */
+
+/**
+ * Connector for the chains configured in the external chain registry
+ */
+export class ExternalChainConnector {
+  /**
+   * @param {import('../network/ExternalChainRegistry.js').ExternalChainRegistry} [registry] - Registry to send requests through
+   */
+  constructor(registry = externalChainRegistry) {
+    this.registry = registry;
+    this.nextId = 1;
+  }
+
+  /**
+   * Whether a chain can be looked up
+   * @param {number|undefined} chainId - Chain ID
+   * @returns {boolean}
+   */
+  supports(chainId) {
+    return this.registry.isEnabled() && Boolean(this.registry.getChain(chainId));
+  }
+
+  /**
+   * Fetch and normalize a transaction on a connected chain
+   * @param {number} chainId - Chain ID
+   * @param {string} hash - Transaction hash or Bitcoin txid
+   * @param {Object} [options] - Lookup options
+   * @param {string} [options.leg] - CCTX leg the transaction is
+   * @returns {Promise<ExternalTransaction|null>} Transaction, or null when the chain doesn't know it
+   */
+  async getTransaction(chainId, hash, options = {}) {
+    const chain = this.registry.getChain(chainId);
+    if (!chain) {
+      throw new Error(`No endpoints configured for chain ${chainId}`);
+    }
+
+    return chain.protocol === CHAIN_PROTOCOLS.ESPLORA
+      ? this.getBitcoinTransaction(chain, hash, options)
+      : this.getEVMTransaction(chain, hash, options);
+  }
+
+  /**
+   * Make a JSON-RPC call to an EVM chain
+   * @param {number} chainId - Chain ID
+   * @param {string} method - JSON-RPC method name
+   * @param {Array} [params] - JSON-RPC params
+   * @returns {Promise<*>} Call result
+   */
+  async callRPC(chainId, method, params = []) {
+    const response = await this.registry.fetch(chainId, "", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ jsonrpc: "2.0", id: this.nextId++, method, params }),
+    });
+
+    if (!response.ok) {
+      throw new Error(`Chain ${chainId} ${method} failed: ${response.status} ${response.statusText}`);
+    }
+
+    const data = await response.json();
+    if (data.error) {
+      throw new Error(`Chain ${chainId} ${method} failed: ${data.error.message}`);
+    }
+    return data.result;
+  }
+
+  /**
+   * GET a path from an Esplora API
+   * @param {number} chainId - Chain ID
+   * @param {string} path - Path under the API base URL
+   * @returns {Promise<Response|null>} Response, or null on 404
+   */
+  async getEsplora(chainId, path) {
+    const response = await this.registry.fetch(chainId, path);
+    if (response.status === 404 || response.status === 400) {
+      return null; // Esplora answers 400 for malformed and 404 for unknown txids
+    }
+    if (!response.ok) {
+      throw new Error(`Chain ${chainId} ${path} failed: ${response.status} ${response.statusText}`);
+    }
+    return response;
+  }
+
+  /**
+   * Fetch a transaction, its receipt and its block from an EVM chain
+   * @param {import('../network/ExternalChainRegistry.js').ExternalChainConfig} chain - Chain configuration
+   * @param {string} hash - Transaction hash
+   * @param {Object} options - Lookup options (see getTransaction)
+   * @returns {Promise<ExternalTransaction|null>} Transaction, or null when not found
+   */
+  async getEVMTransaction(chain, hash, { leg = null } = {}) {
+    const txHash = hash.startsWith("0x") ? hash : `0x${hash}`;
+    const [tx, receipt, head] = await Promise.all([
+      this.callRPC(chain.chainId, "eth_getTransactionByHash", [txHash]),
+      this.callRPC(chain.chainId, "eth_getTransactionReceipt", [txHash]),
+      this.callRPC(chain.chainId, "eth_blockNumber"),
+    ]);
+    if (!tx) return null;
+
+    const blockNumber = receipt?.blockNumber ? parseInt(receipt.blockNumber, 16) : null;
+    const block = blockNumber !== null
+      ? await this.callRPC(chain.chainId, "eth_getBlockByNumber", [receipt.blockNumber, false])
+      : null;
+    const confirmations = blockNumber !== null ? Math.max(parseInt(head, 16) - blockNumber + 1, 0) : 0;
+
+    const gasUsed = toBigInt(receipt?.gasUsed);
+    const gasPrice = toBigInt(receipt?.effectiveGasPrice ?? tx.gasPrice);
+
+    return {
+      txHash,
+      blockNumber,
+      timestamp: block?.timestamp ? parseInt(block.timestamp, 16) * 1000 : null,
+      confirmations,
+      from: tx.from?.toLowerCase() || null,
+      to: tx.to?.toLowerCase() || null,
+      value: (toBigInt(tx.value) ?? 0n).toString(),
+      gasUsed: gasUsed !== null ? gasUsed.toString() : null,
+      gasPrice: gasPrice !== null ? gasPrice.toString() : null,
+      status: !receipt ? "pending" : receipt.status === "0x1" ? "success" : "failed",
+      chainId: chain.chainId,
+      type: "external",
+      network: chain.network,
+      tokenSymbol: chain.symbol,
+      events: decodeLogs(receipt?.logs, { network: chain.network }),
+      externalData: {
+        chainName: chain.name,
+        protocol: chain.protocol,
+        leg,
+        blockHash: receipt?.blockHash || null,
+        confirmed: confirmations >= chain.confirmations,
+        requiredConfirmations: chain.confirmations,
+        fee: gasUsed !== null && gasPrice !== null ? (gasUsed * gasPrice).toString() : null,
+        inputs: [],
+        outputs: [],
+        memo: null,
+      },
+    };
+  }
+
+  /**
+   * Fetch a transaction from an Esplora API
+   * @param {import('../network/ExternalChainRegistry.js').ExternalChainConfig} chain - Chain configuration
+   * @param {string} hash - Transaction ID
+   * @param {Object} options - Lookup options (see getTransaction)
+   * @returns {Promise<ExternalTransaction|null>} Transaction, or null when not found
+   */
+  async getBitcoinTransaction(chain, hash, { leg = null } = {}) {
+    const txid = hash.replace(/^0x/, "").toLowerCase();
+    const [txResponse, tipResponse] = await Promise.all([
+      this.getEsplora(chain.chainId, `/tx/${txid}`),
+      this.getEsplora(chain.chainId, "/blocks/tip/height"),
+    ]);
+    if (!txResponse) return null;
+
+    const tx = await txResponse.json();
+    const tip = tipResponse ? parseInt(await tipResponse.text()) : null;
+    const blockNumber = tx.status?.confirmed ? tx.status.block_height : null;
+    const confirmations = blockNumber !== null && tip !== null ? Math.max(tip - blockNumber + 1, 0) : 0;
+
+    const inputs = (tx.vin || []).map((input) => ({
+      address: input.prevout?.scriptpubkey_address || null,
+      value: String(input.prevout?.value ?? 0),
+    }));
+    const outputs = (tx.vout || []).map((output) => ({
+      address: output.scriptpubkey_address || null,
+      value: String(output.value ?? 0),
+      type: output.scriptpubkey_type || "unknown",
+    }));
+    const memoOutput = (tx.vout || []).find((output) => output.scriptpubkey_type === "op_return");
+    // The first payment output is the deposit to the TSS address or the
+    // withdrawal to the recipient; change goes after it
+    const payment = outputs.find((output) => output.address);
+
+    return {
+      txHash: txid,
+      blockNumber,
+      timestamp: tx.status?.block_time ? tx.status.block_time * 1000 : null,
+      confirmations,
+      from: inputs[0]?.address || null,
+      to: payment?.address || null,
+      value: payment?.value || "0",
+      gasUsed: null,
+      gasPrice: null,
+      status: tx.status?.confirmed ? "success" : "pending",
+      chainId: chain.chainId,
+      type: "external",
+      network: chain.network,
+      tokenSymbol: chain.symbol,
+      events: [],
+      externalData: {
+        chainName: chain.name,
+        protocol: chain.protocol,
+        leg,
+        blockHash: tx.status?.block_hash || null,
+        confirmed: confirmations >= chain.confirmations,
+        requiredConfirmations: chain.confirmations,
+        fee: tx.fee !== undefined ? String(tx.fee) : null,
+        inputs,
+        outputs,
+        memo: memoOutput ? getOpReturnData(memoOutput.scriptpubkey) : null,
+      },
+    };
+  }
+}
+
+/**
+ * Strip OP_RETURN and the push opcode from an output script
+ * @param {string} script - Output script (hex)
+ * @returns {string} Pushed data as 0x hex
+ */
+function getOpReturnData(script) {
+  let data = script.slice(2); // OP_RETURN
+  const push = parseInt(data.slice(0, 2), 16);
+  if (push === 0x4c) data = data.slice(4); // OP_PUSHDATA1 <len>
+  else if (push === 0x4d) data = data.slice(6); // OP_PUSHDATA2 <len>
+  else if (push <= 0x4b) data = data.slice(2); // direct push
+  return `0x${data}`;
+}
+
+// Create singleton instance
+export const externalChainConnector = new ExternalChainConnector();
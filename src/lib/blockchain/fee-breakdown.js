@@ -0,0 +1,218 @@
+/**
+ * @fileoverview Fee breakdown - What a CCTX cost on every leg, in native units
+ * Inbound gas comes from the inbound's receipt on ZetaChain, or from the
+ * inbound transaction on a connected chain when that chain can be looked up
+ * (gas used x price on EVM chains, the transaction fee on Bitcoin); the
+ * protocol fee comes from the withdraw event (gas fee plus flat fee, in the
+ * destination's ZRC-20 gas token) or the CCTX's ZETA fees; outbound gas comes
+ * from each outbound attempt. Outbound gas is paid by the protocol out of the
+ * protocol fee, so the sender's total is inbound gas plus the protocol fee.
+ */
+
+import { findTokenByOrigin } from "./token-registry.js";
+import { multiplyAmounts, toBigInt } from "./amount.js";
+
+// ZetaChain's own gas unit
+const ZETA_UNIT = { symbol: "ZETA", decimals: 18 };
+
+// Events a withdraw emits with the fee it charged
+const WITHDRAW_EVENT_NAMES = ["Withdrawal", "Withdrawn", "WithdrawnAndCalled"];
+
+/**
+ * @typedef {Object} FeeUnit
+ * @property {string} symbol - Native unit, e.g. "ETH"
+ * @property {number} decimals - Decimals of the unit
+ */
+
+/**
+ * @typedef {Object} GasFee
+ * @property {number|undefined} chainId - Chain the gas was paid on
+ * @property {string|null} gasLimit - Gas limit
+ * @property {string|null} gasPrice - Gas price in the smallest unit
+ * @property {string|null} gasUsed - Gas used
+ * @property {string|null} fee - gasUsed x effective price, in the smallest unit (null when unknown)
+ * @property {FeeUnit} unit - Unit of the fee
+ */
+
+/**
+ * @typedef {Object} FeeBreakdown
+ * @property {GasFee|null} inbound - Gas the sender paid on the source chain (null when not observable)
+ * @property {Object|null} protocol - Fee ZetaChain charged: { gasFee, protocolFlatFee, amount, unit }
+ * @property {Array<GasFee & {kind: string}>} outbounds - Gas of each outbound attempt (paid by the protocol)
+ * @property {string} amountSent - Inbound amount
+ * @property {string} amountReceived - Amount of the first outbound
+ * @property {string} deducted - Sent minus received ("0" when nothing was withheld)
+ * @property {Array<FeeUnit & {amount: string}>} totals - Sender's total cost per unit
+ */
+
+/**
+ * Get the native unit of a chain from its ZRC-20 gas token
+ * @param {number|undefined} chainId - Chain ID
+ * @param {number} zetaChainId - ZetaChain's chain ID on this network
+ * @param {Array<Object>} tokens - ZRC-20 registry tokens
+ * @returns {FeeUnit} Unit ("ETH.ETH" is reported as "ETH")
+ */
+export function getNativeUnit(chainId, zetaChainId, tokens) {
+  if (chainId === zetaChainId) return ZETA_UNIT;
+
+  const gasToken = findTokenByOrigin(tokens, chainId);
+  return gasToken
+    ? { symbol: gasToken.symbol.split(".")[0], decimals: gasToken.decimals }
+    : { symbol: "native", decimals: 18 };
+}
+
+/**
+ * Get the fee a withdraw charged from the inbound's decoded events
+ * @param {Array<Object>} events - Decoded events of the inbound zEVM transaction
+ * @returns {{gasFee: string, protocolFlatFee: string}|null} Fee, or null when no withdraw event is found
+ */
+export function getWithdrawFee(events = []) {
+  const withdraw = events.find((event) =>
+    event.decoded &&
+    WITHDRAW_EVENT_NAMES.includes(event.name) &&
+    event.args.some((arg) => arg.name === "protocolFlatFee")
+  );
+  if (!withdraw) return null;
+
+  const arg = (name) => withdraw.args.find((candidate) => candidate.name === name)?.value;
+  return {
+    gasFee: String(arg("gasfee") ?? arg("gasFee") ?? "0"),
+    protocolFlatFee: String(arg("protocolFlatFee") ?? "0"),
+  };
+}
+
+/**
+ * Build a gas fee entry
+ * @param {Object} fields - chainId, gasLimit, gasPrice, gasUsed, effectiveGasPrice, and
+ *   fee when the chain reports it directly rather than as gas x price
+ * @param {FeeUnit} unit - Unit of the fee
+ * @returns {GasFee} Gas fee
+ */
+function toGasFee({ chainId, gasLimit, gasPrice, gasUsed, effectiveGasPrice, fee: paidFee }, unit) {
+  const price = effectiveGasPrice && effectiveGasPrice !== "0" ? effectiveGasPrice : gasPrice;
+  const fee = gasUsed && price ? multiplyAmounts(gasUsed, price) : toBigInt(paidFee);
+
+  return {
+    chainId,
+    gasLimit: gasLimit ?? null,
+    gasPrice: price ?? null,
+    gasUsed: gasUsed ?? null,
+    fee: fee === null || fee === undefined ? null : fee.toString(),
+    unit,
+  };
+}
+
+/**
+ * Get the gas the sender paid for the inbound
+ * @param {Object|null} inboundReceipt - Receipt of the inbound, when it ran on ZetaChain
+ * @param {Object|null} inboundTransaction - Inbound looked up on its connected chain (see ExternalChainConnector)
+ * @param {number|undefined} sourceChain - Source chain ID
+ * @param {FeeUnit} unit - Native unit of the source chain
+ * @returns {GasFee|null} Gas fee, or null when the inbound couldn't be looked up
+ */
+function getInboundGas(inboundReceipt, inboundTransaction, sourceChain, unit) {
+  if (inboundReceipt) {
+    return toGasFee(
+      {
+        chainId: sourceChain,
+        gasUsed: toBigInt(inboundReceipt.gasUsed)?.toString(),
+        effectiveGasPrice: toBigInt(inboundReceipt.effectiveGasPrice)?.toString(),
+      },
+      unit
+    );
+  }
+
+  if (inboundTransaction) {
+    const gas = toGasFee(
+      {
+        chainId: sourceChain,
+        gasUsed: inboundTransaction.gasUsed,
+        gasPrice: inboundTransaction.gasPrice,
+        fee: inboundTransaction.externalData?.fee,
+      },
+      unit
+    );
+    return gas.fee === null ? null : gas;
+  }
+
+  return null;
+}
+
+/**
+ * Build the fee breakdown of a CCTX
+ * @param {Object} params - Inputs gathered by the service
+ * @param {Object} params.cctx - Raw CCTX
+ * @param {Object} params.inboundParams - Raw inbound params
+ * @param {number|undefined} params.sourceChain - Source chain ID
+ * @param {number|undefined} params.destinationChain - Destination chain ID
+ * @param {Array<Object>} params.outbounds - Normalized outbound attempts
+ * @param {number} params.zetaChainId - ZetaChain's chain ID on this network
+ * @param {Array<Object>} params.tokens - ZRC-20 registry tokens
+ * @param {Object|null} [params.inboundReceipt] - Receipt of the inbound, when it ran on ZetaChain
+ * @param {Array<Object>} [params.inboundEvents] - Decoded events of that receipt
+ * @param {Object|null} [params.inboundTransaction] - Inbound looked up on its connected chain, when it ran there
+ * @returns {FeeBreakdown} Fee breakdown
+ */
+export function buildFeeBreakdown({
+  cctx,
+  inboundParams,
+  sourceChain,
+  destinationChain,
+  outbounds,
+  zetaChainId,
+  tokens,
+  inboundReceipt = null,
+  inboundEvents = [],
+  inboundTransaction = null,
+}) {
+  const unitOf = (chainId) => getNativeUnit(chainId, zetaChainId, tokens);
+
+  const inbound = getInboundGas(inboundReceipt, inboundTransaction, sourceChain, unitOf(sourceChain));
+
+  let protocol = null;
+  const withdrawFee = getWithdrawFee(inboundEvents);
+  if (withdrawFee) {
+    // Withdraw fees are paid in the destination chain's gas ZRC-20
+    protocol = {
+      ...withdrawFee,
+      amount: (BigInt(withdrawFee.gasFee) + BigInt(withdrawFee.protocolFlatFee)).toString(),
+      unit: unitOf(destinationChain),
+    };
+  } else if (toBigInt(cctx.zeta_fees) > 0n) {
+    protocol = {
+      gasFee: String(cctx.zeta_fees),
+      protocolFlatFee: "0",
+      amount: String(cctx.zeta_fees),
+      unit: ZETA_UNIT,
+    };
+  }
+
+  const outboundFees = outbounds.map((attempt) => ({
+    kind: attempt.kind,
+    ...toGasFee(attempt, unitOf(attempt.chainId)),
+  }));
+
+  // Costs in different units can't be added up; total each unit separately
+  const totals = new Map();
+  const add = (amount, unit) => {
+    if (amount === null || amount === undefined) return;
+    const current = totals.get(unit.symbol) || { ...unit, amount: 0n };
+    totals.set(unit.symbol, { ...current, amount: current.amount + BigInt(amount) });
+  };
+
+  add(inbound?.fee, inbound?.unit);
+  add(protocol?.amount, protocol?.unit);
+
+  const amountSent = toBigInt(inboundParams.amount) ?? 0n;
+  const amountReceived = toBigInt(outbounds[0]?.amount) ?? 0n;
+
+  return {
+    inbound,
+    protocol,
+    outbounds: outboundFees,
+    amountSent: amountSent.toString(),
+    amountReceived: amountReceived.toString(),
+    deducted: (amountSent > amountReceived ? amountSent - amountReceived : 0n).toString(),
+    totals: [...totals.values()].map((total) => ({ ...total, amount: total.amount.toString() })),
+  };
+}
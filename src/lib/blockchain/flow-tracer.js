@@ -0,0 +1,278 @@
+/**
+ * @fileoverview Flow tracer - Follows omnichain flows across CCTXs and zEVM transactions
+ * Walks backward to the originating inbound and forward through outbound zEVM
+ * transactions and the CCTXs they spawn, producing one connected flow
+ */
+
+import { getZetaChainService, OUTBOUND_KINDS } from "./zetachain-service.js";
+import { COSMOS_MSG_KINDS } from "../decoding/cosmos-decoder.js";
+
+/**
+ * How a flow step relates to its parent step
+ * @enum {string}
+ */
+export const FLOW_RELATIONS = {
+  OUTBOUND: "outbound", // zEVM transaction a CCTX executed as its outbound
+  SPAWNED: "spawned", // CCTX created by a zEVM transaction
+  REVERT: "revert", // zEVM transaction a CCTX executed as its revert
+  VOTED: "voted", // CCTX an observer vote in a Cosmos transaction was cast on
+  REFERENCED: "referenced", // CCTX another Cosmos message acted on (trackers, aborts, refunds)
+};
+
+// Cosmos message kinds whose CCTX links are votes
+const VOTE_KINDS = [COSMOS_MSG_KINDS.INBOUND_VOTE, COSMOS_MSG_KINDS.OUTBOUND_VOTE];
+
+// Limits that keep a runaway flow (or a busy contract) from fanning out forever
+const FLOW_TRACE_CONFIG = {
+  maxDepth: 10,
+  maxTransactions: 50,
+};
+
+/**
+ * @typedef {Object} FlowStep
+ * @property {string|null} parentTxHash - Hash of the step this one follows from
+ * @property {string|null} relation - Relation to the parent from FLOW_RELATIONS
+ * @property {number} depth - Distance from the flow root
+ */
+
+/**
+ * @typedef {Object} FlowTrace
+ * @property {string[]} rootTxHashes - Hashes the flow starts from
+ * @property {Array<Object>} transactions - Normalized transactions, each with a `flow` FlowStep
+ * @property {boolean} truncated - Whether the trace hit the depth or size limit
+ */
+
+/**
+ * Flow tracer for a single network
+ */
+export class FlowTracer {
+  /**
+   * @param {'mainnet'|'testnet'} network - Network to trace on
+   */
+  constructor(network) {
+    this.network = network;
+    this.service = getZetaChainService(network);
+  }
+
+  /**
+   * Trace the full flow a hash belongs to
+   * @param {string} hash - zEVM transaction hash, CCTX index or inbound hash
+   * @param {Object} [options] - Trace options
+   * @param {number} [options.maxDepth] - Maximum hops to follow in either direction
+   * @param {number} [options.maxTransactions] - Maximum transactions in the flow
+   * @returns {Promise<FlowTrace>} Connected flow
+   */
+  async trace(hash, options = {}) {
+    const {
+      maxDepth = FLOW_TRACE_CONFIG.maxDepth,
+      maxTransactions = FLOW_TRACE_CONFIG.maxTransactions,
+    } = options;
+
+    const start = await this.service.findTransactionsByHash(hash);
+    return this.traceFrom(start, { maxDepth, maxTransactions });
+  }
+
+  /**
+   * Trace the flow around already normalized transactions
+   * @param {Array<Object>} start - Normalized transactions to start from
+   * @param {Object} [options] - Trace options (see trace)
+   * @returns {Promise<FlowTrace>} Connected flow
+   */
+  async traceFrom(start, options = {}) {
+    const {
+      maxDepth = FLOW_TRACE_CONFIG.maxDepth,
+      maxTransactions = FLOW_TRACE_CONFIG.maxTransactions,
+    } = options;
+
+    // Walk each starting point back to where its flow began
+    const roots = [];
+    for (const tx of start) {
+      const root = await this.findOrigin(tx, maxDepth);
+      if (!roots.some((existing) => existing.txHash === root.txHash)) {
+        roots.push(root);
+      }
+    }
+
+    // Then walk forward breadth-first so every branch of the flow is included
+    const visited = new Map();
+    const queue = roots.map((tx) => ({
+      tx,
+      flow: { parentTxHash: null, relation: null, depth: 0 },
+    }));
+    let truncated = false;
+
+    while (queue.length) {
+      const { tx, flow } = queue.shift();
+      if (visited.has(tx.txHash)) continue;
+
+      if (visited.size >= maxTransactions) {
+        truncated = true;
+        break;
+      }
+      visited.set(tx.txHash, { ...tx, flow });
+
+      if (flow.depth >= maxDepth) {
+        truncated = true;
+        continue;
+      }
+
+      const children = await this.getChildren(tx);
+      children.forEach(({ tx: child, relation }) => {
+        if (!visited.has(child.txHash)) {
+          queue.push({
+            tx: child,
+            flow: { parentTxHash: tx.txHash, relation, depth: flow.depth + 1 },
+          });
+        }
+      });
+    }
+
+    return {
+      rootTxHashes: roots.map((tx) => tx.txHash),
+      transactions: Array.from(visited.values()),
+      truncated,
+    };
+  }
+
+  /**
+   * Walk backward from a transaction to the first step of its flow
+   * @param {Object} tx - Normalized transaction
+   * @param {number} maxDepth - Maximum hops to walk back
+   * @returns {Promise<Object>} Root transaction
+   */
+  async findOrigin(tx, maxDepth) {
+    let current = tx;
+    const seen = new Set([tx.txHash]);
+
+    for (let depth = 0; depth < maxDepth; depth++) {
+      const parent = await this.getParent(current);
+      if (!parent || seen.has(parent.txHash)) break;
+      seen.add(parent.txHash);
+      current = parent;
+    }
+
+    return current;
+  }
+
+  /**
+   * Get the step a transaction follows from
+   * @param {Object} tx - Normalized transaction
+   * @returns {Promise<Object|null>} Parent transaction, or null at the start of the flow
+   */
+  async getParent(tx) {
+    // Cosmos transactions start their own flow: the votes lead to the CCTX
+    if (tx.type === "cosmos") return null;
+
+    try {
+      if (tx.type === "cross-chain") {
+        // CCTXs started on zEVM point back at the transaction that created them;
+        // external inbounds are the start of the flow
+        const inboundHash = tx.crossChainData?.inboundTxHash;
+        if (tx.crossChainData?.sourceChain === this.getZetaChainId() && inboundHash) {
+          return await this.service.getTransaction(inboundHash);
+        }
+        return null;
+      }
+
+      return await this.service.getCrossChainTransactionByOutboundHash(tx.txHash);
+    } catch (error) {
+      console.warn(`Flow trace: no parent for ${tx.txHash}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Get the steps a transaction leads to
+   * @param {Object} tx - Normalized transaction
+   * @returns {Promise<Array<{tx: Object, relation: string}>>} Child transactions
+   */
+  async getChildren(tx) {
+    try {
+      if (tx.type === "cross-chain") {
+        // Outbounds and reverts to zEVM executed as zEVM transactions we can keep following
+        const zetaAttempts = (tx.crossChainData?.outbounds || []).filter(
+          (attempt) => attempt.chainId === this.getZetaChainId() && attempt.hash
+        );
+        const children = await Promise.all(
+          zetaAttempts.map(async (attempt) => ({
+            tx: await this.service.getTransaction(attempt.hash),
+            relation: attempt.kind === OUTBOUND_KINDS.REVERT
+              ? FLOW_RELATIONS.REVERT
+              : FLOW_RELATIONS.OUTBOUND,
+          }))
+        );
+        return children.filter((child) => child.tx);
+      }
+
+      if (tx.type === "cosmos") {
+        return await this.getCosmosChildren(tx);
+      }
+
+      const spawned = await this.service.getCrossChainTransactionsByInboundHash(tx.txHash);
+      return spawned.map((cctx) => ({ tx: cctx, relation: FLOW_RELATIONS.SPAWNED }));
+    } catch (error) {
+      console.warn(`Flow trace: no children for ${tx.txHash}:`, error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Get the CCTXs a Cosmos transaction's messages voted on or acted on,
+   * by CCTX index or by the inbound hash that created them
+   * @param {Object} tx - Normalized Cosmos transaction
+   * @returns {Promise<Array<{tx: Object, relation: string}>>} Referenced CCTXs
+   */
+  async getCosmosChildren(tx) {
+    const { messages, cctxIndexes, inbounds } = tx.cosmosData;
+    const relationOf = (matches) =>
+      messages.some((message) => matches(message) && !VOTE_KINDS.includes(message.kind))
+        ? FLOW_RELATIONS.REFERENCED
+        : FLOW_RELATIONS.VOTED;
+
+    const [byIndex, byInbound] = await Promise.all([
+      Promise.all(
+        cctxIndexes.map(async (index) => ({
+          tx: await this.service.getCrossChainTransaction(index).catch(() => null),
+          relation: relationOf((message) => message.cctxIndex === index),
+        }))
+      ),
+      Promise.all(
+        inbounds.map(async (inbound) => {
+          const cctxs = await this.service
+            .getCrossChainTransactionsByInboundHash(inbound.hash)
+            .catch(() => []);
+          const relation = relationOf((message) => message.inbound?.hash === inbound.hash);
+          return cctxs.map((cctx) => ({ tx: cctx, relation }));
+        })
+      ),
+    ]);
+
+    return [...byIndex, ...byInbound.flat()].filter(
+      (child, index, all) =>
+        child.tx && all.findIndex((other) => other.tx?.txHash === child.tx.txHash) === index
+    );
+  }
+
+  /**
+   * Get the ZetaChain chain ID for this tracer's network
+   * @returns {number} Chain ID
+   */
+  getZetaChainId() {
+    return this.service.getNetworkInfo().chainId;
+  }
+}
+
+/**
+ * Create and export tracer instances for both networks
+ */
+export const flowTracerMainnet = new FlowTracer("mainnet");
+export const flowTracerTestnet = new FlowTracer("testnet");
+
+/**
+ * Get flow tracer instance for network type
+ * @param {'mainnet'|'testnet'} network - Network type
+ * @returns {FlowTracer} Flow tracer instance
+ */
+export function getFlowTracer(network) {
+  return network === "mainnet" ? flowTracerMainnet : flowTracerTestnet;
+}
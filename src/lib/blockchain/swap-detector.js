@@ -0,0 +1,118 @@
+/**
+ * @fileoverview Swap detector - Reconstructs swaps from Uniswap V2/V3 Swap events
+ * Every Swap log is one hop through a pool. Which side went in and which came
+ * out is read from the event's amounts; the service maps sides to tokens with
+ * the pool's on-chain token0/token1 and then summarizes the route here.
+ */
+
+import { EVENT_KINDS, getEventArg } from "../decoding/event-decoder.js";
+import { toBigInt } from "./amount.js";
+
+/**
+ * Pool protocols a Swap event can come from
+ * @enum {string}
+ */
+export const SWAP_PROTOCOLS = {
+  UNISWAP_V2: "Uniswap V2",
+  UNISWAP_V3: "Uniswap V3",
+};
+
+/**
+ * @typedef {Object} SwapHopEvent
+ * @property {string} pool - Pool address (lowercase)
+ * @property {string} protocol - Protocol from SWAP_PROTOCOLS
+ * @property {number} logIndex - Log index of the Swap event
+ * @property {boolean} zeroForOne - Whether token0 went in and token1 came out
+ * @property {string} amountIn - Raw amount paid into the pool
+ * @property {string} amountOut - Raw amount paid out of the pool
+ * @property {string|null} recipient - Who received the output
+ */
+
+/**
+ * Read a hop from a decoded Swap event
+ * @param {import('../decoding/event-decoder.js').DecodedEvent} event - Decoded event
+ * @returns {SwapHopEvent|null} Hop, or null when the event isn't a V2/V3 Swap
+ */
+export function getSwapHop(event) {
+  if (!event.decoded || event.kind !== EVENT_KINDS.SWAP) return null;
+
+  const base = {
+    pool: event.address.toLowerCase(),
+    logIndex: event.logIndex,
+  };
+
+  // V3: signed pool balance deltas, positive = paid into the pool
+  if (getEventArg(event, "amount0") !== undefined) {
+    const delta0 = toBigInt(getEventArg(event, "amount0"));
+    const delta1 = toBigInt(getEventArg(event, "amount1"));
+    if (delta0 === null || delta1 === null) return null;
+
+    const zeroForOne = delta0 > 0n;
+    return {
+      ...base,
+      protocol: SWAP_PROTOCOLS.UNISWAP_V3,
+      zeroForOne,
+      amountIn: (zeroForOne ? delta0 : delta1).toString(),
+      amountOut: (zeroForOne ? -delta1 : -delta0).toString(),
+      recipient: getEventArg(event, "recipient") ?? null,
+    };
+  }
+
+  // V2: unsigned in/out amounts per side; a flash swap can both take and pay
+  // the same token, so net them out
+  const [in0, in1, out0, out1] = ["amount0In", "amount1In", "amount0Out", "amount1Out"].map(
+    (name) => toBigInt(getEventArg(event, name))
+  );
+  if ([in0, in1, out0, out1].some((amount) => amount === null)) return null;
+
+  const zeroForOne = in0 - out0 > 0n;
+  return {
+    ...base,
+    protocol: SWAP_PROTOCOLS.UNISWAP_V2,
+    zeroForOne,
+    amountIn: (zeroForOne ? in0 - out0 : in1 - out1).toString(),
+    amountOut: (zeroForOne ? out1 - in1 : out0 - in0).toString(),
+    recipient: getEventArg(event, "to") ?? null,
+  };
+}
+
+/**
+ * Read every swap hop of a transaction, in execution order
+ * @param {import('../decoding/event-decoder.js').DecodedEvent[]} events - Decoded receipt events
+ * @returns {SwapHopEvent[]} Hops ordered by log index
+ */
+export function getSwapHops(events) {
+  if (!Array.isArray(events)) return [];
+
+  return events
+    .map(getSwapHop)
+    .filter(Boolean)
+    .sort((a, b) => a.logIndex - b.logIndex);
+}
+
+/**
+ * Find the tokens a route starts and ends with, and the raw amounts that
+ * entered and left it. Intermediate tokens (output of one hop, input of
+ * another) cancel out, so multi-hop and split routes reduce to one pair.
+ * @param {Array<{tokenIn: Object, tokenOut: Object, amountIn: string, amountOut: string}>} hops - Hops with resolved tokens
+ * @returns {{tokenIn: Object, tokenOut: Object, amountIn: bigint, amountOut: bigint}} Route endpoints
+ */
+export function getRouteEndpoints(hops) {
+  const key = (token) => token.address || token.symbol;
+  const produced = new Set(hops.map((hop) => key(hop.tokenOut)));
+  const consumed = new Set(hops.map((hop) => key(hop.tokenIn)));
+
+  // A cyclic route (arbitrage) has no outside token; fall back to first and last hop
+  const entry = hops.find((hop) => !produced.has(key(hop.tokenIn))) || hops[0];
+  const exit = [...hops].reverse().find((hop) => !consumed.has(key(hop.tokenOut))) || hops[hops.length - 1];
+
+  const sum = (selected, field) =>
+    selected.reduce((total, hop) => total + BigInt(hop[field]), 0n);
+
+  return {
+    tokenIn: entry.tokenIn,
+    tokenOut: exit.tokenOut,
+    amountIn: sum(hops.filter((hop) => key(hop.tokenIn) === key(entry.tokenIn)), "amountIn"),
+    amountOut: sum(hops.filter((hop) => key(hop.tokenOut) === key(exit.tokenOut)), "amountOut"),
+  };
+}
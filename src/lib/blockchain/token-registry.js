@@ -0,0 +1,198 @@
+/**
+ * @fileoverview ZRC-20 token registry - Tokens from the fungible module's foreign coins
+ * Maps every ZRC-20 on zEVM to the chain and asset it represents, so transfers
+ * can be labeled with where their asset came from
+ */
+
+import { normalizeAddress } from "./chain-identifiers.js";
+import { ZetaChainAPI } from "./zetachain-api.js";
+
+/**
+ * Foreign coin types, as reported by the fungible module
+ * @enum {string}
+ */
+export const COIN_TYPES = {
+  ZETA: "Zeta",
+  GAS: "Gas",
+  ERC20: "ERC20",
+  CMD: "Cmd",
+  NO_ASSET_CALL: "NoAssetCall",
+};
+
+// Numeric CoinType values from the protobuf, for endpoints that don't
+// render enums as strings
+const COIN_TYPE_CODES = {
+  0: COIN_TYPES.ZETA,
+  1: COIN_TYPES.GAS,
+  2: COIN_TYPES.ERC20,
+  3: COIN_TYPES.CMD,
+  4: COIN_TYPES.NO_ASSET_CALL,
+};
+
+// Foreign coins only change through governance, so a long TTL is fine
+const TOKEN_REGISTRY_CONFIG = {
+  ttl: 30 * 60 * 1000, // 30 minutes
+  maxPages: 20,
+};
+
+/**
+ * @typedef {Object} ZRC20Token
+ * @property {string} address - ZRC-20 contract address on zEVM (lowercase)
+ * @property {string} name - Token name
+ * @property {string} symbol - Token symbol, e.g. "USDC.ETH"
+ * @property {number} decimals - Token decimals
+ * @property {number} chainId - Chain ID the asset comes from
+ * @property {string} asset - Asset address on the origin chain, hex and bech32 lowercased ('' for gas tokens)
+ * @property {string} coinType - Coin type from COIN_TYPES
+ * @property {boolean} paused - Whether the token is paused
+ */
+
+/**
+ * Normalize a coin type that may be a name or a protobuf number
+ * @param {string|number} coinType - Raw coin type
+ * @returns {string} Coin type from COIN_TYPES
+ */
+export function normalizeCoinType(coinType) {
+  if (COIN_TYPE_CODES[coinType]) return COIN_TYPE_CODES[coinType];
+  return Object.values(COIN_TYPES).find((type) => type === coinType) || String(coinType);
+}
+
+/**
+ * Find a token by its ZRC-20 address
+ * @param {ZRC20Token[]} tokens - Registry tokens
+ * @param {string} address - ZRC-20 contract address
+ * @returns {ZRC20Token|null} Token, or null if the address isn't a ZRC-20
+ */
+export function findTokenByAddress(tokens, address) {
+  if (!tokens || !address) return null;
+  const target = address.toLowerCase();
+  return tokens.find((token) => token.address === target) || null;
+}
+
+/**
+ * Find the ZRC-20 representing an asset on its origin chain
+ * @param {ZRC20Token[]} tokens - Registry tokens
+ * @param {number|string} chainId - Origin chain ID
+ * @param {string} [asset] - Origin asset address ('' or omitted for the gas token)
+ * @returns {ZRC20Token|null} Token, or null if the asset has no ZRC-20
+ */
+export function findTokenByOrigin(tokens, chainId, asset = "") {
+  if (!tokens || !chainId) return null;
+  const target = normalizeAddress(asset || "");
+
+  return (
+    tokens.find((token) =>
+      token.chainId === Number(chainId) &&
+      (target ? token.asset === target : token.coinType === COIN_TYPES.GAS)
+    ) || null
+  );
+}
+
+/**
+ * ZRC-20 token registry for a single network
+ */
+export class TokenRegistry {
+  /**
+   * @param {'mainnet'|'testnet'} network - Network to load tokens for
+   */
+  constructor(network) {
+    this.network = network;
+    this.api = new ZetaChainAPI();
+    this.tokens = null; // { promise, timestamp }
+  }
+
+  /**
+   * Get every ZRC-20 token, loading the foreign coins list when the cache is stale
+   * @returns {Promise<ZRC20Token[]>} Tokens
+   */
+  async getTokens() {
+    if (this.tokens && Date.now() - this.tokens.timestamp < TOKEN_REGISTRY_CONFIG.ttl) {
+      return this.tokens.promise;
+    }
+
+    const promise = this.load();
+    this.tokens = { promise, timestamp: Date.now() };
+
+    // Don't cache a failed load; the next caller retries
+    promise.catch(() => {
+      if (this.tokens?.promise === promise) {
+        this.tokens = null;
+      }
+    });
+
+    return promise;
+  }
+
+  /**
+   * Load every page of foreign coins from the fungible module
+   * @returns {Promise<ZRC20Token[]>} Tokens
+   */
+  async load() {
+    const isMainnet = this.network === "mainnet";
+    const tokens = [];
+    let nextKey = null;
+
+    for (let page = 0; page < TOKEN_REGISTRY_CONFIG.maxPages; page++) {
+      const data = await this.api.getForeignCoins(isMainnet, nextKey);
+      const coins = data.foreignCoins || data.foreign_coins || [];
+      tokens.push(...coins.map((coin) => this.normalizeForeignCoin(coin)));
+
+      nextKey = data.pagination?.next_key;
+      if (!nextKey) break;
+    }
+
+    return tokens.filter((token) => token.address);
+  }
+
+  /**
+   * Normalize a foreign coin entry
+   * @param {Object} coin - Raw foreign coin
+   * @returns {ZRC20Token} Token
+   */
+  normalizeForeignCoin(coin) {
+    return {
+      address: (coin.zrc20_contract_address || "").toLowerCase(),
+      name: coin.name || "",
+      symbol: coin.symbol || "",
+      decimals: Number(coin.decimals ?? 18),
+      chainId: Number(coin.foreign_chain_id),
+      asset: normalizeAddress(coin.asset || ""),
+      coinType: normalizeCoinType(coin.coin_type),
+      paused: Boolean(coin.paused),
+    };
+  }
+
+  /**
+   * Get a token by its ZRC-20 address
+   * @param {string} address - ZRC-20 contract address
+   * @returns {Promise<ZRC20Token|null>} Token, or null if the address isn't a ZRC-20
+   */
+  async getToken(address) {
+    return findTokenByAddress(await this.getTokens(), address);
+  }
+
+  /**
+   * Get the ZRC-20 representing an asset on its origin chain
+   * @param {number|string} chainId - Origin chain ID
+   * @param {string} [asset] - Origin asset address ('' for the gas token)
+   * @returns {Promise<ZRC20Token|null>} Token
+   */
+  async getTokenByOrigin(chainId, asset) {
+    return findTokenByOrigin(await this.getTokens(), chainId, asset);
+  }
+}
+
+/**
+ * Create and export registry instances for both networks
+ */
+export const tokenRegistryMainnet = new TokenRegistry("mainnet");
+export const tokenRegistryTestnet = new TokenRegistry("testnet");
+
+/**
+ * Get token registry instance for network type
+ * @param {'mainnet'|'testnet'} network - Network type
+ * @returns {TokenRegistry} Token registry instance
+ */
+export function getTokenRegistry(network) {
+  return network === "mainnet" ? tokenRegistryMainnet : tokenRegistryTestnet;
+}
@@ -0,0 +1,62 @@
+import { describe, expect, it } from "vitest";
+import { COIN_TYPES, findTokenByOrigin, TokenRegistry } from "./token-registry.js";
+
+const USDC_MINT = "EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v";
+const USDC_ERC20 = "0xA0b86991c6218b36c1d19d4a2e9eB0cE3606eB48";
+
+describe("TokenRegistry.normalizeForeignCoin", () => {
+  const registry = new TokenRegistry("mainnet");
+
+  /**
+   * Build a raw foreign coin entry
+   * @param {string} asset - Asset address on the origin chain
+   * @returns {Object} Raw foreign coin
+   */
+  const foreignCoin = (asset) => ({
+    zrc20_contract_address: "0x8344D6f84D26F998fa070BbEA6D2E15E359e2641",
+    asset,
+    foreign_chain_id: "900",
+    decimals: 6,
+    name: "ZetaChain ZRC20 USDC on SOL",
+    symbol: "USDC.SOL",
+    coin_type: "ERC20",
+    paused: false,
+  });
+
+  it("keeps the case of base58 assets", () => {
+    expect(registry.normalizeForeignCoin(foreignCoin(USDC_MINT))).toEqual({
+      address: "0x8344d6f84d26f998fa070bbea6d2e15e359e2641",
+      name: "ZetaChain ZRC20 USDC on SOL",
+      symbol: "USDC.SOL",
+      decimals: 6,
+      chainId: 900,
+      asset: USDC_MINT,
+      coinType: COIN_TYPES.ERC20,
+      paused: false,
+    });
+  });
+
+  it("lowercases hex assets and leaves gas tokens empty", () => {
+    expect(registry.normalizeForeignCoin(foreignCoin(USDC_ERC20)).asset).toBe(USDC_ERC20.toLowerCase());
+    expect(registry.normalizeForeignCoin(foreignCoin(undefined)).asset).toBe("");
+  });
+});
+
+describe("findTokenByOrigin", () => {
+  const tokens = [
+    { symbol: "SOL.SOL", chainId: 900, asset: "", coinType: COIN_TYPES.GAS },
+    { symbol: "USDC.SOL", chainId: 900, asset: USDC_MINT, coinType: COIN_TYPES.ERC20 },
+    { symbol: "USDC.ETH", chainId: 1, asset: USDC_ERC20.toLowerCase(), coinType: COIN_TYPES.ERC20 },
+  ];
+
+  it("finds tokens by base58 and hex assets", () => {
+    expect(findTokenByOrigin(tokens, 900, USDC_MINT).symbol).toBe("USDC.SOL");
+    expect(findTokenByOrigin(tokens, "1", USDC_ERC20).symbol).toBe("USDC.ETH");
+    expect(findTokenByOrigin(tokens, 900, USDC_MINT.toLowerCase())).toBeNull();
+  });
+
+  it("finds the gas token without an asset", () => {
+    expect(findTokenByOrigin(tokens, 900).symbol).toBe("SOL.SOL");
+    expect(findTokenByOrigin(tokens, null)).toBeNull();
+  });
+});
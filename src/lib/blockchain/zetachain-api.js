@@ -3,24 +3,58 @@
  * Provides unified access to both EVM and cross-chain transactions on ZetaChain mainnet and testnet
  */
 
+import endpointRegistry, { ENDPOINT_KINDS } from "../network/EndpointRegistry.js";
+import rpcClient from "../network/RpcClient.js";
+
+/** gRPC status code a Cosmos node returns for an unknown transaction */
+const GRPC_NOT_FOUND = 5;
+
+/**
+ * Tell whether an LCD error response is gRPC NotFound ("tx not found")
+ * @param {Response} response - Failed LCD response; its body is consumed
+ * @returns {Promise<boolean>} True when the node reported the transaction as not found
+ */
+async function isGrpcNotFound(response) {
+  try {
+    const body = await response.json();
+    return body?.code === GRPC_NOT_FOUND || /tx not found/i.test(body?.message || "");
+  } catch {
+    return false;
+  }
+}
+
 /**
  * ZetaChain API class for transaction ID searching
  * Optimized for fetching transaction data by hash from both mainnet and testnet networks
  */
 export class ZetaChainAPI {
-  constructor() {
-    this.endpoints = {
-      mainnet: {
-        evm: "https://zetachain-evm.blockpi.network/v1/rpc/public",
-        crosschain:
-          "https://zetachain.blockpi.network/lcd/v1/public/zeta-chain/crosschain/cctx/",
-      },
-      testnet: {
-        evm: "https://zetachain-athens-evm.blockpi.network/v1/rpc/public",
-        crosschain:
-          "https://zetachain-athens.blockpi.network/lcd/v1/public/zeta-chain/crosschain/cctx/",
-      },
-    };
+  /**
+   * @param {import('../network/EndpointRegistry.js').EndpointRegistry} [registry] - Endpoint registry to send LCD requests through
+   * @param {import('../network/RpcClient.js').RpcClient} [rpc] - JSON-RPC client to send EVM calls through
+   */
+  constructor(registry = endpointRegistry, rpc = rpcClient) {
+    this.registry = registry;
+    this.rpc = rpc;
+  }
+
+  /**
+   * Get network name from the mainnet flag
+   * @param {boolean} isMainnet - Whether to use mainnet (true) or testnet (false)
+   * @returns {'mainnet'|'testnet'}
+   */
+  getNetwork(isMainnet) {
+    return isMainnet ? "mainnet" : "testnet";
+  }
+
+  /**
+   * GET a path from the healthiest LCD endpoint
+   * @param {string} path - Path under the LCD base URL
+   * @param {boolean} isMainnet - Whether to use mainnet (true) or testnet (false)
+   * @param {Object} [options] - Failover options passed to the registry
+   * @returns {Promise<Response>} Fetch response
+   */
+  getLCD(path, isMainnet, options = {}) {
+    return this.registry.fetch(this.getNetwork(isMainnet), ENDPOINT_KINDS.LCD, path, {}, options);
   }
 
   /**
@@ -30,24 +64,34 @@ export class ZetaChainAPI {
    * @returns {Promise<Object>} EVM transaction data
    */
   async getEVMTransaction(txHash, isMainnet = true) {
-    const endpoint = isMainnet
-      ? this.endpoints.mainnet.evm
-      : this.endpoints.testnet.evm;
-
-    const response = await fetch(endpoint, {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({
-        jsonrpc: "2.0",
-        method: "eth_getTransactionByHash",
-        params: [txHash],
-        id: 1,
-      }),
-    });
+    return this.callEVM("eth_getTransactionByHash", [txHash], isMainnet);
+  }
+
+  /**
+   * Get EVM transaction receipt
+   * @param {string} txHash - Transaction hash
+   * @param {boolean} isMainnet - Whether to use mainnet (true) or testnet (false)
+   * @returns {Promise<Object>} EVM transaction receipt data
+   */
+  async getEVMTransactionReceipt(txHash, isMainnet = true) {
+    return this.callEVM("eth_getTransactionReceipt", [txHash], isMainnet);
+  }
+
+  /**
+   * Get cross-chain transaction data
+   * @param {string} txHash - Transaction hash
+   * @param {boolean} isMainnet - Whether to use mainnet (true) or testnet (false)
+   * @returns {Promise<Object>} Cross-chain transaction data
+   */
+  async getCrossChainTransaction(txHash, isMainnet = true) {
+    const response = await this.getLCD(
+      `/zeta-chain/crosschain/cctx/${txHash}`,
+      isMainnet
+    );
 
     if (!response.ok) {
       throw new Error(
-        `EVM API request failed: ${response.status} ${response.statusText}`
+        `Cross-chain API request failed: ${response.status} ${response.statusText}`
       );
     }
 
@@ -55,30 +99,73 @@ export class ZetaChainAPI {
   }
 
   /**
-   * Get EVM transaction receipt
-   * @param {string} txHash - Transaction hash
+   * Get cross-chain transactions created by an inbound transaction
+   * @param {string} inboundHash - Inbound transaction hash (external chain or zEVM)
    * @param {boolean} isMainnet - Whether to use mainnet (true) or testnet (false)
-   * @returns {Promise<Object>} EVM transaction receipt data
+   * @returns {Promise<Object>} Inbound hash to CCTX mapping data
    */
-  async getEVMTransactionReceipt(txHash, isMainnet = true) {
-    const endpoint = isMainnet
-      ? this.endpoints.mainnet.evm
-      : this.endpoints.testnet.evm;
-
-    const response = await fetch(endpoint, {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({
-        jsonrpc: "2.0",
-        method: "eth_getTransactionReceipt",
-        params: [txHash],
-        id: 1,
-      }),
+  async getCrossChainTransactionsByInboundHash(inboundHash, isMainnet = true) {
+    const response = await this.getLCD(
+      `/zeta-chain/crosschain/inboundHashToCctxData/${inboundHash}`,
+      isMainnet
+    );
+
+    if (!response.ok) {
+      throw new Error(
+        `Cross-chain inbound lookup failed: ${response.status} ${response.statusText}`
+      );
+    }
+
+    return response.json();
+  }
+
+  /**
+   * Search Cosmos transactions by event
+   * @param {string} query - Event query, e.g. "ethereum_tx.ethereumTxHash='0x...'"
+   * @param {boolean} isMainnet - Whether to use mainnet (true) or testnet (false)
+   * @param {Object} [options] - Search options
+   * @param {number} [options.limit] - Maximum number of transactions, newest first
+   * @returns {Promise<Object>} Matching transactions in `tx_responses`
+   */
+  async searchCosmosTransactions(query, isMainnet = true, options = {}) {
+    const encoded = encodeURIComponent(query);
+    const paging = options.limit
+      ? `&pagination.limit=${options.limit}&limit=${options.limit}&order_by=ORDER_BY_DESC`
+      : "";
+
+    // Newer Cosmos SDK versions take `query`, older ones `events`
+    let response = await this.getLCD(`/cosmos/tx/v1beta1/txs?query=${encoded}${paging}`, isMainnet);
+    if (!response.ok && response.status === 400) {
+      response = await this.getLCD(`/cosmos/tx/v1beta1/txs?events=${encoded}${paging}`, isMainnet);
+    }
+
+    if (!response.ok) {
+      throw new Error(
+        `Cosmos tx search failed: ${response.status} ${response.statusText}`
+      );
+    }
+
+    return response.json();
+  }
+
+  /**
+   * Get a Cosmos transaction by hash
+   * @param {string} hash - Transaction hash, hex without 0x
+   * @param {boolean} isMainnet - Whether to use mainnet (true) or testnet (false)
+   * @returns {Promise<Object|null>} Transaction in `tx` and its result in `tx_response`, or null when the node does not know the hash
+   */
+  async getCosmosTransaction(hash, isMainnet = true) {
+    // Nodes answer an unknown hash with gRPC NotFound, as a 404 or, on some, a 500
+    const response = await this.getLCD(`/cosmos/tx/v1beta1/txs/${hash}`, isMainnet, {
+      isAnswer: isGrpcNotFound,
     });
 
     if (!response.ok) {
+      if (await isGrpcNotFound(response)) {
+        return null;
+      }
       throw new Error(
-        `EVM Receipt API request failed: ${response.status} ${response.statusText}`
+        `Cosmos tx request failed: ${response.status} ${response.statusText}`
       );
     }
 
@@ -86,27 +173,196 @@ export class ZetaChainAPI {
   }
 
   /**
-   * Get cross-chain transaction data
-   * @param {string} txHash - Transaction hash
+   * List CCTXs, newest first
    * @param {boolean} isMainnet - Whether to use mainnet (true) or testnet (false)
-   * @returns {Promise<Object>} Cross-chain transaction data
+   * @param {Object} [options] - List options
+   * @param {number} [options.limit] - Page size
+   * @param {string} [options.paginationKey] - `pagination.next_key` from the previous page
+   * @returns {Promise<Object>} CCTXs in `CrossChainTx` and `pagination`
    */
-  async getCrossChainTransaction(txHash, isMainnet = true) {
-    const endpoint = isMainnet
-      ? this.endpoints.mainnet.crosschain
-      : this.endpoints.testnet.crosschain;
+  async listCrossChainTransactions(isMainnet = true, options = {}) {
+    const { limit = 100, paginationKey = null } = options;
+    const key = paginationKey
+      ? `&pagination.key=${encodeURIComponent(paginationKey)}`
+      : "";
+    const response = await this.getLCD(
+      `/zeta-chain/crosschain/cctx?pagination.limit=${limit}&pagination.reverse=true${key}`,
+      isMainnet
+    );
 
-    const response = await fetch(endpoint + txHash);
+    if (!response.ok) {
+      throw new Error(
+        `Cross-chain list request failed: ${response.status} ${response.statusText}`
+      );
+    }
+
+    return response.json();
+  }
+
+  /**
+   * List CCTXs still pending on a connected chain
+   * @param {number} chainId - Chain ID the CCTXs are pending on
+   * @param {boolean} isMainnet - Whether to use mainnet (true) or testnet (false)
+   * @param {Object} [options] - List options
+   * @param {number} [options.limit] - Maximum number of CCTXs
+   * @returns {Promise<Object>} CCTXs in `CrossChainTx` and `totalPending`
+   */
+  async listPendingCrossChainTransactions(chainId, isMainnet = true, options = {}) {
+    const { limit = 100 } = options;
+    const response = await this.getLCD(
+      `/zeta-chain/crosschain/pendingCctx?chain_id=${chainId}&limit=${limit}`,
+      isMainnet
+    );
 
     if (!response.ok) {
       throw new Error(
-        `Cross-chain API request failed: ${response.status} ${response.statusText}`
+        `Pending cross-chain list request failed: ${response.status} ${response.statusText}`
+      );
+    }
+
+    return response.json();
+  }
+
+  /**
+   * Get a Cosmos block, for consensus fields the EVM block doesn't carry
+   * (proposer address, chain ID, app hash)
+   * @param {number} height - Block height
+   * @param {boolean} isMainnet - Whether to use mainnet (true) or testnet (false)
+   * @returns {Promise<Object>} Block in `block` (`sdk_block` on newer nodes)
+   */
+  async getCosmosBlock(height, isMainnet = true) {
+    const response = await this.getLCD(
+      `/cosmos/base/tendermint/v1beta1/blocks/${height}`,
+      isMainnet
+    );
+
+    if (!response.ok) {
+      throw new Error(
+        `Cosmos block request failed: ${response.status} ${response.statusText}`
+      );
+    }
+
+    return response.json();
+  }
+
+  /**
+   * Get the validator set with consensus keys and monikers
+   * @param {boolean} isMainnet - Whether to use mainnet (true) or testnet (false)
+   * @returns {Promise<Object>} Validators in `validators`
+   */
+  async getValidators(isMainnet = true) {
+    const response = await this.getLCD(
+      "/cosmos/staking/v1beta1/validators?pagination.limit=500",
+      isMainnet
+    );
+
+    if (!response.ok) {
+      throw new Error(
+        `Validator request failed: ${response.status} ${response.statusText}`
+      );
+    }
+
+    return response.json();
+  }
+
+  /**
+   * Get one page of the fungible module's foreign coins (ZRC-20 tokens)
+   * @param {boolean} isMainnet - Whether to use mainnet (true) or testnet (false)
+   * @param {string} [paginationKey] - `pagination.next_key` from the previous page
+   * @returns {Promise<Object>} Foreign coins in `foreignCoins` and `pagination`
+   */
+  async getForeignCoins(isMainnet = true, paginationKey = null) {
+    const query = paginationKey
+      ? `?pagination.key=${encodeURIComponent(paginationKey)}`
+      : "";
+    const response = await this.getLCD(`/zeta-chain/fungible/foreign_coins${query}`, isMainnet);
+
+    if (!response.ok) {
+      throw new Error(
+        `Foreign coins request failed: ${response.status} ${response.statusText}`
       );
     }
 
     return response.json();
   }
 
+  /**
+   * Send a JSON-RPC request to a ZetaChain EVM endpoint. Calls made together
+   * are batched and identical in-flight calls are shared by the RPC client.
+   * @param {string} method - JSON-RPC method name
+   * @param {Array} params - JSON-RPC params
+   * @param {boolean} isMainnet - Whether to use mainnet (true) or testnet (false)
+   * @returns {Promise<Object>} JSON-RPC response
+   * @throws {import('../network/RpcClient.js').RpcError} When the call returns a JSON-RPC error
+   */
+  async callEVM(method, params, isMainnet = true) {
+    return this.rpc.call(this.getNetwork(isMainnet), method, params);
+  }
+
+  /**
+   * Get the latest block number
+   * @param {boolean} isMainnet - Whether to use mainnet (true) or testnet (false)
+   * @returns {Promise<Object>} Latest block number (hex) in `result`
+   */
+  async getBlockNumber(isMainnet = true) {
+    return this.callEVM("eth_blockNumber", [], isMainnet);
+  }
+
+  /**
+   * Get a block by number
+   * @param {number} blockNumber - Block number
+   * @param {boolean} includeTransactions - Whether to include full transaction objects
+   * @param {boolean} isMainnet - Whether to use mainnet (true) or testnet (false)
+   * @returns {Promise<Object>} Block data in `result`
+   */
+  async getBlockByNumber(blockNumber, includeTransactions = false, isMainnet = true) {
+    return this.callEVM(
+      "eth_getBlockByNumber",
+      [`0x${blockNumber.toString(16)}`, includeTransactions],
+      isMainnet
+    );
+  }
+
+  /**
+   * Get a block by hash
+   * @param {string} blockHash - Block hash
+   * @param {boolean} includeTransactions - Whether to include full transaction objects
+   * @param {boolean} isMainnet - Whether to use mainnet (true) or testnet (false)
+   * @returns {Promise<Object>} Block data in `result`
+   */
+  async getBlockByHash(blockHash, includeTransactions = false, isMainnet = true) {
+    return this.callEVM(
+      "eth_getBlockByHash",
+      [blockHash, includeTransactions],
+      isMainnet
+    );
+  }
+
+  /**
+   * Trace a transaction's internal calls with the callTracer. Only endpoints
+   * with the debug namespace enabled support this.
+   * @param {string} txHash - Transaction hash
+   * @param {boolean} isMainnet - Whether to use mainnet (true) or testnet (false)
+   * @returns {Promise<Object>} Top-level call frame in `result`
+   */
+  async traceTransaction(txHash, isMainnet = true) {
+    return this.callEVM(
+      "debug_traceTransaction",
+      [txHash, { tracer: "callTracer" }],
+      isMainnet
+    );
+  }
+
+  /**
+   * Get event logs matching a filter
+   * @param {Object} filter - eth_getLogs filter (fromBlock, toBlock, address, topics)
+   * @param {boolean} isMainnet - Whether to use mainnet (true) or testnet (false)
+   * @returns {Promise<Object>} Matching logs in `result`
+   */
+  async getLogs(filter, isMainnet = true) {
+    return this.callEVM("eth_getLogs", [filter], isMainnet);
+  }
+
   /**
    * Auto-detect transaction type and network from ZetaScan URL
    * @param {string} zetascanUrl - ZetaScan URL
@@ -3,8 +3,11 @@
  * Provides caching, background updates, and error handling for ZetaChain operations
  */
 
+import { useState } from "react";
 import { useQuery, useMutation, useQueryClient } from "@tanstack/react-query";
 import { zetaChainService } from "./zetachain-service.js";
+import { getTokenRegistry } from "./token-registry.js";
+import { getSearchService } from "../search/SearchService.js";
 
 /**
  * Query keys for ZetaChain operations
@@ -29,6 +32,11 @@ export const zetaChainQueryKeys = {
     "network-info",
     network,
   ],
+  zrc20Tokens: (network) => [
+    ...zetaChainQueryKeys.all,
+    "zrc20-tokens",
+    network,
+  ],
 };
 
 /**
@@ -107,6 +115,24 @@ export function useZetaNetworkInfo(options = {}) {
   });
 }
 
+/**
+ * Hook to get the ZRC-20 token registry (fungible module foreign coins)
+ * @param {'mainnet'|'testnet'} [network] - Network, defaults to the current one
+ * @param {Object} options - Query options
+ * @returns {Object} Query result with ZRC20Token[] data
+ */
+export function useZRC20Tokens(network, options = {}) {
+  const targetNetwork = network || zetaChainService.getCurrentNetwork();
+
+  return useQuery({
+    queryKey: zetaChainQueryKeys.zrc20Tokens(targetNetwork),
+    queryFn: () => getTokenRegistry(targetNetwork).getTokens(),
+    staleTime: 30 * 60 * 1000, // 30 minutes (foreign coins change through governance)
+    cacheTime: 60 * 60 * 1000, // 1 hour
+    ...options,
+  });
+}
+
 /**
  * Hook to switch networks with cache invalidation
  * @returns {Object} Mutation object for network switching
@@ -149,38 +175,51 @@ export function useZetaCacheClear() {
 }
 
 /**
- * Hook for batch transaction fetching
- * @param {string[]} txHashes - Array of transaction hashes
- * @param {Object} options - Query options
- * @returns {Object[]} Array of query results
+ * Hook for batch lookups of hashes, addresses and explorer links, as pasted
+ * or uploaded from an incident spreadsheet. Items resolve a few at a time
+ * through SearchService.searchBatch; a new list cancels the running one.
+ * @param {string[]|null} queries - Hashes, addresses and links (null or empty to stay idle)
+ * @param {Object} [options] - Batch and query options
+ * @param {'mainnet'|'testnet'} [options.network] - Network, defaults to the current one
+ * @param {number} [options.concurrency] - Items looked up at the same time
+ * @returns {Object} Query result whose data is the combined SearchResult, plus
+ *   `progress` ({completed, total, failed}) while it runs
  */
-export function useZetaTransactionBatch(txHashes, options = {}) {
-  const network = zetaChainService.getCurrentNetwork();
+export function useZetaTransactionBatch(queries, options = {}) {
+  const {
+    network = zetaChainService.getCurrentNetwork(),
+    concurrency,
+    ...queryOptions
+  } = options;
+  const [progress, setProgress] = useState({ completed: 0, total: 0, failed: 0 });
 
-  return useQuery({
+  const query = useQuery({
     queryKey: [
       ...zetaChainQueryKeys.transactions(),
       "batch",
-      txHashes,
+      queries,
       network,
     ],
-    queryFn: async () => {
-      const results = await Promise.allSettled(
-        txHashes.map((hash) => zetaChainService.getTransaction(hash))
-      );
-
-      return results.map((result, index) => ({
-        txHash: txHashes[index],
-        status: result.status,
-        data: result.status === "fulfilled" ? result.value : null,
-        error: result.status === "rejected" ? result.reason : null,
-      }));
+    queryFn: ({ signal }) => {
+      setProgress({ completed: 0, total: queries.length, failed: 0 });
+      return getSearchService(network).searchBatch(queries, {
+        concurrency,
+        signal,
+        onProgress: (next) => {
+          if (!signal.aborted) setProgress(next);
+        },
+      });
     },
-    enabled: Boolean(txHashes?.length),
+    enabled: Boolean(queries?.length),
     staleTime: 5 * 60 * 1000,
     cacheTime: 10 * 60 * 1000,
-    ...options,
+    // Items already retry individually and report their own errors
+    retry: false,
+    refetchOnWindowFocus: false,
+    ...queryOptions,
   });
+
+  return { ...query, progress };
 }
 
 /**
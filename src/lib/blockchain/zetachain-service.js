@@ -3,42 +3,71 @@
  * Provides network switching, data normalization, error handling, and caching
  */
 
+import { decodeBase64, getAddress, hexlify, sha256 } from "ethers";
 import { ZetaChainAPI } from "./zetachain-api.js";
+import endpointRegistry, { ENDPOINT_KINDS } from "../network/EndpointRegistry.js";
+import { RpcError } from "../network/RpcClient.js";
+import { divideAmounts, formatAmount, formatUnits, toBigInt } from "./amount.js";
+import { COIN_TYPES, getTokenRegistry, findTokenByAddress, findTokenByOrigin, normalizeCoinType } from "./token-registry.js";
+import { getSwapHops, getRouteEndpoints } from "./swap-detector.js";
+import { isTraceUnsupportedError, normalizeCallFrame } from "./call-tracer.js";
+import { buildFeeBreakdown } from "./fee-breakdown.js";
+import { isEvmAddress, isEvmTxHash } from "./chain-identifiers.js";
+import { externalChainConnector } from "./external-chain-connector.js";
+import externalChainRegistry from "../network/ExternalChainRegistry.js";
+import { abiRegistry } from "../decoding/abi-registry.js";
+import { CONTRACT_KINDS } from "../decoding/abis.js";
+import { decodeCalldata } from "../decoding/calldata-decoder.js";
+import { decodeLogs } from "../decoding/event-decoder.js";
+import { createRevertReason, decodeRevertError, REVERT_KINDS } from "../decoding/error-decoder.js";
+import { decodeCrossChainMessage, toHexBytes } from "../decoding/message-decoder.js";
+import { COSMOS_MSG_KINDS, decodeCosmosMessages, resolveDenom } from "../decoding/cosmos-decoder.js";
 
-// Known token contracts on ZetaChain (mainnet and testnet)
-const KNOWN_TOKENS = {
-  // ZetaChain Mainnet (7000) - Updated with actual addresses and symbols
-  '0x5f0b1a82749cb4e2278ec87f8bf6b618dc71a8bf': { symbol: 'USDC.ETH', name: 'USD Coin (Ethereum)', decimals: 6 },
-  '0x7c8dda80bbbe1254a7aacf3219ebe1481c6e01d7': { symbol: 'USDT.ETH', name: 'Tether USD (Ethereum)', decimals: 6 },
-  '0x48f80608b672dc30dc7e3dbbd0343c5f02c738eb': { symbol: 'BNB.BSC', name: 'BNB (BSC)', decimals: 18 },
-  '0xd97b1de3619ed2c6beb3860147e30ca8a7dc9891': { symbol: 'ETH.ETH', name: 'ETH (Ethereum)', decimals: 18 },
-  '0x91d4f0d54090df2d81e834c3c8ce71c6c3461d93': { symbol: 'WBTC.ETH', name: 'Wrapped Bitcoin', decimals: 8 },
-  '0x05ba149a7bd6dc1f937fa9046a9e05c05f3b18b0': { symbol: 'USDC.BSC', name: 'USD Coin (BSC)', decimals: 18 },
-  '0x7c125c1ccf65c5c35dba7a5cb8b8c0b5b1b4c7a0': { symbol: 'USDT.BSC', name: 'Tether USD (BSC)', decimals: 18 },
-  
-  // ZetaChain Testnet (7001)
-  '0x0cbe0df132a6c6b4a2974fa1b7fb953cf0cc798a': { symbol: 'USDC.ETH', name: 'USD Coin (Ethereum)', decimals: 6 },
-};
+// Pool token0/token1 never change, so they're cached for the whole session
+const POOL_TOKENS_TTL = 24 * 60 * 60 * 1000;
+
+// Traces of mined transactions never change
+const CALL_TRACE_TTL = 60 * 60 * 1000;
+
+// Default lifetime of cached lookups
+const CACHE_TTL = 5 * 60 * 1000;
+
+// External chain lookups are cached briefly so confirmations keep counting up;
+// CCTXs whose legs haven't settled are cached as briefly, since they carry them
+const EXTERNAL_TX_TTL = 30 * 1000;
+
+// Decimals of swap prices (quote token units per base token unit)
+const PRICE_DECIMALS = 18;
+
+// JSON-RPC error codes worth retrying: limit exceeded (EIP-1474)
+const RETRYABLE_RPC_ERROR_CODES = [-32005];
+
+// ERC-20 Transfer(address,address,uint256) event topic
+const TRANSFER_EVENT_TOPIC = '0xddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef';
+
+// Typed event emitted when an inbound vote finalizes a CCTX
+const INBOUND_FINALIZED_EVENT = "zetachain.zetacore.crosschain.EventInboundFinalized";
 
-// Common DEX/Swap contract addresses and their information
-const DEX_CONTRACTS = {
-  // ZetaSwap and other DEX contracts on ZetaChain
-  '0x2ca7d64A7EFE2D62A725E2B35Cf7230D6677FfEe': { name: 'ZetaSwap', type: 'swap' },
-  '0x91d4F0D54090Df2D81e834c3c8CE71C6c3461d93': { name: 'ZetaSwap Pool', type: 'pool' },
-  // Add more as discovered
+// Typed events that finalize a CCTX leg, with how the block view labels them
+const CCTX_FINALIZED_EVENTS = {
+  [INBOUND_FINALIZED_EVENT]: "inbound",
+  "zetachain.zetacore.crosschain.EventOutboundSuccess": "outbound",
+  "zetachain.zetacore.crosschain.EventOutboundFailure": "outbound",
 };
 
-// Swap method signatures for detecting swap transactions
-const SWAP_METHOD_SIGNATURES = {
-  '0x38ed1739': 'swapExactTokensForTokens',
-  '0x8803dbee': 'swapTokensForExactTokens',
-  '0x7ff36ab5': 'swapExactETHForTokens',
-  '0x18cbafe5': 'swapTokensForExactETH',
-  '0x791ac947': 'swapExactTokensForETH',
-  '0x4a25d94a': 'swapTokensForExactTokens',
-  '0x022c0d9f': 'swap', // Uniswap V2 style
+// Address search paging: blocks per eth_getLogs window, default lookback when
+// no range is given, how many recent blocks are scanned for native transfers,
+// and how many transactions are fetched concurrently
+const ADDRESS_SEARCH_CONFIG = {
+  pageSize: 1000,
+  defaultLookback: 10000,
+  nativeScanDepth: 100,
+  concurrency: 10,
 };
 
+// Block headers kept for timestamps; the least recently used are dropped first
+const BLOCK_CACHE_SIZE = 1000;
+
 /**
  * Custom error class for ZetaChain service operations
  */
@@ -64,6 +93,46 @@ export const ERROR_TYPES = {
   UNKNOWN: "UNKNOWN",
 };
 
+/**
+ * Detailed CCTX statuses, as reported by the crosschain module
+ */
+export const CCTX_STATUSES = {
+  PENDING_INBOUND: "PendingInbound",
+  PENDING_OUTBOUND: "PendingOutbound",
+  OUTBOUND_MINED: "OutboundMined",
+  PENDING_REVERT: "PendingRevert",
+  REVERTED: "Reverted",
+  ABORTED: "Aborted",
+};
+
+// Numeric CctxStatus values from the crosschain module protobuf
+const CCTX_STATUS_CODES = {
+  0: CCTX_STATUSES.PENDING_INBOUND,
+  1: CCTX_STATUSES.PENDING_OUTBOUND,
+  3: CCTX_STATUSES.OUTBOUND_MINED,
+  4: CCTX_STATUSES.PENDING_REVERT,
+  5: CCTX_STATUSES.REVERTED,
+  6: CCTX_STATUSES.ABORTED,
+};
+
+/**
+ * Kinds of CCTX outbound attempts
+ */
+export const OUTBOUND_KINDS = {
+  OUTBOUND: "outbound",
+  REVERT: "revert",
+};
+
+/**
+ * Read an optional address field of a CCTX. The node reports unset
+ * addresses as empty or as the zero address.
+ * @param {string} [address] - Address as sent by the node
+ * @returns {string|null} Address, or null when unset
+ */
+function optionalAddress(address) {
+  return address && !/^0x0*$/.test(address) ? address : null;
+}
+
 /**
  * ZetaChain service wrapper for application integration
  * Wraps ZetaChainAPI with application-specific functionality
@@ -73,12 +142,30 @@ export class ZetaChainService {
     this.api = new ZetaChainAPI();
     this.currentNetwork = "mainnet"; // Default to mainnet
     this.cache = new Map(); // Simple in-memory cache
+    this.blockCache = new Map(); // Block header promises keyed by network and hash
+    this.latestBlock = null; // { promise, timestamp } for the current network
+    this.latestBlockTTL = 5000; // 5 seconds
+    this.traceSupport = new Map(); // endpoint URL -> whether debug_traceTransaction works
+    this.external = externalChainConnector;
     this.retryConfig = {
       maxRetries: 3,
       baseDelay: 1000, // 1 second
       maxDelay: 10000, // 10 seconds
       backoffFactor: 2,
     };
+
+    // Cached CCTXs carry their external legs; refetch after the external
+    // chain settings change
+    this.unsubscribeExternalChains = externalChainRegistry.subscribe(() => this.clearCache());
+  }
+
+  /**
+   * Stop listening for external chain setting changes and drop cached data.
+   * The instance shouldn't be used afterwards.
+   */
+  destroy() {
+    this.unsubscribeExternalChains();
+    this.clearCache();
   }
 
   /**
@@ -148,6 +235,13 @@ export class ZetaChainService {
    * @returns {boolean} True if error should not be retried
    */
   isNonRetryableError(error) {
+    // A JSON-RPC error (revert, bad params, -32000) is the node's answer and
+    // comes back the same on every attempt; only rate limits are worth waiting out
+    const rpcError = error instanceof RpcError ? error : error.originalError;
+    if (rpcError instanceof RpcError && typeof rpcError.code === "number") {
+      return !RETRYABLE_RPC_ERROR_CODES.includes(rpcError.code);
+    }
+
     const message = error.message.toLowerCase();
 
     // Don't retry on validation errors or not found errors
@@ -203,13 +297,14 @@ export class ZetaChainService {
    * Get cached result or execute function and cache result
    * @param {string} cacheKey - Cache key
    * @param {Function} fn - Function to execute if not cached
-   * @param {number} ttl - Time to live in milliseconds (default: 5 minutes)
+   * @param {number|Function} [ttl] - Time to live in milliseconds (default: 5 minutes),
+   *   or a function of the result returning it, for results that go stale at different rates
    * @returns {Promise<any>} Cached or fresh result
    */
-  async getCachedOrExecute(cacheKey, fn, ttl = 5 * 60 * 1000) {
+  async getCachedOrExecute(cacheKey, fn, ttl = CACHE_TTL) {
     const cached = this.cache.get(cacheKey);
 
-    if (cached && Date.now() - cached.timestamp < ttl) {
+    if (cached && Date.now() - cached.timestamp < cached.ttl) {
       return cached.data;
     }
 
@@ -217,6 +312,7 @@ export class ZetaChainService {
     this.cache.set(cacheKey, {
       data: result,
       timestamp: Date.now(),
+      ttl: typeof ttl === "function" ? ttl(result) : ttl,
     });
 
     return result;
@@ -227,6 +323,8 @@ export class ZetaChainService {
    */
   clearCache() {
     this.cache.clear();
+    this.blockCache.clear();
+    this.latestBlock = null;
   }
 
   /**
@@ -270,7 +368,7 @@ export class ZetaChainService {
 
     const cacheKey = this.getCacheKey("getTransaction", txHashOrUrl);
 
-    return this.getCachedOrExecute(cacheKey, async () => {
+    const transaction = await this.getCachedOrExecute(cacheKey, async () => {
       return this.executeWithRetry(async () => {
         const isMainnet = this.currentNetwork === "mainnet";
 
@@ -307,7 +405,10 @@ export class ZetaChainService {
           return this.normalizeCrossChainTransaction(ccResult);
         }
       }, "getTransaction");
-    });
+    }, (result) => this.getLegAwareTTL(result));
+
+    const [withPosition] = await this.withBlockPositions([transaction]);
+    return withPosition;
   }
 
   /**
@@ -325,7 +426,7 @@ export class ZetaChainService {
 
     const cacheKey = this.getCacheKey("getTransactionWithReceipt", txHash);
 
-    return this.getCachedOrExecute(cacheKey, async () => {
+    const transaction = await this.getCachedOrExecute(cacheKey, async () => {
       return this.executeWithRetry(async () => {
         const isMainnet = this.currentNetwork === "mainnet";
 
@@ -347,296 +448,1351 @@ export class ZetaChainService {
           return this.normalizeCrossChainTransaction(ccResult);
         }
       }, "getTransactionWithReceipt");
-    });
+    }, (result) => this.getLegAwareTTL(result));
+
+    const [withPosition] = await this.withBlockPositions([transaction]);
+    return withPosition;
   }
 
   /**
-   * Parse token transfers from transaction receipt logs
-   * @param {Array} logs - Transaction receipt logs
-   * @returns {Array} Parsed token transfers
+   * Get a cross-chain transaction by its CCTX index
+   * @param {string} index - CCTX index
+   * @param {Object} [options] - Normalization options (see normalizeCrossChainTransaction)
+   * @returns {Promise<Object>} Normalized cross-chain transaction
    */
-  parseTokenTransfers(logs) {
-    if (!logs || !Array.isArray(logs)) return [];
+  async getCrossChainTransaction(index, options = {}) {
+    if (!index || typeof index !== "string") {
+      throw new ZetaChainServiceError(
+        "CCTX index is required",
+        ERROR_TYPES.INVALID_INPUT
+      );
+    }
 
-    const transfers = [];
-    
-    // ERC-20 Transfer event signature: Transfer(address,address,uint256)
-    const transferEventSignature = '0xddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef';
-    
-    for (const log of logs) {
-      if (log.topics && log.topics[0] === transferEventSignature && log.topics.length >= 3) {
-        try {
-          // Parse ERC-20 transfer
-          const from = '0x' + log.topics[1].slice(26); // Remove padding
-          const to = '0x' + log.topics[2].slice(26); // Remove padding
-          const amount = log.data ? parseInt(log.data, 16).toString() : '0';
-          
-          transfers.push({
-            type: 'ERC20',
-            tokenAddress: log.address,
-            from: from,
-            to: to,
-            amount: amount,
-            rawAmount: amount,
-            logIndex: log.logIndex ? parseInt(log.logIndex, 16) : 0,
-          });
-        } catch (error) {
-          console.warn('Failed to parse transfer log:', error);
+    const { externalLegs = true } = options;
+    const cacheKey = this.getCacheKey("getCrossChainTransaction", index, externalLegs);
+
+    return this.getCachedOrExecute(cacheKey, async () => {
+      return this.executeWithRetry(async () => {
+        const isMainnet = this.currentNetwork === "mainnet";
+        const ccResult = await this.api.getCrossChainTransaction(index, isMainnet);
+        return this.normalizeCrossChainTransaction(ccResult, { externalLegs });
+      }, "getCrossChainTransaction");
+    }, (result) => this.getLegAwareTTL(result));
+  }
+
+  /**
+   * Cache lifetime of a lookup that may return CCTXs: short while any of them
+   * has a connected-chain leg that is still confirming or couldn't be looked
+   * up yet, so the legs are refetched, the default otherwise
+   * @param {Object|Array<Object>|null} result - Normalized transaction(s)
+   * @returns {number} Time to live in milliseconds
+   */
+  getLegAwareTTL(result) {
+    const unsettled = [result].flat().some((transaction) =>
+      (transaction?.crossChainData?.externalLegs || []).some(
+        (leg) => !leg.transaction?.externalData?.confirmed
+      )
+    );
+    return unsettled ? EXTERNAL_TX_TTL : CACHE_TTL;
+  }
+
+  /**
+   * Get cross-chain transactions created by an inbound transaction hash
+   * @param {string} inboundHash - Inbound transaction hash
+   * @returns {Promise<Array>} Normalized cross-chain transactions (empty if none)
+   */
+  async getCrossChainTransactionsByInboundHash(inboundHash) {
+    if (!inboundHash || typeof inboundHash !== "string") {
+      throw new ZetaChainServiceError(
+        "Inbound transaction hash is required",
+        ERROR_TYPES.INVALID_INPUT
+      );
+    }
+
+    const cacheKey = this.getCacheKey("getCrossChainTransactionsByInboundHash", inboundHash);
+
+    return this.getCachedOrExecute(cacheKey, async () => {
+      const isMainnet = this.currentNetwork === "mainnet";
+
+      try {
+        const data = await this.executeWithRetry(
+          () => this.api.getCrossChainTransactionsByInboundHash(inboundHash, isMainnet),
+          "getCrossChainTransactionsByInboundHash"
+        );
+        const cctxs = data.CrossChainTxs || data.crossChainTxs || [];
+        return Promise.all(cctxs.map((cctx) => this.normalizeCrossChainTransaction(cctx)));
+      } catch (error) {
+        // The mapping route answers 404 when the hash created no CCTX
+        if (error.message.includes("404")) {
+          return [];
         }
+        throw error;
       }
-    }
-    
-    return transfers;
+    }, (result) => this.getLegAwareTTL(result));
   }
 
   /**
-   * Format token amount with proper decimals
-   * @param {string} rawAmount - Raw token amount
-   * @param {number} decimals - Token decimals
-   * @returns {string} Formatted amount
+   * Get the CCTX whose outbound executed as a given zEVM transaction
+   * (deposits and calls into zEVM run inside the MsgVoteInbound that finalized them)
+   * @param {string} txHash - zEVM transaction hash
+   * @returns {Promise<Object|null>} Normalized cross-chain transaction, or null if none
    */
-  formatTokenAmount(rawAmount, decimals = 18) {
-    if (!rawAmount || rawAmount === '0') return '0';
-    
-    const amount = parseFloat(rawAmount) / Math.pow(10, decimals);
-    
-    if (amount < 0.000001) {
-      return amount.toExponential(3);
-    } else if (amount < 1) {
-      return amount.toFixed(6);
-    } else {
-      return amount.toFixed(4);
+  async getCrossChainTransactionByOutboundHash(txHash) {
+    if (!txHash || typeof txHash !== "string") {
+      throw new ZetaChainServiceError(
+        "Transaction hash is required",
+        ERROR_TYPES.INVALID_INPUT
+      );
     }
+
+    const cacheKey = this.getCacheKey("getCrossChainTransactionByOutboundHash", txHash);
+
+    return this.getCachedOrExecute(cacheKey, async () => {
+      const isMainnet = this.currentNetwork === "mainnet";
+
+      let data;
+      try {
+        data = await this.executeWithRetry(
+          () => this.api.searchCosmosTransactions(`ethereum_tx.ethereumTxHash='${txHash}'`, isMainnet),
+          "getCrossChainTransactionByOutboundHash"
+        );
+      } catch (error) {
+        if (error.message.includes("404")) {
+          return null;
+        }
+        throw error;
+      }
+
+      const cctxIndex = this.findEventAttribute(data.tx_responses || [], "cctx_index");
+      return cctxIndex ? this.getCrossChainTransaction(cctxIndex) : null;
+    }, (result) => this.getLegAwareTTL(result));
   }
 
   /**
-   * Fetch token metadata from contract
-   * @param {string} tokenAddress - Token contract address
-   * @param {boolean} isMainnet - Whether to use mainnet RPC
-   * @returns {Promise<Object>} Token metadata
+   * Get a Cosmos transaction by hash: observer votes, gas price votes,
+   * staking, governance and bank messages that never reach the EVM JSON-RPC
+   * @param {string} hash - Transaction hash, hex with or without 0x
+   * @returns {Promise<Object|null>} Normalized Cosmos transaction, or null if none
    */
-  async fetchTokenMetadata(tokenAddress, isMainnet = true) {
-    const rpcUrl = isMainnet 
-      ? "https://zetachain-evm.blockpi.network/v1/rpc/public"
-      : "https://zetachain-athens-evm.blockpi.network/v1/rpc/public";
+  async getCosmosTransaction(hash) {
+    if (typeof hash !== "string" || !/^(0x)?[a-fA-F0-9]{64}$/.test(hash)) {
+      throw new ZetaChainServiceError(
+        "Cosmos transaction hash must be 64 hex characters",
+        ERROR_TYPES.INVALID_INPUT
+      );
+    }
 
-    try {
-      // ERC-20 function signatures
-      const symbolSig = '0x95d89b41'; // symbol()
-      const nameSig = '0x06fdde03';   // name()
-      const decimalsSig = '0x313ce567'; // decimals()
+    // Cosmos hashes are conventionally written in upper case without 0x
+    const cosmosHash = hash.replace(/^0x/, "").toUpperCase();
+    const cacheKey = this.getCacheKey("getCosmosTransaction", cosmosHash);
 
-      const [symbolResult, nameResult, decimalsResult] = await Promise.all([
-        fetch(rpcUrl, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({
-            jsonrpc: '2.0',
-            method: 'eth_call',
-            params: [{ to: tokenAddress, data: symbolSig }, 'latest'],
-            id: 1
-          })
-        }).then(r => r.json()),
-        
-        fetch(rpcUrl, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({
-            jsonrpc: '2.0',
-            method: 'eth_call',
-            params: [{ to: tokenAddress, data: nameSig }, 'latest'],
-            id: 2
-          })
-        }).then(r => r.json()),
-        
-        fetch(rpcUrl, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({
-            jsonrpc: '2.0',
-            method: 'eth_call',
-            params: [{ to: tokenAddress, data: decimalsSig }, 'latest'],
-            id: 3
-          })
-        }).then(r => r.json())
-      ]);
+    const transaction = await this.getCachedOrExecute(cacheKey, async () => {
+      const isMainnet = this.currentNetwork === "mainnet";
 
-      // Decode the results
-      const symbol = this.decodeStringResult(symbolResult.result);
-      const name = this.decodeStringResult(nameResult.result);
-      const decimals = decimalsResult.result ? parseInt(decimalsResult.result, 16) : 18;
+      // The API returns null for an unknown hash, so misses are not retried
+      const data = await this.executeWithRetry(
+        () => this.api.getCosmosTransaction(cosmosHash, isMainnet),
+        "getCosmosTransaction"
+      );
 
-      return {
-        symbol: symbol || 'UNKNOWN',
-        name: name || 'Unknown Token',
-        decimals: decimals
-      };
-    } catch (error) {
-      console.warn(`Failed to fetch token metadata for ${tokenAddress}:`, error);
-      return {
-        symbol: `Token-${tokenAddress.slice(0, 6)}`,
-        name: 'Unknown Token',
-        decimals: 18
-      };
+      return data?.tx_response ? this.normalizeCosmosTransaction(data) : null;
+    });
+
+    const [withPosition] = await this.withBlockPositions([transaction]);
+    return withPosition;
+  }
+
+  /**
+   * Find the first value of an event attribute across Cosmos tx responses
+   * @param {Array} txResponses - `tx_responses` from a Cosmos tx search
+   * @param {string} key - Attribute key
+   * @returns {string|null} Attribute value with typed-event quotes removed
+   */
+  findEventAttribute(txResponses, key) {
+    for (const txResponse of txResponses) {
+      for (const event of txResponse.events || []) {
+        const attribute = (event.attributes || []).find((attr) => attr.key === key);
+        if (attribute?.value) {
+          return attribute.value.replace(/^"|"$/g, "");
+        }
+      }
     }
+    return null;
   }
 
   /**
-   * Decode string result from contract call
-   * @param {string} hexResult - Hex encoded result
-   * @returns {string} Decoded string
+   * Find every distinct value of an event attribute across Cosmos tx responses
+   * @param {Array} txResponses - `tx_responses` from a Cosmos tx search
+   * @param {string} key - Attribute key
+   * @returns {string[]} Attribute values with typed-event quotes removed
    */
-  decodeStringResult(hexResult) {
-    if (!hexResult || hexResult === '0x') return '';
-    
-    try {
-      // Remove 0x prefix
-      const hex = hexResult.slice(2);
-      
-      // Get the length from bytes 32-63 (characters 64-127)
-      const lengthHex = hex.slice(64, 128);
-      const length = parseInt(lengthHex, 16);
-      
-      // Get the actual string data starting from byte 64 (character 128)
-      const dataHex = hex.slice(128, 128 + (length * 2));
-      
-      // Convert hex to string
-      let result = '';
-      for (let i = 0; i < dataHex.length; i += 2) {
-        const byte = parseInt(dataHex.substr(i, 2), 16);
-        if (byte === 0) break; // Stop at null terminator
-        result += String.fromCharCode(byte);
+  findEventAttributes(txResponses, key) {
+    const values = new Set();
+    for (const txResponse of txResponses) {
+      for (const event of txResponse.events || []) {
+        (event.attributes || [])
+          .filter((attr) => attr.key === key && attr.value)
+          .forEach((attr) => values.add(attr.value.replace(/^"|"$/g, "")));
       }
-      
-      return result;
-    } catch (error) {
-      console.warn('Failed to decode string result:', error);
-      return '';
     }
+    return [...values];
   }
 
   /**
-   * Try to identify unknown tokens based on address patterns or common contracts
-   * @param {string} tokenAddress - Token contract address
-   * @returns {Object} Token info or null
+   * Find everything a hash identifies on the current network: a zEVM
+   * transaction, CCTX index or Cosmos transaction, plus any CCTXs the hash
+   * created as an inbound transaction (deposits from Ethereum, BSC, Bitcoin, ...).
+   * @param {string} hash - Transaction hash, CCTX index or external chain hash
+   * @returns {Promise<Array>} Normalized transactions, direct match first
+   * @throws {ZetaChainServiceError} When the hash matches nothing
    */
-  identifyUnknownToken(tokenAddress) {
-    const addr = tokenAddress.toLowerCase();
-    
-    // Common patterns for wrapped tokens
-    if (addr.includes('weth') || addr.endsWith('eth')) {
-      return { symbol: 'WETH', name: 'Wrapped Ether', decimals: 18 };
+  async findTransactionsByHash(hash) {
+    // Only 0x hashes can be zEVM transactions or CCTX indexes; Solana
+    // signatures and TON "lt:hash" IDs are looked up as inbounds only.
+    // A Cosmos lookup failing never hides the other matches.
+    const [direct, cosmos, inbound] = await Promise.allSettled([
+      isEvmTxHash(hash) ? this.getTransaction(hash) : null,
+      isEvmTxHash(hash) ? this.getCosmosTransaction(hash) : null,
+      this.getCrossChainTransactionsByInboundHash(hash),
+    ]);
+
+    const transactions = [];
+    if (direct.status === "fulfilled" && direct.value) {
+      transactions.push(direct.value);
     }
-    
-    if (addr.includes('wzeta') || addr.includes('zeta')) {
-      return { symbol: 'WZETA', name: 'Wrapped ZETA', decimals: 18 };
+    if (cosmos.status === "fulfilled" && cosmos.value) {
+      transactions.push(cosmos.value);
     }
-    
-    if (addr.includes('usdc')) {
-      return { symbol: 'USDC', name: 'USD Coin', decimals: 6 };
+    if (inbound.status === "fulfilled") {
+      inbound.value.forEach((cctx) => {
+        if (!transactions.some((tx) => tx.txHash === cctx.txHash)) {
+          transactions.push(cctx);
+        }
+      });
     }
-    
-    if (addr.includes('usdt')) {
-      return { symbol: 'USDT', name: 'Tether USD', decimals: 6 };
+
+    // Bitcoin inbound hashes are recorded without a 0x prefix. A failed
+    // lookup counts as no match so the errors above decide the outcome.
+    if (!transactions.length && /^0x[a-fA-F0-9]{64}$/.test(hash)) {
+      const bareHash = hash.slice(2).toLowerCase();
+      transactions.push(
+        ...(await this.getCrossChainTransactionsByInboundHash(bareHash).catch(() => []))
+      );
     }
-    
-    // Return null if no pattern matches
-    return null;
+
+    if (!transactions.length) {
+      if (direct.status === "rejected") {
+        throw direct.reason;
+      }
+      throw new ZetaChainServiceError(
+        `Transaction ${hash} not found`,
+        ERROR_TYPES.TRANSACTION_NOT_FOUND
+      );
+    }
+
+    return transactions;
   }
 
   /**
-   * Detect if transaction is a swap operation
-   * @param {string} to - Transaction recipient address
-   * @param {string} input - Transaction input data
-   * @param {Array} tokenTransfers - Parsed token transfers
-   * @returns {Object|null} Swap information or null
+   * Get zEVM transactions, token transfers and CCTXs for an address.
+   * Walks the block range backwards in eth_getLogs pages so the most recent
+   * activity fills the limit first; native transfers are found by scanning the
+   * most recent blocks of the range, which `nativeScan` reports. Pages never
+   * split a block, so no transaction is returned twice across pages.
+   * @param {string} address - Wallet or contract address
+   * @param {Object} [options] - Search options
+   * @param {number} [options.limit] - Maximum number of transactions
+   * @param {number} [options.fromBlock] - Starting block number
+   * @param {number} [options.toBlock] - Ending block number (defaults to latest)
+   * @returns {Promise<{transactions: Array, fromBlock: number, toBlock: number, nextToBlock: number|null, hasMore: boolean, nativeScan: {fromBlock: number, toBlock: number}}>}
    */
-  detectSwapOperation(to, input, tokenTransfers) {
-    if (!input || input.length < 10) return null;
-    
-    const methodSignature = input.slice(0, 10);
-    const swapMethod = SWAP_METHOD_SIGNATURES[methodSignature];
-    const dexInfo = DEX_CONTRACTS[to];
-    
-    if (swapMethod || dexInfo) {
-      // Analyze token transfers to determine swap details
-      if (tokenTransfers.length >= 2) {
-        const fromTransfer = tokenTransfers.find(t => t.from.toLowerCase() === to?.toLowerCase());
-        const toTransfer = tokenTransfers.find(t => t.to.toLowerCase() === to?.toLowerCase());
-        
-        return {
-          isSwap: true,
-          method: swapMethod || 'swap',
-          dexName: dexInfo?.name || 'Unknown DEX',
-          tokenIn: fromTransfer ? {
-            symbol: fromTransfer.tokenSymbol,
-            amount: fromTransfer.amount,
-            address: fromTransfer.tokenAddress
-          } : null,
-          tokenOut: toTransfer ? {
-            symbol: toTransfer.tokenSymbol,
-            amount: toTransfer.amount,
-            address: toTransfer.tokenAddress
-          } : null,
+  async getAddressTransactions(address, options = {}) {
+    if (!address || typeof address !== "string") {
+      throw new ZetaChainServiceError(
+        "Address is required",
+        ERROR_TYPES.INVALID_INPUT
+      );
+    }
+
+    const normalizedAddress = address.toLowerCase();
+    const { limit = 50 } = options;
+    const cacheKey = this.getCacheKey("getAddressTransactions", normalizedAddress, {
+      limit,
+      fromBlock: options.fromBlock,
+      toBlock: options.toBlock,
+    });
+
+    const activity = await this.getCachedOrExecute(cacheKey, async () => {
+      const isMainnet = this.currentNetwork === "mainnet";
+
+      let toBlock = options.toBlock;
+      if (toBlock === undefined || toBlock === null) {
+        const latest = await this.executeWithRetry(
+          () => this.api.getBlockNumber(isMainnet),
+          "getBlockNumber"
+        );
+        toBlock = parseInt(latest.result, 16);
+      }
+      const fromBlock = Math.max(
+        options.fromBlock ?? toBlock - ADDRESS_SEARCH_CONFIG.defaultLookback + 1,
+        0
+      );
+
+      if (fromBlock > toBlock) {
+        throw new ZetaChainServiceError(
+          `Invalid block range: ${fromBlock} > ${toBlock}`,
+          ERROR_TYPES.INVALID_INPUT
+        );
+      }
+
+      // txHash -> block number of every transaction touching the address
+      const candidates = new Map();
+
+      // Native transfers leave no logs; only the newest blocks are scanned
+      const nativeScan = {
+        fromBlock: Math.max(fromBlock, toBlock - ADDRESS_SEARCH_CONFIG.nativeScanDepth + 1),
+        toBlock,
+      };
+      const nativeTransactions = await this.scanBlocksForAddress(
+        normalizedAddress,
+        nativeScan.fromBlock,
+        nativeScan.toBlock
+      );
+      nativeTransactions.forEach(({ hash, blockNumber }) => {
+        candidates.set(hash, blockNumber);
+      });
+
+      const paddedAddress = `0x${normalizedAddress.slice(2).padStart(64, "0")}`;
+      let scannedFromBlock = toBlock + 1;
+
+      for (
+        let end = toBlock;
+        end >= fromBlock && candidates.size < limit;
+        end -= ADDRESS_SEARCH_CONFIG.pageSize
+      ) {
+        const start = Math.max(end - ADDRESS_SEARCH_CONFIG.pageSize + 1, fromBlock);
+        const range = {
+          fromBlock: `0x${start.toString(16)}`,
+          toBlock: `0x${end.toString(16)}`,
         };
+
+        const [sentLogs, receivedLogs] = await Promise.all([
+          this.executeWithRetry(
+            () => this.api.getLogs({ ...range, topics: [TRANSFER_EVENT_TOPIC, paddedAddress] }, isMainnet),
+            "getLogs"
+          ),
+          this.executeWithRetry(
+            () => this.api.getLogs({ ...range, topics: [TRANSFER_EVENT_TOPIC, null, paddedAddress] }, isMainnet),
+            "getLogs"
+          ),
+        ]);
+
+        [...(sentLogs.result || []), ...(receivedLogs.result || [])].forEach((log) => {
+          if (!candidates.has(log.transactionHash)) {
+            candidates.set(log.transactionHash, parseInt(log.blockNumber, 16));
+          }
+        });
+
+        scannedFromBlock = start;
       }
-    }
-    
-    return null;
+
+      const sorted = Array.from(candidates.entries()).sort((a, b) => b[1] - a[1]);
+      let selected = sorted;
+
+      // Where the next page should resume. A page never ends partway through a
+      // block: the block of the first transaction that didn't fit is left
+      // whole for the next page, unless it alone exceeds the limit, in which
+      // case it is returned whole and the next page starts below it.
+      let nextToBlock = null;
+      if (sorted.length > limit) {
+        const boundary = sorted[limit][1];
+        selected = sorted.filter(([, blockNumber]) => blockNumber > boundary);
+        if (selected.length > 0) {
+          nextToBlock = boundary;
+        } else {
+          selected = sorted.filter(([, blockNumber]) => blockNumber === boundary);
+          nextToBlock = boundary > fromBlock ? boundary - 1 : null;
+        }
+      } else if (scannedFromBlock > fromBlock) {
+        nextToBlock = scannedFromBlock - 1;
+      }
+
+      const transactions = (
+        await this.mapInBatches(selected, ([hash]) =>
+          this.getTransactionWithReceipt(hash)
+        )
+      ).filter(Boolean);
+
+      // Transactions the address sent may have triggered outbound CCTXs
+      const sentHashes = transactions
+        .filter((tx) => tx.from?.toLowerCase() === normalizedAddress)
+        .map((tx) => tx.txHash);
+      const cctxGroups = await this.mapInBatches(sentHashes, (hash) =>
+        this.getCrossChainTransactionsByInboundHash(hash)
+      );
+
+      const results = [];
+      transactions.forEach((tx) => {
+        results.push(tx);
+        const index = sentHashes.indexOf(tx.txHash);
+        if (index !== -1 && cctxGroups[index]) {
+          results.push(...cctxGroups[index]);
+        }
+      });
+
+      return {
+        transactions: results,
+        fromBlock,
+        toBlock,
+        nextToBlock,
+        hasMore: nextToBlock !== null,
+        nativeScan,
+      };
+    }, 60 * 1000);
+
+    return { ...activity, transactions: await this.withBlockPositions(activity.transactions) };
   }
 
   /**
-   * Normalize EVM transaction data to application format
-   * @param {Object} evmTx - Raw EVM transaction data
-   * @param {Object} [receipt] - Transaction receipt data
-   * @returns {Promise<Object>} Normalized transaction data
+   * Get the CCTXs an address sent or received, found through the inbound
+   * votes that finalized them. This is all the activity a non-EVM address
+   * (Bitcoin, Solana, TON) has; for EVM addresses it adds deposits from and
+   * withdrawals to connected chains. Like other lists, the CCTXs are
+   * normalized without their connected-chain legs.
+   * @param {string} address - Address as the chain writes it (case-sensitive; EVM addresses are matched in any case)
+   * @param {Object} [options] - Search options
+   * @param {number} [options.limit] - Maximum number of CCTXs
+   * @returns {Promise<{transactions: Array, fromBlock: null, toBlock: null, nextToBlock: null, hasMore: boolean}>}
    */
-  async normalizeEVMTransaction(evmTx, receipt = null) {
-    const chainId = evmTx.chainId
-      ? parseInt(evmTx.chainId, 16)
-      : this.currentNetwork === "mainnet"
-      ? 7000
-      : 7001;
+  async getCrossChainTransactionsByAddress(address, options = {}) {
+    if (!address || typeof address !== "string") {
+      throw new ZetaChainServiceError(
+        "Address is required",
+        ERROR_TYPES.INVALID_INPUT
+      );
+    }
 
-    // Determine if this is a contract interaction
+    const { limit = 50 } = options;
+    const cacheKey = this.getCacheKey("getCrossChainTransactionsByAddress", address, limit);
+
+    return this.getCachedOrExecute(cacheKey, async () => {
+      const isMainnet = this.currentNetwork === "mainnet";
+
+      // Event values are compared exactly and EVM addresses may be recorded
+      // lowercase or checksummed
+      const forms = isEvmAddress(address)
+        ? [...new Set([address.toLowerCase(), getAddress(address.toLowerCase())])]
+        : [address];
+      const queries = ["sender", "receiver"].flatMap((field) =>
+        forms.map((form) => `${INBOUND_FINALIZED_EVENT}.${field}='"${form}"'`)
+      );
+
+      // Typed event attributes are JSON-encoded, so the value is quoted
+      const searches = await Promise.all(
+        queries.map((query) =>
+          this.executeWithRetry(
+            () => this.api.searchCosmosTransactions(
+              query,
+              isMainnet,
+              { limit }
+            ),
+            "getCrossChainTransactionsByAddress"
+          ).catch((error) => {
+            if (error.message.includes("404")) return {};
+            throw error;
+          })
+        )
+      );
+
+      const indexes = [
+        ...new Set(
+          searches.flatMap((data) => this.findEventAttributes(data.tx_responses || [], "cctx_index"))
+        ),
+      ];
+      const cctxs = await this.mapInBatches(indexes.slice(0, limit), (index) =>
+        this.getCrossChainTransaction(index, { externalLegs: false })
+      );
+      const transactions = cctxs
+        .filter(Boolean)
+        .sort((a, b) => b.timestamp - a.timestamp);
+
+      return {
+        transactions,
+        fromBlock: null,
+        toBlock: null,
+        nextToBlock: null,
+        hasMore: indexes.length > limit,
+      };
+    }, 60 * 1000);
+  }
+
+  /**
+   * Get a zEVM block with its header, proposer, every transaction in it and
+   * the CCTXs whose inbound or outbound was finalized in it. Transactions come
+   * with the block and are only summarized (see normalizeBlockTransaction);
+   * getTransaction loads one in full.
+   * @param {number|string} blockId - Block number, or 0x block hash
+   * @returns {Promise<{block: Object, transactions: Array, crossChainTransactions: Array, crossChainEvents: Object<string, string[]>}>}
+   *   Normalized header (see normalizeBlock), zEVM transaction summaries,
+   *   finalized CCTXs, and which legs ("inbound", "outbound") each CCTX finalized here
+   */
+  async getBlockDetails(blockId) {
+    const isHash = typeof blockId === "string" && isEvmTxHash(blockId);
+    if (!isHash && (!Number.isSafeInteger(blockId) || blockId < 0)) {
+      throw new ZetaChainServiceError(
+        `Invalid block number or hash: ${blockId}`,
+        ERROR_TYPES.INVALID_INPUT
+      );
+    }
+
+    const cacheKey = this.getCacheKey("getBlockDetails", isHash ? blockId.toLowerCase() : blockId);
+
+    const details = await this.getCachedOrExecute(cacheKey, async () => {
+      const isMainnet = this.currentNetwork === "mainnet";
+      const response = await this.executeWithRetry(
+        () => isHash
+          ? this.api.getBlockByHash(blockId, true, isMainnet)
+          : this.api.getBlockByNumber(blockId, true, isMainnet),
+        "getBlockDetails"
+      );
+
+      const rawBlock = response.result;
+      if (!rawBlock) {
+        throw new ZetaChainServiceError(
+          `Block ${blockId} not found on ${this.currentNetwork}`,
+          ERROR_TYPES.TRANSACTION_NOT_FOUND
+        );
+      }
+
+      const height = parseInt(rawBlock.number, 16);
+      const [transactions, finalized, proposer] = await Promise.all([
+        this.getBlockTransactions(rawBlock),
+        // The block still shows without the consensus-side extras
+        this.getBlockCrossChainTransactions(height).catch((error) => {
+          console.warn(`Failed to load CCTXs finalized in block ${height}:`, error.message);
+          return { transactions: [], events: {} };
+        }),
+        this.getBlockProposer(height).catch((error) => {
+          console.warn(`Failed to resolve proposer of block ${height}:`, error.message);
+          return null;
+        }),
+      ]);
+
+      return {
+        block: this.normalizeBlock(rawBlock, proposer),
+        transactions,
+        crossChainTransactions: finalized.transactions,
+        crossChainEvents: finalized.events,
+      };
+    });
+
+    return { ...details, transactions: await this.withBlockPositions(details.transactions) };
+  }
+
+  /**
+   * Summarize the transactions of a block fetched with full transactions,
+   * adding each one's receipt for its status and gas used. A receipt that
+   * can't be fetched leaves its transaction listed, with the error.
+   * @param {Object} rawBlock - Raw block from eth_getBlockBy* with full transactions
+   * @returns {Promise<Array<Object>>} Transaction summaries in block order
+   */
+  async getBlockTransactions(rawBlock) {
+    const isMainnet = this.currentNetwork === "mainnet";
+    const timestamp = parseInt(rawBlock.timestamp, 16) * 1000;
+
+    return Promise.all(
+      (rawBlock.transactions || []).map(async (evmTx) => {
+        try {
+          const response = await this.executeWithRetry(
+            () => this.api.getEVMTransactionReceipt(evmTx.hash, isMainnet),
+            "getTransactionReceipt"
+          );
+          return this.normalizeBlockTransaction(evmTx, response.result || null, timestamp);
+        } catch (error) {
+          console.warn(`Failed to fetch receipt of ${evmTx.hash}:`, error.message);
+          return this.normalizeBlockTransaction(evmTx, null, timestamp, error.message);
+        }
+      })
+    );
+  }
+
+  /**
+   * Summarize a zEVM transaction of a block from the transaction and its
+   * receipt alone: no token metadata, trace, revert reason or swap lookups.
+   * The result is marked `summary` so callers know to load it in full.
+   * @param {Object} evmTx - Raw transaction from the block
+   * @param {Object|null} receipt - Transaction receipt, when it could be fetched
+   * @param {number} timestamp - Block time in milliseconds
+   * @param {string|null} [receiptError] - Why the receipt couldn't be fetched
+   * @returns {Object} Normalized transaction summary
+   */
+  normalizeBlockTransaction(evmTx, receipt, timestamp, receiptError = null) {
     const isContractInteraction = evmTx.input && evmTx.input !== "0x" && evmTx.input.length > 2;
+
+    return {
+      txHash: evmTx.hash,
+      blockNumber: parseInt(evmTx.blockNumber, 16),
+      timestamp,
+      from: evmTx.from,
+      to: evmTx.to || "Contract Creation",
+      value: evmTx.value,
+      gasUsed: receipt ? receipt.gasUsed : evmTx.gas,
+      gasPrice: evmTx.gasPrice,
+      // Without the receipt the outcome isn't known yet
+      status: receipt ? (receipt.status === "0x1" ? "success" : "failed") : "pending",
+      chainId: evmTx.chainId ? parseInt(evmTx.chainId, 16) : this.getNetworkInfo().chainId,
+      type: "evm",
+      network: this.currentNetwork,
+      summary: true,
+      receiptError,
+      tokenTransfers: [],
+      events: [],
+      swapInfo: null,
+      callTrace: null,
+      revertReason: null,
+      evmData: {
+        nonce: evmTx.nonce ? parseInt(evmTx.nonce, 16) : 0,
+        transactionIndex: evmTx.transactionIndex ? parseInt(evmTx.transactionIndex, 16) : 0,
+        gasLimit: evmTx.gas ? parseInt(evmTx.gas, 16) : 0,
+        effectiveGasPrice: receipt?.effectiveGasPrice || evmTx.gasPrice,
+        isContractInteraction,
+        inputData: evmTx.input,
+        decodedInput: isContractInteraction && evmTx.to
+          ? decodeCalldata(evmTx.input, { to: evmTx.to, network: this.currentNetwork, value: evmTx.value })
+          : null,
+        blockHash: evmTx.blockHash,
+      },
+    };
+  }
+
+  /**
+   * Normalize a zEVM block header
+   * @param {Object} block - Raw block from eth_getBlockBy*
+   * @param {Object|null} proposer - Proposer from getBlockProposer
+   * @returns {{number: number, hash: string, parentHash: string, timestamp: number, proposer: Object|null, miner: string|null, gasUsed: string, gasLimit: string, baseFeePerGas: string|null, size: number|null, transactionCount: number, stateRoot: string|null}}
+   */
+  normalizeBlock(block, proposer) {
+    return {
+      number: parseInt(block.number, 16),
+      hash: block.hash,
+      parentHash: block.parentHash,
+      timestamp: parseInt(block.timestamp, 16) * 1000,
+      proposer,
+      miner: block.miner ? block.miner.toLowerCase() : null,
+      gasUsed: BigInt(block.gasUsed || "0x0").toString(),
+      gasLimit: BigInt(block.gasLimit || "0x0").toString(),
+      baseFeePerGas: block.baseFeePerGas ? BigInt(block.baseFeePerGas).toString() : null,
+      size: block.size ? parseInt(block.size, 16) : null,
+      transactionCount: (block.transactions || []).length,
+      stateRoot: block.stateRoot || null,
+    };
+  }
+
+  /**
+   * Find the CCTXs whose inbound or outbound was finalized at a height, from
+   * the finalization events of the Cosmos transactions in that block
+   * @param {number} height - Block height
+   * @returns {Promise<{transactions: Array, events: Object<string, string[]>}>} CCTXs (without connected-chain legs) and the legs each finalized
+   */
+  async getBlockCrossChainTransactions(height) {
+    const isMainnet = this.currentNetwork === "mainnet";
+    const data = await this.executeWithRetry(
+      () => this.api.searchCosmosTransactions(`tx.height=${height}`, isMainnet, { limit: 100 }),
+      "getBlockCrossChainTransactions"
+    );
+
+    const events = {};
+    for (const txResponse of data.tx_responses || []) {
+      for (const event of txResponse.events || []) {
+        const leg = CCTX_FINALIZED_EVENTS[event.type];
+        const index = (event.attributes || [])
+          .find((attr) => attr.key === "cctx_index")
+          ?.value?.replace(/^"|"$/g, "");
+        if (leg && index) {
+          events[index] = [...new Set([...(events[index] || []), leg])];
+        }
+      }
+    }
+
+    const cctxs = await this.mapInBatches(Object.keys(events), (index) =>
+      this.getCrossChainTransaction(index, { externalLegs: false })
+    );
+    return { transactions: cctxs.filter(Boolean), events };
+  }
+
+  /**
+   * Resolve the validator that proposed a block. The Cosmos header names the
+   * proposer by consensus address, which is matched against the first 20
+   * bytes of the SHA-256 of each validator's consensus key.
+   * @param {number} height - Block height
+   * @returns {Promise<{consensusAddress: string, moniker: string|null, operatorAddress: string|null}|null>} Proposer, or null when the header has none
+   */
+  async getBlockProposer(height) {
+    const isMainnet = this.currentNetwork === "mainnet";
+    const [blockData, validators] = await Promise.all([
+      this.executeWithRetry(() => this.api.getCosmosBlock(height, isMainnet), "getBlockProposer"),
+      this.getValidators(),
+    ]);
+
+    const header = (blockData.sdk_block || blockData.block)?.header;
+    if (!header?.proposer_address) return null;
+
+    const consensusAddress = hexlify(decodeBase64(header.proposer_address)).toLowerCase();
+    const validator = validators.find((entry) => entry.consensusAddress === consensusAddress);
+
+    return {
+      consensusAddress,
+      moniker: validator?.moniker || null,
+      operatorAddress: validator?.operatorAddress || null,
+    };
+  }
+
+  /**
+   * Get the validator set with each validator's consensus address. The set
+   * changes slowly, so it is cached for 30 minutes.
+   * @returns {Promise<Array<{consensusAddress: string, moniker: string, operatorAddress: string}>>}
+   */
+  async getValidators() {
+    const cacheKey = this.getCacheKey("getValidators");
+
+    return this.getCachedOrExecute(cacheKey, async () => {
+      const isMainnet = this.currentNetwork === "mainnet";
+      const data = await this.executeWithRetry(
+        () => this.api.getValidators(isMainnet),
+        "getValidators"
+      );
+
+      return (data.validators || [])
+        .filter((validator) => validator.consensus_pubkey?.key)
+        .map((validator) => ({
+          consensusAddress: sha256(decodeBase64(validator.consensus_pubkey.key))
+            .slice(0, 42)
+            .toLowerCase(),
+          moniker: validator.description?.moniker || "",
+          operatorAddress: validator.operator_address,
+        }));
+    }, 30 * 60 * 1000);
+  }
+
+  /**
+   * Get the most recent CCTXs, newest first, or the ones still pending on
+   * given chains. Normalized without their connected-chain legs.
+   * @param {Object} [options] - List options
+   * @param {number} [options.limit] - Maximum number of CCTXs
+   * @param {number[]} [options.pendingChainIds] - List only CCTXs pending on these chains
+   * @returns {Promise<Array>} Normalized cross-chain transactions
+   */
+  async getRecentCrossChainTransactions(options = {}) {
+    const { limit = 100, pendingChainIds = null } = options;
+    const cacheKey = this.getCacheKey("getRecentCrossChainTransactions", limit, pendingChainIds);
+
+    return this.getCachedOrExecute(cacheKey, async () => {
+      const isMainnet = this.currentNetwork === "mainnet";
+      const pages = await Promise.all(
+        pendingChainIds
+          ? pendingChainIds.map((chainId) =>
+              this.executeWithRetry(
+                () => this.api.listPendingCrossChainTransactions(chainId, isMainnet, { limit }),
+                "getRecentCrossChainTransactions"
+              )
+            )
+          : [
+              this.executeWithRetry(
+                () => this.api.listCrossChainTransactions(isMainnet, { limit }),
+                "getRecentCrossChainTransactions"
+              ),
+            ]
+      );
+
+      const cctxs = pages.flatMap((page) => page.CrossChainTx || page.crossChainTx || []);
+      const transactions = await this.mapInBatches(cctxs, (cctx) =>
+        this.normalizeCrossChainTransaction(cctx, { externalLegs: false })
+      );
+      return transactions
+        .filter(Boolean)
+        .sort((a, b) => b.timestamp - a.timestamp);
+    }, 30 * 1000);
+  }
+
+  /**
+   * Scan full blocks for native transactions sent or received by an address
+   * @param {string} address - Lowercase address
+   * @param {number} fromBlock - First block to scan
+   * @param {number} toBlock - Last block to scan
+   * @returns {Promise<Array<{hash: string, blockNumber: number}>>} Matching transactions
+   */
+  async scanBlocksForAddress(address, fromBlock, toBlock) {
+    const isMainnet = this.currentNetwork === "mainnet";
+    const blockNumbers = [];
+    for (let n = toBlock; n >= fromBlock; n--) {
+      blockNumbers.push(n);
+    }
+
+    const blocks = await this.mapInBatches(blockNumbers, (n) =>
+      this.executeWithRetry(
+        () => this.api.getBlockByNumber(n, true, isMainnet),
+        "getBlockByNumber"
+      )
+    );
+
+    const matches = [];
+    blocks.forEach((block) => {
+      (block?.result?.transactions || []).forEach((tx) => {
+        if (
+          tx.from?.toLowerCase() === address ||
+          tx.to?.toLowerCase() === address
+        ) {
+          matches.push({ hash: tx.hash, blockNumber: parseInt(tx.blockNumber, 16) });
+        }
+      });
+    });
+
+    return matches;
+  }
+
+  /**
+   * Run an async function over items with bounded concurrency.
+   * Failed items resolve to null so one bad lookup doesn't sink the batch.
+   * @param {Array} items - Items to process
+   * @param {Function} fn - Async function applied to each item
+   * @param {number} [batchSize] - Maximum concurrent calls
+   * @returns {Promise<Array>} Results in input order
+   */
+  async mapInBatches(items, fn, batchSize = ADDRESS_SEARCH_CONFIG.concurrency) {
+    const results = [];
+    for (let i = 0; i < items.length; i += batchSize) {
+      const settled = await Promise.allSettled(items.slice(i, i + batchSize).map(fn));
+      settled.forEach((result) => {
+        if (result.status === "rejected") {
+          console.warn("Batch item failed:", result.reason?.message);
+        }
+        results.push(result.status === "fulfilled" ? result.value : null);
+      });
+    }
+    return results;
+  }
+
+  /**
+   * Get a block header, sharing one lookup between every transaction in the block.
+   * Headers never change once mined; the most recent BLOCK_CACHE_SIZE are kept
+   * until the cache is cleared.
+   * @param {string} [blockHash] - Block hash (preferred)
+   * @param {number} [blockNumber] - Block number, used when no hash is known
+   * @returns {Promise<Object|null>} Raw block header or null if not found
+   */
+  getBlockHeader(blockHash, blockNumber) {
+    const isMainnet = this.currentNetwork === "mainnet";
+    const key = `${this.currentNetwork}:${blockHash || blockNumber}`;
+
+    const cached = this.blockCache.get(key);
+    if (cached) {
+      // Mark the header as recently used
+      this.blockCache.delete(key);
+      this.blockCache.set(key, cached);
+      return cached;
+    }
+
+    const promise = this.executeWithRetry(
+      () =>
+        blockHash
+          ? this.api.getBlockByHash(blockHash, false, isMainnet)
+          : this.api.getBlockByNumber(blockNumber, false, isMainnet),
+      "getBlockHeader"
+    )
+      .then((response) => response.result || null)
+      .catch((error) => {
+        // Don't keep failures around, the next caller should retry
+        if (this.blockCache.get(key) === promise) {
+          this.blockCache.delete(key);
+        }
+        throw error;
+      });
+    this.blockCache.set(key, promise);
+    if (this.blockCache.size > BLOCK_CACHE_SIZE) {
+      this.blockCache.delete(this.blockCache.keys().next().value);
+    }
+
+    return promise;
+  }
+
+  /**
+   * Add the block age and confirmations of zEVM and Cosmos transactions.
+   * Both grow with every block, so they are derived on each read rather
+   * than cached with the transaction.
+   * @param {Array<Object|null>} transactions - Normalized transactions
+   * @returns {Promise<Array<Object|null>>} Transactions, zEVM and Cosmos ones
+   *   copied with `blockAge` and `confirmations`
+   */
+  async withBlockPositions(transactions) {
+    const isPositioned = (tx) => tx?.type === "evm" || tx?.type === "cosmos";
+    if (!transactions.some(isPositioned)) {
+      return transactions;
+    }
+
+    const latestBlockNumber = await this.getLatestBlockNumber().catch(() => null);
+    const now = Date.now();
+    return transactions.map((tx) =>
+      isPositioned(tx)
+        ? {
+            ...tx,
+            blockAge: tx.timestamp ? now - tx.timestamp : null,
+            confirmations:
+              latestBlockNumber !== null && tx.blockNumber
+                ? Math.max(latestBlockNumber - tx.blockNumber, 0)
+                : null,
+          }
+        : tx
+    );
+  }
+
+  /**
+   * Get the latest block number, cached briefly for confirmation counts
+   * @returns {Promise<number>} Latest block number
+   */
+  getLatestBlockNumber() {
+    if (
+      this.latestBlock &&
+      Date.now() - this.latestBlock.timestamp < this.latestBlockTTL
+    ) {
+      return this.latestBlock.promise;
+    }
+
+    const isMainnet = this.currentNetwork === "mainnet";
+    const promise = this.executeWithRetry(
+      () => this.api.getBlockNumber(isMainnet),
+      "getLatestBlockNumber"
+    ).then((response) => parseInt(response.result, 16));
+
+    const entry = { promise, timestamp: Date.now() };
+    this.latestBlock = entry;
+    promise.catch(() => {
+      if (this.latestBlock === entry) {
+        this.latestBlock = null;
+      }
+    });
+
+    return promise;
+  }
+
+  /**
+   * Parse token transfers from transaction receipt logs
+   * @param {Array} logs - Transaction receipt logs
+   * @returns {Array} Parsed token transfers
+   */
+  parseTokenTransfers(logs) {
+    if (!logs || !Array.isArray(logs)) return [];
+
+    const transfers = [];
     
-    // Parse token transfers from receipt logs
-    const tokenTransfers = receipt ? this.parseTokenTransfers(receipt.logs) : [];
-    
-    // Format token transfers with real token metadata
-    const formattedTransfers = await Promise.all(
-      tokenTransfers.map(async (transfer) => {
-        const tokenAddress = transfer.tokenAddress.toLowerCase();
-        let tokenInfo = KNOWN_TOKENS[tokenAddress];
-        
-        // If not in our database, fetch from contract
-        if (!tokenInfo) {
-          tokenInfo = await this.fetchTokenMetadata(transfer.tokenAddress, chainId === 7000);
+    for (const log of logs) {
+      if (log.topics && log.topics[0] === TRANSFER_EVENT_TOPIC && log.topics.length >= 3) {
+        try {
+          // Parse ERC-20 transfer
+          const from = '0x' + log.topics[1].slice(26); // Remove padding
+          const to = '0x' + log.topics[2].slice(26); // Remove padding
+          const amount = (toBigInt(log.data) ?? 0n).toString();
+          
+          transfers.push({
+            type: 'ERC20',
+            tokenAddress: log.address,
+            from: from,
+            to: to,
+            amount: amount,
+            rawAmount: amount,
+            logIndex: log.logIndex ? parseInt(log.logIndex, 16) : 0,
+          });
+        } catch (error) {
+          console.warn('Failed to parse transfer log:', error);
         }
-        
-        const decimals = tokenInfo?.decimals || 18;
-        const symbol = tokenInfo?.symbol || `Token-${tokenAddress.slice(0, 6)}`;
-        const name = tokenInfo?.name || 'Unknown Token';
-        
+      }
+    }
+    
+    return transfers;
+  }
+
+  /**
+   * Format token amount with proper decimals
+   * @param {string} rawAmount - Raw token amount
+   * @param {number} decimals - Token decimals
+   * @returns {string} Formatted amount (exact integer part, truncated fraction)
+   */
+  formatTokenAmount(rawAmount, decimals = 18) {
+    if (!rawAmount || rawAmount === '0') return '0';
+
+    return formatAmount(rawAmount, decimals);
+  }
+
+  /**
+   * Fetch token metadata from contract
+   * @param {string} tokenAddress - Token contract address
+   * @param {boolean} isMainnet - Whether to use mainnet RPC
+   * @returns {Promise<Object>} Token metadata
+   */
+  async fetchTokenMetadata(tokenAddress, isMainnet = true) {
+    try {
+      // ERC-20 function signatures
+      const symbolSig = '0x95d89b41'; // symbol()
+      const nameSig = '0x06fdde03';   // name()
+      const decimalsSig = '0x313ce567'; // decimals()
+
+      // A reverted getter (JSON-RPC error) shouldn't lose the others;
+      // transport failures still fall through to the fallback below
+      const call = (data) => this.api
+        .callEVM('eth_call', [{ to: tokenAddress, data }, 'latest'], isMainnet)
+        .catch((error) => {
+          if (error instanceof RpcError) {
+            return { result: null };
+          }
+          throw error;
+        });
+
+      const [symbolResult, nameResult, decimalsResult] = await Promise.all([
+        call(symbolSig),
+        call(nameSig),
+        call(decimalsSig)
+      ]);
+
+      // Decode the results
+      const symbol = this.decodeStringResult(symbolResult.result);
+      const name = this.decodeStringResult(nameResult.result);
+      const decimals = decimalsResult.result ? parseInt(decimalsResult.result, 16) : 18;
+
+      return {
+        symbol: symbol || 'UNKNOWN',
+        name: name || 'Unknown Token',
+        decimals: decimals
+      };
+    } catch (error) {
+      console.warn(`Failed to fetch token metadata for ${tokenAddress}:`, error);
+      return {
+        symbol: `Token-${tokenAddress.slice(0, 6)}`,
+        name: 'Unknown Token',
+        decimals: 18
+      };
+    }
+  }
+
+  /**
+   * Decode string result from contract call
+   * @param {string} hexResult - Hex encoded result
+   * @returns {string} Decoded string
+   */
+  decodeStringResult(hexResult) {
+    if (!hexResult || hexResult === '0x') return '';
+    
+    try {
+      // Remove 0x prefix
+      const hex = hexResult.slice(2);
+      
+      // Get the length from bytes 32-63 (characters 64-127)
+      const lengthHex = hex.slice(64, 128);
+      const length = parseInt(lengthHex, 16);
+      
+      // Get the actual string data starting from byte 64 (character 128)
+      const dataHex = hex.slice(128, 128 + (length * 2));
+      
+      // Convert hex to string
+      let result = '';
+      for (let i = 0; i < dataHex.length; i += 2) {
+        const byte = parseInt(dataHex.substr(i, 2), 16);
+        if (byte === 0) break; // Stop at null terminator
+        result += String.fromCharCode(byte);
+      }
+      
+      return result;
+    } catch (error) {
+      console.warn('Failed to decode string result:', error);
+      return '';
+    }
+  }
+
+  /**
+   * Resolve display metadata of a token: the ZRC-20 registry first, then the
+   * contract's own getters
+   * @param {string} tokenAddress - Token contract address
+   * @param {Array<Object>} zrc20Tokens - ZRC-20 registry entries
+   * @returns {Promise<{symbol: string, name: string, decimals: number, zrc20: Object|null}>} Token metadata
+   */
+  async resolveTokenInfo(tokenAddress, zrc20Tokens) {
+    const zrc20 = findTokenByAddress(zrc20Tokens, tokenAddress.toLowerCase());
+    const tokenInfo = zrc20 ||
+      await this.fetchTokenMetadata(tokenAddress, this.currentNetwork === "mainnet");
+
+    return {
+      symbol: tokenInfo?.symbol || `Token-${tokenAddress.slice(0, 6)}`,
+      name: tokenInfo?.name || 'Unknown Token',
+      decimals: tokenInfo?.decimals ?? 18,
+      zrc20: zrc20 || null,
+    };
+  }
+
+  /**
+   * Get the two tokens of a Uniswap V2/V3 pool (same getters on both)
+   * @param {string} pool - Pool address
+   * @returns {Promise<{token0: string, token1: string}>} Lowercase token addresses
+   */
+  async getPoolTokens(pool) {
+    const cacheKey = this.getCacheKey("getPoolTokens", pool.toLowerCase());
+
+    return this.getCachedOrExecute(cacheKey, async () => {
+      const { iface } = abiRegistry.getBundled(CONTRACT_KINDS.UNISWAP_V2_PAIR);
+      const isMainnet = this.currentNetwork === "mainnet";
+
+      const read = async (getter) => {
+        const { result } = await this.api.callEVM(
+          'eth_call',
+          [{ to: pool, data: iface.encodeFunctionData(getter) }, 'latest'],
+          isMainnet
+        );
+        return iface.decodeFunctionResult(getter, result)[0].toLowerCase();
+      };
+
+      const [token0, token1] = await Promise.all([read('token0'), read('token1')]);
+      return { token0, token1 };
+    }, POOL_TOKENS_TTL);
+  }
+
+  /**
+   * Trace the internal calls of a mined transaction. Endpoints without the
+   * debug namespace are remembered, by the endpoint that actually answered,
+   * and skipped until another endpoint is preferred.
+   * @param {string} txHash - Transaction hash
+   * @returns {Promise<import('./call-tracer.js').CallFrame|null>} Call tree, or null when the endpoint can't trace
+   */
+  async getCallTrace(txHash) {
+    const preferred = endpointRegistry.getPreferredUrl(this.currentNetwork, ENDPOINT_KINDS.EVM);
+    if (this.traceSupport.get(preferred) === false) return null;
+
+    const cacheKey = this.getCacheKey("getCallTrace", txHash);
+
+    try {
+      return await this.getCachedOrExecute(cacheKey, async () => {
+        const { result, endpoint } = await this.api.traceTransaction(txHash, this.currentNetwork === "mainnet");
+        this.traceSupport.set(endpoint, true);
+        return result ? normalizeCallFrame(result, { network: this.currentNetwork }) : null;
+      }, CALL_TRACE_TTL);
+    } catch (error) {
+      if (error instanceof RpcError && isTraceUnsupportedError(error)) {
+        this.traceSupport.set(error.endpoint, false);
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Recover why a mined transaction failed by replaying it with eth_call on
+   * the state of the parent block. Transactions earlier in the same block
+   * aren't replayed, so a failure caused by them may replay as a success.
+   * @param {Object} evmTx - Raw EVM transaction
+   * @param {Object} receipt - Transaction receipt (status 0x0)
+   * @returns {Promise<import('../decoding/error-decoder.js').RevertReason>} Revert reason
+   */
+  async getRevertReason(evmTx, receipt) {
+    const options = { to: evmTx.to, network: this.currentNetwork };
+
+    if (evmTx.gas && toBigInt(receipt.gasUsed) === toBigInt(evmTx.gas)) {
+      return createRevertReason({ kind: REVERT_KINDS.OUT_OF_GAS, message: "Ran out of gas" });
+    }
+
+    const blockNumber = parseInt(receipt.blockNumber || evmTx.blockNumber, 16);
+    const parentBlock = `0x${Math.max(blockNumber - 1, 0).toString(16)}`;
+    const call = {
+      from: evmTx.from,
+      to: evmTx.to,
+      data: evmTx.input,
+      value: evmTx.value,
+      gas: evmTx.gas,
+    };
+
+    try {
+      await this.api.callEVM('eth_call', [call, parentBlock], this.currentNetwork === "mainnet");
+    } catch (error) {
+      if (!(error instanceof RpcError)) throw error;
+
+      const reason = decodeRevertError(error, options);
+      if (reason) return reason;
+    }
+
+    return createRevertReason({
+      kind: REVERT_KINDS.UNKNOWN,
+      message: "Replaying the call did not revert; it likely depended on an earlier transaction in the block",
+    });
+  }
+
+  /**
+   * Detect a swap from the Uniswap V2/V3 Swap events of a transaction
+   * @param {Array<Object>} events - Decoded receipt events (see decodeLogs)
+   * @param {Object|null} decodedInput - Decoded calldata (see decodeCalldata)
+   * @param {Array<Object>} zrc20Tokens - ZRC-20 registry entries
+   * @returns {Promise<Object|null>} Swap information or null when no pool swapped
+   */
+  async detectSwapOperation(events, decodedInput, zrc20Tokens) {
+    const swapHops = getSwapHops(events);
+    if (swapHops.length === 0) return null;
+
+    const withAmount = (token, rawAmount) => ({
+      ...token,
+      amount: this.formatTokenAmount(rawAmount.toString(), token.decimals),
+      exactAmount: formatUnits(rawAmount, token.decimals),
+    });
+
+    const describeToken = async (address, rawAmount) => {
+      if (!address) {
+        return withAmount({ address: null, symbol: 'Unknown', decimals: 18 }, rawAmount);
+      }
+
+      const { symbol, decimals } = await this.resolveTokenInfo(address, zrc20Tokens);
+      return withAmount({ address, symbol, decimals }, rawAmount);
+    };
+
+    const describePrice = (amountOut, tokenOut, amountIn, tokenIn) => {
+      const price = divideAmounts(amountOut, tokenOut.decimals, amountIn, tokenIn.decimals, PRICE_DECIMALS);
+      return price === null
+        ? { price: null, exactPrice: null }
+        : { price: formatAmount(price, PRICE_DECIMALS), exactPrice: formatUnits(price, PRICE_DECIMALS) };
+    };
+
+    const hops = await Promise.all(
+      swapHops.map(async (hop) => {
+        const pool = await this.getPoolTokens(hop.pool).catch((error) => {
+          console.warn(`Failed to read tokens of pool ${hop.pool}:`, error.message);
+          return null;
+        });
+        const [tokenIn, tokenOut] = await Promise.all([
+          describeToken(pool && (hop.zeroForOne ? pool.token0 : pool.token1), hop.amountIn),
+          describeToken(pool && (hop.zeroForOne ? pool.token1 : pool.token0), hop.amountOut),
+        ]);
+
         return {
-          ...transfer,
-          amount: this.formatTokenAmount(transfer.rawAmount, decimals),
-          tokenSymbol: symbol,
-          tokenName: name,
-          tokenDecimals: decimals,
-          isKnownToken: !!KNOWN_TOKENS[tokenAddress],
+          ...hop,
+          tokenIn,
+          tokenOut,
+          ...describePrice(hop.amountOut, tokenOut, hop.amountIn, tokenIn),
         };
       })
     );
+
+    const route = getRouteEndpoints(hops);
+    const tokenIn = withAmount(route.tokenIn, route.amountIn);
+    const tokenOut = withAmount(route.tokenOut, route.amountOut);
+    const { price, exactPrice } = describePrice(route.amountOut, tokenOut, route.amountIn, tokenIn);
+
+    return {
+      isSwap: true,
+      method: decodedInput?.name || 'swap',
+      dexName: [...new Set(hops.map((hop) => hop.protocol))].join(' + '),
+      tokenIn,
+      tokenOut,
+      effectivePrice: price,
+      exactEffectivePrice: exactPrice,
+      hops,
+    };
+  }
+
+  /**
+   * Format token transfers with real token metadata and detect swaps from the
+   * pools' Swap events. ZRC-20s come from the fungible module; anything else
+   * is read from the contract.
+   * @param {Array<Object>} tokenTransfers - Transfers parsed from the receipt logs
+   * @param {Array<Object>} events - Decoded receipt events (see decodeLogs)
+   * @param {Object|null} decodedInput - Decoded calldata (see decodeCalldata)
+   * @returns {Promise<[Array<Object>, Object|null]>} Formatted transfers and swap information
+   */
+  async resolveTransfersAndSwap(tokenTransfers, events, decodedInput) {
+    const zrc20Tokens = tokenTransfers.length
+      ? await getTokenRegistry(this.currentNetwork).getTokens().catch((error) => {
+          console.warn('Failed to load ZRC-20 token registry:', error.message);
+          return [];
+        })
+      : [];
+
+    return Promise.all([
+      Promise.all(
+        tokenTransfers.map(async (transfer) => {
+          const { symbol, name, decimals, zrc20 } =
+            await this.resolveTokenInfo(transfer.tokenAddress, zrc20Tokens);
+
+          return {
+            ...transfer,
+            amount: this.formatTokenAmount(transfer.rawAmount, decimals),
+            exactAmount: formatUnits(transfer.rawAmount, decimals),
+            tokenSymbol: symbol,
+            tokenName: name,
+            tokenDecimals: decimals,
+            isKnownToken: !!zrc20,
+            zrc20: zrc20
+              ? { chainId: zrc20.chainId, asset: zrc20.asset, coinType: zrc20.coinType }
+              : null,
+          };
+        })
+      ),
+      this.detectSwapOperation(events, decodedInput, zrc20Tokens),
+    ]);
+  }
+
+  /**
+   * Normalize EVM transaction data to application format
+   * @param {Object} evmTx - Raw EVM transaction data
+   * @param {Object} [receipt] - Transaction receipt data
+   * @returns {Promise<Object>} Normalized transaction data
+   */
+  async normalizeEVMTransaction(evmTx, receipt = null) {
+    const chainId = evmTx.chainId
+      ? parseInt(evmTx.chainId, 16)
+      : this.currentNetwork === "mainnet"
+      ? 7000
+      : 7001;
+
+    // Determine if this is a contract interaction
+    const isContractInteraction = evmTx.input && evmTx.input !== "0x" && evmTx.input.length > 2;
     
-    // Detect swap operations
-    const swapInfo = this.detectSwapOperation(evmTx.to, evmTx.input, formattedTransfers);
+    // Parse token transfers from receipt logs
+    const tokenTransfers = receipt ? this.parseTokenTransfers(receipt.logs) : [];
+
+    // Decode the function call against the ABI registry
+    const decodedInput = isContractInteraction && evmTx.to
+      ? decodeCalldata(evmTx.input, { to: evmTx.to, network: this.currentNetwork, value: evmTx.value })
+      : null;
+    const events = receipt ? decodeLogs(receipt.logs, { network: this.currentNetwork }) : [];
+    const blockNumber = evmTx.blockNumber ? parseInt(evmTx.blockNumber, 16) : 0;
+
+    // The lookups below don't depend on each other; starting them together
+    // lets the RPC client batch their calls
+    const [[formattedTransfers, swapInfo], callTrace, revertReason, block] =
+      await Promise.all([
+        this.resolveTransfersAndSwap(tokenTransfers, events, decodedInput),
+
+        // Internal calls, when the endpoint can trace; plain transfers make none
+        isContractInteraction && receipt
+          ? this.getCallTrace(evmTx.hash).catch((error) => {
+              console.warn(`Failed to trace ${evmTx.hash}:`, error.message);
+              return null;
+            })
+          : null,
+
+        // Why a failed transaction reverted
+        receipt?.status === "0x0"
+          ? this.getRevertReason(evmTx, receipt).catch((error) => {
+              console.warn(`Failed to recover revert reason for ${evmTx.hash}:`, error.message);
+              return null;
+            })
+          : null,
+
+        // Resolve the real block time; pending transactions have no block yet
+        evmTx.blockHash
+          ? this.getBlockHeader(evmTx.blockHash, blockNumber).catch((error) => {
+              console.warn(`Failed to fetch block ${evmTx.blockHash}:`, error.message);
+              return null;
+            })
+          : null,
+      ]);
+    const timestamp = block?.timestamp ? parseInt(block.timestamp, 16) * 1000 : null;
     
     return {
       txHash: evmTx.hash,
-      blockNumber: evmTx.blockNumber ? parseInt(evmTx.blockNumber, 16) : 0,
-      timestamp: Date.now(), // Would need block data for actual timestamp
+      blockNumber: blockNumber,
+      timestamp: timestamp,
       from: evmTx.from,
       to: evmTx.to || "Contract Creation",
       value: evmTx.value,
@@ -649,7 +1805,10 @@ export class ZetaChainService {
       type: "evm",
       network: this.currentNetwork,
       tokenTransfers: formattedTransfers,
+      events: events,
       swapInfo: swapInfo,
+      callTrace: callTrace,
+      revertReason: revertReason,
       evmData: {
         nonce: evmTx.nonce ? parseInt(evmTx.nonce, 16) : 0,
         transactionIndex: evmTx.transactionIndex ? parseInt(evmTx.transactionIndex, 16) : 0,
@@ -657,22 +1816,139 @@ export class ZetaChainService {
         effectiveGasPrice: receipt?.effectiveGasPrice || evmTx.gasPrice,
         isContractInteraction: isContractInteraction,
         inputData: evmTx.input,
+        decodedInput: decodedInput,
         blockHash: evmTx.blockHash,
       },
     };
   }
 
+  /**
+   * Normalize a Cosmos transaction: decoded messages with their signers,
+   * the funds they move (foreign assets resolved through the ZRC-20
+   * registry), and the CCTXs and inbounds they refer to
+   * @param {{tx: Object, tx_response: Object}} data - Response of the LCD tx route
+   * @returns {Promise<Object>} Normalized transaction data
+   */
+  async normalizeCosmosTransaction(data) {
+    const txResponse = data.tx_response;
+    const tx = data.tx || txResponse.tx || {};
+    const code = Number(txResponse.code || 0);
+
+    // Newer nodes leave the zEVM hash out of MsgEthereumTx; the events have it
+    const ethereumTxHashes = this.findEventAttributes([txResponse], "ethereumTxHash");
+    let ethereumIndex = 0;
+    const decoded = decodeCosmosMessages(tx.body?.messages).map((message) =>
+      message.kind === COSMOS_MSG_KINDS.ETHEREUM
+        ? { ...message, ethereumTxHash: message.ethereumTxHash || ethereumTxHashes[ethereumIndex++] || null }
+        : message
+    );
+
+    // Vote amounts are in the foreign asset's units
+    const zrc20Tokens = decoded.some((message) => message.transfers.some((transfer) => transfer.token))
+      ? await getTokenRegistry(this.currentNetwork).getTokens().catch((error) => {
+          console.warn("Failed to load ZRC-20 token registry:", error.message);
+          return [];
+        })
+      : [];
+    const messages = decoded.map((message) => ({
+      ...message,
+      transfers: message.transfers.map((transfer) => {
+        if (!transfer.token) return transfer;
+        // Outbound votes don't name the ERC-20, so only gas and ZETA resolve
+        const coinType = normalizeCoinType(transfer.token.coinType);
+        const token = coinType === COIN_TYPES.ZETA
+          ? { symbol: "ZETA", decimals: 18 }
+          : coinType === COIN_TYPES.ERC20 && !transfer.token.asset
+          ? null
+          : findTokenByOrigin(zrc20Tokens, transfer.token.chainId, transfer.token.asset);
+        return token
+          ? { ...transfer, symbol: token.symbol, decimals: token.decimals }
+          : transfer;
+      }),
+    }));
+
+    // CCTXs the messages name, and the ones their finalization events name
+    const cctxIndexes = [
+      ...new Set([
+        ...messages.map((message) => message.cctxIndex).filter(Boolean),
+        ...this.findEventAttributes([txResponse], "cctx_index"),
+      ]),
+    ];
+    const inbounds = messages
+      .map((message) => message.inbound)
+      .filter((inbound, index, all) =>
+        inbound && all.findIndex((other) => other?.hash === inbound.hash) === index
+      );
+
+    const blockNumber = parseInt(txResponse.height, 10) || 0;
+    const timestamp = txResponse.timestamp ? Date.parse(txResponse.timestamp) : null;
+
+    return {
+      txHash: txResponse.txhash,
+      blockNumber,
+      timestamp,
+      from: messages.find((message) => message.signer)?.signer || null,
+      to: null,
+      value: null,
+      gasUsed: txResponse.gas_used,
+      gasPrice: null,
+      status: code === 0 ? "success" : "failed",
+      chainId: this.getNetworkInfo().chainId,
+      type: "cosmos",
+      network: this.currentNetwork,
+      cosmosData: {
+        code,
+        codespace: txResponse.codespace || null,
+        error: code !== 0 ? txResponse.raw_log || null : null,
+        gasWanted: txResponse.gas_wanted,
+        fee: (tx.auth_info?.fee?.amount || []).map((coin) => ({
+          amount: coin.amount,
+          ...resolveDenom(coin.denom),
+        })),
+        memo: tx.body?.memo || "",
+        messages,
+        cctxIndexes,
+        inbounds,
+      },
+    };
+  }
+
   /**
    * Normalize cross-chain transaction data to application format
    * @param {Object} ccTx - Raw cross-chain transaction data
-   * @returns {Object} Normalized transaction data
+   * @param {Object} [options] - Normalization options
+   * @param {boolean} [options.externalLegs] - Look the legs up on connected chains (off for lists, where it would cost several RPC calls per CCTX)
+   * @returns {Promise<Object>} Normalized transaction data
    */
-  normalizeCrossChainTransaction(ccTx) {
+  async normalizeCrossChainTransaction(ccTx, options = {}) {
+    const { externalLegs: withExternalLegs = true } = options;
     // Handle the actual API response structure
     const cctx = ccTx.CrossChainTx || ccTx.cctx || ccTx;
     const inboundParams = cctx.inbound_params || cctx.inbound_tx_params || {};
-    const outboundParams = cctx.outbound_params?.[0] || cctx.outbound_tx_params?.[0] || {};
+    const outboundList = cctx.outbound_params || cctx.outbound_tx_params || [];
+    const outboundParams = outboundList[0] || {};
     const status = cctx.cctx_status?.status;
+    const detailedStatus = this.getDetailedCrossChainStatus(status);
+    const sourceChain = inboundParams.sender_chain_id 
+      ? parseInt(inboundParams.sender_chain_id) 
+      : undefined;
+    const outbounds = this.normalizeOutboundAttempts(outboundList, detailedStatus);
+    const destinationChain = outboundParams.receiver_chainId
+      ? parseInt(outboundParams.receiver_chainId)
+      : undefined;
+
+    // The inbound leg, when it ran on a connected chain, tells the inbound gas
+    const externalLegs = withExternalLegs
+      ? await this.getExternalLegs(sourceChain, inboundParams.observed_hash, outbounds)
+      : [];
+    const fees = await this.getCrossChainFees(
+      cctx,
+      inboundParams,
+      outbounds,
+      sourceChain,
+      destinationChain,
+      externalLegs.find((leg) => leg.leg === "inbound")?.transaction || null
+    );
 
     // Parse timestamp from the API response
     const timestamp = cctx.cctx_status?.created_timestamp 
@@ -691,65 +1967,303 @@ export class ZetaChainService {
       gasUsed: outboundParams.gas_used || inboundParams.gas_limit || "0",
       gasPrice: outboundParams.gas_price || inboundParams.gas_price || "0",
       status: this.mapCrossChainStatus(status),
-      chainId: inboundParams.sender_chain_id 
-        ? parseInt(inboundParams.sender_chain_id) 
-        : 0,
+      detailedStatus,
+      chainId: sourceChain || 0,
       type: "cross-chain",
       network: this.currentNetwork,
       crossChainData: {
-        sourceChain: inboundParams.sender_chain_id 
-          ? parseInt(inboundParams.sender_chain_id) 
-          : undefined,
-        destinationChain: outboundParams.receiver_chainId 
-          ? parseInt(outboundParams.receiver_chainId) 
-          : undefined,
+        sourceChain,
+        destinationChain,
         status: this.mapCrossChainStatus(status),
+        detailedStatus,
         bridgeContract: inboundParams.coin_type || "unknown",
+        coinType: inboundParams.coin_type !== undefined
+          ? normalizeCoinType(inboundParams.coin_type)
+          : null,
+        asset: inboundParams.asset || "",
         crossChainTxHash: outboundParams.hash || outboundParams.outbound_tx_hash,
         inboundTxHash: inboundParams.observed_hash,
+        outbounds,
+        refund: this.getCrossChainRefund(cctx, inboundParams, outbounds, detailedStatus),
+        call: this.getCrossChainCall(cctx, inboundParams, outboundParams),
+        fees,
+        externalLegs,
         statusMessage: cctx.cctx_status?.status_message || "",
         errorMessage: cctx.cctx_status?.error_message || "",
       },
     };
   }
 
+  /**
+   * Normalize every outbound attempt of a CCTX.
+   * The first entry is the outbound to the destination; any later entry is
+   * the revert back to the sender's chain.
+   * @param {Array} outboundList - Raw `outbound_params`
+   * @param {string|null} detailedStatus - Detailed CCTX status from CCTX_STATUSES
+   * @returns {Array<Object>} Outbound attempts with per-attempt chain, hash, nonce, gas and status
+   */
+  normalizeOutboundAttempts(outboundList, detailedStatus) {
+    return outboundList.map((params, index) => {
+      const isLast = index === outboundList.length - 1;
+      const hash = params.hash || params.outbound_tx_hash || null;
+      const nonce = params.tss_nonce ?? params.outbound_tx_tss_nonce;
+      const gasLimit = params.gas_limit ?? params.outbound_tx_gas_limit;
+      const gasPrice = params.gas_price ?? params.outbound_tx_gas_price;
+      const gasUsed = params.gas_used ?? params.outbound_tx_gas_used;
+      const effectiveGasPrice =
+        params.effective_gas_price ?? params.outbound_tx_effective_gas_price;
+
+      return {
+        index,
+        kind: index === 0 ? OUTBOUND_KINDS.OUTBOUND : OUTBOUND_KINDS.REVERT,
+        chainId: params.receiver_chainId ? parseInt(params.receiver_chainId) : undefined,
+        receiver: params.receiver || null,
+        amount: params.amount || "0",
+        coinType: params.coin_type || null,
+        hash: hash || null,
+        nonce: nonce !== undefined && nonce !== "" ? parseInt(nonce) : null,
+        gasLimit: gasLimit ? String(gasLimit) : null,
+        gasPrice: gasPrice ? String(gasPrice) : null,
+        gasUsed: gasUsed ? String(gasUsed) : null,
+        effectiveGasPrice: effectiveGasPrice ? String(effectiveGasPrice) : null,
+        observedHeight: params.observed_external_height
+          ? parseInt(params.observed_external_height)
+          : null,
+        finalizationStatus: params.tx_finalization_status || null,
+        // Earlier attempts were superseded by the revert, so they failed
+        status: isLast
+          ? this.getOutboundAttemptStatus(params, detailedStatus)
+          : "failed",
+      };
+    });
+  }
+
+  /**
+   * Get the status of the latest outbound attempt
+   * @param {Object} params - Raw outbound params
+   * @param {string|null} detailedStatus - Detailed CCTX status
+   * @returns {'success'|'pending'|'failed'} Attempt status
+   */
+  getOutboundAttemptStatus(params, detailedStatus) {
+    switch (detailedStatus) {
+      case CCTX_STATUSES.OUTBOUND_MINED:
+      case CCTX_STATUSES.REVERTED:
+        return "success";
+      case CCTX_STATUSES.ABORTED:
+        return "failed";
+      default:
+        return params.tx_finalization_status === "Executed" ? "success" : "pending";
+    }
+  }
+
+  /**
+   * Work out what a CCTX cost on each leg. The withdraw fee is only observable
+   * when the inbound ran on ZetaChain, whose receipt is fetched for it and
+   * for the inbound gas; an inbound on a connected chain takes its gas from
+   * the leg already looked up there.
+   * @param {Object} cctx - Raw CCTX
+   * @param {Object} inboundParams - Raw inbound params
+   * @param {Array<Object>} outbounds - Normalized outbound attempts
+   * @param {number|undefined} sourceChain - Source chain ID
+   * @param {number|undefined} destinationChain - Destination chain ID
+   * @param {Object|null} [inboundTransaction] - Inbound looked up on its connected chain (see getExternalLegs)
+   * @returns {Promise<import('./fee-breakdown.js').FeeBreakdown>} Fee breakdown
+   */
+  async getCrossChainFees(cctx, inboundParams, outbounds, sourceChain, destinationChain, inboundTransaction = null) {
+    const zetaChainId = this.getNetworkInfo().chainId;
+    const inboundHash = inboundParams.observed_hash;
+    const isMainnet = this.currentNetwork === "mainnet";
+
+    const [tokens, inboundReceipt] = await Promise.all([
+      getTokenRegistry(this.currentNetwork).getTokens().catch((error) => {
+        console.warn('Failed to load ZRC-20 token registry:', error.message);
+        return [];
+      }),
+      sourceChain === zetaChainId && inboundHash
+        ? this.api.getEVMTransactionReceipt(inboundHash, isMainnet)
+            .then((response) => response.result || null)
+            .catch((error) => {
+              console.warn(`Failed to fetch inbound receipt ${inboundHash}:`, error.message);
+              return null;
+            })
+        : null,
+    ]);
+
+    return buildFeeBreakdown({
+      cctx,
+      inboundParams,
+      sourceChain,
+      destinationChain,
+      outbounds,
+      zetaChainId,
+      tokens,
+      inboundReceipt,
+      inboundEvents: inboundReceipt
+        ? decodeLogs(inboundReceipt.logs, { network: this.currentNetwork })
+        : [],
+      inboundTransaction,
+    });
+  }
+
+  /**
+   * Look up the inbound and outbound legs of a CCTX on the chains they ran
+   * on. Legs on ZetaChain itself, on unconfigured chains or without a hash
+   * yet are skipped; a failed lookup is reported on the leg, not thrown.
+   * @param {number|undefined} sourceChain - Source chain ID
+   * @param {string|undefined} inboundHash - Inbound transaction hash
+   * @param {Array<Object>} outbounds - Normalized outbound attempts
+   * @returns {Promise<Array<Object>>} Legs with their external transaction or lookup error
+   */
+  async getExternalLegs(sourceChain, inboundHash, outbounds) {
+    const legs = [
+      { leg: "inbound", attemptIndex: null, chainId: sourceChain, hash: inboundHash || null },
+      ...outbounds.map((attempt) => ({
+        leg: attempt.kind,
+        attemptIndex: attempt.index,
+        chainId: attempt.chainId,
+        hash: attempt.hash,
+      })),
+    ].filter((leg) => leg.hash && this.external.supports(leg.chainId));
+
+    return Promise.all(
+      legs.map(async (leg) => {
+        try {
+          const cacheKey = this.getCacheKey("getExternalTransaction", leg.chainId, leg.hash, leg.leg);
+          const transaction = await this.getCachedOrExecute(
+            cacheKey,
+            () => this.external.getTransaction(leg.chainId, leg.hash, { leg: leg.leg }),
+            EXTERNAL_TX_TTL
+          );
+          return {
+            ...leg,
+            transaction,
+            error: transaction ? null : "Transaction not found on chain",
+          };
+        } catch (error) {
+          console.warn(`Failed to fetch ${leg.leg} ${leg.hash} on chain ${leg.chainId}:`, error.message);
+          return { ...leg, transaction: null, error: error.message };
+        }
+      })
+    );
+  }
+
+  /**
+   * Extract the relayed message, call options and revert options of a CCTX
+   * @param {Object} cctx - Raw CCTX
+   * @param {Object} inboundParams - Raw inbound params
+   * @param {Object} outboundParams - Raw params of the first outbound
+   * @returns {Object|null} Cross-chain call details, or null for a plain transfer
+   */
+  getCrossChainCall(cctx, inboundParams, outboundParams) {
+    const message = toHexBytes(cctx.relayed_message ?? cctx.message);
+    const callOptions = outboundParams.call_options || cctx.call_options || null;
+    const revertOptions = cctx.revert_options || null;
+    const target = outboundParams.receiver || null;
+
+    if (message === "0x" && !callOptions && !revertOptions) {
+      return null;
+    }
+
+    const revertMessage = toHexBytes(revertOptions?.revert_message);
+
+    return {
+      isCrossChainCall: Boolean(inboundParams.is_cross_chain_call),
+      target,
+      message,
+      decodedMessage: decodeCrossChainMessage(message, { target, network: this.currentNetwork }),
+      gasLimit: callOptions?.gas_limit ? String(callOptions.gas_limit) : null,
+      isArbitraryCall: Boolean(callOptions?.is_arbitrary_call),
+      revertOptions: revertOptions
+        ? {
+            revertAddress: optionalAddress(revertOptions.revert_address),
+            callOnRevert: Boolean(revertOptions.call_on_revert),
+            abortAddress: optionalAddress(revertOptions.abort_address),
+            revertMessage,
+            decodedRevertMessage: decodeCrossChainMessage(revertMessage, { network: this.currentNetwork }),
+            revertGasLimit: revertOptions.revert_gas_limit ? String(revertOptions.revert_gas_limit) : null,
+          }
+        : null,
+    };
+  }
+
+  /**
+   * Work out where funds went back to after a revert or abort
+   * @param {Object} cctx - Raw CCTX
+   * @param {Object} inboundParams - Raw inbound params
+   * @param {Array<Object>} outbounds - Normalized outbound attempts
+   * @param {string|null} detailedStatus - Detailed CCTX status
+   * @returns {Object|null} Refund leg ({kind, address, chainId, amount, status}) or null
+   */
+  getCrossChainRefund(cctx, inboundParams, outbounds, detailedStatus) {
+    const revert = outbounds.find((attempt) => attempt.kind === OUTBOUND_KINDS.REVERT);
+
+    if (revert) {
+      return {
+        kind: "revert",
+        address: revert.receiver,
+        chainId: revert.chainId,
+        amount: revert.amount,
+        hash: revert.hash,
+        status: revert.status,
+      };
+    }
+
+    if (detailedStatus === CCTX_STATUSES.ABORTED) {
+      // Aborted funds can be refunded on ZetaChain to the abort address (or the sender)
+      const refunded = Boolean(cctx.cctx_status?.is_abort_refunded);
+      return {
+        kind: "abort",
+        address: optionalAddress(cctx.revert_options?.abort_address) || inboundParams.sender || null,
+        chainId: this.getNetworkInfo().chainId,
+        amount: inboundParams.amount || "0",
+        hash: null,
+        status: refunded ? "success" : "pending",
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Get the detailed CCTX status
+   * @param {string|number} status - Cross-chain status name or code
+   * @returns {string|null} Status from CCTX_STATUSES, or null if unknown
+   */
+  getDetailedCrossChainStatus(status) {
+    if (typeof status === "number") {
+      return CCTX_STATUS_CODES[status] || null;
+    }
+    if (typeof status === "string") {
+      return (
+        Object.values(CCTX_STATUSES).find(
+          (name) => name.toLowerCase() === status.toLowerCase()
+        ) || null
+      );
+    }
+    return null;
+  }
+
   /**
    * Map cross-chain status to application status
    * @param {string|number} status - Cross-chain status code or string
    * @returns {'success'|'pending'|'failed'}
    */
   mapCrossChainStatus(status) {
-    if (typeof status === 'string') {
-      switch (status.toLowerCase()) {
-        case 'outboundmined':
-        case 'success':
-          return "success";
-        case 'pendinginbound':
-        case 'pendingoutbound':
-        case 'pending':
-          return "pending";
-        case 'aborted':
-        case 'reverted':
-        case 'failed':
-          return "failed";
-        default:
-          return "pending";
-      }
+    if (typeof status === 'string' && status.toLowerCase() === 'success') {
+      return "success";
     }
-    
-    // Handle numeric status codes
-    switch (status) {
-      case 3:
-        return "success"; // OutboundMined
-      case 1:
-      case 2:
-        return "pending"; // PendingInbound, PendingOutbound
-      case 4:
-        return "failed"; // Aborted
-      case 5:
-        return "failed"; // Reverted
+    if (typeof status === 'string' && status.toLowerCase() === 'failed') {
+      return "failed";
+    }
+
+    switch (this.getDetailedCrossChainStatus(status)) {
+      case CCTX_STATUSES.OUTBOUND_MINED:
+        return "success";
+      case CCTX_STATUSES.REVERTED:
+      case CCTX_STATUSES.ABORTED:
+        return "failed";
       default:
-        return "pending";
+        return "pending"; // PendingInbound, PendingOutbound, PendingRevert
     }
   }
 
@@ -765,10 +2279,8 @@ export class ZetaChainService {
         this.currentNetwork === "mainnet"
           ? "ZetaChain Mainnet"
           : "ZetaChain Athens-3 Testnet",
-      rpcUrl:
-        this.currentNetwork === "mainnet"
-          ? "https://zetachain-evm.blockpi.network/v1/rpc/public"
-          : "https://zetachain-athens-evm.blockpi.network/v1/rpc/public",
+      rpcUrl: endpointRegistry.getPreferredUrl(this.currentNetwork, ENDPOINT_KINDS.EVM),
+      lcdUrl: endpointRegistry.getPreferredUrl(this.currentNetwork, ENDPOINT_KINDS.LCD),
       explorerUrl:
         this.currentNetwork === "mainnet"
           ? "https://zetascan.com"
@@ -804,3 +2316,21 @@ export class ZetaChainService {
 
 // Export singleton instance for application use
 export const zetaChainService = new ZetaChainService();
+
+// Network-pinned instances, so both networks can be queried side by side
+// without switching the shared singleton
+const networkServices = {};
+
+/**
+ * Get a service instance pinned to a network
+ * @param {'mainnet'|'testnet'} network - Network the instance should query
+ * @returns {ZetaChainService} Service instance for the network
+ */
+export function getZetaChainService(network) {
+  if (!networkServices[network]) {
+    const service = new ZetaChainService();
+    service.setNetwork(network);
+    networkServices[network] = service;
+  }
+  return networkServices[network];
+}
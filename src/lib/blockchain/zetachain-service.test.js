@@ -0,0 +1,183 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import {
+  CCTX_STATUSES,
+  ERROR_TYPES,
+  OUTBOUND_KINDS,
+  ZetaChainService,
+  ZetaChainServiceError,
+} from "./zetachain-service.js";
+
+const SENDER = "0x000000000000000000000000000000000000bEEF";
+const ABORT_ADDRESS = "0x000000000000000000000000000000000000dEaD";
+const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+const HASH = `0x${"ab".repeat(32)}`;
+
+describe("ZetaChainService", () => {
+  let service;
+
+  beforeEach(() => {
+    service = new ZetaChainService();
+  });
+
+  afterEach(() => {
+    service.destroy();
+  });
+
+  describe("getCrossChainRefund", () => {
+    const inboundParams = { sender: SENDER, amount: "1000" };
+
+    /**
+     * Build a raw aborted CCTX
+     * @param {string} abortAddress - Abort address as the node sends it
+     * @returns {Object} Raw CCTX
+     */
+    const abortedCctx = (abortAddress) => ({
+      cctx_status: { is_abort_refunded: false },
+      revert_options: { abort_address: abortAddress },
+    });
+
+    it("refunds an aborted CCTX to its abort address", () => {
+      const refund = service.getCrossChainRefund(abortedCctx(ABORT_ADDRESS), inboundParams, [], CCTX_STATUSES.ABORTED);
+
+      expect(refund).toEqual({
+        kind: "abort",
+        address: ABORT_ADDRESS,
+        chainId: 7000,
+        amount: "1000",
+        hash: null,
+        status: "pending",
+      });
+    });
+
+    it("falls back to the sender when the abort address is zero or empty", () => {
+      for (const abortAddress of [ZERO_ADDRESS, "0x", "", undefined]) {
+        const refund = service.getCrossChainRefund(abortedCctx(abortAddress), inboundParams, [], CCTX_STATUSES.ABORTED);
+        expect(refund.address).toBe(SENDER);
+      }
+    });
+
+    it("reports the revert outbound as the refund", () => {
+      const revert = {
+        kind: OUTBOUND_KINDS.REVERT,
+        receiver: SENDER,
+        chainId: 1,
+        amount: "900",
+        hash: "0xabc",
+        status: "success",
+      };
+
+      expect(service.getCrossChainRefund({}, inboundParams, [revert], CCTX_STATUSES.REVERTED)).toEqual({
+        kind: "revert",
+        address: SENDER,
+        chainId: 1,
+        amount: "900",
+        hash: "0xabc",
+        status: "success",
+      });
+    });
+
+    it("has no refund for mined CCTXs", () => {
+      expect(service.getCrossChainRefund({}, inboundParams, [], CCTX_STATUSES.OUTBOUND_MINED)).toBeNull();
+    });
+  });
+
+  describe("findTransactionsByHash", () => {
+    /**
+     * Stub the lookups so nothing matches the hash and the bare-hash
+     * inbound lookup fails
+     * @param {Error|null} directError - Error of the zEVM lookup, or null for no match
+     */
+    const stubLookups = (directError) => {
+      vi.spyOn(service, "getTransaction").mockImplementation(async () => {
+        if (directError) {
+          throw directError;
+        }
+        return null;
+      });
+      vi.spyOn(service, "getCosmosTransaction").mockResolvedValue(null);
+      vi.spyOn(service, "getCrossChainTransactionsByInboundHash").mockImplementation(async (hash) => {
+        if (!hash.startsWith("0x")) {
+          throw new Error("LCD unavailable");
+        }
+        return [];
+      });
+    };
+
+    it("reports not found when the bare-hash lookup fails", async () => {
+      stubLookups(null);
+
+      await expect(service.findTransactionsByHash(HASH)).rejects.toMatchObject({
+        type: ERROR_TYPES.TRANSACTION_NOT_FOUND,
+      });
+      expect(service.getCrossChainTransactionsByInboundHash).toHaveBeenCalledWith("ab".repeat(32));
+    });
+
+    it("reports the zEVM lookup error over a failed bare-hash lookup", async () => {
+      const timeout = new ZetaChainServiceError("Request timed out", ERROR_TYPES.TIMEOUT);
+      stubLookups(timeout);
+
+      await expect(service.findTransactionsByHash(HASH)).rejects.toBe(timeout);
+    });
+  });
+
+  describe("block positions", () => {
+    it("counts confirmations of a cached transaction up to the latest block", async () => {
+      const latestBlockNumber = vi.spyOn(service, "getLatestBlockNumber").mockResolvedValue(110);
+      const getCosmosTransaction = vi.spyOn(service.api, "getCosmosTransaction").mockResolvedValue({
+        tx_response: { txhash: "AB".repeat(32), height: "100", timestamp: "2026-01-01T00:00:00Z", code: 0 },
+      });
+
+      expect(await service.getCosmosTransaction(HASH)).toMatchObject({ blockNumber: 100, confirmations: 10 });
+
+      latestBlockNumber.mockResolvedValue(125);
+      const transaction = await service.getCosmosTransaction(HASH);
+
+      expect(getCosmosTransaction).toHaveBeenCalledTimes(1);
+      expect(transaction.confirmations).toBe(25);
+      expect(transaction.blockAge).toBeGreaterThan(0);
+    });
+
+    it("leaves CCTXs and unknown block heights alone", async () => {
+      vi.spyOn(service, "getLatestBlockNumber").mockResolvedValue(110);
+      const cctx = { txHash: "0x01", type: "cross-chain" };
+
+      const [pending, crossChain] = await service.withBlockPositions([
+        { txHash: "0x02", type: "evm", blockNumber: 0, timestamp: null },
+        cctx,
+      ]);
+
+      expect(pending).toMatchObject({ blockAge: null, confirmations: null });
+      expect(crossChain).toBe(cctx);
+    });
+  });
+
+  describe("getBlockHeader", () => {
+    beforeEach(() => {
+      vi.spyOn(service.api, "getBlockByHash").mockImplementation(async (hash) => ({
+        result: { hash, timestamp: "0x1" },
+      }));
+    });
+
+    it("keeps the most recently used headers", async () => {
+      await service.getBlockHeader("0x0");
+      for (let index = 1; index <= 1000; index++) {
+        await service.getBlockHeader(`0x${index}`);
+        if (index === 500) {
+          await service.getBlockHeader("0x0");
+        }
+      }
+
+      expect(service.blockCache.size).toBe(1000);
+      expect(service.blockCache.has("mainnet:0x0")).toBe(true);
+      expect(service.blockCache.has("mainnet:0x1")).toBe(false);
+    });
+
+    it("is emptied with the rest of the cache", async () => {
+      await service.getBlockHeader("0x1");
+      service.clearCache();
+      await service.getBlockHeader("0x1");
+
+      expect(service.api.getBlockByHash).toHaveBeenCalledTimes(2);
+    });
+  });
+});
@@ -0,0 +1,311 @@
+/**
+ * @fileoverview ABI registry - Bundled and user-uploaded ABIs for decoding
+ * Resolves which ABI to decode a contract's calldata and logs with: a user ABI
+ * for the address, then the bundled ABI for known protocol contracts, then a
+ * lookup of the 4-byte selector, error selector or event topic across every
+ * bundled ABI
+ */
+
+import { Interface, isAddress } from "ethers";
+import { BUNDLED_ABIS, KNOWN_CONTRACTS } from "./abis.js";
+
+const STORAGE_KEY = "zetaflow_custom_abis";
+
+/**
+ * Where a resolved ABI came from
+ * @enum {string}
+ */
+export const ABI_SOURCES = {
+  CUSTOM: "custom", // uploaded by the user for this address
+  CONTRACT: "contract", // bundled ABI of a known protocol contract
+  SELECTOR: "selector", // bundled ABI matched by selector or event topic only
+};
+
+/**
+ * Parse ABI text: a JSON ABI array, a build artifact with an `abi` field, or
+ * human-readable signatures one per line
+ * @param {string|Array} abi - ABI text or array
+ * @returns {Interface} Parsed interface
+ * @throws {Error} When the ABI can't be parsed or has no functions or events
+ */
+export function parseAbi(abi) {
+  let fragments = abi;
+
+  if (typeof abi === "string") {
+    const text = abi.trim();
+    if (text.startsWith("[") || text.startsWith("{")) {
+      const parsed = JSON.parse(text);
+      fragments = Array.isArray(parsed) ? parsed : parsed.abi;
+    } else {
+      fragments = text.split("\n").map((line) => line.trim()).filter(Boolean);
+    }
+  }
+
+  if (!Array.isArray(fragments)) {
+    throw new Error("ABI must be a JSON array or an artifact with an `abi` field");
+  }
+
+  const iface = new Interface(fragments);
+  if (!iface.fragments.some((fragment) => fragment.type === "function" || fragment.type === "event")) {
+    throw new Error("ABI has no functions or events");
+  }
+
+  return iface;
+}
+
+/**
+ * ABI registry shared by the decoders
+ */
+export class AbiRegistry {
+  constructor() {
+    this.bundled = new Map(); // kind -> { name, iface }
+    this.selectors = new Map(); // selector -> kind
+    this.eventTopics = new Map(); // event topic -> kinds
+    this.errorSelectors = new Map(); // custom error selector -> kinds
+    this.customAbis = this._loadFromStorage(); // network -> address -> JSON ABI
+    this.customInterfaces = new Map(); // `${network}:${address}` -> Interface
+    this.listeners = new Set();
+
+    Object.entries(BUNDLED_ABIS).forEach(([kind, { name, abi }]) => {
+      const iface = new Interface(abi);
+      this.bundled.set(kind, { name, iface });
+
+      iface.forEachFunction((fragment) => {
+        if (!this.selectors.has(fragment.selector)) {
+          this.selectors.set(fragment.selector, kind);
+        }
+      });
+
+      iface.forEachEvent((fragment) => {
+        const kinds = this.eventTopics.get(fragment.topicHash) || [];
+        this.eventTopics.set(fragment.topicHash, [...kinds, kind]);
+      });
+
+      iface.forEachError((fragment) => {
+        const kinds = this.errorSelectors.get(fragment.selector) || [];
+        this.errorSelectors.set(fragment.selector, [...kinds, kind]);
+      });
+    });
+  }
+
+  /**
+   * Load user ABIs from local storage
+   * @returns {Object} User ABIs keyed by network and lowercase address
+   * @private
+   */
+  _loadFromStorage() {
+    const empty = { mainnet: {}, testnet: {} };
+
+    try {
+      if (typeof window === "undefined") {
+        return empty; // SSR compatibility
+      }
+
+      const stored = localStorage.getItem(STORAGE_KEY);
+      return stored ? { ...empty, ...JSON.parse(stored) } : empty;
+    } catch (error) {
+      console.warn("Failed to load custom ABIs from storage:", error);
+      return empty;
+    }
+  }
+
+  /**
+   * Save user ABIs to local storage
+   * @private
+   */
+  _saveToStorage() {
+    try {
+      if (typeof window === "undefined") {
+        return; // SSR compatibility
+      }
+
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(this.customAbis));
+    } catch (error) {
+      console.warn("Failed to save custom ABIs to storage:", error);
+    }
+  }
+
+  /**
+   * Add or replace the ABI for a contract address
+   * @param {'mainnet'|'testnet'} network
+   * @param {string} address - Contract address
+   * @param {string|Array} abi - ABI text or array (see parseAbi)
+   * @returns {number} Number of functions and events in the ABI
+   * @throws {Error} When the address or ABI is invalid
+   */
+  addAbi(network, address, abi) {
+    if (!isAddress(address)) {
+      throw new Error(`Invalid contract address: ${address}`);
+    }
+    if (!this.customAbis[network]) {
+      throw new Error(`Unknown network: ${network}`);
+    }
+
+    const iface = parseAbi(abi);
+    const key = address.toLowerCase();
+
+    this.customAbis[network][key] = JSON.parse(iface.formatJson());
+    this.customInterfaces.set(`${network}:${key}`, iface);
+    this._saveToStorage();
+    this.notify();
+
+    return iface.fragments.filter((fragment) => fragment.type === "function" || fragment.type === "event").length;
+  }
+
+  /**
+   * Remove the user ABI for a contract address
+   * @param {'mainnet'|'testnet'} network
+   * @param {string} address - Contract address
+   */
+  removeAbi(network, address) {
+    const key = address.toLowerCase();
+    if (!this.customAbis[network]?.[key]) return;
+
+    delete this.customAbis[network][key];
+    this.customInterfaces.delete(`${network}:${key}`);
+    this._saveToStorage();
+    this.notify();
+  }
+
+  /**
+   * Check whether the user uploaded an ABI for an address
+   * @param {'mainnet'|'testnet'} network
+   * @param {string} address - Contract address
+   * @returns {boolean}
+   */
+  hasCustomAbi(network, address) {
+    return Boolean(address && this.customAbis[network]?.[address.toLowerCase()]);
+  }
+
+  /**
+   * Get the user ABI for an address as an Interface
+   * @param {'mainnet'|'testnet'} network
+   * @param {string} address - Contract address
+   * @returns {Interface|null} Interface, or null when none was uploaded
+   */
+  getCustomInterface(network, address) {
+    if (!this.hasCustomAbi(network, address)) return null;
+
+    const key = `${network}:${address.toLowerCase()}`;
+    if (!this.customInterfaces.has(key)) {
+      try {
+        this.customInterfaces.set(key, new Interface(this.customAbis[network][address.toLowerCase()]));
+      } catch (error) {
+        console.warn(`Stored ABI for ${address} is invalid:`, error.message);
+        return null;
+      }
+    }
+
+    return this.customInterfaces.get(key);
+  }
+
+  /**
+   * Get the bundled contract kind of a known protocol contract
+   * @param {'mainnet'|'testnet'} network
+   * @param {string} address - Contract address
+   * @returns {string|null} Kind from CONTRACT_KINDS, or null
+   */
+  getContractKind(network, address) {
+    if (!address) return null;
+    return KNOWN_CONTRACTS[network]?.[address.toLowerCase()] || null;
+  }
+
+  /**
+   * Get a bundled ABI
+   * @param {string} kind - Kind from CONTRACT_KINDS
+   * @returns {{name: string, iface: Interface}|null} Contract name and interface
+   */
+  getBundled(kind) {
+    return this.bundled.get(kind) || null;
+  }
+
+  /**
+   * Get the interfaces to try for a contract, most specific first
+   * @param {'mainnet'|'testnet'} network
+   * @param {string} [address] - Contract address
+   * @returns {Array<{iface: Interface, source: string, contractName: string|null}>} Candidate interfaces
+   */
+  getCandidates(network, address) {
+    const candidates = [];
+
+    const custom = this.getCustomInterface(network, address);
+    if (custom) {
+      candidates.push({ iface: custom, source: ABI_SOURCES.CUSTOM, contractName: null });
+    }
+
+    const kind = this.getContractKind(network, address);
+    if (kind) {
+      const { name, iface } = this.bundled.get(kind);
+      candidates.push({ iface, source: ABI_SOURCES.CONTRACT, contractName: name });
+    }
+
+    return candidates;
+  }
+
+  /**
+   * Find the bundled ABI that defines a function selector
+   * @param {string} selector - 4-byte selector, e.g. "0xa9059cbb"
+   * @returns {{iface: Interface, source: string, contractName: string}|null} Matching interface
+   */
+  findBySelector(selector) {
+    const kind = this.selectors.get(selector?.toLowerCase());
+    if (!kind) return null;
+
+    const { name, iface } = this.bundled.get(kind);
+    return { iface, source: ABI_SOURCES.SELECTOR, contractName: name };
+  }
+
+  /**
+   * Find the bundled ABIs that define an event topic
+   * @param {string} topic - Event topic (topics[0] of a log)
+   * @returns {Array<{iface: Interface, source: string, contractName: string}>} Matching interfaces
+   */
+  findByTopic(topic) {
+    const kinds = this.eventTopics.get(topic?.toLowerCase()) || [];
+
+    return kinds.map((kind) => {
+      const { name, iface } = this.bundled.get(kind);
+      return { iface, source: ABI_SOURCES.SELECTOR, contractName: name };
+    });
+  }
+
+  /**
+   * Find the bundled ABIs that define a custom error selector
+   * @param {string} selector - 4-byte error selector
+   * @returns {Array<{iface: Interface, source: string, contractName: string}>} Matching interfaces
+   */
+  findByErrorSelector(selector) {
+    const kinds = this.errorSelectors.get(selector?.toLowerCase()) || [];
+
+    return kinds.map((kind) => {
+      const { name, iface } = this.bundled.get(kind);
+      return { iface, source: ABI_SOURCES.SELECTOR, contractName: name };
+    });
+  }
+
+  /**
+   * Subscribe to user ABI changes
+   * @param {Function} listener - Called after every change
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Notify subscribers of a change
+   */
+  notify() {
+    this.listeners.forEach((listener) => {
+      try {
+        listener();
+      } catch (error) {
+        console.warn("ABI registry listener failed:", error);
+      }
+    });
+  }
+}
+
+// Export singleton instance for application use
+export const abiRegistry = new AbiRegistry();
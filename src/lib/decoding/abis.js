@@ -0,0 +1,209 @@
+/**
+ * @fileoverview Bundled ABIs - Human-readable ABI fragments for contracts ZetaFlow decodes
+ * Covers the ZetaChain gateways, ZRC-20, system contract, WZETA, the Uniswap V2
+ * router and pair, Uniswap V3 pools, and common ERC-20/721/1155 functions,
+ * events and errors
+ */
+
+// Structs shared by the gateway functions
+const REVERT_OPTIONS =
+  "(address revertAddress, bool callOnRevert, address abortAddress, bytes revertMessage, uint256 onRevertGasLimit) revertOptions";
+const CALL_OPTIONS = "(uint256 gasLimit, bool isArbitraryCall) callOptions";
+const REVERT_CONTEXT =
+  "(address sender, address asset, uint256 amount, bytes revertMessage) revertContext";
+
+/**
+ * Contract kinds with a bundled ABI
+ * @enum {string}
+ */
+export const CONTRACT_KINDS = {
+  GATEWAY_ZEVM: "gatewayZEVM",
+  GATEWAY_EVM: "gatewayEVM",
+  ZRC20: "zrc20",
+  SYSTEM_CONTRACT: "systemContract",
+  WZETA: "wzeta",
+  UNISWAP_V2_ROUTER: "uniswapV2Router",
+  UNISWAP_V2_PAIR: "uniswapV2Pair",
+  UNISWAP_V3_POOL: "uniswapV3Pool",
+  ERC20: "erc20",
+  ERC721: "erc721",
+  ERC1155: "erc1155",
+};
+
+/**
+ * Bundled ABIs by contract kind. Order matters for selector lookups: when
+ * two contracts share a selector, the first kind listed wins. Events sharing
+ * a topic (ERC-20 and ERC-721 Transfer) are told apart by their indexed topics.
+ */
+export const BUNDLED_ABIS = {
+  [CONTRACT_KINDS.ERC20]: {
+    name: "ERC-20",
+    abi: [
+      "function transfer(address to, uint256 amount)",
+      "function transferFrom(address from, address to, uint256 amount)",
+      "function approve(address spender, uint256 amount)",
+      "function increaseAllowance(address spender, uint256 addedValue)",
+      "function decreaseAllowance(address spender, uint256 subtractedValue)",
+      "event Transfer(address indexed from, address indexed to, uint256 value)",
+      "event Approval(address indexed owner, address indexed spender, uint256 value)",
+      // ERC-6093 errors (OpenZeppelin 5)
+      "error ERC20InsufficientBalance(address sender, uint256 balance, uint256 needed)",
+      "error ERC20InsufficientAllowance(address spender, uint256 allowance, uint256 needed)",
+      "error ERC20InvalidSender(address sender)",
+      "error ERC20InvalidReceiver(address receiver)",
+      "error ERC20InvalidApprover(address approver)",
+      "error ERC20InvalidSpender(address spender)",
+    ],
+  },
+  [CONTRACT_KINDS.ERC721]: {
+    name: "ERC-721",
+    abi: [
+      "function safeTransferFrom(address from, address to, uint256 tokenId)",
+      "function safeTransferFrom(address from, address to, uint256 tokenId, bytes data)",
+      "function setApprovalForAll(address operator, bool approved)",
+      "event Transfer(address indexed from, address indexed to, uint256 indexed tokenId)",
+      "event ApprovalForAll(address indexed owner, address indexed operator, bool approved)",
+    ],
+  },
+  [CONTRACT_KINDS.ERC1155]: {
+    name: "ERC-1155",
+    abi: [
+      "function safeTransferFrom(address from, address to, uint256 id, uint256 amount, bytes data)",
+      "function safeBatchTransferFrom(address from, address to, uint256[] ids, uint256[] amounts, bytes data)",
+      "event TransferSingle(address indexed operator, address indexed from, address indexed to, uint256 id, uint256 value)",
+      "event TransferBatch(address indexed operator, address indexed from, address indexed to, uint256[] ids, uint256[] values)",
+    ],
+  },
+  [CONTRACT_KINDS.GATEWAY_ZEVM]: {
+    name: "Gateway (zEVM)",
+    abi: [
+      `function withdraw(bytes receiver, uint256 amount, address zrc20, ${REVERT_OPTIONS})`,
+      `function withdraw(bytes receiver, uint256 amount, uint256 chainId, ${REVERT_OPTIONS})`,
+      `function withdrawAndCall(bytes receiver, uint256 amount, address zrc20, bytes message, ${CALL_OPTIONS}, ${REVERT_OPTIONS})`,
+      `function withdrawAndCall(bytes receiver, uint256 amount, uint256 chainId, bytes message, ${CALL_OPTIONS}, ${REVERT_OPTIONS})`,
+      `function call(bytes receiver, address zrc20, bytes message, ${CALL_OPTIONS}, ${REVERT_OPTIONS})`,
+      `event Called(address indexed sender, address indexed zrc20, bytes receiver, bytes message, ${CALL_OPTIONS}, ${REVERT_OPTIONS})`,
+      `event Withdrawn(address indexed sender, uint256 indexed chainId, bytes receiver, address zrc20, uint256 value, uint256 gasfee, uint256 protocolFlatFee, bytes message, ${CALL_OPTIONS}, ${REVERT_OPTIONS})`,
+      `event WithdrawnAndCalled(address indexed sender, uint256 indexed chainId, bytes receiver, address zrc20, uint256 value, uint256 gasfee, uint256 protocolFlatFee, bytes message, ${CALL_OPTIONS}, ${REVERT_OPTIONS})`,
+      "error ZeroAddress()",
+      "error InsufficientZRC20Amount()",
+      "error InsufficientZetaAmount()",
+      "error InsufficientGasLimit()",
+      "error MessageSizeExceeded()",
+      "error ZRC20BurnFailed()",
+      "error ZRC20TransferFailed()",
+      "error GasFeeTransferFailed()",
+      "error CallerIsNotProtocol()",
+      "error InvalidTarget()",
+    ],
+  },
+  [CONTRACT_KINDS.GATEWAY_EVM]: {
+    name: "Gateway (EVM)",
+    abi: [
+      `function deposit(address receiver, ${REVERT_OPTIONS})`,
+      `function deposit(address receiver, uint256 amount, address asset, ${REVERT_OPTIONS})`,
+      `function depositAndCall(address receiver, bytes payload, ${REVERT_OPTIONS})`,
+      `function depositAndCall(address receiver, uint256 amount, address asset, bytes payload, ${REVERT_OPTIONS})`,
+      `function call(address receiver, bytes payload, ${REVERT_OPTIONS})`,
+      `event Deposited(address indexed sender, address indexed receiver, uint256 amount, address asset, bytes payload, ${REVERT_OPTIONS})`,
+      `event Called(address indexed sender, address indexed receiver, bytes payload, ${REVERT_OPTIONS})`,
+      "event Executed(address indexed destination, uint256 value, bytes data)",
+      `event Reverted(address indexed to, address indexed token, uint256 amount, bytes data, ${REVERT_CONTEXT})`,
+    ],
+  },
+  [CONTRACT_KINDS.ZRC20]: {
+    name: "ZRC-20",
+    abi: [
+      "function withdraw(bytes to, uint256 amount)",
+      "function deposit(address to, uint256 amount)",
+      "function burn(uint256 amount)",
+      "event Deposit(bytes from, address indexed to, uint256 value)",
+      "event Withdrawal(address indexed from, bytes to, uint256 value, uint256 gasFee, uint256 protocolFlatFee)",
+    ],
+  },
+  [CONTRACT_KINDS.SYSTEM_CONTRACT]: {
+    name: "System Contract",
+    abi: [
+      "function depositAndCall((bytes origin, address sender, uint256 chainID) context, address zrc20, uint256 amount, address target, bytes message)",
+      "function setGasPrice(uint256 chainID, uint256 price)",
+      "function setGasCoinZRC20(uint256 chainID, address zrc20)",
+      "function setGasZetaPool(uint256 chainID, address erc20)",
+      "function setWZETAContractAddress(address addr)",
+      "function setConnectorZEVMAddress(address addr)",
+    ],
+  },
+  [CONTRACT_KINDS.WZETA]: {
+    name: "WZETA",
+    abi: [
+      "function deposit() payable",
+      "function withdraw(uint256 wad)",
+      "event Deposit(address indexed dst, uint256 wad)",
+      "event Withdrawal(address indexed src, uint256 wad)",
+    ],
+  },
+  [CONTRACT_KINDS.UNISWAP_V2_ROUTER]: {
+    name: "Uniswap V2 Router",
+    abi: [
+      "function addLiquidity(address tokenA, address tokenB, uint256 amountADesired, uint256 amountBDesired, uint256 amountAMin, uint256 amountBMin, address to, uint256 deadline)",
+      "function addLiquidityETH(address token, uint256 amountTokenDesired, uint256 amountTokenMin, uint256 amountETHMin, address to, uint256 deadline) payable",
+      "function removeLiquidity(address tokenA, address tokenB, uint256 liquidity, uint256 amountAMin, uint256 amountBMin, address to, uint256 deadline)",
+      "function removeLiquidityETH(address token, uint256 liquidity, uint256 amountTokenMin, uint256 amountETHMin, address to, uint256 deadline)",
+      "function swapExactTokensForTokens(uint256 amountIn, uint256 amountOutMin, address[] path, address to, uint256 deadline)",
+      "function swapTokensForExactTokens(uint256 amountOut, uint256 amountInMax, address[] path, address to, uint256 deadline)",
+      "function swapExactETHForTokens(uint256 amountOutMin, address[] path, address to, uint256 deadline) payable",
+      "function swapTokensForExactETH(uint256 amountOut, uint256 amountInMax, address[] path, address to, uint256 deadline)",
+      "function swapExactTokensForETH(uint256 amountIn, uint256 amountOutMin, address[] path, address to, uint256 deadline)",
+      "function swapETHForExactTokens(uint256 amountOut, address[] path, address to, uint256 deadline) payable",
+      "function swapExactTokensForTokensSupportingFeeOnTransferTokens(uint256 amountIn, uint256 amountOutMin, address[] path, address to, uint256 deadline)",
+      "function swapExactETHForTokensSupportingFeeOnTransferTokens(uint256 amountOutMin, address[] path, address to, uint256 deadline) payable",
+      "function swapExactTokensForETHSupportingFeeOnTransferTokens(uint256 amountIn, uint256 amountOutMin, address[] path, address to, uint256 deadline)",
+    ],
+  },
+  [CONTRACT_KINDS.UNISWAP_V2_PAIR]: {
+    name: "Uniswap V2 Pair",
+    abi: [
+      "function swap(uint256 amount0Out, uint256 amount1Out, address to, bytes data)",
+      "function mint(address to)",
+      "function burn(address to)",
+      "function skim(address to)",
+      "function sync()",
+      "function token0() view returns (address)",
+      "function token1() view returns (address)",
+      "function getReserves() view returns (uint112 reserve0, uint112 reserve1, uint32 blockTimestampLast)",
+      "event Swap(address indexed sender, uint256 amount0In, uint256 amount1In, uint256 amount0Out, uint256 amount1Out, address indexed to)",
+      "event Sync(uint112 reserve0, uint112 reserve1)",
+      "event Mint(address indexed sender, uint256 amount0, uint256 amount1)",
+      "event Burn(address indexed sender, uint256 amount0, uint256 amount1, address indexed to)",
+    ],
+  },
+  [CONTRACT_KINDS.UNISWAP_V3_POOL]: {
+    name: "Uniswap V3 Pool",
+    abi: [
+      "function swap(address recipient, bool zeroForOne, int256 amountSpecified, uint160 sqrtPriceLimitX96, bytes data) returns (int256 amount0, int256 amount1)",
+      "function token0() view returns (address)",
+      "function token1() view returns (address)",
+      "function fee() view returns (uint24)",
+      "event Swap(address indexed sender, address indexed recipient, int256 amount0, int256 amount1, uint160 sqrtPriceX96, uint128 liquidity, int24 tick)",
+      "event Mint(address sender, address indexed owner, int24 indexed tickLower, int24 indexed tickUpper, uint128 amount, uint256 amount0, uint256 amount1)",
+      "event Burn(address indexed owner, int24 indexed tickLower, int24 indexed tickUpper, uint128 amount, uint256 amount0, uint256 amount1)",
+    ],
+  },
+};
+
+/**
+ * ZetaChain protocol contracts on zEVM, by network (addresses lowercase)
+ */
+export const KNOWN_CONTRACTS = {
+  mainnet: {
+    "0xfedd7a6e3ef1cc470fbfbf955a22d793ddc0f44e": CONTRACT_KINDS.GATEWAY_ZEVM,
+    "0x91d18e54daf4f677cb28167158d6dd21f6ab3921": CONTRACT_KINDS.SYSTEM_CONTRACT,
+    "0x5f0b1a82749cb4e2278ec87f8bf6b618dc71a8bf": CONTRACT_KINDS.WZETA,
+    "0x2ca7d64a7efe2d62a725e2b35cf7230d6677ffee": CONTRACT_KINDS.UNISWAP_V2_ROUTER,
+  },
+  testnet: {
+    "0x6c533f7fe93fae114d0954697069df33c9b74fd7": CONTRACT_KINDS.GATEWAY_ZEVM,
+    "0xedf1c3275d13489acdc6cd6ed246e72458b8795b": CONTRACT_KINDS.SYSTEM_CONTRACT,
+    "0x5f0b1a82749cb4e2278ec87f8bf6b618dc71a8bf": CONTRACT_KINDS.WZETA,
+    "0x2ca7d64a7efe2d62a725e2b35cf7230d6677ffee": CONTRACT_KINDS.UNISWAP_V2_ROUTER,
+  },
+};
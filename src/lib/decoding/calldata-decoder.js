@@ -0,0 +1,106 @@
+/**
+ * @fileoverview Calldata decoder - Decodes transaction input into a function call
+ * with typed arguments, using the ABI registry
+ */
+
+import { abiRegistry } from "./abi-registry.js";
+
+/**
+ * @typedef {Object} DecodedArgument
+ * @property {string} name - Parameter name ('' when the ABI doesn't name it)
+ * @property {string} type - Solidity type, e.g. "uint256" or "tuple(address,uint256)"
+ * @property {string|boolean|Array<DecodedArgument>|Array} value - Decoded value: integers
+ *   as decimal strings, addresses checksummed, bytes as hex, tuples as named
+ *   arguments and arrays as lists
+ */
+
+/**
+ * @typedef {Object} DecodedCall
+ * @property {string} selector - 4-byte function selector
+ * @property {string} name - Function name
+ * @property {string} signature - Canonical signature, e.g. "transfer(address,uint256)"
+ * @property {string} source - Where the ABI came from (see ABI_SOURCES)
+ * @property {string|null} contractName - Name of the matched bundled contract ABI
+ * @property {DecodedArgument[]} args - Decoded arguments
+ */
+
+/**
+ * Convert a decoded ABI value to a plain, serializable value
+ * @param {import('ethers').ParamType} param - ABI parameter
+ * @param {*} value - Value decoded by ethers
+ * @returns {*} Plain value (see DecodedArgument)
+ */
+export function toPlainValue(param, value) {
+  if (param.baseType === "tuple") {
+    return param.components.map((component, index) => ({
+      name: component.name,
+      type: component.type,
+      value: toPlainValue(component, value[index]),
+    }));
+  }
+
+  if (param.baseType === "array") {
+    return Array.from(value, (item) => toPlainValue(param.arrayChildren, item));
+  }
+
+  if (typeof value === "bigint") {
+    return value.toString();
+  }
+
+  return value;
+}
+
+/**
+ * Decode arguments against a list of ABI parameters
+ * @param {ReadonlyArray<import('ethers').ParamType>} params - ABI parameters
+ * @param {import('ethers').Result} values - Values decoded by ethers
+ * @returns {DecodedArgument[]} Decoded arguments
+ */
+export function toDecodedArguments(params, values) {
+  return params.map((param, index) => ({
+    name: param.name,
+    type: param.type,
+    value: toPlainValue(param, values[index]),
+  }));
+}
+
+/**
+ * Decode transaction input data
+ * @param {string} input - Transaction input data (hex)
+ * @param {Object} [options] - Decode options
+ * @param {string} [options.to] - Contract the transaction was sent to
+ * @param {'mainnet'|'testnet'} [options.network] - Network the contract is on
+ * @param {string|bigint} [options.value] - Transaction value, for payable functions
+ * @param {import('./abi-registry.js').AbiRegistry} [options.registry] - ABI registry to use
+ * @returns {DecodedCall|null} Decoded call, or null for plain transfers and
+ *   input no known ABI matches
+ */
+export function decodeCalldata(input, options = {}) {
+  const { to, network = "mainnet", value, registry = abiRegistry } = options;
+  if (!input || input === "0x" || input.length < 10) return null;
+
+  const selector = input.slice(0, 10).toLowerCase();
+  const candidates = registry.getCandidates(network, to);
+  const bySelector = registry.findBySelector(selector);
+  if (bySelector) candidates.push(bySelector);
+
+  for (const { iface, source, contractName } of candidates) {
+    try {
+      const parsed = iface.parseTransaction({ data: input, value });
+      if (!parsed) continue;
+
+      return {
+        selector,
+        name: parsed.name,
+        signature: parsed.signature,
+        source,
+        contractName,
+        args: toDecodedArguments(parsed.fragment.inputs, parsed.args),
+      };
+    } catch {
+      // Selector matched but the data doesn't fit this ABI; try the next one
+    }
+  }
+
+  return null;
+}
@@ -0,0 +1,123 @@
+import { Interface } from "ethers";
+import { describe, expect, it } from "vitest";
+import { ABI_SOURCES, AbiRegistry, parseAbi } from "./abi-registry.js";
+import { decodeCalldata } from "./calldata-decoder.js";
+
+const RECIPIENT = "0x000000000000000000000000000000000000dEaD";
+const ROUTER = "0x2ca7d64a7efe2d62a725e2b35cf7230d6677ffee";
+const TOKEN_A = "0x1111111111111111111111111111111111111111";
+const TOKEN_B = "0x2222222222222222222222222222222222222222";
+
+const erc20 = new Interface(["function transfer(address to, uint256 amount)"]);
+const router = new Interface([
+  "function swapExactTokensForTokens(uint256 amountIn, uint256 amountOutMin, address[] path, address to, uint256 deadline)",
+]);
+
+describe("decodeCalldata", () => {
+  it("ignores plain transfers and truncated input", () => {
+    const registry = new AbiRegistry();
+    expect(decodeCalldata("0x", { registry })).toBeNull();
+    expect(decodeCalldata(null, { registry })).toBeNull();
+    expect(decodeCalldata("0xa9059c", { registry })).toBeNull();
+  });
+
+  it("decodes a bundled function by selector with exact integers", () => {
+    const registry = new AbiRegistry();
+    const input = erc20.encodeFunctionData("transfer", [RECIPIENT, 2n ** 70n]);
+
+    expect(decodeCalldata(input, { registry })).toEqual({
+      selector: "0xa9059cbb",
+      name: "transfer",
+      signature: "transfer(address,uint256)",
+      source: ABI_SOURCES.SELECTOR,
+      contractName: "ERC-20",
+      args: [
+        { name: "to", type: "address", value: RECIPIENT },
+        { name: "amount", type: "uint256", value: "1180591620717411303424" },
+      ],
+    });
+  });
+
+  it("uses the bundled ABI of a known contract and decodes arrays", () => {
+    const registry = new AbiRegistry();
+    const input = router.encodeFunctionData("swapExactTokensForTokens", [
+      1000n,
+      990n,
+      [TOKEN_A, TOKEN_B],
+      RECIPIENT,
+      1700000000n,
+    ]);
+
+    const decoded = decodeCalldata(input, { to: ROUTER, registry });
+    expect(decoded.source).toBe(ABI_SOURCES.CONTRACT);
+    expect(decoded.contractName).toBe("Uniswap V2 Router");
+    expect(decoded.args[2]).toEqual({
+      name: "path",
+      type: "address[]",
+      value: [TOKEN_A, TOKEN_B],
+    });
+  });
+
+  it("prefers a user ABI for the contract address", () => {
+    const registry = new AbiRegistry();
+    registry.addAbi("mainnet", TOKEN_A, "function transfer(address recipient, uint256 value)");
+    const input = erc20.encodeFunctionData("transfer", [RECIPIENT, 1n]);
+
+    const decoded = decodeCalldata(input, { to: TOKEN_A, registry });
+    expect(decoded.source).toBe(ABI_SOURCES.CUSTOM);
+    expect(decoded.contractName).toBeNull();
+    expect(decoded.args.map((arg) => arg.name)).toEqual(["recipient", "value"]);
+
+    // The user ABI only applies on the network it was added for
+    expect(decodeCalldata(input, { to: TOKEN_A, network: "testnet", registry }).source).toBe(
+      ABI_SOURCES.SELECTOR
+    );
+  });
+
+  it("decodes tuples as named arguments", () => {
+    const registry = new AbiRegistry();
+    registry.addAbi("mainnet", TOKEN_A, [
+      "function submit((address owner, uint256[] amounts) order, bytes data)",
+    ]);
+    const iface = registry.getCustomInterface("mainnet", TOKEN_A);
+    const input = iface.encodeFunctionData("submit", [[RECIPIENT, [1n, 2n]], "0xabcd"]);
+
+    expect(decodeCalldata(input, { to: TOKEN_A, registry }).args).toEqual([
+      {
+        name: "order",
+        type: "tuple(address,uint256[])",
+        value: [
+          { name: "owner", type: "address", value: RECIPIENT },
+          { name: "amounts", type: "uint256[]", value: ["1", "2"] },
+        ],
+      },
+      { name: "data", type: "bytes", value: "0xabcd" },
+    ]);
+  });
+
+  it("returns null when no ABI fits the data", () => {
+    const registry = new AbiRegistry();
+    expect(decodeCalldata("0xdeadbeef", { registry })).toBeNull();
+    // Known selector, but the arguments are cut off
+    expect(decodeCalldata("0xa9059cbb0000", { registry })).toBeNull();
+  });
+});
+
+describe("parseAbi", () => {
+  it("accepts JSON ABIs, build artifacts and human-readable signatures", () => {
+    const json = erc20.formatJson();
+    expect(parseAbi(json).getFunction("transfer")).toBeTruthy();
+    expect(parseAbi(`{"abi": ${json}}`).getFunction("transfer")).toBeTruthy();
+    expect(parseAbi("function a()\n\nevent B(uint256 x)").getEvent("B")).toBeTruthy();
+  });
+
+  it("rejects ABIs without functions or events", () => {
+    expect(() => parseAbi('{"bytecode": "0x"}')).toThrow(/JSON array/);
+    expect(() => parseAbi("error Oops()")).toThrow(/no functions or events/);
+  });
+
+  it("rejects invalid addresses when adding a user ABI", () => {
+    const registry = new AbiRegistry();
+    expect(() => registry.addAbi("mainnet", "0x1234", "function a()")).toThrow(/Invalid contract address/);
+  });
+});
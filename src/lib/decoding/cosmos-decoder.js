@@ -0,0 +1,527 @@
+/**
+ * @fileoverview Cosmos decoder - Decodes the messages of a ZetaChain Cosmos transaction
+ * Observer votes, gas price votes, staking, governance and bank messages are
+ * signed on the Cosmos side of ZetaChain and never show up on the EVM
+ * JSON-RPC. Each message is turned into labeled fields, the funds it moves
+ * and the CCTX it refers to, which is what makes a stuck CCTX's voting
+ * history readable.
+ */
+
+/**
+ * What a message does, used to group and style it
+ * @enum {string}
+ */
+export const COSMOS_MSG_KINDS = {
+  TRANSFER: "transfer", // bank sends
+  STAKING: "staking", // delegations and reward withdrawals
+  GOVERNANCE: "governance", // proposal votes
+  INBOUND_VOTE: "inboundVote", // observer vote on an inbound
+  OUTBOUND_VOTE: "outboundVote", // observer vote on an outbound
+  OBSERVER: "observer", // gas prices, trackers, TSS, blame and observer set changes
+  ETHEREUM: "ethereum", // zEVM transaction wrapped in a Cosmos transaction
+  OTHER: "other",
+};
+
+/**
+ * How a decoded field's value should be displayed
+ * @enum {string}
+ */
+export const FIELD_FORMATS = {
+  ADDRESS: "address",
+  HASH: "hash",
+  CHAIN: "chain", // chain ID
+  TEXT: "text",
+  NUMBER: "number",
+};
+
+// Native denominations with their display symbol and decimals
+const DENOMS = {
+  azeta: { symbol: "ZETA", decimals: 18 },
+};
+
+// Governance vote options, by name and protobuf number
+const VOTE_OPTIONS = {
+  VOTE_OPTION_YES: "Yes",
+  VOTE_OPTION_ABSTAIN: "Abstain",
+  VOTE_OPTION_NO: "No",
+  VOTE_OPTION_NO_WITH_VETO: "No with veto",
+  1: "Yes",
+  2: "Abstain",
+  3: "No",
+  4: "No with veto",
+};
+
+// Outcomes an outbound vote reports, by name (with or without the
+// "ReceiveStatus_" prefix) and protobuf number
+const RECEIVE_STATUSES = {
+  created: "created",
+  success: "success",
+  failed: "failed",
+  0: "created",
+  1: "success",
+  2: "failed",
+};
+
+// Fields that name the signer when a message has no definition
+const SIGNER_FIELDS = ["creator", "from_address", "delegator_address", "voter", "signer", "authority", "grantee", "from"];
+
+/**
+ * @typedef {Object} DecodedField
+ * @property {string} label - Field label
+ * @property {string|number} value - Field value
+ * @property {string} format - Display format from FIELD_FORMATS
+ */
+
+/**
+ * @typedef {Object} CosmosTransfer
+ * @property {string|null} from - Address the funds came from (null when not in the message)
+ * @property {string|null} to - Address the funds went to (null when not in the message)
+ * @property {string} amount - Raw amount
+ * @property {string|null} symbol - Display symbol (null until the token is resolved)
+ * @property {number|null} decimals - Token decimals (null until the token is resolved)
+ * @property {{chainId: number, asset: string, coinType: string}|null} token - Foreign asset to resolve through the ZRC-20 registry
+ * @property {string} label - What the transfer is, e.g. "delegate" or "observed"
+ */
+
+/**
+ * @typedef {Object} DecodedCosmosMessage
+ * @property {number} index - Position in the transaction (inner messages of an authz exec are numbered in order)
+ * @property {string} typeUrl - Protobuf type URL, e.g. "/cosmos.bank.v1beta1.MsgSend"
+ * @property {string} module - Module the message belongs to, e.g. "bank" or "crosschain"
+ * @property {string} name - Message name, e.g. "MsgSend"
+ * @property {string} kind - Kind from COSMOS_MSG_KINDS
+ * @property {string} label - Readable name, e.g. "Inbound vote"
+ * @property {string|null} signer - Address that authorized the message
+ * @property {string|null} grantee - Hot key that executed it through authz, if any
+ * @property {DecodedField[]} fields - Labeled fields
+ * @property {CosmosTransfer[]} transfers - Funds the message moves or reports
+ * @property {string|null} cctxIndex - CCTX the message refers to
+ * @property {{hash: string, chainId: number}|null} inbound - Inbound transaction the message refers to
+ * @property {string|null} ethereumTxHash - zEVM transaction hash, for wrapped Ethereum transactions
+ * @property {Object} raw - Message as returned by the node
+ */
+
+/**
+ * Get the display symbol and decimals of a native denomination
+ * @param {string} denom - Denomination, e.g. "azeta"
+ * @returns {{symbol: string, decimals: number}} Known denom, or the denom itself with 0 decimals
+ */
+export function resolveDenom(denom) {
+  return DENOMS[denom] || { symbol: denom, decimals: 0 };
+}
+
+/**
+ * Split a typeUrl into module and message name, dropping the version
+ * ("/cosmos.staking.v1beta1.MsgDelegate" -> staking, MsgDelegate)
+ * @param {string} typeUrl - Protobuf type URL
+ * @returns {{module: string, name: string}}
+ */
+function parseTypeUrl(typeUrl) {
+  const parts = String(typeUrl || "").replace(/^\//, "").split(".");
+  const name = parts.pop() || "Unknown";
+  const moduleName = parts.filter((part) => !/^v\d/.test(part)).pop() || "unknown";
+  return { module: moduleName, name };
+}
+
+/**
+ * Turn a message name into a label ("MsgUpdateChainParams" -> "Update chain params")
+ * @param {string} name - Message name
+ * @returns {string} Label
+ */
+function labelFromName(name) {
+  const words = name.replace(/^Msg/, "").replace(/([a-z0-9])([A-Z])/g, "$1 $2").toLowerCase();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+/**
+ * Build a field list, leaving out empty values
+ * @param {Array<[string, *, string]>} entries - [label, value, format] triples
+ * @returns {DecodedField[]}
+ */
+function fields(entries) {
+  return entries
+    .filter(([, value]) => value !== undefined && value !== null && value !== "")
+    .map(([label, value, format = FIELD_FORMATS.TEXT]) => ({ label, value, format }));
+}
+
+/**
+ * One transfer per coin of a Cosmos coin list
+ * @param {string|null} from - Sender
+ * @param {string|null} to - Recipient
+ * @param {Array<{denom: string, amount: string}>|{denom: string, amount: string}} coins - Coin or coins
+ * @param {string} label - What the transfer is
+ * @returns {CosmosTransfer[]}
+ */
+function coinTransfers(from, to, coins, label) {
+  return [coins]
+    .flat()
+    .filter((coin) => coin?.denom && coin.amount)
+    .map((coin) => ({ from, to, amount: coin.amount, ...resolveDenom(coin.denom), token: null, label }));
+}
+
+/**
+ * Parse a chain ID field
+ * @param {string|number} value - Chain ID as sent in the message
+ * @returns {number|null}
+ */
+function chainId(value) {
+  const id = parseInt(value, 10);
+  return Number.isNaN(id) ? null : id;
+}
+
+/**
+ * Decode a zEVM transaction wrapped in a Cosmos transaction
+ * @param {Object} msg - MsgEthereumTx as returned by the node
+ * @returns {Object} Decoded parts
+ */
+function decodeEthereumTx(msg) {
+  return {
+    kind: COSMOS_MSG_KINDS.ETHEREUM,
+    label: "zEVM transaction",
+    signer: msg.from || null,
+    fields: fields([["From", msg.from, FIELD_FORMATS.ADDRESS]]),
+    ethereumTxHash: msg.hash || null,
+  };
+}
+
+// Decoders for the messages the explorer explains, keyed "module/MsgName".
+// Each returns the kind, label, signer field and what the message carries.
+const MESSAGE_DECODERS = {
+  "bank/MsgSend": (msg) => ({
+    kind: COSMOS_MSG_KINDS.TRANSFER,
+    label: "Send",
+    signer: msg.from_address,
+    fields: fields([
+      ["From", msg.from_address, FIELD_FORMATS.ADDRESS],
+      ["To", msg.to_address, FIELD_FORMATS.ADDRESS],
+    ]),
+    transfers: coinTransfers(msg.from_address, msg.to_address, msg.amount, "send"),
+  }),
+
+  "staking/MsgDelegate": (msg) => ({
+    kind: COSMOS_MSG_KINDS.STAKING,
+    label: "Delegate",
+    signer: msg.delegator_address,
+    fields: fields([
+      ["Delegator", msg.delegator_address, FIELD_FORMATS.ADDRESS],
+      ["Validator", msg.validator_address, FIELD_FORMATS.ADDRESS],
+    ]),
+    transfers: coinTransfers(msg.delegator_address, msg.validator_address, msg.amount, "delegate"),
+  }),
+
+  "staking/MsgUndelegate": (msg) => ({
+    kind: COSMOS_MSG_KINDS.STAKING,
+    label: "Undelegate",
+    signer: msg.delegator_address,
+    fields: fields([
+      ["Delegator", msg.delegator_address, FIELD_FORMATS.ADDRESS],
+      ["Validator", msg.validator_address, FIELD_FORMATS.ADDRESS],
+    ]),
+    transfers: coinTransfers(msg.validator_address, msg.delegator_address, msg.amount, "undelegate"),
+  }),
+
+  "staking/MsgBeginRedelegate": (msg) => ({
+    kind: COSMOS_MSG_KINDS.STAKING,
+    label: "Redelegate",
+    signer: msg.delegator_address,
+    fields: fields([
+      ["Delegator", msg.delegator_address, FIELD_FORMATS.ADDRESS],
+      ["From validator", msg.validator_src_address, FIELD_FORMATS.ADDRESS],
+      ["To validator", msg.validator_dst_address, FIELD_FORMATS.ADDRESS],
+    ]),
+    transfers: coinTransfers(msg.validator_src_address, msg.validator_dst_address, msg.amount, "redelegate"),
+  }),
+
+  "distribution/MsgWithdrawDelegatorReward": (msg) => ({
+    kind: COSMOS_MSG_KINDS.STAKING,
+    label: "Withdraw rewards",
+    signer: msg.delegator_address,
+    fields: fields([
+      ["Delegator", msg.delegator_address, FIELD_FORMATS.ADDRESS],
+      ["Validator", msg.validator_address, FIELD_FORMATS.ADDRESS],
+    ]),
+  }),
+
+  "gov/MsgVote": (msg) => ({
+    kind: COSMOS_MSG_KINDS.GOVERNANCE,
+    label: "Governance vote",
+    signer: msg.voter,
+    fields: fields([
+      ["Proposal", msg.proposal_id && `#${msg.proposal_id}`],
+      ["Option", VOTE_OPTIONS[msg.option] || msg.option],
+      ["Voter", msg.voter, FIELD_FORMATS.ADDRESS],
+      ["Metadata", msg.metadata],
+    ]),
+  }),
+
+  "gov/MsgVoteWeighted": (msg) => ({
+    kind: COSMOS_MSG_KINDS.GOVERNANCE,
+    label: "Weighted governance vote",
+    signer: msg.voter,
+    fields: fields([
+      ["Proposal", msg.proposal_id && `#${msg.proposal_id}`],
+      [
+        "Options",
+        (msg.options || [])
+          .map((option) => `${VOTE_OPTIONS[option.option] || option.option} ${Math.round(parseFloat(option.weight) * 100)}%`)
+          .join(", "),
+      ],
+      ["Voter", msg.voter, FIELD_FORMATS.ADDRESS],
+    ]),
+  }),
+
+  "crosschain/MsgVoteInbound": (msg) => ({
+    kind: COSMOS_MSG_KINDS.INBOUND_VOTE,
+    label: "Inbound vote",
+    signer: msg.creator,
+    fields: fields([
+      ["Inbound hash", msg.inbound_hash, FIELD_FORMATS.HASH],
+      ["Source chain", chainId(msg.sender_chain_id), FIELD_FORMATS.CHAIN],
+      ["Inbound block", msg.inbound_block_height, FIELD_FORMATS.NUMBER],
+      ["Sender", msg.sender, FIELD_FORMATS.ADDRESS],
+      ["Destination chain", chainId(msg.receiver_chain), FIELD_FORMATS.CHAIN],
+      ["Receiver", msg.receiver, FIELD_FORMATS.ADDRESS],
+      ["Coin type", msg.coin_type],
+      ["Asset", msg.asset, FIELD_FORMATS.ADDRESS],
+      ["Event index", msg.event_index, FIELD_FORMATS.NUMBER],
+      ["Gas limit", msg.gas_limit, FIELD_FORMATS.NUMBER],
+      ["Message", msg.message && msg.message.length > 66 ? `${msg.message.slice(0, 66)}...` : msg.message],
+    ]),
+    transfers: msg.amount && msg.amount !== "0"
+      ? [{
+          from: msg.sender || null,
+          to: msg.receiver || null,
+          amount: msg.amount,
+          symbol: null,
+          decimals: null,
+          token: {
+            chainId: chainId(msg.sender_chain_id),
+            asset: msg.asset || "",
+            coinType: msg.coin_type,
+          },
+          label: "observed",
+        }]
+      : [],
+    inbound: msg.inbound_hash
+      ? { hash: msg.inbound_hash, chainId: chainId(msg.sender_chain_id) }
+      : null,
+  }),
+
+  "crosschain/MsgVoteOutbound": (msg) => ({
+    kind: COSMOS_MSG_KINDS.OUTBOUND_VOTE,
+    label: "Outbound vote",
+    signer: msg.creator,
+    fields: fields([
+      ["CCTX", msg.cctx_hash, FIELD_FORMATS.HASH],
+      ["Observed status", RECEIVE_STATUSES[String(msg.status).replace(/^ReceiveStatus_/, "")] || msg.status],
+      ["Outbound hash", msg.observed_outbound_hash, FIELD_FORMATS.HASH],
+      ["Chain", chainId(msg.outbound_chain), FIELD_FORMATS.CHAIN],
+      ["Nonce", msg.outbound_tss_nonce, FIELD_FORMATS.NUMBER],
+      ["Outbound block", msg.observed_outbound_block_height, FIELD_FORMATS.NUMBER],
+      ["Gas used", msg.observed_outbound_gas_used, FIELD_FORMATS.NUMBER],
+      ["Effective gas price", msg.observed_outbound_effective_gas_price, FIELD_FORMATS.NUMBER],
+      ["Coin type", msg.coin_type],
+    ]),
+    transfers: msg.value_received && msg.value_received !== "0"
+      ? [{
+          from: null,
+          to: null,
+          amount: msg.value_received,
+          symbol: null,
+          decimals: null,
+          token: { chainId: chainId(msg.outbound_chain), asset: "", coinType: msg.coin_type },
+          label: "received",
+        }]
+      : [],
+    cctxIndex: msg.cctx_hash || null,
+  }),
+
+  "crosschain/MsgVoteGasPrice": (msg) => ({
+    kind: COSMOS_MSG_KINDS.OBSERVER,
+    label: "Gas price vote",
+    signer: msg.creator,
+    fields: fields([
+      ["Chain", chainId(msg.chain_id), FIELD_FORMATS.CHAIN],
+      ["Price", msg.price, FIELD_FORMATS.NUMBER],
+      ["Priority fee", msg.priority_fee, FIELD_FORMATS.NUMBER],
+      ["Block", msg.block_number, FIELD_FORMATS.NUMBER],
+    ]),
+  }),
+
+  "crosschain/MsgAddInboundTracker": (msg) => ({
+    kind: COSMOS_MSG_KINDS.OBSERVER,
+    label: "Add inbound tracker",
+    signer: msg.creator,
+    fields: fields([
+      ["Chain", chainId(msg.chain_id), FIELD_FORMATS.CHAIN],
+      ["Inbound hash", msg.tx_hash, FIELD_FORMATS.HASH],
+      ["Coin type", msg.coin_type],
+    ]),
+    inbound: msg.tx_hash ? { hash: msg.tx_hash, chainId: chainId(msg.chain_id) } : null,
+  }),
+
+  "crosschain/MsgAddOutboundTracker": (msg) => ({
+    kind: COSMOS_MSG_KINDS.OBSERVER,
+    label: "Add outbound tracker",
+    signer: msg.creator,
+    fields: fields([
+      ["Chain", chainId(msg.chain_id), FIELD_FORMATS.CHAIN],
+      ["Nonce", msg.nonce, FIELD_FORMATS.NUMBER],
+      ["Outbound hash", msg.tx_hash, FIELD_FORMATS.HASH],
+    ]),
+  }),
+
+  "crosschain/MsgAbortStuckCCTX": (msg) => ({
+    kind: COSMOS_MSG_KINDS.OBSERVER,
+    label: "Abort stuck CCTX",
+    signer: msg.creator,
+    fields: fields([["CCTX", msg.cctx_index, FIELD_FORMATS.HASH]]),
+    cctxIndex: msg.cctx_index || null,
+  }),
+
+  "crosschain/MsgRefundAbortedCCTX": (msg) => ({
+    kind: COSMOS_MSG_KINDS.OBSERVER,
+    label: "Refund aborted CCTX",
+    signer: msg.creator,
+    fields: fields([
+      ["CCTX", msg.cctx_index, FIELD_FORMATS.HASH],
+      ["Refund address", msg.refund_address, FIELD_FORMATS.ADDRESS],
+    ]),
+    cctxIndex: msg.cctx_index || null,
+  }),
+
+  "observer/MsgVoteBlame": (msg) => ({
+    kind: COSMOS_MSG_KINDS.OBSERVER,
+    label: "Blame vote",
+    signer: msg.creator,
+    fields: fields([
+      ["Chain", chainId(msg.chain_id), FIELD_FORMATS.CHAIN],
+      ["Ballot", msg.blame_info?.index, FIELD_FORMATS.HASH],
+      ["Failure", msg.blame_info?.failure_reason],
+      ["Blamed nodes", (msg.blame_info?.nodes || []).length || null, FIELD_FORMATS.NUMBER],
+    ]),
+  }),
+
+  "observer/MsgVoteTSS": (msg) => ({
+    kind: COSMOS_MSG_KINDS.OBSERVER,
+    label: "TSS vote",
+    signer: msg.creator,
+    fields: fields([
+      ["TSS public key", msg.tss_pubkey, FIELD_FORMATS.HASH],
+      ["Keygen height", msg.keygen_zeta_height, FIELD_FORMATS.NUMBER],
+      ["Status", msg.status],
+    ]),
+  }),
+
+  "observer/MsgVoteBlockHeader": (msg) => ({
+    kind: COSMOS_MSG_KINDS.OBSERVER,
+    label: "Block header vote",
+    signer: msg.creator,
+    fields: fields([
+      ["Chain", chainId(msg.chain_id), FIELD_FORMATS.CHAIN],
+      ["Height", msg.height, FIELD_FORMATS.NUMBER],
+      ["Block hash", msg.block_hash, FIELD_FORMATS.HASH],
+    ]),
+  }),
+
+  "observer/MsgAddObserver": (msg) => ({
+    kind: COSMOS_MSG_KINDS.OBSERVER,
+    label: "Add observer",
+    signer: msg.creator,
+    fields: fields([
+      ["Observer", msg.observer_address, FIELD_FORMATS.ADDRESS],
+      ["Grantee public key", msg.zetaclient_grantee_pubkey, FIELD_FORMATS.HASH],
+    ]),
+  }),
+
+  "observer/MsgUpdateObserver": (msg) => ({
+    kind: COSMOS_MSG_KINDS.OBSERVER,
+    label: "Update observer",
+    signer: msg.creator,
+    fields: fields([
+      ["Old observer", msg.old_observer_address, FIELD_FORMATS.ADDRESS],
+      ["New observer", msg.new_observer_address, FIELD_FORMATS.ADDRESS],
+      ["Reason", msg.update_reason],
+    ]),
+  }),
+
+  // Ethermint and Cosmos EVM name their Ethereum transaction message the same
+  "evm/MsgEthereumTx": decodeEthereumTx,
+  "vm/MsgEthereumTx": decodeEthereumTx,
+};
+
+/**
+ * Decode a message no decoder covers into its top-level scalar fields
+ * @param {Object} msg - Message as returned by the node
+ * @param {string} name - Message name
+ * @returns {Object} Decoded parts
+ */
+function decodeGeneric(msg, name) {
+  const entries = Object.entries(msg)
+    .filter(([key, value]) => key !== "@type" && ["string", "number", "boolean"].includes(typeof value))
+    .map(([key, value]) => [
+      labelFromName(key.replace(/_([a-z])/g, (_, char) => char.toUpperCase())),
+      String(value),
+      /^(zeta1|0x[a-fA-F0-9]{40}$)/.test(String(value)) ? FIELD_FORMATS.ADDRESS : FIELD_FORMATS.TEXT,
+    ]);
+
+  return {
+    kind: COSMOS_MSG_KINDS.OTHER,
+    label: labelFromName(name),
+    signer: SIGNER_FIELDS.map((field) => msg[field]).find((value) => typeof value === "string") || null,
+    fields: fields(entries),
+  };
+}
+
+/**
+ * Decode one message
+ * @param {Object} msg - Message as returned by the node, with its "@type"
+ * @param {number} index - Position in the transaction
+ * @param {string|null} grantee - Hot key that executed the message through authz
+ * @returns {DecodedCosmosMessage}
+ */
+function decodeMessage(msg, index, grantee) {
+  const typeUrl = msg["@type"] || "";
+  const { module: moduleName, name } = parseTypeUrl(typeUrl);
+  const decoder = MESSAGE_DECODERS[`${moduleName}/${name}`];
+  const decoded = decoder ? decoder(msg) : decodeGeneric(msg, name);
+
+  return {
+    index,
+    typeUrl,
+    module: moduleName,
+    name,
+    kind: decoded.kind,
+    label: decoded.label,
+    signer: decoded.signer || grantee,
+    grantee,
+    fields: decoded.fields,
+    transfers: decoded.transfers || [],
+    cctxIndex: decoded.cctxIndex || null,
+    inbound: decoded.inbound || null,
+    ethereumTxHash: decoded.ethereumTxHash || null,
+    raw: msg,
+  };
+}
+
+/**
+ * Decode the messages of a Cosmos transaction. Messages an observer's hot
+ * key executes on its operator's behalf (authz MsgExec) are unwrapped, so a
+ * vote shows as the vote it is.
+ * @param {Array<Object>} messages - `tx.body.messages` from the LCD
+ * @returns {DecodedCosmosMessage[]} Decoded messages in order
+ */
+export function decodeCosmosMessages(messages) {
+  const decoded = [];
+
+  (messages || []).forEach((msg) => {
+    const { module: moduleName, name } = parseTypeUrl(msg?.["@type"]);
+    if (moduleName === "authz" && name === "MsgExec" && Array.isArray(msg.msgs)) {
+      msg.msgs.forEach((inner) => decoded.push(decodeMessage(inner, decoded.length, msg.grantee || null)));
+    } else if (msg) {
+      decoded.push(decodeMessage(msg, decoded.length, null));
+    }
+  });
+
+  return decoded;
+}
@@ -0,0 +1,204 @@
+import { describe, expect, it } from "vitest";
+import { COSMOS_MSG_KINDS, decodeCosmosMessages, FIELD_FORMATS, resolveDenom } from "./cosmos-decoder.js";
+
+const OPERATOR = "zeta1qzz9wgzj3f4k5hzs8rn7qdyjvr7r6x5cn8v6dr";
+const GRANTEE = "zeta1hjct6q7npsspsg3dgvzk3sdf89spmlpfg8wwf7";
+const VALIDATOR = "zetavaloper1qzz9wgzj3f4k5hzs8rn7qdyjvr7r6x5cn8v6dr";
+const CCTX_INDEX = `0x${"ab".repeat(32)}`;
+const INBOUND_HASH = `0x${"cd".repeat(32)}`;
+
+describe("decodeCosmosMessages", () => {
+  it("decodes bank sends with their coins", () => {
+    const [message] = decodeCosmosMessages([
+      {
+        "@type": "/cosmos.bank.v1beta1.MsgSend",
+        from_address: OPERATOR,
+        to_address: GRANTEE,
+        amount: [{ denom: "azeta", amount: "1500000000000000000" }, { amount: "5" }],
+      },
+    ]);
+
+    expect(message).toMatchObject({
+      index: 0,
+      module: "bank",
+      name: "MsgSend",
+      kind: COSMOS_MSG_KINDS.TRANSFER,
+      label: "Send",
+      signer: OPERATOR,
+      grantee: null,
+      fields: [
+        { label: "From", value: OPERATOR, format: FIELD_FORMATS.ADDRESS },
+        { label: "To", value: GRANTEE, format: FIELD_FORMATS.ADDRESS },
+      ],
+      transfers: [
+        {
+          from: OPERATOR,
+          to: GRANTEE,
+          amount: "1500000000000000000",
+          symbol: "ZETA",
+          decimals: 18,
+          token: null,
+          label: "send",
+        },
+      ],
+    });
+  });
+
+  it("unwraps authz MsgExec and numbers inner messages in order", () => {
+    const messages = decodeCosmosMessages([
+      {
+        "@type": "/cosmos.authz.v1beta1.MsgExec",
+        grantee: GRANTEE,
+        msgs: [
+          {
+            "@type": "/zetachain.zetacore.crosschain.MsgVoteGasPrice",
+            creator: OPERATOR,
+            chain_id: "56",
+            price: "3000000000",
+            block_number: "123",
+          },
+          { "@type": "/zetachain.zetacore.crosschain.MsgVoteGasPrice", chain_id: "1" },
+        ],
+      },
+      { "@type": "/cosmos.distribution.v1beta1.MsgWithdrawDelegatorReward", delegator_address: OPERATOR, validator_address: VALIDATOR },
+    ]);
+
+    expect(messages.map((message) => [message.index, message.label, message.signer, message.grantee])).toEqual([
+      [0, "Gas price vote", OPERATOR, GRANTEE],
+      [1, "Gas price vote", GRANTEE, GRANTEE],
+      [2, "Withdraw rewards", OPERATOR, null],
+    ]);
+    expect(messages[0].fields).toEqual([
+      { label: "Chain", value: 56, format: FIELD_FORMATS.CHAIN },
+      { label: "Price", value: "3000000000", format: FIELD_FORMATS.NUMBER },
+      { label: "Block", value: "123", format: FIELD_FORMATS.NUMBER },
+    ]);
+  });
+
+  it("decodes inbound votes with the inbound and the observed amount", () => {
+    const [message] = decodeCosmosMessages([
+      {
+        "@type": "/zetachain.zetacore.crosschain.MsgVoteInbound",
+        creator: OPERATOR,
+        sender: "bc1qar0srrr7xfkvy5l643lydnw9re59gtzzwf5mdq",
+        sender_chain_id: "8332",
+        receiver: "0x000000000000000000000000000000000000dEaD",
+        receiver_chain: "7000",
+        amount: "50000",
+        coin_type: "Gas",
+        asset: "",
+        inbound_hash: INBOUND_HASH,
+        message: `0x${"00".repeat(40)}`,
+      },
+    ]);
+
+    expect(message.kind).toBe(COSMOS_MSG_KINDS.INBOUND_VOTE);
+    expect(message.inbound).toEqual({ hash: INBOUND_HASH, chainId: 8332 });
+    expect(message.transfers).toEqual([
+      {
+        from: "bc1qar0srrr7xfkvy5l643lydnw9re59gtzzwf5mdq",
+        to: "0x000000000000000000000000000000000000dEaD",
+        amount: "50000",
+        symbol: null,
+        decimals: null,
+        token: { chainId: 8332, asset: "", coinType: "Gas" },
+        label: "observed",
+      },
+    ]);
+    // Long messages are shortened for display
+    expect(message.fields.find((field) => field.label === "Message").value).toBe(`0x${"00".repeat(32)}...`);
+    expect(message.fields.some((field) => field.label === "Asset")).toBe(false);
+  });
+
+  it("decodes outbound votes with the CCTX and the observed status", () => {
+    const [success, failed] = decodeCosmosMessages([
+      {
+        "@type": "/zetachain.zetacore.crosschain.MsgVoteOutbound",
+        creator: OPERATOR,
+        cctx_hash: CCTX_INDEX,
+        status: "ReceiveStatus_success",
+        outbound_chain: "1",
+        value_received: "10",
+        coin_type: "ERC20",
+      },
+      {
+        "@type": "/zetachain.zetacore.crosschain.MsgVoteOutbound",
+        cctx_hash: CCTX_INDEX,
+        status: 2,
+        value_received: "0",
+      },
+    ]);
+
+    expect(success.cctxIndex).toBe(CCTX_INDEX);
+    expect(success.fields).toContainEqual({ label: "Observed status", value: "success", format: FIELD_FORMATS.TEXT });
+    expect(success.transfers[0]).toMatchObject({ amount: "10", label: "received", token: { chainId: 1 } });
+    expect(failed.fields).toContainEqual({ label: "Observed status", value: "failed", format: FIELD_FORMATS.TEXT });
+    expect(failed.transfers).toEqual([]);
+  });
+
+  it("decodes governance votes by option name or number", () => {
+    const messages = decodeCosmosMessages([
+      { "@type": "/cosmos.gov.v1.MsgVote", proposal_id: "42", option: "VOTE_OPTION_NO_WITH_VETO", voter: OPERATOR },
+      {
+        "@type": "/cosmos.gov.v1beta1.MsgVoteWeighted",
+        proposal_id: "42",
+        voter: OPERATOR,
+        options: [{ option: 1, weight: "0.7" }, { option: 3, weight: "0.3" }],
+      },
+    ]);
+
+    expect(messages[0].fields.slice(0, 2)).toEqual([
+      { label: "Proposal", value: "#42", format: FIELD_FORMATS.TEXT },
+      { label: "Option", value: "No with veto", format: FIELD_FORMATS.TEXT },
+    ]);
+    expect(messages[1].fields[1].value).toBe("Yes 70%, No 30%");
+  });
+
+  it("links wrapped zEVM transactions", () => {
+    const [message] = decodeCosmosMessages([
+      { "@type": "/cosmos.evm.vm.v1.MsgEthereumTx", from: "0x000000000000000000000000000000000000dEaD", hash: INBOUND_HASH },
+    ]);
+
+    expect(message).toMatchObject({
+      module: "vm",
+      kind: COSMOS_MSG_KINDS.ETHEREUM,
+      ethereumTxHash: INBOUND_HASH,
+    });
+  });
+
+  it("falls back to the scalar fields of unknown messages", () => {
+    const [message] = decodeCosmosMessages([
+      {
+        "@type": "/zetachain.zetacore.fungible.MsgUpdateContractBytecode",
+        creator: OPERATOR,
+        contract_address: "0x000000000000000000000000000000000000dEaD",
+        paused: false,
+        nested: { ignored: true },
+      },
+    ]);
+
+    expect(message).toMatchObject({
+      module: "fungible",
+      kind: COSMOS_MSG_KINDS.OTHER,
+      label: "Update contract bytecode",
+      signer: OPERATOR,
+    });
+    expect(message.fields).toEqual([
+      { label: "Creator", value: OPERATOR, format: FIELD_FORMATS.ADDRESS },
+      { label: "Contract address", value: "0x000000000000000000000000000000000000dEaD", format: FIELD_FORMATS.ADDRESS },
+      { label: "Paused", value: "false", format: FIELD_FORMATS.TEXT },
+    ]);
+  });
+
+  it("handles missing messages", () => {
+    expect(decodeCosmosMessages(undefined)).toEqual([]);
+    expect(decodeCosmosMessages([null])).toEqual([]);
+  });
+});
+
+describe("resolveDenom", () => {
+  it("knows azeta and passes other denoms through", () => {
+    expect(resolveDenom("azeta")).toEqual({ symbol: "ZETA", decimals: 18 });
+    expect(resolveDenom("ibc/ABC")).toEqual({ symbol: "ibc/ABC", decimals: 0 });
+  });
+});
@@ -0,0 +1,198 @@
+/**
+ * @fileoverview Error decoder - Decodes revert data into a readable reason
+ * Handles Solidity's built-in Error(string) and Panic(uint256), and custom
+ * errors from the user's ABI, the known contract's ABI or a selector match
+ * across the bundled ABIs
+ */
+
+import { AbiCoder, isHexString } from "ethers";
+import { abiRegistry } from "./abi-registry.js";
+import { toDecodedArguments } from "./calldata-decoder.js";
+
+// Built-in error selectors
+const ERROR_STRING_SELECTOR = "0x08c379a0"; // Error(string)
+const PANIC_SELECTOR = "0x4e487b71"; // Panic(uint256)
+
+/**
+ * Kinds of revert reasons
+ * @enum {string}
+ */
+export const REVERT_KINDS = {
+  ERROR: "error", // require/revert with a message
+  PANIC: "panic", // assert, overflow, division by zero, ...
+  CUSTOM: "custom", // custom error
+  OUT_OF_GAS: "outOfGas",
+  UNKNOWN: "unknown",
+};
+
+/**
+ * Panic codes raised by the Solidity compiler
+ */
+export const PANIC_CODES = {
+  0x00: "Generic compiler panic",
+  0x01: "Assertion failed",
+  0x11: "Arithmetic overflow or underflow",
+  0x12: "Division or modulo by zero",
+  0x21: "Invalid enum value",
+  0x22: "Incorrectly encoded storage byte array",
+  0x31: "pop() on an empty array",
+  0x32: "Array index out of bounds",
+  0x41: "Out of memory",
+  0x51: "Call to an uninitialized internal function",
+};
+
+/**
+ * @typedef {Object} RevertReason
+ * @property {string} kind - Kind from REVERT_KINDS
+ * @property {string} message - Readable reason
+ * @property {string|null} name - Error name (Error, Panic or the custom error's name)
+ * @property {string|null} signature - Error signature
+ * @property {string|null} selector - 4-byte error selector
+ * @property {import('./calldata-decoder.js').DecodedArgument[]} args - Decoded error arguments
+ * @property {string|null} source - Where a custom error's ABI came from (see ABI_SOURCES)
+ * @property {string|null} contractName - Bundled contract the custom error matched
+ * @property {string|null} data - Raw revert data
+ */
+
+/**
+ * Build a revert reason with defaults for the fields a kind doesn't use
+ * @param {Object} fields - Fields of the reason (at least kind and message)
+ * @returns {RevertReason}
+ */
+export function createRevertReason(fields) {
+  return {
+    name: null,
+    signature: null,
+    selector: null,
+    args: [],
+    source: null,
+    contractName: null,
+    data: null,
+    ...fields,
+  };
+}
+
+/**
+ * Decode revert data returned by a failed call
+ * @param {string} data - Revert data (hex)
+ * @param {Object} [options] - Decode options
+ * @param {string} [options.to] - Contract that reverted (for its custom errors)
+ * @param {'mainnet'|'testnet'} [options.network] - Network the contract is on
+ * @param {import('./abi-registry.js').AbiRegistry} [options.registry] - ABI registry to use
+ * @returns {RevertReason} Decoded reason; UNKNOWN when nothing matches
+ */
+export function decodeRevertData(data, options = {}) {
+  const { to, network = "mainnet", registry = abiRegistry } = options;
+
+  if (!isHexString(data) || data.length < 10) {
+    return createRevertReason({
+      kind: REVERT_KINDS.UNKNOWN,
+      message: "Reverted without a reason",
+      data: data || null,
+    });
+  }
+
+  const selector = data.slice(0, 10).toLowerCase();
+  const payload = `0x${data.slice(10)}`;
+  const coder = AbiCoder.defaultAbiCoder();
+
+  try {
+    if (selector === ERROR_STRING_SELECTOR) {
+      const [message] = coder.decode(["string"], payload);
+      return createRevertReason({
+        kind: REVERT_KINDS.ERROR,
+        message,
+        name: "Error",
+        signature: "Error(string)",
+        selector,
+        args: [{ name: "message", type: "string", value: message }],
+        data,
+      });
+    }
+
+    if (selector === PANIC_SELECTOR) {
+      const [code] = coder.decode(["uint256"], payload);
+      const hexCode = `0x${code.toString(16).padStart(2, "0")}`;
+      return createRevertReason({
+        kind: REVERT_KINDS.PANIC,
+        message: `${PANIC_CODES[Number(code)] || "Unknown panic"} (${hexCode})`,
+        name: "Panic",
+        signature: "Panic(uint256)",
+        selector,
+        args: [{ name: "code", type: "uint256", value: hexCode }],
+        data,
+      });
+    }
+  } catch {
+    // Malformed built-in error payload; fall through to the raw selector
+  }
+
+  const candidates = [
+    ...registry.getCandidates(network, to),
+    ...registry.findByErrorSelector(selector),
+  ];
+
+  for (const { iface, source, contractName } of candidates) {
+    try {
+      const parsed = iface.parseError(data);
+      if (!parsed) continue;
+
+      return createRevertReason({
+        kind: REVERT_KINDS.CUSTOM,
+        message: parsed.name,
+        name: parsed.name,
+        signature: parsed.signature,
+        selector,
+        args: toDecodedArguments(parsed.fragment.inputs, parsed.args),
+        source,
+        contractName,
+        data,
+      });
+    } catch {
+      // Selector matched but the arguments don't fit this ABI; try the next one
+    }
+  }
+
+  return createRevertReason({
+    kind: REVERT_KINDS.UNKNOWN,
+    message: `Unknown custom error ${selector}`,
+    selector,
+    data,
+  });
+}
+
+/**
+ * Get the revert data carried by a JSON-RPC error. Nodes put it in
+ * `error.data` as a hex string or nested one level deeper.
+ * @param {{data?: *}} error - JSON-RPC error (e.g. RpcError)
+ * @returns {string|null} Revert data, or null when the error has none
+ */
+export function getRevertData(error) {
+  const data = error?.data;
+  if (isHexString(data)) return data;
+  if (isHexString(data?.data)) return data.data;
+  return null;
+}
+
+/**
+ * Decode the revert reason from a failed eth_call
+ * @param {Error} error - Error thrown by the RPC client
+ * @param {Object} [options] - Decode options (see decodeRevertData)
+ * @returns {RevertReason|null} Reason, or null when the error isn't a revert
+ */
+export function decodeRevertError(error, options = {}) {
+  const data = getRevertData(error);
+  if (data) {
+    return decodeRevertData(data, options);
+  }
+
+  // Some nodes only put the reason string in the message
+  const match = error?.message?.match(/execution reverted:?\s*(.*)$/i);
+  if (!match) return null;
+
+  return createRevertReason(
+    match[1]
+      ? { kind: REVERT_KINDS.ERROR, message: match[1], name: "Error", signature: "Error(string)" }
+      : { kind: REVERT_KINDS.UNKNOWN, message: "Reverted without a reason" }
+  );
+}
@@ -0,0 +1,115 @@
+import { Interface } from "ethers";
+import { describe, expect, it } from "vitest";
+import { ABI_SOURCES, AbiRegistry } from "./abi-registry.js";
+import { decodeRevertData, decodeRevertError, getRevertData, REVERT_KINDS } from "./error-decoder.js";
+
+const CONTRACT = "0x1111111111111111111111111111111111111111";
+const SENDER = "0x000000000000000000000000000000000000bEEF";
+
+const builtins = new Interface(["error Error(string message)", "error Panic(uint256 code)"]);
+const erc20 = new Interface([
+  "error ERC20InsufficientBalance(address sender, uint256 balance, uint256 needed)",
+]);
+
+describe("decodeRevertData", () => {
+  it("decodes Error(string)", () => {
+    const data = builtins.encodeErrorResult("Error", ["Not enough ZETA"]);
+
+    expect(decodeRevertData(data)).toMatchObject({
+      kind: REVERT_KINDS.ERROR,
+      message: "Not enough ZETA",
+      name: "Error",
+      selector: "0x08c379a0",
+      args: [{ name: "message", type: "string", value: "Not enough ZETA" }],
+      data,
+    });
+  });
+
+  it("decodes Panic(uint256) with a readable code", () => {
+    const data = builtins.encodeErrorResult("Panic", [0x11]);
+
+    expect(decodeRevertData(data)).toMatchObject({
+      kind: REVERT_KINDS.PANIC,
+      message: "Arithmetic overflow or underflow (0x11)",
+      args: [{ name: "code", type: "uint256", value: "0x11" }],
+    });
+    expect(decodeRevertData(builtins.encodeErrorResult("Panic", [0x99])).message).toBe(
+      "Unknown panic (0x99)"
+    );
+  });
+
+  it("decodes bundled custom errors by selector", () => {
+    const registry = new AbiRegistry();
+    const data = erc20.encodeErrorResult("ERC20InsufficientBalance", [SENDER, 1n, 2n]);
+
+    expect(decodeRevertData(data, { registry })).toMatchObject({
+      kind: REVERT_KINDS.CUSTOM,
+      message: "ERC20InsufficientBalance",
+      signature: "ERC20InsufficientBalance(address,uint256,uint256)",
+      source: ABI_SOURCES.SELECTOR,
+      contractName: "ERC-20",
+      args: [
+        { name: "sender", type: "address", value: SENDER },
+        { name: "balance", type: "uint256", value: "1" },
+        { name: "needed", type: "uint256", value: "2" },
+      ],
+    });
+  });
+
+  it("decodes custom errors from the reverting contract's user ABI", () => {
+    const registry = new AbiRegistry();
+    registry.addAbi("mainnet", CONTRACT, "function a()\nerror Expired(uint256 deadline)");
+    const data = registry.getCustomInterface("mainnet", CONTRACT).encodeErrorResult("Expired", [9n]);
+
+    expect(decodeRevertData(data, { to: CONTRACT, registry })).toMatchObject({
+      kind: REVERT_KINDS.CUSTOM,
+      name: "Expired",
+      source: ABI_SOURCES.CUSTOM,
+    });
+    // Without the contract address the selector is unknown
+    expect(decodeRevertData(data, { registry })).toMatchObject({
+      kind: REVERT_KINDS.UNKNOWN,
+      message: `Unknown custom error ${data.slice(0, 10)}`,
+    });
+  });
+
+  it("reports empty or malformed revert data", () => {
+    expect(decodeRevertData("0x")).toMatchObject({
+      kind: REVERT_KINDS.UNKNOWN,
+      message: "Reverted without a reason",
+      data: "0x",
+    });
+    expect(decodeRevertData(undefined).data).toBeNull();
+    // Error(string) selector with a truncated payload
+    expect(decodeRevertData("0x08c379a000").kind).toBe(REVERT_KINDS.UNKNOWN);
+  });
+});
+
+describe("getRevertData", () => {
+  it("reads revert data from either nesting level", () => {
+    expect(getRevertData({ data: "0x1234" })).toBe("0x1234");
+    expect(getRevertData({ data: { data: "0x1234" } })).toBe("0x1234");
+    expect(getRevertData({ data: "not hex" })).toBeNull();
+    expect(getRevertData(null)).toBeNull();
+  });
+});
+
+describe("decodeRevertError", () => {
+  it("decodes the revert data of an RPC error", () => {
+    const error = { message: "execution reverted", data: builtins.encodeErrorResult("Error", ["nope"]) };
+    expect(decodeRevertError(error).message).toBe("nope");
+  });
+
+  it("falls back to the reason in the error message", () => {
+    expect(decodeRevertError(new Error("execution reverted: Ownable: caller is not the owner"))).toMatchObject({
+      kind: REVERT_KINDS.ERROR,
+      message: "Ownable: caller is not the owner",
+      name: "Error",
+    });
+    expect(decodeRevertError(new Error("execution reverted")).kind).toBe(REVERT_KINDS.UNKNOWN);
+  });
+
+  it("ignores errors that aren't reverts", () => {
+    expect(decodeRevertError(new Error("header not found"))).toBeNull();
+  });
+});
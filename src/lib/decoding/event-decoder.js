@@ -0,0 +1,149 @@
+/**
+ * @fileoverview Event decoder - Decodes receipt logs into named, typed events
+ * Logs no known ABI matches are kept with their raw topics and data
+ */
+
+import { abiRegistry } from "./abi-registry.js";
+import { toDecodedArguments } from "./calldata-decoder.js";
+
+/**
+ * What an event means for the flow of funds and calls, used to style graph edges
+ * @enum {string}
+ */
+export const EVENT_KINDS = {
+  TRANSFER: "transfer",
+  SWAP: "swap",
+  DEPOSIT: "deposit",
+  WITHDRAWAL: "withdrawal",
+  CALL: "call",
+  REVERT: "revert",
+  LIQUIDITY: "liquidity",
+  APPROVAL: "approval",
+  OTHER: "other",
+};
+
+// Event names to kinds; anything else is OTHER
+const EVENT_NAME_KINDS = {
+  Transfer: EVENT_KINDS.TRANSFER,
+  TransferSingle: EVENT_KINDS.TRANSFER,
+  TransferBatch: EVENT_KINDS.TRANSFER,
+  Swap: EVENT_KINDS.SWAP,
+  Deposit: EVENT_KINDS.DEPOSIT,
+  Deposited: EVENT_KINDS.DEPOSIT,
+  Withdrawal: EVENT_KINDS.WITHDRAWAL,
+  Withdrawn: EVENT_KINDS.WITHDRAWAL,
+  WithdrawnAndCalled: EVENT_KINDS.WITHDRAWAL,
+  Called: EVENT_KINDS.CALL,
+  Executed: EVENT_KINDS.CALL,
+  Reverted: EVENT_KINDS.REVERT,
+  Mint: EVENT_KINDS.LIQUIDITY,
+  Burn: EVENT_KINDS.LIQUIDITY,
+  Sync: EVENT_KINDS.LIQUIDITY,
+  Approval: EVENT_KINDS.APPROVAL,
+  ApprovalForAll: EVENT_KINDS.APPROVAL,
+};
+
+/**
+ * @typedef {Object} DecodedEvent
+ * @property {string} address - Contract that emitted the log
+ * @property {number} logIndex - Log index in the block
+ * @property {boolean} decoded - Whether an ABI matched the log
+ * @property {string|null} name - Event name (null when undecoded)
+ * @property {string|null} signature - Canonical event signature
+ * @property {string} kind - Kind from EVENT_KINDS
+ * @property {string|null} source - Where the ABI came from (see ABI_SOURCES)
+ * @property {string|null} contractName - Name of the matched bundled contract ABI
+ * @property {import('./calldata-decoder.js').DecodedArgument[]} args - Decoded arguments
+ * @property {string[]} topics - Raw topics
+ * @property {string} data - Raw data
+ */
+
+/**
+ * Get the kind of an event from its name
+ * @param {string|null} name - Event name
+ * @returns {string} Kind from EVENT_KINDS
+ */
+export function getEventKind(name) {
+  return EVENT_NAME_KINDS[name] || EVENT_KINDS.OTHER;
+}
+
+/**
+ * Decode a receipt log
+ * @param {Object} log - Raw receipt log (address, topics, data, logIndex), or a
+ *   previously decoded event to decode again
+ * @param {Object} [options] - Decode options
+ * @param {'mainnet'|'testnet'} [options.network] - Network the contract is on
+ * @param {import('./abi-registry.js').AbiRegistry} [options.registry] - ABI registry to use
+ * @returns {DecodedEvent} Decoded event, or the raw log when no ABI matches
+ */
+export function decodeLog(log, options = {}) {
+  const { network = "mainnet", registry = abiRegistry } = options;
+  const topics = log.topics || [];
+  const data = log.data || "0x";
+  const base = {
+    address: log.address,
+    logIndex: typeof log.logIndex === "number"
+      ? log.logIndex
+      : log.logIndex ? parseInt(log.logIndex, 16) : 0,
+    topics,
+    data,
+  };
+
+  const candidates = [
+    ...registry.getCandidates(network, log.address),
+    ...registry.findByTopic(topics[0]),
+  ];
+
+  for (const { iface, source, contractName } of candidates) {
+    try {
+      const parsed = iface.parseLog({ topics, data });
+      if (!parsed) continue;
+
+      return {
+        ...base,
+        decoded: true,
+        name: parsed.name,
+        signature: parsed.signature,
+        kind: getEventKind(parsed.name),
+        source,
+        contractName,
+        args: toDecodedArguments(parsed.fragment.inputs, parsed.args),
+      };
+    } catch {
+      // Topic matched but indexed fields or data don't fit this ABI
+      // (e.g. ERC-20 vs ERC-721 Transfer); try the next one
+    }
+  }
+
+  return {
+    ...base,
+    decoded: false,
+    name: null,
+    signature: null,
+    kind: EVENT_KINDS.OTHER,
+    source: null,
+    contractName: null,
+    args: [],
+  };
+}
+
+/**
+ * Decode every log of a receipt
+ * @param {Array<Object>} logs - Raw receipt logs
+ * @param {Object} [options] - Decode options (see decodeLog)
+ * @returns {DecodedEvent[]} Decoded events, in log order
+ */
+export function decodeLogs(logs, options = {}) {
+  if (!Array.isArray(logs)) return [];
+  return logs.map((log) => decodeLog(log, options));
+}
+
+/**
+ * Get a decoded argument's value by name
+ * @param {DecodedEvent} event - Decoded event
+ * @param {string} name - Argument name
+ * @returns {*} Argument value, or undefined
+ */
+export function getEventArg(event, name) {
+  return event.args.find((arg) => arg.name === name)?.value;
+}
@@ -0,0 +1,151 @@
+import { Interface } from "ethers";
+import { describe, expect, it } from "vitest";
+import { ABI_SOURCES, AbiRegistry } from "./abi-registry.js";
+import { decodeLog, decodeLogs, EVENT_KINDS, getEventArg, getEventKind } from "./event-decoder.js";
+
+const TOKEN = "0x1111111111111111111111111111111111111111";
+const FROM = "0x000000000000000000000000000000000000bEEF";
+const TO = "0x000000000000000000000000000000000000dEaD";
+const WZETA = "0x5f0b1a82749cb4e2278ec87f8bf6b618dc71a8bf";
+
+const erc20 = new Interface(["event Transfer(address indexed from, address indexed to, uint256 value)"]);
+const erc721 = new Interface(["event Transfer(address indexed from, address indexed to, uint256 indexed tokenId)"]);
+const pair = new Interface([
+  "event Swap(address indexed sender, uint256 amount0In, uint256 amount1In, uint256 amount0Out, uint256 amount1Out, address indexed to)",
+]);
+const wzeta = new Interface(["event Deposit(address indexed dst, uint256 wad)"]);
+
+/**
+ * Build a raw receipt log for an event
+ * @param {Interface} iface - Interface defining the event
+ * @param {string} name - Event name
+ * @param {Array} args - Event arguments
+ * @param {Object} [fields] - Extra log fields
+ * @returns {Object} Raw log
+ */
+function makeLog(iface, name, args, fields = {}) {
+  const { topics, data } = iface.encodeEventLog(name, args);
+  return { address: TOKEN, logIndex: "0x3", topics, data, ...fields };
+}
+
+describe("decodeLog", () => {
+  it("decodes an ERC-20 Transfer", () => {
+    const registry = new AbiRegistry();
+    const event = decodeLog(makeLog(erc20, "Transfer", [FROM, TO, 10n ** 30n]), { registry });
+
+    expect(event).toMatchObject({
+      address: TOKEN,
+      logIndex: 3,
+      decoded: true,
+      name: "Transfer",
+      signature: "Transfer(address,address,uint256)",
+      kind: EVENT_KINDS.TRANSFER,
+      source: ABI_SOURCES.SELECTOR,
+      contractName: "ERC-20",
+    });
+    expect(getEventArg(event, "value")).toBe("1000000000000000000000000000000");
+  });
+
+  it("tells an ERC-721 Transfer from an ERC-20 one by its indexed token id", () => {
+    const registry = new AbiRegistry();
+    const event = decodeLog(makeLog(erc721, "Transfer", [FROM, TO, 42n]), { registry });
+
+    expect(event.contractName).toBe("ERC-721");
+    expect(getEventArg(event, "tokenId")).toBe("42");
+  });
+
+  it("decodes Uniswap V2 swaps", () => {
+    const registry = new AbiRegistry();
+    const event = decodeLog(makeLog(pair, "Swap", [FROM, 100n, 0n, 0n, 97n, TO]), { registry });
+
+    expect(event.kind).toBe(EVENT_KINDS.SWAP);
+    expect(getEventArg(event, "amount0In")).toBe("100");
+    expect(getEventArg(event, "amount1Out")).toBe("97");
+  });
+
+  it("uses the known contract's ABI when topics collide", () => {
+    const registry = new AbiRegistry();
+    const event = decodeLog(makeLog(wzeta, "Deposit", [TO, 5n], { address: WZETA }), { registry });
+
+    expect(event).toMatchObject({
+      name: "Deposit",
+      kind: EVENT_KINDS.DEPOSIT,
+      source: ABI_SOURCES.CONTRACT,
+      contractName: "WZETA",
+    });
+  });
+
+  it("decodes against a user ABI for the emitting contract", () => {
+    const registry = new AbiRegistry();
+    registry.addAbi("mainnet", TOKEN, "event Ping(uint256 indexed id, string note)");
+    const iface = registry.getCustomInterface("mainnet", TOKEN);
+    const event = decodeLog(makeLog(iface, "Ping", [7n, "hi"]), { registry });
+
+    expect(event).toMatchObject({ name: "Ping", kind: EVENT_KINDS.OTHER, source: ABI_SOURCES.CUSTOM });
+    expect(event.args).toEqual([
+      { name: "id", type: "uint256", value: "7" },
+      { name: "note", type: "string", value: "hi" },
+    ]);
+  });
+
+  it("keeps raw topics and data for unknown events", () => {
+    const registry = new AbiRegistry();
+    const log = {
+      address: TOKEN,
+      logIndex: 0,
+      topics: [`0x${"ab".repeat(32)}`, `0x${"00".repeat(31)}01`],
+      data: "0x1234",
+    };
+
+    expect(decodeLog(log, { registry })).toEqual({
+      address: TOKEN,
+      logIndex: 0,
+      topics: log.topics,
+      data: "0x1234",
+      decoded: false,
+      name: null,
+      signature: null,
+      kind: EVENT_KINDS.OTHER,
+      source: null,
+      contractName: null,
+      args: [],
+    });
+  });
+
+  it("handles logs without topics", () => {
+    const registry = new AbiRegistry();
+    expect(decodeLog({ address: TOKEN }, { registry })).toMatchObject({
+      decoded: false,
+      topics: [],
+      data: "0x",
+      logIndex: 0,
+    });
+  });
+});
+
+describe("decodeLogs", () => {
+  it("decodes every log in order", () => {
+    const registry = new AbiRegistry();
+    const logs = [
+      makeLog(erc20, "Transfer", [FROM, TO, 1n], { logIndex: 0 }),
+      { address: TOKEN, logIndex: 1, topics: [], data: "0x" },
+      makeLog(pair, "Swap", [FROM, 1n, 0n, 0n, 1n, TO], { logIndex: 2 }),
+    ];
+
+    expect(decodeLogs(logs, { registry }).map((event) => event.name)).toEqual(["Transfer", null, "Swap"]);
+  });
+
+  it("returns an empty list for missing logs", () => {
+    expect(decodeLogs(undefined)).toEqual([]);
+  });
+});
+
+describe("getEventKind", () => {
+  it("maps event names to graph edge kinds", () => {
+    expect(getEventKind("Withdrawn")).toBe(EVENT_KINDS.WITHDRAWAL);
+    expect(getEventKind("Called")).toBe(EVENT_KINDS.CALL);
+    expect(getEventKind("Sync")).toBe(EVENT_KINDS.LIQUIDITY);
+    expect(getEventKind("Whatever")).toBe(EVENT_KINDS.OTHER);
+    expect(getEventKind(null)).toBe(EVENT_KINDS.OTHER);
+  });
+});
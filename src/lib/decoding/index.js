@@ -0,0 +1,11 @@
+/**
+ * Decoding module exports
+ */
+
+export { BUNDLED_ABIS, CONTRACT_KINDS, KNOWN_CONTRACTS } from "./abis.js";
+export { AbiRegistry, abiRegistry, ABI_SOURCES, parseAbi } from "./abi-registry.js";
+export { decodeCalldata, toDecodedArguments, toPlainValue } from "./calldata-decoder.js";
+export { decodeLog, decodeLogs, getEventArg, getEventKind, EVENT_KINDS } from "./event-decoder.js";
+export { createRevertReason, decodeRevertData, decodeRevertError, getRevertData, PANIC_CODES, REVERT_KINDS } from "./error-decoder.js";
+export { decodeCrossChainMessage, MESSAGE_FORMATS, toHexBytes } from "./message-decoder.js";
+export { COSMOS_MSG_KINDS, decodeCosmosMessages, FIELD_FORMATS, resolveDenom } from "./cosmos-decoder.js";
@@ -0,0 +1,146 @@
+/**
+ * @fileoverview Message decoder - Decodes the payload a CCTX relays to its target
+ * Gateway messages are opaque bytes the universal app decodes itself, so the
+ * decoder tries, in order: calldata for a function of the target's ABI,
+ * UTF-8 text, and common abi.encode tuple layouts. Byte fields arrive from the
+ * node as hex (with or without 0x) or base64.
+ */
+
+import { AbiCoder, ParamType, getBytes, hexlify, isHexString, toUtf8String } from "ethers";
+import { abiRegistry } from "./abi-registry.js";
+import { decodeCalldata, toDecodedArguments } from "./calldata-decoder.js";
+
+/**
+ * How a message was decoded
+ * @enum {string}
+ */
+export const MESSAGE_FORMATS = {
+  CALLDATA: "calldata", // function call on the target's ABI
+  UTF8: "utf8", // readable text
+  ABI: "abi", // abi.encode of a common tuple layout
+  RAW: "raw", // nothing matched
+};
+
+// Layouts universal apps commonly abi.encode their messages with, most
+// specific first. A layout only matches when re-encoding gives back the exact
+// bytes, so a short layout can't swallow a longer message.
+const MESSAGE_LAYOUTS = [
+  ["address", "bytes", "bool"], // swap: target token, recipient, withdraw flag
+  ["address", "bytes"],
+  ["address", "address"],
+  ["address", "uint256"],
+  ["address", "uint256", "bytes"],
+  ["bytes", "address"],
+  ["address"],
+  ["uint256"],
+  ["string"],
+  ["bytes"],
+];
+
+/**
+ * @typedef {Object} DecodedMessage
+ * @property {string} format - Format from MESSAGE_FORMATS
+ * @property {string} hex - Message bytes as 0x hex
+ * @property {number} size - Message size in bytes
+ * @property {string|null} text - Text, for UTF-8 messages
+ * @property {import('./calldata-decoder.js').DecodedCall|null} call - Decoded call, for calldata messages
+ * @property {string[]|null} layout - Matched tuple types, for ABI messages
+ * @property {import('./calldata-decoder.js').DecodedArgument[]} args - Decoded arguments (calldata and ABI messages)
+ */
+
+/**
+ * Convert a bytes field from the node to 0x hex
+ * @param {string} value - Hex (with or without 0x) or base64 bytes
+ * @returns {string} 0x hex ("0x" when empty or unreadable)
+ */
+export function toHexBytes(value) {
+  if (!value) return "0x";
+  if (isHexString(value)) return value.toLowerCase();
+  if (/^([0-9a-fA-F]{2})+$/.test(value)) return `0x${value.toLowerCase()}`;
+
+  try {
+    const binary = atob(value);
+    return hexlify(Uint8Array.from(binary, (char) => char.charCodeAt(0)));
+  } catch {
+    return "0x";
+  }
+}
+
+/**
+ * Decode bytes as UTF-8 text when they are printable
+ * @param {string} hex - 0x hex bytes
+ * @returns {string|null} Text, or null when the bytes aren't readable text
+ */
+function decodeText(hex) {
+  try {
+    const text = toUtf8String(hex);
+    // Allow tabs and newlines, reject other control characters
+    return /^[^\u0000-\u0008\u000b\u000c\u000e-\u001f\u007f]+$/.test(text) ? text : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Decode bytes against the common tuple layouts
+ * @param {string} hex - 0x hex bytes
+ * @returns {{layout: string[], args: import('./calldata-decoder.js').DecodedArgument[]}|null} First exact match
+ */
+function decodeLayout(hex) {
+  const coder = AbiCoder.defaultAbiCoder();
+
+  for (const layout of MESSAGE_LAYOUTS) {
+    try {
+      const values = coder.decode(layout, hex);
+      if (coder.encode(layout, values).toLowerCase() !== hex) continue;
+
+      const params = layout.map((type) => ParamType.from(type));
+      return { layout, args: toDecodedArguments(params, values) };
+    } catch {
+      // Bytes don't fit this layout; try the next one
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Decode a cross-chain message
+ * @param {string} message - Message bytes (hex or base64)
+ * @param {Object} [options] - Decode options
+ * @param {string} [options.target] - Contract the message is delivered to
+ * @param {'mainnet'|'testnet'} [options.network] - Network the target is on
+ * @param {import('./abi-registry.js').AbiRegistry} [options.registry] - ABI registry to use
+ * @returns {DecodedMessage|null} Decoded message, or null when the message is empty
+ */
+export function decodeCrossChainMessage(message, options = {}) {
+  const { target, network = "mainnet", registry = abiRegistry } = options;
+  const hex = toHexBytes(message);
+  if (hex === "0x") return null;
+
+  const base = {
+    hex,
+    size: getBytes(hex).length,
+    text: null,
+    call: null,
+    layout: null,
+    args: [],
+  };
+
+  const call = decodeCalldata(hex, { to: target, network, registry });
+  if (call) {
+    return { ...base, format: MESSAGE_FORMATS.CALLDATA, call, args: call.args };
+  }
+
+  const text = decodeText(hex);
+  if (text) {
+    return { ...base, format: MESSAGE_FORMATS.UTF8, text };
+  }
+
+  const tuple = decodeLayout(hex);
+  if (tuple) {
+    return { ...base, format: MESSAGE_FORMATS.ABI, layout: tuple.layout, args: tuple.args };
+  }
+
+  return { ...base, format: MESSAGE_FORMATS.RAW };
+}
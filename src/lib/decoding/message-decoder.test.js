@@ -0,0 +1,93 @@
+import { AbiCoder, Interface, hexlify, toUtf8Bytes } from "ethers";
+import { describe, expect, it } from "vitest";
+import { AbiRegistry } from "./abi-registry.js";
+import { decodeCrossChainMessage, MESSAGE_FORMATS, toHexBytes } from "./message-decoder.js";
+
+const TARGET = "0x1111111111111111111111111111111111111111";
+const TOKEN = "0x000000000000000000000000000000000000bEEF";
+const coder = AbiCoder.defaultAbiCoder();
+
+describe("toHexBytes", () => {
+  it("accepts hex with or without 0x", () => {
+    expect(toHexBytes("0xABCD")).toBe("0xabcd");
+    expect(toHexBytes("ABCD")).toBe("0xabcd");
+  });
+
+  it("decodes base64", () => {
+    expect(toHexBytes(Buffer.from("hello").toString("base64"))).toBe(hexlify(toUtf8Bytes("hello")));
+  });
+
+  it("returns 0x for empty or unreadable values", () => {
+    expect(toHexBytes("")).toBe("0x");
+    expect(toHexBytes(null)).toBe("0x");
+    expect(toHexBytes("not base64!")).toBe("0x");
+  });
+});
+
+describe("decodeCrossChainMessage", () => {
+  it("returns null for empty messages", () => {
+    expect(decodeCrossChainMessage("0x")).toBeNull();
+    expect(decodeCrossChainMessage("")).toBeNull();
+  });
+
+  it("decodes calldata for the target's ABI", () => {
+    const registry = new AbiRegistry();
+    registry.addAbi("mainnet", TARGET, "function onCall(address token, uint256 amount)");
+    const message = registry
+      .getCustomInterface("mainnet", TARGET)
+      .encodeFunctionData("onCall", [TOKEN, 5n]);
+
+    const decoded = decodeCrossChainMessage(message, { target: TARGET, registry });
+    expect(decoded.format).toBe(MESSAGE_FORMATS.CALLDATA);
+    expect(decoded.call.name).toBe("onCall");
+    expect(decoded.args).toEqual([
+      { name: "token", type: "address", value: TOKEN },
+      { name: "amount", type: "uint256", value: "5" },
+    ]);
+  });
+
+  it("decodes bundled calldata by selector without a target ABI", () => {
+    const registry = new AbiRegistry();
+    const erc20 = new Interface(["function transfer(address to, uint256 amount)"]);
+    const message = erc20.encodeFunctionData("transfer", [TOKEN, 1n]);
+
+    expect(decodeCrossChainMessage(message, { registry }).call.contractName).toBe("ERC-20");
+  });
+
+  it("decodes readable text, also from base64", () => {
+    const text = "swap to BTC\nplease";
+    const decoded = decodeCrossChainMessage(Buffer.from(text).toString("base64"));
+
+    expect(decoded).toMatchObject({ format: MESSAGE_FORMATS.UTF8, text, size: text.length });
+  });
+
+  it("decodes the abi.encode swap layout", () => {
+    const message = coder.encode(["address", "bytes", "bool"], [TOKEN, "0x1234", true]);
+    const decoded = decodeCrossChainMessage(message);
+
+    expect(decoded.format).toBe(MESSAGE_FORMATS.ABI);
+    expect(decoded.layout).toEqual(["address", "bytes", "bool"]);
+    expect(decoded.args.map((arg) => arg.value)).toEqual([TOKEN, "0x1234", true]);
+  });
+
+  it("only matches a layout that re-encodes to the exact bytes", () => {
+    // (address, bytes) must not swallow an (address, uint256, bytes) message
+    const message = coder.encode(["address", "uint256", "bytes"], [TOKEN, 2n ** 200n, "0xff"]);
+
+    expect(decodeCrossChainMessage(message).layout).toEqual(["address", "uint256", "bytes"]);
+  });
+
+  it("falls back to raw bytes", () => {
+    const decoded = decodeCrossChainMessage("0x00ff00");
+
+    expect(decoded).toEqual({
+      format: MESSAGE_FORMATS.RAW,
+      hex: "0x00ff00",
+      size: 3,
+      text: null,
+      call: null,
+      layout: null,
+      args: [],
+    });
+  });
+});
@@ -0,0 +1,421 @@
+/**
+ * Endpoint Registry
+ * Shared list of EVM JSON-RPC and LCD endpoints per network, with health
+ * scoring and failover so a single provider outage doesn't break the app
+ */
+
+/**
+ * Default endpoints, in order of preference
+ */
+export const DEFAULT_ENDPOINTS = {
+  mainnet: {
+    evm: [
+      "https://zetachain-evm.blockpi.network/v1/rpc/public",
+      "https://zetachain-mainnet.public.blastapi.io",
+      "https://zeta-chain.drpc.org",
+      "https://7000.rpc.thirdweb.com",
+    ],
+    lcd: [
+      "https://zetachain.blockpi.network/lcd/v1/public",
+      "https://zetachain-api.polkachu.com",
+    ],
+  },
+  testnet: {
+    evm: [
+      "https://zetachain-athens-evm.blockpi.network/v1/rpc/public",
+      "https://zetachain-athens.public.blastapi.io",
+      "https://zeta-chain-testnet.drpc.org",
+      "https://7001.rpc.thirdweb.com",
+    ],
+    lcd: [
+      "https://zetachain-athens.blockpi.network/lcd/v1/public",
+      "https://zetachain-testnet-api.itrocket.net",
+    ],
+  },
+};
+
+/**
+ * Endpoint kinds
+ */
+export const ENDPOINT_KINDS = {
+  EVM: "evm",
+  LCD: "lcd",
+};
+
+const STORAGE_KEY = "zetaflow_custom_endpoints";
+
+// Timeouts and scoring weights. Latency and error rate are exponential moving
+// averages so a recovered endpoint works its way back up the list.
+const REGISTRY_CONFIG = {
+  timeout: 10000, // 10 seconds per attempt
+  cooldown: 30000, // skip a failed endpoint for 30 seconds
+  smoothing: 0.3,
+  errorPenalty: 5000, // ms of latency one full error rate point is worth
+};
+
+/**
+ * @typedef {Object} EndpointHealth
+ * @property {string} url - Endpoint URL
+ * @property {boolean} custom - Whether the user added this endpoint
+ * @property {number|null} latency - Average latency in ms (null until first request)
+ * @property {number} errorRate - Average error rate between 0 and 1
+ * @property {number} requests - Requests sent
+ * @property {number} failures - Failed requests
+ * @property {string|null} lastError - Last error message
+ * @property {boolean} coolingDown - Whether the endpoint is skipped after a recent failure
+ */
+
+class EndpointRegistry {
+  constructor() {
+    this.customEndpoints = this._loadFromStorage();
+    this.stats = new Map();
+    this.listeners = new Set();
+  }
+
+  /**
+   * Load user-added endpoints from local storage
+   * @returns {Object} Custom endpoints keyed by network and kind
+   * @private
+   */
+  _loadFromStorage() {
+    const empty = { mainnet: { evm: [], lcd: [] }, testnet: { evm: [], lcd: [] } };
+
+    try {
+      if (typeof window === "undefined") {
+        return empty; // SSR compatibility
+      }
+
+      const stored = localStorage.getItem(STORAGE_KEY);
+      if (!stored) {
+        return empty;
+      }
+
+      const parsed = JSON.parse(stored);
+      for (const network of Object.keys(empty)) {
+        for (const kind of Object.values(ENDPOINT_KINDS)) {
+          const urls = parsed?.[network]?.[kind];
+          if (Array.isArray(urls)) {
+            empty[network][kind] = urls.filter((url) => this.isValidUrl(url));
+          }
+        }
+      }
+      return empty;
+    } catch (error) {
+      console.warn("Failed to load custom endpoints from storage:", error);
+      return empty;
+    }
+  }
+
+  /**
+   * Save user-added endpoints to local storage
+   * @private
+   */
+  _saveToStorage() {
+    try {
+      if (typeof window === "undefined") {
+        return; // SSR compatibility
+      }
+
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(this.customEndpoints));
+    } catch (error) {
+      console.warn("Failed to save custom endpoints to storage:", error);
+    }
+  }
+
+  /**
+   * Check that a URL is an http(s) URL
+   * @param {string} url - URL to check
+   * @returns {boolean}
+   */
+  isValidUrl(url) {
+    try {
+      const parsed = new URL(url);
+      return parsed.protocol === "https:" || parsed.protocol === "http:";
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Get all endpoints for a network and kind, user-added ones first
+   * @param {'mainnet'|'testnet'} network
+   * @param {'evm'|'lcd'} kind
+   * @returns {string[]} Endpoint URLs
+   */
+  getAllEndpoints(network, kind) {
+    const defaults = DEFAULT_ENDPOINTS[network]?.[kind];
+    if (!defaults) {
+      throw new Error(`Unknown endpoint: ${network}/${kind}`);
+    }
+
+    const custom = this.customEndpoints[network]?.[kind] || [];
+    return [...new Set([...custom, ...defaults])];
+  }
+
+  /**
+   * Get endpoints ordered by health: endpoints cooling down after a failure go
+   * last, the rest are ordered by latency with a penalty for recent errors.
+   * Untried endpoints take the median score of the measured ones, so a single
+   * fast answer doesn't send traffic off to every endpoint not yet measured.
+   * @param {'mainnet'|'testnet'} network
+   * @param {'evm'|'lcd'} kind
+   * @returns {string[]} Endpoint URLs, best first
+   */
+  getEndpoints(network, kind) {
+    const now = Date.now();
+    const entries = this.getAllEndpoints(network, kind).map((url, order) => ({
+      url,
+      order,
+      stats: this.stats.get(url),
+    }));
+    const neutralScore = this.getNeutralScore(entries.map(({ stats }) => stats));
+
+    return entries
+      .sort((a, b) => {
+        const aCooling = a.stats?.cooldownUntil > now;
+        const bCooling = b.stats?.cooldownUntil > now;
+        if (aCooling !== bCooling) return aCooling ? 1 : -1;
+
+        const scoreDiff =
+          this.getScore(a.stats, neutralScore) - this.getScore(b.stats, neutralScore);
+        return scoreDiff !== 0 ? scoreDiff : a.order - b.order;
+      })
+      .map(({ url }) => url);
+  }
+
+  /**
+   * Get the endpoint currently preferred for a network and kind
+   * @param {'mainnet'|'testnet'} network
+   * @param {'evm'|'lcd'} kind
+   * @returns {string} Endpoint URL
+   */
+  getPreferredUrl(network, kind) {
+    return this.getEndpoints(network, kind)[0];
+  }
+
+  /**
+   * Score an endpoint (lower is better)
+   * @param {Object} [stats] - Endpoint stats
+   * @param {number} [neutralScore] - Score of an endpoint that hasn't been measured
+   * @returns {number} Score
+   */
+  getScore(stats, neutralScore = 0) {
+    if (!stats || stats.latency === null) return neutralScore;
+    return stats.latency + stats.errorRate * REGISTRY_CONFIG.errorPenalty;
+  }
+
+  /**
+   * Median score of the measured endpoints, or 0 when none has been measured
+   * (untried endpoints then keep their configured order)
+   * @param {Array<Object|undefined>} statsList - Stats of each endpoint
+   * @returns {number} Score for untried endpoints
+   */
+  getNeutralScore(statsList) {
+    const scores = statsList
+      .filter((stats) => stats && stats.latency !== null)
+      .map((stats) => this.getScore(stats))
+      .sort((a, b) => a - b);
+    if (scores.length === 0) return 0;
+
+    const middle = Math.floor(scores.length / 2);
+    return scores.length % 2 === 1
+      ? scores[middle]
+      : (scores[middle - 1] + scores[middle]) / 2;
+  }
+
+  /**
+   * Fetch from the healthiest endpoint, failing over to the next one on
+   * network errors, timeouts, rate limits (429) and server errors (5xx).
+   * Other HTTP errors (e.g. 404) are returned to the caller as-is.
+   * @param {'mainnet'|'testnet'} network
+   * @param {'evm'|'lcd'} kind
+   * @param {string} path - Path appended to the endpoint URL ('' for JSON-RPC)
+   * @param {RequestInit} [init] - Fetch options
+   * @param {Object} [options] - Failover options
+   * @param {function(Response): Promise<boolean>} [options.isAnswer] - Tells whether a 429 or
+   *   5xx response is nonetheless the node's definitive answer (e.g. a gRPC NotFound some
+   *   nodes send as 500); such responses are returned instead of failing over
+   * @returns {Promise<Response>} Response from the first endpoint that answered
+   */
+  async fetch(network, kind, path = "", init = {}, options = {}) {
+    const { response } = await this.fetchWithEndpoint(network, kind, path, init, options);
+    return response;
+  }
+
+  /**
+   * Like fetch, but also tells which endpoint answered, for callers that
+   * remember per-endpoint capabilities
+   * @param {'mainnet'|'testnet'} network
+   * @param {'evm'|'lcd'} kind
+   * @param {string} path - Path appended to the endpoint URL ('' for JSON-RPC)
+   * @param {RequestInit} [init] - Fetch options
+   * @param {Object} [options] - Failover options (see fetch)
+   * @returns {Promise<{response: Response, endpoint: string}>} Response and the URL of the endpoint that sent it
+   */
+  async fetchWithEndpoint(network, kind, path = "", init = {}, options = {}) {
+    const { isAnswer } = options;
+    const endpoints = this.getEndpoints(network, kind);
+    let lastError;
+
+    for (const url of endpoints) {
+      const controller = new AbortController();
+      const timer = setTimeout(() => controller.abort(), REGISTRY_CONFIG.timeout);
+      const startTime = Date.now();
+
+      try {
+        const response = await fetch(`${url}${path}`, {
+          ...init,
+          signal: controller.signal,
+        });
+
+        const failed = response.status === 429 || response.status >= 500;
+        if (failed && !(isAnswer && (await isAnswer(response.clone())))) {
+          throw new Error(
+            `Endpoint ${url} failed: ${response.status} ${response.statusText}`
+          );
+        }
+
+        this.recordResult(url, Date.now() - startTime, null);
+        return { response, endpoint: url };
+      } catch (error) {
+        lastError =
+          error.name === "AbortError"
+            ? new Error(`Endpoint ${url} timeout after ${REGISTRY_CONFIG.timeout}ms`)
+            : error;
+        this.recordResult(url, Date.now() - startTime, lastError);
+      } finally {
+        clearTimeout(timer);
+      }
+    }
+
+    throw lastError || new Error(`No ${kind} endpoints configured for ${network}`);
+  }
+
+  /**
+   * Record the outcome of a request
+   * @param {string} url - Endpoint URL
+   * @param {number} latency - Request latency in ms
+   * @param {Error|null} error - Error, or null on success
+   */
+  recordResult(url, latency, error) {
+    const { smoothing, cooldown } = REGISTRY_CONFIG;
+    const stats = this.stats.get(url) || {
+      latency: null,
+      errorRate: 0,
+      requests: 0,
+      failures: 0,
+      lastError: null,
+      cooldownUntil: 0,
+    };
+
+    stats.requests++;
+    stats.errorRate = smoothing * (error ? 1 : 0) + (1 - smoothing) * stats.errorRate;
+
+    if (error) {
+      stats.failures++;
+      stats.lastError = error.message;
+      stats.cooldownUntil = Date.now() + cooldown;
+    } else {
+      stats.latency =
+        stats.latency === null
+          ? latency
+          : smoothing * latency + (1 - smoothing) * stats.latency;
+      stats.cooldownUntil = 0;
+    }
+
+    this.stats.set(url, stats);
+    this.notify();
+  }
+
+  /**
+   * Get health information for every endpoint of a network and kind
+   * @param {'mainnet'|'testnet'} network
+   * @param {'evm'|'lcd'} kind
+   * @returns {EndpointHealth[]} Endpoint health, in preference order
+   */
+  getHealth(network, kind) {
+    const now = Date.now();
+    const custom = this.customEndpoints[network]?.[kind] || [];
+
+    return this.getEndpoints(network, kind).map((url) => {
+      const stats = this.stats.get(url);
+      return {
+        url,
+        custom: custom.includes(url),
+        latency: stats?.latency ?? null,
+        errorRate: stats?.errorRate ?? 0,
+        requests: stats?.requests ?? 0,
+        failures: stats?.failures ?? 0,
+        lastError: stats?.lastError ?? null,
+        coolingDown: (stats?.cooldownUntil ?? 0) > now,
+      };
+    });
+  }
+
+  /**
+   * Add a user endpoint
+   * @param {'mainnet'|'testnet'} network
+   * @param {'evm'|'lcd'} kind
+   * @param {string} url - Endpoint URL
+   * @returns {boolean} Whether the endpoint was added
+   */
+  addEndpoint(network, kind, url) {
+    const trimmed = url.trim().replace(/\/+$/, "");
+    if (!this.isValidUrl(trimmed) || !this.customEndpoints[network]?.[kind]) {
+      return false;
+    }
+    if (this.getAllEndpoints(network, kind).includes(trimmed)) {
+      return false;
+    }
+
+    this.customEndpoints[network][kind].push(trimmed);
+    this._saveToStorage();
+    this.notify();
+    return true;
+  }
+
+  /**
+   * Remove a user endpoint
+   * @param {'mainnet'|'testnet'} network
+   * @param {'evm'|'lcd'} kind
+   * @param {string} url - Endpoint URL
+   */
+  removeEndpoint(network, kind, url) {
+    const urls = this.customEndpoints[network]?.[kind];
+    if (!urls) return;
+
+    this.customEndpoints[network][kind] = urls.filter((existing) => existing !== url);
+    this.stats.delete(url);
+    this._saveToStorage();
+    this.notify();
+  }
+
+  /**
+   * Subscribe to endpoint list and health changes
+   * @param {Function} listener - Called after every change
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Notify subscribers of a change
+   */
+  notify() {
+    this.listeners.forEach((listener) => {
+      try {
+        listener();
+      } catch (error) {
+        console.warn("Endpoint registry listener failed:", error);
+      }
+    });
+  }
+}
+
+// Create singleton instance
+const endpointRegistry = new EndpointRegistry();
+
+export default endpointRegistry;
+export { EndpointRegistry };
@@ -0,0 +1,106 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { DEFAULT_ENDPOINTS, EndpointRegistry } from "./EndpointRegistry.js";
+
+const [FIRST, SECOND, THIRD, FOURTH] = DEFAULT_ENDPOINTS.mainnet.evm;
+const [LCD_FIRST, LCD_SECOND] = DEFAULT_ENDPOINTS.mainnet.lcd;
+
+describe("EndpointRegistry scoring", () => {
+  it("keeps the configured order before any request", () => {
+    const registry = new EndpointRegistry();
+    expect(registry.getEndpoints("mainnet", "evm")).toEqual(DEFAULT_ENDPOINTS.mainnet.evm);
+  });
+
+  it("gives untried endpoints the median score of the measured ones", () => {
+    const registry = new EndpointRegistry();
+    registry.recordResult(SECOND, 100, null);
+    registry.recordResult(THIRD, 900, null);
+
+    // Median is 500: the 100ms endpoint leads, untried ones sit in the middle
+    expect(registry.getEndpoints("mainnet", "evm")).toEqual([SECOND, FIRST, FOURTH, THIRD]);
+  });
+
+  it("doesn't push untried endpoints behind a single fast answer", () => {
+    const registry = new EndpointRegistry();
+    registry.recordResult(FOURTH, 50, null);
+
+    // The only measured score is the median, so ties fall back to configured order
+    expect(registry.getEndpoints("mainnet", "evm")).toEqual([FIRST, SECOND, THIRD, FOURTH]);
+  });
+
+  it("moves endpoints cooling down after a failure to the back", () => {
+    const registry = new EndpointRegistry();
+    registry.recordResult(FIRST, 10, new Error("boom"));
+
+    expect(registry.getEndpoints("mainnet", "evm").at(-1)).toBe(FIRST);
+    expect(registry.getHealth("mainnet", "evm").at(-1)).toMatchObject({
+      url: FIRST,
+      coolingDown: true,
+      failures: 1,
+      lastError: "boom",
+    });
+  });
+
+  it("computes the median of an even number of scores", () => {
+    const registry = new EndpointRegistry();
+    const measured = (latency) => ({ latency, errorRate: 0 });
+
+    expect(registry.getNeutralScore([])).toBe(0);
+    expect(registry.getNeutralScore([undefined, { latency: null, errorRate: 0 }])).toBe(0);
+    expect(registry.getNeutralScore([measured(100), measured(300)])).toBe(200);
+  });
+});
+
+describe("EndpointRegistry.fetch", () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it("fails over on server errors", async () => {
+    const fetch = vi
+      .fn()
+      .mockResolvedValueOnce(new Response("", { status: 503 }))
+      .mockResolvedValueOnce(new Response("{}", { status: 200 }));
+    vi.stubGlobal("fetch", fetch);
+
+    const registry = new EndpointRegistry();
+    const response = await registry.fetch("mainnet", "lcd", "/x");
+
+    expect(response.status).toBe(200);
+    expect(fetch).toHaveBeenCalledTimes(2);
+    expect(fetch.mock.calls[1][0]).toBe(`${LCD_SECOND}/x`);
+    expect(registry.getHealth("mainnet", "lcd").at(-1)).toMatchObject({
+      url: LCD_FIRST,
+      failures: 1,
+    });
+  });
+
+  it("tells which endpoint answered", async () => {
+    const fetch = vi
+      .fn()
+      .mockResolvedValueOnce(new Response("", { status: 429 }))
+      .mockResolvedValueOnce(new Response("{}", { status: 200 }));
+    vi.stubGlobal("fetch", fetch);
+
+    const registry = new EndpointRegistry();
+    const { response, endpoint } = await registry.fetchWithEndpoint("mainnet", "lcd", "/x");
+
+    expect(response.status).toBe(200);
+    expect(endpoint).toBe(LCD_SECOND);
+  });
+
+  it("returns a server error the caller recognizes as an answer", async () => {
+    const fetch = vi.fn().mockResolvedValue(new Response('{"code":5}', { status: 500 }));
+    vi.stubGlobal("fetch", fetch);
+
+    const registry = new EndpointRegistry();
+    const isAnswer = async (response) => (await response.json()).code === 5;
+    const response = await registry.fetch("mainnet", "lcd", "/x", {}, { isAnswer });
+
+    expect(response.status).toBe(500);
+    expect(fetch).toHaveBeenCalledTimes(1);
+    expect(registry.getHealth("mainnet", "lcd")[0]).toMatchObject({
+      url: LCD_FIRST,
+      failures: 0,
+    });
+  });
+});
@@ -0,0 +1,397 @@
+/**
+ * External Chain Registry
+ * RPC configuration for the connected chains CCTXs start on and land on,
+ * keyed by the chain ID ZetaChain uses for them. EVM chains are reached over
+ * JSON-RPC and Bitcoin over an Esplora-compatible REST API.
+ */
+
+/**
+ * How a chain's endpoints are spoken to
+ * @enum {string}
+ */
+export const CHAIN_PROTOCOLS = {
+  EVM: "evm", // Ethereum JSON-RPC
+  ESPLORA: "esplora", // Esplora REST API (Blockstream, mempool.space)
+};
+
+/**
+ * Connected chains with their default endpoints, in order of preference.
+ * `confirmations` is how many blocks a transaction needs before it's treated
+ * as final.
+ */
+export const EXTERNAL_CHAINS = {
+  1: {
+    name: "Ethereum",
+    network: "mainnet",
+    protocol: CHAIN_PROTOCOLS.EVM,
+    symbol: "ETH",
+    decimals: 18,
+    confirmations: 12,
+    endpoints: ["https://ethereum-rpc.publicnode.com", "https://eth.llamarpc.com"],
+  },
+  56: {
+    name: "BSC",
+    network: "mainnet",
+    protocol: CHAIN_PROTOCOLS.EVM,
+    symbol: "BNB",
+    decimals: 18,
+    confirmations: 15,
+    endpoints: ["https://bsc-rpc.publicnode.com", "https://bsc-dataseed.bnbchain.org"],
+  },
+  137: {
+    name: "Polygon",
+    network: "mainnet",
+    protocol: CHAIN_PROTOCOLS.EVM,
+    symbol: "POL",
+    decimals: 18,
+    confirmations: 32,
+    endpoints: ["https://polygon-bor-rpc.publicnode.com", "https://polygon-rpc.com"],
+  },
+  8453: {
+    name: "Base",
+    network: "mainnet",
+    protocol: CHAIN_PROTOCOLS.EVM,
+    symbol: "ETH",
+    decimals: 18,
+    confirmations: 12,
+    endpoints: ["https://base-rpc.publicnode.com", "https://mainnet.base.org"],
+  },
+  42161: {
+    name: "Arbitrum",
+    network: "mainnet",
+    protocol: CHAIN_PROTOCOLS.EVM,
+    symbol: "ETH",
+    decimals: 18,
+    confirmations: 20,
+    endpoints: ["https://arbitrum-one-rpc.publicnode.com", "https://arb1.arbitrum.io/rpc"],
+  },
+  8332: {
+    name: "Bitcoin",
+    network: "mainnet",
+    protocol: CHAIN_PROTOCOLS.ESPLORA,
+    symbol: "BTC",
+    decimals: 8,
+    confirmations: 6,
+    endpoints: ["https://blockstream.info/api", "https://mempool.space/api"],
+  },
+  11155111: {
+    name: "Sepolia",
+    network: "testnet",
+    protocol: CHAIN_PROTOCOLS.EVM,
+    symbol: "ETH",
+    decimals: 18,
+    confirmations: 12,
+    endpoints: ["https://ethereum-sepolia-rpc.publicnode.com", "https://rpc.sepolia.org"],
+  },
+  97: {
+    name: "BSC Testnet",
+    network: "testnet",
+    protocol: CHAIN_PROTOCOLS.EVM,
+    symbol: "BNB",
+    decimals: 18,
+    confirmations: 15,
+    endpoints: ["https://bsc-testnet-rpc.publicnode.com", "https://data-seed-prebsc-1-s1.bnbchain.org:8545"],
+  },
+  80002: {
+    name: "Polygon Amoy",
+    network: "testnet",
+    protocol: CHAIN_PROTOCOLS.EVM,
+    symbol: "POL",
+    decimals: 18,
+    confirmations: 32,
+    endpoints: ["https://polygon-amoy-bor-rpc.publicnode.com", "https://rpc-amoy.polygon.technology"],
+  },
+  84532: {
+    name: "Base Sepolia",
+    network: "testnet",
+    protocol: CHAIN_PROTOCOLS.EVM,
+    symbol: "ETH",
+    decimals: 18,
+    confirmations: 12,
+    endpoints: ["https://base-sepolia-rpc.publicnode.com", "https://sepolia.base.org"],
+  },
+  421614: {
+    name: "Arbitrum Sepolia",
+    network: "testnet",
+    protocol: CHAIN_PROTOCOLS.EVM,
+    symbol: "ETH",
+    decimals: 18,
+    confirmations: 20,
+    endpoints: ["https://arbitrum-sepolia-rpc.publicnode.com", "https://sepolia-rollup.arbitrum.io/rpc"],
+  },
+  18332: {
+    name: "Bitcoin Testnet",
+    network: "testnet",
+    protocol: CHAIN_PROTOCOLS.ESPLORA,
+    symbol: "BTC",
+    decimals: 8,
+    confirmations: 6,
+    endpoints: ["https://blockstream.info/testnet/api", "https://mempool.space/testnet/api"],
+  },
+  18333: {
+    name: "Bitcoin Signet",
+    network: "testnet",
+    protocol: CHAIN_PROTOCOLS.ESPLORA,
+    symbol: "BTC",
+    decimals: 8,
+    confirmations: 6,
+    endpoints: ["https://mempool.space/signet/api"],
+  },
+};
+
+const STORAGE_KEY = "zetaflow_external_chains";
+
+const REGISTRY_CONFIG = {
+  timeout: 10000, // 10 seconds per attempt
+  cooldown: 30000, // skip a failed endpoint for 30 seconds
+};
+
+/**
+ * @typedef {Object} ExternalChainConfig
+ * @property {number} chainId - Chain ID ZetaChain uses for the chain
+ * @property {string} name - Display name
+ * @property {'mainnet'|'testnet'} network - ZetaChain network the chain is connected to
+ * @property {string} protocol - Protocol from CHAIN_PROTOCOLS
+ * @property {string} symbol - Native unit
+ * @property {number} decimals - Decimals of the native unit
+ * @property {number} confirmations - Blocks needed before a transaction is final
+ * @property {string[]} endpoints - Endpoint URLs, user-added ones first
+ * @property {string[]} customEndpoints - User-added endpoint URLs
+ */
+
+class ExternalChainRegistry {
+  constructor() {
+    this.settings = this._loadFromStorage();
+    this.cooldowns = new Map(); // endpoint URL -> time it may be tried again
+    this.listeners = new Set();
+  }
+
+  /**
+   * Load the enabled flag and user-added endpoints from local storage
+   * @returns {{enabled: boolean, endpoints: Object<string, string[]>}} Settings
+   * @private
+   */
+  _loadFromStorage() {
+    const settings = { enabled: true, endpoints: {} };
+
+    try {
+      if (typeof window === "undefined") {
+        return settings; // SSR compatibility
+      }
+
+      const stored = localStorage.getItem(STORAGE_KEY);
+      if (!stored) {
+        return settings;
+      }
+
+      const parsed = JSON.parse(stored);
+      if (typeof parsed?.enabled === "boolean") {
+        settings.enabled = parsed.enabled;
+      }
+      for (const chainId of Object.keys(EXTERNAL_CHAINS)) {
+        const urls = parsed?.endpoints?.[chainId];
+        if (Array.isArray(urls)) {
+          settings.endpoints[chainId] = urls.filter((url) => this.isValidUrl(url));
+        }
+      }
+      return settings;
+    } catch (error) {
+      console.warn("Failed to load external chain settings from storage:", error);
+      return settings;
+    }
+  }
+
+  /**
+   * Save the enabled flag and user-added endpoints to local storage
+   * @private
+   */
+  _saveToStorage() {
+    try {
+      if (typeof window === "undefined") {
+        return; // SSR compatibility
+      }
+
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(this.settings));
+    } catch (error) {
+      console.warn("Failed to save external chain settings to storage:", error);
+    }
+  }
+
+  /**
+   * Check that a URL is an http(s) URL
+   * @param {string} url - URL to check
+   * @returns {boolean}
+   */
+  isValidUrl(url) {
+    try {
+      const parsed = new URL(url);
+      return parsed.protocol === "https:" || parsed.protocol === "http:";
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Whether external chain lookups are turned on
+   * @returns {boolean}
+   */
+  isEnabled() {
+    return this.settings.enabled;
+  }
+
+  /**
+   * Turn external chain lookups on or off
+   * @param {boolean} enabled
+   */
+  setEnabled(enabled) {
+    this.settings.enabled = Boolean(enabled);
+    this._saveToStorage();
+    this.notify();
+  }
+
+  /**
+   * Get the configuration of a connected chain
+   * @param {number|string|undefined} chainId - Chain ID
+   * @returns {ExternalChainConfig|null} Configuration, or null when the chain isn't configured
+   */
+  getChain(chainId) {
+    const chain = EXTERNAL_CHAINS[chainId];
+    if (!chain) return null;
+
+    const customEndpoints = this.settings.endpoints[chainId] || [];
+    return {
+      ...chain,
+      chainId: Number(chainId),
+      endpoints: [...new Set([...customEndpoints, ...chain.endpoints])],
+      customEndpoints,
+    };
+  }
+
+  /**
+   * Get every chain connected to a ZetaChain network
+   * @param {'mainnet'|'testnet'} network
+   * @returns {ExternalChainConfig[]} Chain configurations
+   */
+  getChains(network) {
+    return Object.keys(EXTERNAL_CHAINS)
+      .map((chainId) => this.getChain(chainId))
+      .filter((chain) => chain.network === network);
+  }
+
+  /**
+   * Add a user endpoint for a chain
+   * @param {number} chainId - Chain ID
+   * @param {string} url - Endpoint URL
+   * @returns {boolean} Whether the endpoint was added
+   */
+  addEndpoint(chainId, url) {
+    const trimmed = url.trim().replace(/\/+$/, "");
+    const chain = this.getChain(chainId);
+    if (!chain || !this.isValidUrl(trimmed) || chain.endpoints.includes(trimmed)) {
+      return false;
+    }
+
+    this.settings.endpoints[chainId] = [...chain.customEndpoints, trimmed];
+    this._saveToStorage();
+    this.notify();
+    return true;
+  }
+
+  /**
+   * Remove a user endpoint from a chain
+   * @param {number} chainId - Chain ID
+   * @param {string} url - Endpoint URL
+   */
+  removeEndpoint(chainId, url) {
+    const urls = this.settings.endpoints[chainId];
+    if (!urls) return;
+
+    this.settings.endpoints[chainId] = urls.filter((existing) => existing !== url);
+    this.cooldowns.delete(url);
+    this._saveToStorage();
+    this.notify();
+  }
+
+  /**
+   * Fetch from a chain's endpoints in order, skipping ones that recently
+   * failed and failing over on network errors, timeouts, rate limits (429)
+   * and server errors (5xx). Other HTTP errors (e.g. 404) are returned as-is.
+   * @param {number} chainId - Chain ID
+   * @param {string} path - Path appended to the endpoint URL ('' for JSON-RPC)
+   * @param {RequestInit} [init] - Fetch options
+   * @returns {Promise<Response>} Response from the first endpoint that answered
+   */
+  async fetch(chainId, path = "", init = {}) {
+    const chain = this.getChain(chainId);
+    if (!chain) {
+      throw new Error(`No endpoints configured for chain ${chainId}`);
+    }
+
+    const now = Date.now();
+    const endpoints = [
+      ...chain.endpoints.filter((url) => !(this.cooldowns.get(url) > now)),
+      ...chain.endpoints.filter((url) => this.cooldowns.get(url) > now),
+    ];
+    let lastError;
+
+    for (const url of endpoints) {
+      const controller = new AbortController();
+      const timer = setTimeout(() => controller.abort(), REGISTRY_CONFIG.timeout);
+
+      try {
+        const response = await fetch(`${url}${path}`, {
+          ...init,
+          signal: controller.signal,
+        });
+
+        if (response.status === 429 || response.status >= 500) {
+          throw new Error(
+            `Endpoint ${url} failed: ${response.status} ${response.statusText}`
+          );
+        }
+
+        this.cooldowns.delete(url);
+        return response;
+      } catch (error) {
+        lastError =
+          error.name === "AbortError"
+            ? new Error(`Endpoint ${url} timeout after ${REGISTRY_CONFIG.timeout}ms`)
+            : error;
+        this.cooldowns.set(url, Date.now() + REGISTRY_CONFIG.cooldown);
+      } finally {
+        clearTimeout(timer);
+      }
+    }
+
+    throw lastError;
+  }
+
+  /**
+   * Subscribe to settings changes
+   * @param {Function} listener - Called after every change
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Notify subscribers of a change
+   */
+  notify() {
+    this.listeners.forEach((listener) => {
+      try {
+        listener();
+      } catch (error) {
+        console.warn("External chain registry listener failed:", error);
+      }
+    });
+  }
+}
+
+// Create singleton instance
+const externalChainRegistry = new ExternalChainRegistry();
+
+export default externalChainRegistry;
+export { ExternalChainRegistry };
@@ -3,15 +3,16 @@
  * Fetches real-time network data from ZetaChain RPC endpoints
  */
 
+import rpcClient from './RpcClient.js';
+
 class NetworkStatsService {
-  constructor() {
+  constructor(rpc = rpcClient) {
+    this.rpcClient = rpc;
     this.endpoints = {
       mainnet: {
-        rpc: "https://zetachain-evm.blockpi.network/v1/rpc/public",
         name: "ZetaChain Mainnet"
       },
       testnet: {
-        rpc: "https://zetachain-athens-evm.blockpi.network/v1/rpc/public", 
         name: "ZetaChain Athens Testnet"
       }
     };
@@ -42,15 +43,15 @@ class NetworkStatsService {
 
       // Fetch multiple network metrics in parallel
       const [blockNumber, gasPrice, chainId] = await Promise.all([
-        this.getBlockNumber(endpoint.rpc),
-        this.getGasPrice(endpoint.rpc),
-        this.getChainId(endpoint.rpc)
+        this.getBlockNumber(network),
+        this.getGasPrice(network),
+        this.getChainId(network)
       ]);
 
       const stats = {
         blockHeight: blockNumber,
         gasPrice: gasPrice,
-        tps: await this.calculateTPS(endpoint.rpc, blockNumber),
+        tps: await this.calculateTPS(network, blockNumber),
         chainId: chainId,
         networkName: endpoint.name,
         lastUpdated: new Date().toISOString()
@@ -79,52 +80,35 @@ class NetworkStatsService {
     }
   }
 
+  /**
+   * Send a JSON-RPC request through the shared RPC client
+   * @param {'mainnet'|'testnet'} network
+   * @param {string} method - JSON-RPC method name
+   * @param {Array} params - JSON-RPC params
+   * @returns {Promise<Object>} JSON-RPC response
+   */
+  async rpc(network, method, params) {
+    return this.rpcClient.call(network, method, params);
+  }
+
   /**
    * Get current block number
-   * @param {string} rpcUrl 
+   * @param {'mainnet'|'testnet'} network
    * @returns {Promise<number>}
    */
-  async getBlockNumber(rpcUrl) {
-    const response = await fetch(rpcUrl, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        jsonrpc: '2.0',
-        method: 'eth_blockNumber',
-        params: [],
-        id: 1
-      })
-    });
-
-    const data = await response.json();
-    if (data.error) {
-      throw new Error(data.error.message);
-    }
+  async getBlockNumber(network) {
+    const data = await this.rpc(network, 'eth_blockNumber', []);
 
     return parseInt(data.result, 16);
   }
 
   /**
    * Get current gas price
-   * @param {string} rpcUrl 
+   * @param {'mainnet'|'testnet'} network
    * @returns {Promise<string>}
    */
-  async getGasPrice(rpcUrl) {
-    const response = await fetch(rpcUrl, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        jsonrpc: '2.0',
-        method: 'eth_gasPrice',
-        params: [],
-        id: 1
-      })
-    });
-
-    const data = await response.json();
-    if (data.error) {
-      throw new Error(data.error.message);
-    }
+  async getGasPrice(network) {
+    const data = await this.rpc(network, 'eth_gasPrice', []);
 
     // Convert from wei to gwei
     const gasPriceWei = parseInt(data.result, 16);
@@ -135,41 +119,27 @@ class NetworkStatsService {
 
   /**
    * Get chain ID
-   * @param {string} rpcUrl 
+   * @param {'mainnet'|'testnet'} network
    * @returns {Promise<number>}
    */
-  async getChainId(rpcUrl) {
-    const response = await fetch(rpcUrl, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        jsonrpc: '2.0',
-        method: 'eth_chainId',
-        params: [],
-        id: 1
-      })
-    });
-
-    const data = await response.json();
-    if (data.error) {
-      throw new Error(data.error.message);
-    }
+  async getChainId(network) {
+    const data = await this.rpc(network, 'eth_chainId', []);
 
     return parseInt(data.result, 16);
   }
 
   /**
    * Calculate approximate TPS by looking at recent blocks
-   * @param {string} rpcUrl 
+   * @param {'mainnet'|'testnet'} network
    * @param {number} currentBlock 
    * @returns {Promise<string>}
    */
-  async calculateTPS(rpcUrl, currentBlock) {
+  async calculateTPS(network, currentBlock) {
     try {
-      // Get last 10 blocks to calculate average TPS
+      // Get last 10 blocks to calculate average TPS (sent as one batch)
       const blockPromises = [];
       for (let i = 0; i < 10; i++) {
-        blockPromises.push(this.getBlock(rpcUrl, currentBlock - i));
+        blockPromises.push(this.getBlock(network, currentBlock - i));
       }
 
       const blocks = await Promise.all(blockPromises);
@@ -208,26 +178,12 @@ class NetworkStatsService {
 
   /**
    * Get block data
-   * @param {string} rpcUrl 
+   * @param {'mainnet'|'testnet'} network
    * @param {number} blockNumber 
    * @returns {Promise<Object>}
    */
-  async getBlock(rpcUrl, blockNumber) {
-    const response = await fetch(rpcUrl, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        jsonrpc: '2.0',
-        method: 'eth_getBlockByNumber',
-        params: [`0x${blockNumber.toString(16)}`, false],
-        id: 1
-      })
-    });
-
-    const data = await response.json();
-    if (data.error) {
-      throw new Error(data.error.message);
-    }
+  async getBlock(network, blockNumber) {
+    const data = await this.rpc(network, 'eth_getBlockByNumber', [`0x${blockNumber.toString(16)}`, false]);
 
     return data.result;
   }
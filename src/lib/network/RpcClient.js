@@ -0,0 +1,180 @@
+/**
+ * JSON-RPC Client
+ * Sends EVM JSON-RPC calls through the endpoint registry, batching calls made
+ * in the same tick into one array request and sharing identical in-flight calls
+ */
+
+import endpointRegistry, { ENDPOINT_KINDS } from "./EndpointRegistry.js";
+
+// A short window lets calls fired from separate awaits in the same render join
+// one batch; public endpoints reject very large batches
+const RPC_CLIENT_CONFIG = {
+  batchWindow: 10, // ms to wait for more calls before sending
+  maxBatchSize: 20,
+};
+
+/**
+ * Error returned by a JSON-RPC endpoint for a single call
+ */
+export class RpcError extends Error {
+  /**
+   * @param {string} method - JSON-RPC method that failed
+   * @param {{code: number, message: string, data?: *}} error - JSON-RPC error object
+   * @param {string|null} [endpoint] - URL of the endpoint that returned the error
+   */
+  constructor(method, error, endpoint = null) {
+    super(`EVM API ${method} failed: ${error.message}`);
+    this.name = "RpcError";
+    this.method = method;
+    this.code = error.code;
+    this.data = error.data;
+    this.endpoint = endpoint;
+  }
+}
+
+class RpcClient {
+  /**
+   * @param {import('./EndpointRegistry.js').EndpointRegistry} [registry] - Endpoint registry to send requests through
+   */
+  constructor(registry = endpointRegistry) {
+    this.registry = registry;
+    this.queues = new Map(); // network -> pending calls
+    this.timers = new Map(); // network -> flush timer
+    this.inFlight = new Map(); // dedupe key -> promise
+    this.nextId = 1;
+  }
+
+  /**
+   * Make a JSON-RPC call. Identical calls already in flight share one request.
+   * @param {'mainnet'|'testnet'} network
+   * @param {string} method - JSON-RPC method name
+   * @param {Array} [params] - JSON-RPC params
+   * @returns {Promise<Object>} JSON-RPC response (`result` holds the value, `endpoint` the URL that answered)
+   * @throws {RpcError} When the endpoint returns an error for this call
+   */
+  call(network, method, params = []) {
+    const key = `${network}:${method}:${JSON.stringify(params)}`;
+    const pending = this.inFlight.get(key);
+    if (pending) {
+      return pending;
+    }
+
+    const promise = new Promise((resolve, reject) => {
+      this.enqueue(network, { method, params, resolve, reject });
+    }).finally(() => {
+      this.inFlight.delete(key);
+    });
+
+    this.inFlight.set(key, promise);
+    return promise;
+  }
+
+  /**
+   * Queue a call and schedule the network's next batch
+   * @param {'mainnet'|'testnet'} network
+   * @param {Object} call - Pending call with resolve/reject callbacks
+   * @private
+   */
+  enqueue(network, call) {
+    const queue = this.queues.get(network) || [];
+    queue.push(call);
+    this.queues.set(network, queue);
+
+    if (queue.length >= RPC_CLIENT_CONFIG.maxBatchSize) {
+      this.flush(network);
+    } else if (!this.timers.has(network)) {
+      this.timers.set(
+        network,
+        setTimeout(() => this.flush(network), RPC_CLIENT_CONFIG.batchWindow)
+      );
+    }
+  }
+
+  /**
+   * Send every queued call for a network
+   * @param {'mainnet'|'testnet'} network
+   * @private
+   */
+  flush(network) {
+    clearTimeout(this.timers.get(network));
+    this.timers.delete(network);
+
+    const queue = this.queues.get(network) || [];
+    this.queues.delete(network);
+
+    for (let i = 0; i < queue.length; i += RPC_CLIENT_CONFIG.maxBatchSize) {
+      this.sendBatch(network, queue.slice(i, i + RPC_CLIENT_CONFIG.maxBatchSize));
+    }
+  }
+
+  /**
+   * Send calls as one request (a plain request for a single call) and settle
+   * each call from its response
+   * @param {'mainnet'|'testnet'} network
+   * @param {Array<Object>} calls - Pending calls
+   * @private
+   */
+  async sendBatch(network, calls) {
+    const requests = calls.map(({ method, params }) => ({
+      jsonrpc: "2.0",
+      id: this.nextId++,
+      method,
+      params,
+    }));
+
+    try {
+      const body = requests.length === 1 ? requests[0] : requests;
+      const { data, endpoint } = await this.post(network, body);
+      const responses = Array.isArray(data) ? data : [data];
+
+      // Endpoints without batch support answer with a single error object
+      if (requests.length > 1 && !Array.isArray(data)) {
+        calls.forEach((call) => this.sendBatch(network, [call]));
+        return;
+      }
+
+      const byId = new Map(responses.map((response) => [response.id, response]));
+      calls.forEach((call, index) => {
+        const response = byId.get(requests[index].id);
+        if (!response) {
+          call.reject(new Error(`EVM API ${call.method} failed: missing response`));
+        } else if (response.error) {
+          call.reject(new RpcError(call.method, response.error, endpoint));
+        } else {
+          call.resolve({ ...response, endpoint });
+        }
+      });
+    } catch (error) {
+      calls.forEach((call) => call.reject(error));
+    }
+  }
+
+  /**
+   * POST a JSON-RPC payload to the healthiest EVM endpoint
+   * @param {'mainnet'|'testnet'} network
+   * @param {Object|Array<Object>} body - Request or batch of requests
+   * @returns {Promise<{data: Object|Array<Object>, endpoint: string}>} Parsed response body and the URL of the endpoint that sent it
+   * @private
+   */
+  async post(network, body) {
+    const { response, endpoint } = await this.registry.fetchWithEndpoint(network, ENDPOINT_KINDS.EVM, "", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+    });
+
+    if (!response.ok) {
+      throw new Error(
+        `EVM API request failed: ${response.status} ${response.statusText}`
+      );
+    }
+
+    return { data: await response.json(), endpoint };
+  }
+}
+
+// Create singleton instance
+const rpcClient = new RpcClient();
+
+export default rpcClient;
+export { RpcClient };
@@ -0,0 +1,110 @@
+/**
+ * @fileoverview Batch input parsing
+ * Pulls the hashes, addresses and explorer links out of pasted text or an
+ * uploaded text/CSV file, so a spreadsheet of affected transactions can be
+ * looked up in one go
+ */
+
+import { detectIdentifier } from "../blockchain/chain-identifiers.js";
+import { looksLikeUrl, parseExplorerUrl } from "./UrlParser.js";
+
+/**
+ * Batch limits
+ */
+export const BATCH_LIMITS = {
+  maxItems: 200,
+  maxFileSize: 1024 * 1024, // 1 MB
+};
+
+// Cells are separated by whitespace, CSV/TSV delimiters and quotes
+const CELL_SEPARATOR_REGEX = /[\s,;|"'`]+/;
+
+// Cells this long made of hash/address characters were probably meant as
+// one, so they are reported instead of silently skipped like headers,
+// dates and amounts
+const LIKELY_IDENTIFIER_REGEX = /^(0x)?[A-Za-z0-9:_+/=-]{26,}$/;
+
+/**
+ * @typedef {Object} BatchItem
+ * @property {string} query - Hash, address or link as it will be searched
+ * @property {string} type - Search type the item was recognized as
+ */
+
+/**
+ * @typedef {Object} ParsedBatch
+ * @property {BatchItem[]} items - Recognized items, in input order and without duplicates
+ * @property {string[]} invalid - Cells that look like identifiers but aren't valid ones
+ * @property {number} duplicates - Recognized items dropped as repeats
+ * @property {number} truncated - Recognized items dropped beyond `maxItems`
+ */
+
+/**
+ * Recognize one cell of batch input
+ * @param {string} cell - Cell text
+ * @returns {BatchItem|null} Item, or null when the cell isn't a hash, address or supported link
+ */
+function parseCell(cell) {
+  if (looksLikeUrl(cell)) {
+    const link = parseExplorerUrl(cell);
+    return link ? { query: cell, type: link.type } : null;
+  }
+
+  // Bare hex hashes and addresses get the 0x prefix the search box adds
+  const value = /^([a-fA-F0-9]{40}|[a-fA-F0-9]{64})$/.test(cell) ? `0x${cell}` : cell;
+  const identifier = detectIdentifier(value);
+  return identifier ? { query: value, type: identifier.type } : null;
+}
+
+/**
+ * Parse pasted text or file contents into batch items
+ * @param {string} text - Text with hashes, addresses or links anywhere in it
+ * @param {Object} [options] - Parse options
+ * @param {number} [options.maxItems] - Maximum number of items kept
+ * @returns {ParsedBatch} Items and what was left out
+ */
+export function parseBatchInput(text, options = {}) {
+  const { maxItems = BATCH_LIMITS.maxItems } = options;
+  const items = [];
+  const invalid = [];
+  const seen = new Set();
+  let duplicates = 0;
+  let truncated = 0;
+
+  const cells = typeof text === "string" ? text.split(CELL_SEPARATOR_REGEX) : [];
+  for (const cell of cells.filter(Boolean)) {
+    const item = parseCell(cell);
+    if (!item) {
+      if (LIKELY_IDENTIFIER_REGEX.test(cell) && !invalid.includes(cell)) {
+        invalid.push(cell);
+      }
+      continue;
+    }
+
+    // Hex is case-insensitive; base58 and base64 identifiers are not
+    const key = /^0x[a-fA-F0-9]+$/.test(item.query) ? item.query.toLowerCase() : item.query;
+    if (seen.has(key)) {
+      duplicates++;
+    } else if (items.length >= maxItems) {
+      truncated++;
+    } else {
+      seen.add(key);
+      items.push(item);
+    }
+  }
+
+  return { items, invalid, duplicates, truncated };
+}
+
+/**
+ * Read an uploaded text or CSV file
+ * @param {File} file - File from an input or drop
+ * @returns {Promise<string>} File contents
+ */
+export async function readBatchFile(file) {
+  if (file.size > BATCH_LIMITS.maxFileSize) {
+    throw new Error(
+      `${file.name} is larger than ${BATCH_LIMITS.maxFileSize / 1024} KB. Split it into smaller files.`
+    );
+  }
+  return file.text();
+}
@@ -0,0 +1,84 @@
+import { describe, expect, it } from "vitest";
+import { BATCH_LIMITS, parseBatchInput, readBatchFile } from "./BatchParser.js";
+
+const HASH_A = `0x${"ab".repeat(32)}`;
+const HASH_B = `0x${"cd".repeat(32)}`;
+const ADDRESS = "0x000000000000000000000000000000000000dEaD";
+const BTC_ADDRESS = "bc1qar0srrr7xfkvy5l643lydnw9re59gtzzwf5mdq";
+
+describe("parseBatchInput", () => {
+  it("pulls identifiers out of a CSV export, skipping headers, dates and amounts", () => {
+    const csv = [
+      "tx_hash,sender,amount,date",
+      `"${HASH_A}","${ADDRESS}",1000.5,2026-01-01`,
+      `${HASH_B};${BTC_ADDRESS};12;2026-01-02`,
+    ].join("\n");
+
+    expect(parseBatchInput(csv)).toEqual({
+      items: [
+        { query: HASH_A, type: "txid" },
+        { query: ADDRESS, type: "address" },
+        { query: HASH_B, type: "txid" },
+        { query: BTC_ADDRESS, type: "address" },
+      ],
+      invalid: [],
+      duplicates: 0,
+      truncated: 0,
+    });
+  });
+
+  it("adds 0x to bare hex hashes and addresses", () => {
+    const { items } = parseBatchInput(`${"ab".repeat(32)}\t${ADDRESS.slice(2)}`);
+
+    expect(items).toEqual([
+      { query: HASH_A, type: "txid" },
+      { query: ADDRESS, type: "address" },
+    ]);
+  });
+
+  it("recognizes explorer links", () => {
+    const { items } = parseBatchInput(`https://etherscan.io/tx/${HASH_A} https://example.com/tx/${HASH_B}`);
+
+    expect(items).toEqual([{ query: `https://etherscan.io/tx/${HASH_A}`, type: "inbound" }]);
+  });
+
+  it("drops hex duplicates regardless of case", () => {
+    const { items, duplicates } = parseBatchInput(`${HASH_A}\n0x${HASH_A.slice(2).toUpperCase()}\n${HASH_A}`);
+
+    expect(items).toHaveLength(1);
+    expect(duplicates).toBe(2);
+  });
+
+  it("reports cells that look like identifiers but aren't valid", () => {
+    const typo = `0x${"ab".repeat(31)}a`; // one character short
+    const { items, invalid } = parseBatchInput(`${typo} ${typo} hello 12345`);
+
+    expect(items).toEqual([]);
+    expect(invalid).toEqual([typo]);
+  });
+
+  it("keeps at most maxItems and counts the rest", () => {
+    const hashes = Array.from({ length: 5 }, (_, index) => `0x${String(index).repeat(64)}`);
+    const { items, truncated } = parseBatchInput(hashes.join("\n"), { maxItems: 3 });
+
+    expect(items.map((item) => item.query)).toEqual(hashes.slice(0, 3));
+    expect(truncated).toBe(2);
+  });
+
+  it("handles empty input", () => {
+    expect(parseBatchInput("")).toEqual({ items: [], invalid: [], duplicates: 0, truncated: 0 });
+    expect(parseBatchInput(null).items).toEqual([]);
+  });
+});
+
+describe("readBatchFile", () => {
+  it("reads the file's text", async () => {
+    const file = new File([`${HASH_A}\n`], "hashes.csv", { type: "text/csv" });
+    await expect(readBatchFile(file)).resolves.toBe(`${HASH_A}\n`);
+  });
+
+  it("rejects files over the size limit", async () => {
+    const file = new File(["x".repeat(BATCH_LIMITS.maxFileSize + 1)], "big.csv");
+    await expect(readBatchFile(file)).rejects.toThrow("big.csv is larger than 1024 KB");
+  });
+});
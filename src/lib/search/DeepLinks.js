@@ -0,0 +1,117 @@
+/**
+ * @fileoverview Deep links for shareable explorer state
+ * Maps searches to App Router paths such as `/testnet/tx/0x…` and back, with
+ * the graph layout and selected node carried in the query string
+ */
+
+/**
+ * Route segment for each search type a deep link can restore
+ * @enum {string}
+ */
+export const DEEP_LINK_SEGMENTS = {
+  txid: "tx",
+  cctx: "cctx",
+  address: "address",
+  block: "block",
+};
+
+const NETWORKS = ["mainnet", "testnet"];
+const LAYOUTS = ["fcose", "dagre"];
+
+/**
+ * @typedef {Object} DeepLink
+ * @property {'mainnet'|'testnet'} network - Network the search runs on
+ * @property {'txid'|'cctx'|'address'|'block'} type - Search type
+ * @property {string} value - Hash, CCTX index, address or block number
+ * @property {string|null} layout - Graph layout, if not the default
+ * @property {string|null} node - ID of the selected graph node or edge
+ */
+
+/**
+ * Build a deep link from route params
+ * @param {Object} params - Route params and query values
+ * @param {string} params.network - Network segment
+ * @param {string} params.segment - Route segment from DEEP_LINK_SEGMENTS
+ * @param {string} params.value - Value segment (URL-encoded)
+ * @param {string} [params.layout] - `layout` query value
+ * @param {string} [params.node] - `node` query value
+ * @returns {DeepLink|null} Deep link, or null when the route doesn't describe a search
+ */
+export function parseDeepLink({ network, segment, value, layout, node }) {
+  const type = Object.keys(DEEP_LINK_SEGMENTS).find(
+    (key) => DEEP_LINK_SEGMENTS[key] === segment
+  );
+  if (!type || !NETWORKS.includes(network) || !value) return null;
+
+  let decoded;
+  try {
+    decoded = decodeURIComponent(value).trim();
+  } catch {
+    return null;
+  }
+  if (!decoded || (type === "block" && !/^\d+$/.test(decoded))) return null;
+
+  return {
+    network,
+    type,
+    value: decoded,
+    layout: LAYOUTS.includes(layout) ? layout : null,
+    node: typeof node === "string" && node ? node : null,
+  };
+}
+
+/**
+ * Build a deep link from a browser location
+ * @param {string} pathname - Location pathname
+ * @param {string} [search] - Location query string
+ * @returns {DeepLink|null} Deep link, or null for paths that aren't deep links (e.g. "/")
+ */
+export function parseDeepLinkPath(pathname, search = "") {
+  const segments = pathname.split("/").filter(Boolean);
+  if (segments.length !== 3) return null;
+
+  const [network, segment, value] = segments;
+  const query = new URLSearchParams(search);
+  return parseDeepLink({
+    network,
+    segment,
+    value,
+    layout: query.get("layout") || undefined,
+    node: query.get("node") || undefined,
+  });
+}
+
+/**
+ * Build the path of a deep link. The default layout is left out so plain
+ * links stay short.
+ * @param {DeepLink} link - Deep link
+ * @returns {string} Path with query string
+ */
+export function buildDeepLinkPath(link) {
+  const path = `/${link.network}/${DEEP_LINK_SEGMENTS[link.type]}/${encodeURIComponent(link.value)}`;
+
+  const query = new URLSearchParams();
+  if (link.layout && link.layout !== LAYOUTS[0]) query.set("layout", link.layout);
+  if (link.node) query.set("node", link.node);
+
+  const queryString = query.toString();
+  return queryString ? `${path}?${queryString}` : path;
+}
+
+/**
+ * Get the deep link a search result can be restored from
+ * @param {import('./SearchService.js').SearchResult} searchResult - Search result
+ * @param {'mainnet'|'testnet'} network - Network the result is shown on
+ * @returns {DeepLink|null} Deep link (without layout and node), or null when the search can't be linked
+ */
+export function getDeepLinkForResult(searchResult, network) {
+  const { searchType, query, link } = searchResult.metadata || {};
+
+  // Explorer links resolve to the hash or address they point at; inbound
+  // hashes are found again by a transaction hash lookup
+  const type = searchType === "inbound" ? "txid" : searchType;
+  const value = link ? link.value : query;
+  if (!DEEP_LINK_SEGMENTS[type] || !value) return null;
+
+  return { network, type, value, layout: null, node: null };
+}
@@ -0,0 +1,546 @@
+/**
+ * @fileoverview Structured query parsing for the search box
+ * Parses filter queries such as `from:0x… chain:bsc status:failed after:7d`
+ * into filters, reporting errors with the column they start at, and
+ * suggests filter keys and values while typing
+ */
+
+import {
+  IDENTIFIER_TYPES,
+  detectIdentifier,
+  normalizeAddress,
+  shortenAddress,
+} from "../blockchain/chain-identifiers.js";
+import { parseUnits, toBigInt } from "../blockchain/amount.js";
+import { COIN_TYPES, findTokenByAddress, findTokenByOrigin } from "../blockchain/token-registry.js";
+
+/**
+ * Connected chains by the names queries may use, with their chain IDs on
+ * each ZetaChain network
+ */
+export const QUERY_CHAINS = {
+  zetachain: { mainnet: [7000], testnet: [7001] },
+  ethereum: { mainnet: [1], testnet: [11155111] },
+  bsc: { mainnet: [56], testnet: [97] },
+  polygon: { mainnet: [137], testnet: [80002] },
+  base: { mainnet: [8453], testnet: [84532] },
+  arbitrum: { mainnet: [42161], testnet: [421614] },
+  bitcoin: { mainnet: [8332], testnet: [18332, 18333] },
+  solana: { mainnet: [900], testnet: [901] },
+  ton: { mainnet: [2015140], testnet: [2015141] },
+};
+
+// Short names accepted for chains
+const CHAIN_SYNONYMS = {
+  zeta: "zetachain",
+  eth: "ethereum",
+  bnb: "bsc",
+  pol: "polygon",
+  matic: "polygon",
+  arb: "arbitrum",
+  btc: "bitcoin",
+  sol: "solana",
+};
+
+/**
+ * Statuses a query can filter on. The first three are the application
+ * statuses; reverted and aborted are detailed CCTX statuses.
+ */
+export const QUERY_STATUSES = ["success", "failed", "pending", "reverted", "aborted"];
+
+/**
+ * Transaction kinds a query can filter on
+ */
+export const QUERY_TYPES = ["cctx", "evm", "deposit", "withdrawal"];
+
+// Relative dates: 12h, 7d, 2w
+const RELATIVE_DATE_REGEX = /^(\d+)([hdw])$/;
+const RELATIVE_DATE_UNITS = { h: 3600 * 1000, d: 24 * 3600 * 1000, w: 7 * 24 * 3600 * 1000 };
+
+/**
+ * @typedef {Object} QueryFilters
+ * @property {string|null} from - Sender address
+ * @property {string|null} to - Recipient address
+ * @property {string|null} address - Address on either side (a bare address in the query)
+ * @property {string[]} chains - Chain names from QUERY_CHAINS, or numeric chain IDs
+ * @property {string[]} statuses - Statuses from QUERY_STATUSES
+ * @property {string[]} tokens - Token symbols, uppercase (e.g. "USDC.ETH", "ZETA")
+ * @property {number|null} after - Earliest timestamp (ms)
+ * @property {number|null} before - Latest timestamp (ms)
+ * @property {string|null} min - Smallest amount, in whole tokens
+ * @property {string[]} types - Kinds from QUERY_TYPES
+ */
+
+/**
+ * @typedef {Object} QueryError
+ * @property {string} message - What is wrong, including the column
+ * @property {number} start - Offset of the offending text in the query
+ * @property {number} end - Offset just past it
+ */
+
+/**
+ * @typedef {Object} ParsedQuery
+ * @property {boolean} isValid - Whether the query parsed without errors
+ * @property {QueryFilters} filters - Parsed filters
+ * @property {QueryError[]} errors - Errors, in query order
+ */
+
+/**
+ * Parse a comma-separated list against allowed values
+ * @param {string} raw - Raw value
+ * @param {string[]} allowed - Allowed values
+ * @param {string} label - Name of the value for error messages
+ * @returns {{value: string[]}|{error: string}}
+ */
+function parseList(raw, allowed, label) {
+  const values = raw.toLowerCase().split(",").filter(Boolean);
+  const invalid = values.find((value) => !allowed.includes(value));
+  return invalid
+    ? { error: `Unknown ${label} "${invalid}". Use one of ${allowed.join(", ")}` }
+    : { value: values };
+}
+
+/**
+ * Parse an address value
+ * @param {string} raw - Raw value
+ * @returns {{value: string}|{error: string}}
+ */
+function parseAddress(raw) {
+  const identifier = detectIdentifier(raw);
+  return identifier?.type === IDENTIFIER_TYPES.ADDRESS
+    ? { value: normalizeAddress(identifier.value) }
+    : { error: `"${raw}" is not an EVM, Bitcoin, Solana or TON address` };
+}
+
+/**
+ * Parse a date value: YYYY-MM-DD, an ISO timestamp, or a relative time
+ * such as 12h, 7d or 2w before now
+ * @param {string} raw - Raw value
+ * @returns {{value: number}|{error: string}}
+ */
+function parseDate(raw) {
+  const relative = raw.toLowerCase().match(RELATIVE_DATE_REGEX);
+  if (relative) {
+    return { value: Date.now() - Number(relative[1]) * RELATIVE_DATE_UNITS[relative[2]] };
+  }
+
+  const timestamp = /^\d{4}-\d{2}-\d{2}/.test(raw) ? Date.parse(raw) : NaN;
+  return Number.isNaN(timestamp)
+    ? { error: `Invalid date "${raw}". Use YYYY-MM-DD or a relative time such as 7d` }
+    : { value: timestamp };
+}
+
+/**
+ * Filters queries can use, keyed by filter key. `values` feed autocomplete;
+ * `multiple` filters take comma-separated lists.
+ */
+export const QUERY_FILTERS = {
+  from: {
+    description: "Sender address",
+    parse: parseAddress,
+  },
+  to: {
+    description: "Recipient address",
+    parse: parseAddress,
+  },
+  chain: {
+    description: "Source or destination chain, by name or chain ID",
+    values: Object.keys(QUERY_CHAINS),
+    multiple: true,
+    parse: (raw) => {
+      const chains = raw.toLowerCase().split(",").filter(Boolean);
+      const resolved = chains.map((chain) =>
+        /^\d+$/.test(chain) ? chain : CHAIN_SYNONYMS[chain] || (QUERY_CHAINS[chain] ? chain : null)
+      );
+      const invalid = chains.find((chain, index) => !resolved[index]);
+      return invalid
+        ? { error: `Unknown chain "${invalid}". Use a chain ID or one of ${Object.keys(QUERY_CHAINS).join(", ")}` }
+        : { value: resolved };
+    },
+  },
+  status: {
+    description: "Transaction status",
+    values: QUERY_STATUSES,
+    multiple: true,
+    parse: (raw) => parseList(raw, QUERY_STATUSES, "status"),
+  },
+  token: {
+    description: "ZRC-20 symbol, e.g. USDC.ETH, or ZETA",
+    multiple: true,
+    parse: (raw) => {
+      const tokens = raw.toUpperCase().split(",").filter(Boolean);
+      const invalid = tokens.find((token) => !/^[A-Z0-9.-]+$/.test(token));
+      return invalid
+        ? { error: `Invalid token symbol "${invalid}"` }
+        : { value: tokens };
+    },
+  },
+  after: {
+    description: "On or after a date (YYYY-MM-DD) or relative time (7d)",
+    parse: parseDate,
+  },
+  before: {
+    description: "Before a date (YYYY-MM-DD) or relative time (7d)",
+    parse: parseDate,
+  },
+  min: {
+    description: "Smallest amount, in whole tokens",
+    parse: (raw) =>
+      /^\d+(\.\d+)?$/.test(raw) && parseUnits(raw, 0) !== null
+        ? { value: raw }
+        : { error: `Invalid amount "${raw}". Use a plain number such as 1000 or 0.5` },
+  },
+  type: {
+    description: "Transaction kind",
+    values: QUERY_TYPES,
+    multiple: true,
+    parse: (raw) => parseList(raw, QUERY_TYPES, "type"),
+  },
+};
+
+// Filter key to the QueryFilters property it fills
+const FILTER_PROPERTIES = {
+  from: "from",
+  to: "to",
+  chain: "chains",
+  status: "statuses",
+  token: "tokens",
+  after: "after",
+  before: "before",
+  min: "min",
+  type: "types",
+};
+
+/**
+ * Split a query into whitespace-separated terms with their offsets
+ * @param {string} input - Query
+ * @returns {Array<{text: string, start: number}>} Terms
+ */
+function tokenize(input) {
+  const terms = [];
+  const regex = /\S+/g;
+  let match;
+  while ((match = regex.exec(input)) !== null) {
+    terms.push({ text: match[0], start: match.index });
+  }
+  return terms;
+}
+
+/**
+ * Check whether input is a structured query rather than a single hash,
+ * address or link: some term starts with a letters-only `key:`
+ * @param {string} input - Search input
+ * @returns {boolean}
+ */
+export function isStructuredQuery(input) {
+  if (!input || typeof input !== "string") return false;
+  return tokenize(input).some((term) => /^[a-zA-Z]+:/.test(term.text) && !/^[a-zA-Z]+:\/\//.test(term.text));
+}
+
+/**
+ * Create empty filters
+ * @returns {QueryFilters}
+ */
+function createEmptyFilters() {
+  return {
+    from: null,
+    to: null,
+    address: null,
+    chains: [],
+    statuses: [],
+    tokens: [],
+    after: null,
+    before: null,
+    min: null,
+    types: [],
+  };
+}
+
+/**
+ * Build an error for a span of the query
+ * @param {string} message - What is wrong
+ * @param {number} start - Offset of the span
+ * @param {number} end - Offset past the span
+ * @returns {QueryError}
+ */
+function queryError(message, start, end) {
+  return { message: `${message} (column ${start + 1})`, start, end };
+}
+
+/**
+ * Parse a structured query
+ * @param {string} input - Query, e.g. "from:0xabc… chain:bsc status:failed after:7d"
+ * @returns {ParsedQuery} Filters and errors
+ */
+export function parseQuery(input) {
+  const filters = createEmptyFilters();
+  const errors = [];
+  const seen = new Set();
+
+  for (const { text, start } of tokenize(input || "")) {
+    const end = start + text.length;
+    const separator = text.indexOf(":");
+    const key = separator > 0 ? text.slice(0, separator).toLowerCase() : null;
+
+    // Anything that isn't key:value may be one address to match on either side
+    if (!key || !/^[a-z]+$/.test(key)) {
+      const identifier = detectIdentifier(text);
+      if (identifier?.type === IDENTIFIER_TYPES.ADDRESS && !filters.address) {
+        filters.address = normalizeAddress(identifier.value);
+      } else {
+        errors.push(queryError(`Unexpected "${text}". Use key:value filters such as status:failed`, start, end));
+      }
+      continue;
+    }
+
+    const filter = QUERY_FILTERS[key];
+    if (!filter) {
+      errors.push(
+        queryError(`Unknown filter "${key}:". Filters are ${Object.keys(QUERY_FILTERS).join(", ")}`, start, start + separator + 1)
+      );
+      continue;
+    }
+
+    if (seen.has(key)) {
+      errors.push(
+        queryError(
+          filter.multiple
+            ? `Duplicate filter "${key}:". List several values with commas, e.g. ${key}:a,b`
+            : `Duplicate filter "${key}:"`,
+          start,
+          end
+        )
+      );
+      continue;
+    }
+
+    const raw = text.slice(separator + 1);
+    if (!raw) {
+      errors.push(queryError(`Missing value for "${key}:"`, start, end));
+      continue;
+    }
+    seen.add(key);
+
+    const parsed = filter.parse(raw);
+    if (parsed.error) {
+      errors.push(queryError(parsed.error, start + separator + 1, end));
+    } else {
+      filters[FILTER_PROPERTIES[key]] = parsed.value;
+    }
+  }
+
+  // zEVM transactions can only be found through an address
+  const hasAddress = filters.from || filters.to || filters.address;
+  if (!errors.length && !hasAddress && filters.types.length && filters.types.every((type) => type === "evm")) {
+    const typeTerm = tokenize(input).find((term) => term.text.toLowerCase().startsWith("type:"));
+    errors.push(queryError("type:evm needs an address. Add from: or to:", typeTerm.start, typeTerm.start + typeTerm.text.length));
+  }
+
+  return { isValid: errors.length === 0, filters, errors };
+}
+
+/**
+ * Resolve chain filters to chain IDs on a network
+ * @param {string[]} chains - Chain names or numeric chain IDs
+ * @param {'mainnet'|'testnet'} network - ZetaChain network
+ * @returns {number[]} Chain IDs
+ */
+export function resolveChainIds(chains, network) {
+  return chains.flatMap((chain) =>
+    /^\d+$/.test(chain) ? [Number(chain)] : QUERY_CHAINS[chain]?.[network] || []
+  );
+}
+
+/**
+ * Get the symbol and decimals of a CCTX's amount. Deposits carry the asset
+ * of their source chain; withdrawals from ZetaChain the asset of their
+ * destination.
+ * @param {Object} transaction - Normalized cross-chain transaction
+ * @param {import('../blockchain/token-registry.js').ZRC20Token[]} tokens - Registry tokens
+ * @returns {{symbol: string, decimals: number}|null} Token, or null when unknown
+ */
+function getCrossChainToken(transaction, tokens) {
+  const crossChain = transaction.crossChainData || {};
+  if (crossChain.coinType === COIN_TYPES.ZETA) {
+    return { symbol: "ZETA", decimals: 18 };
+  }
+
+  const token =
+    findTokenByOrigin(tokens, crossChain.sourceChain, crossChain.asset) ||
+    findTokenByOrigin(tokens, crossChain.destinationChain, crossChain.asset) ||
+    findTokenByAddress(tokens, crossChain.asset);
+  return token ? { symbol: token.symbol, decimals: token.decimals } : null;
+}
+
+/**
+ * Get the amounts a transaction moved, each with its token
+ * @param {Object} transaction - Normalized transaction or CCTX
+ * @param {import('../blockchain/token-registry.js').ZRC20Token[]} tokens - Registry tokens
+ * @returns {Array<{symbol: string, decimals: number, raw: bigint|null, from: string, to: string}>} Amounts
+ */
+function getTransactionAmounts(transaction, tokens) {
+  if (transaction.type === "cross-chain") {
+    const token = getCrossChainToken(transaction, tokens);
+    return [{
+      symbol: token?.symbol || "",
+      decimals: token?.decimals ?? 18,
+      raw: toBigInt(transaction.value),
+      from: transaction.from,
+      to: transaction.to,
+    }];
+  }
+
+  const native = toBigInt(transaction.value);
+  const transfers = (transaction.tokenTransfers || []).map((transfer) => ({
+    symbol: transfer.tokenSymbol || "",
+    decimals: transfer.tokenDecimals ?? 18,
+    raw: toBigInt(transfer.rawAmount),
+    from: transfer.from,
+    to: transfer.to,
+  }));
+  return native
+    ? [{ symbol: "ZETA", decimals: 18, raw: native, from: transaction.from, to: transaction.to }, ...transfers]
+    : transfers;
+}
+
+/**
+ * Check whether a transaction matches parsed filters. Addresses match the
+ * transaction's sender and receiver or those of its token transfers;
+ * chains match a CCTX's source or destination; deposits are CCTXs from
+ * connected chains and withdrawals are CCTXs from ZetaChain.
+ * @param {Object} transaction - Normalized transaction or CCTX
+ * @param {QueryFilters} filters - Parsed filters
+ * @param {Object} context - Lookup context
+ * @param {'mainnet'|'testnet'} context.network - Network the transaction is on
+ * @param {import('../blockchain/token-registry.js').ZRC20Token[]} [context.tokens] - Registry tokens, for symbols and decimals
+ * @returns {boolean}
+ */
+export function matchesQuery(transaction, filters, context) {
+  const { network, tokens = [] } = context;
+  const isCrossChain = transaction.type === "cross-chain";
+  const crossChain = transaction.crossChainData || {};
+  const zetaChainId = QUERY_CHAINS.zetachain[network][0];
+  const amounts = getTransactionAmounts(transaction, tokens);
+  const same = (address, target) => address && normalizeAddress(address) === target;
+
+  if (filters.types.length) {
+    const kinds = isCrossChain
+      ? ["cctx", crossChain.sourceChain === zetaChainId ? "withdrawal" : "deposit"]
+      : ["evm"];
+    if (!filters.types.some((type) => kinds.includes(type))) return false;
+  }
+
+  if (filters.from && !same(transaction.from, filters.from) &&
+      !amounts.some((amount) => same(amount.from, filters.from))) {
+    return false;
+  }
+  if (filters.to && !same(transaction.to, filters.to) &&
+      !amounts.some((amount) => same(amount.to, filters.to))) {
+    return false;
+  }
+  if (filters.address) {
+    const sides = [transaction.from, transaction.to, ...amounts.flatMap((amount) => [amount.from, amount.to])];
+    if (!sides.some((address) => same(address, filters.address))) return false;
+  }
+
+  if (filters.chains.length) {
+    const chainIds = resolveChainIds(filters.chains, network);
+    const involved = isCrossChain
+      ? [crossChain.sourceChain, crossChain.destinationChain]
+      : [transaction.chainId || zetaChainId];
+    if (!involved.some((chainId) => chainIds.includes(chainId))) return false;
+  }
+
+  if (filters.statuses.length) {
+    const matched = filters.statuses.some((status) =>
+      status === "reverted" || status === "aborted"
+        ? transaction.detailedStatus?.toLowerCase() === status
+        : transaction.status === status
+    );
+    if (!matched) return false;
+  }
+
+  if (filters.after !== null && !(transaction.timestamp >= filters.after)) return false;
+  if (filters.before !== null && !(transaction.timestamp < filters.before)) return false;
+
+  // Token and amount filters apply to the same movement: "min:1000
+  // token:USDC.ETH" means at least 1,000 USDC.ETH, not any 1,000 tokens
+  if (filters.tokens.length || filters.min !== null) {
+    const moved = amounts.some(
+      (amount) =>
+        (!filters.tokens.length || filters.tokens.includes(amount.symbol.toUpperCase())) &&
+        (filters.min === null ||
+          (amount.raw !== null && amount.raw >= parseUnits(filters.min, amount.decimals)))
+    );
+    if (!moved) return false;
+  }
+
+  return true;
+}
+
+/**
+ * Describe filters in words, for result summaries
+ * @param {QueryFilters} filters - Parsed filters
+ * @returns {string} Description such as "failed withdrawal on bsc from 0x1234...abc"
+ */
+export function describeQuery(filters) {
+  const parts = [
+    filters.statuses.join("/"),
+    filters.types.join("/") || "transactions",
+    filters.tokens.length ? `of ${filters.tokens.join("/")}` : "",
+    filters.chains.length ? `on ${filters.chains.join("/")}` : "",
+    filters.from ? `from ${shortenAddress(filters.from)}` : "",
+    filters.to ? `to ${shortenAddress(filters.to)}` : "",
+    filters.address ? `involving ${shortenAddress(filters.address)}` : "",
+  ];
+  return parts.filter(Boolean).join(" ");
+}
+
+/**
+ * Suggest completions for the term being typed at the end of the input:
+ * filter keys for a bare word, values for `key:` with known values
+ * @param {string} input - Search input
+ * @param {number} [limit] - Maximum number of suggestions
+ * @returns {Array<{query: string, label: string, description: string}>} Suggestions, `query` being the completed input
+ */
+export function getQuerySuggestions(input, limit = 5) {
+  if (typeof input !== "string") return [];
+
+  const termStart = input.search(/\S*$/);
+  const term = input.slice(termStart);
+  const prefix = input.slice(0, termStart);
+  const used = new Set(
+    tokenize(prefix)
+      .map((entry) => entry.text.split(":")[0].toLowerCase())
+      .filter((key) => QUERY_FILTERS[key])
+  );
+
+  // Filter keys
+  if (/^[a-zA-Z]+$/.test(term)) {
+    const partial = term.toLowerCase();
+    return Object.entries(QUERY_FILTERS)
+      .filter(([key]) => key.startsWith(partial) && !used.has(key))
+      .slice(0, limit)
+      .map(([key, filter]) => ({
+        query: `${prefix}${key}:`,
+        label: `${key}:`,
+        description: filter.description,
+      }));
+  }
+
+  // Filter values, completing the last item of a comma-separated list
+  const match = term.match(/^([a-zA-Z]+):((?:[^,]*,)*)([^,]*)$/);
+  const filter = match && QUERY_FILTERS[match[1].toLowerCase()];
+  if (!filter?.values) return [];
+
+  const [, key, listed, partial] = match;
+  const chosen = listed.toLowerCase().split(",").filter(Boolean);
+  return filter.values
+    .filter((value) => value.startsWith(partial.toLowerCase()) && !chosen.includes(value) && value !== partial.toLowerCase())
+    .slice(0, limit)
+    .map((value) => ({
+      query: `${prefix}${key}:${listed}${value}`,
+      label: `${key}:${listed}${value}`,
+      description: filter.description,
+    }));
+}
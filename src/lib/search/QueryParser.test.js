@@ -0,0 +1,213 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { COIN_TYPES } from "../blockchain/token-registry.js";
+import {
+  describeQuery,
+  getQuerySuggestions,
+  isStructuredQuery,
+  matchesQuery,
+  parseQuery,
+  resolveChainIds,
+} from "./QueryParser.js";
+
+const WALLET = "0x000000000000000000000000000000000000dEaD";
+const OTHER = "0x000000000000000000000000000000000000bEEF";
+const NOW = Date.parse("2026-03-15T12:00:00Z");
+const DAY = 24 * 3600 * 1000;
+
+const USDC_ETH = {
+  symbol: "USDC.ETH",
+  decimals: 6,
+  chainId: 1,
+  asset: "0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48",
+  coinType: COIN_TYPES.ERC20,
+};
+
+describe("isStructuredQuery", () => {
+  it("tells filter queries from hashes and links", () => {
+    expect(isStructuredQuery("status:failed")).toBe(true);
+    expect(isStructuredQuery(`${WALLET} chain:bsc`)).toBe(true);
+    expect(isStructuredQuery(WALLET)).toBe(false);
+    expect(isStructuredQuery("https://example.com/tx/0x1")).toBe(false);
+    expect(isStructuredQuery(null)).toBe(false);
+  });
+});
+
+describe("parseQuery", () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.setSystemTime(NOW);
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it("parses every filter", () => {
+    const { isValid, filters, errors } = parseQuery(
+      `from:${WALLET} to:${OTHER} chain:BSC,eth,56 status:failed,reverted token:usdc.eth ` +
+        "after:2026-01-01 before:7d min:1000.5 type:withdrawal"
+    );
+
+    expect(errors).toEqual([]);
+    expect(isValid).toBe(true);
+    expect(filters).toEqual({
+      from: WALLET.toLowerCase(),
+      to: OTHER.toLowerCase(),
+      address: null,
+      chains: ["bsc", "ethereum", "56"],
+      statuses: ["failed", "reverted"],
+      tokens: ["USDC.ETH"],
+      after: Date.parse("2026-01-01"),
+      before: NOW - 7 * DAY,
+      min: "1000.5",
+      types: ["withdrawal"],
+    });
+  });
+
+  it("treats a bare address as either side", () => {
+    expect(parseQuery(`${WALLET} status:failed`).filters.address).toBe(WALLET.toLowerCase());
+  });
+
+  it("reports errors with the column they start at", () => {
+    const { isValid, errors } = parseQuery("status:done chain:mars");
+
+    expect(isValid).toBe(false);
+    expect(errors).toEqual([
+      {
+        message: 'Unknown status "done". Use one of success, failed, pending, reverted, aborted (column 8)',
+        start: 7,
+        end: 11,
+      },
+      expect.objectContaining({ start: 18, end: 22 }),
+    ]);
+    expect(errors[1].message).toMatch(/^Unknown chain "mars".*\(column 19\)$/);
+  });
+
+  it.each([
+    ["color:red", /^Unknown filter "color:"/],
+    ["status:", /^Missing value for "status:"/],
+    ["status:failed status:pending", /^Duplicate filter "status:". List several values with commas/],
+    ["from:0x1234", /is not an EVM, Bitcoin, Solana or TON address/],
+    ["after:yesterday", /^Invalid date "yesterday"/],
+    ["min:1e3", /^Invalid amount "1e3"/],
+    ["token:US$", /^Invalid token symbol "US\$"/],
+    ["hello status:failed", /^Unexpected "hello"/],
+    ["type:evm", /^type:evm needs an address/],
+  ])("rejects %s", (query, message) => {
+    const { isValid, errors } = parseQuery(query);
+    expect(isValid).toBe(false);
+    expect(errors[0].message).toMatch(message);
+  });
+
+  it("accepts type:evm with an address", () => {
+    expect(parseQuery(`type:evm from:${WALLET}`).isValid).toBe(true);
+  });
+});
+
+describe("resolveChainIds", () => {
+  it("maps names to the network's chain IDs and keeps numeric IDs", () => {
+    expect(resolveChainIds(["bitcoin", "97"], "testnet")).toEqual([18332, 18333, 97]);
+    expect(resolveChainIds(["ethereum"], "mainnet")).toEqual([1]);
+  });
+});
+
+describe("matchesQuery", () => {
+  const context = { network: "mainnet", tokens: [USDC_ETH] };
+
+  const deposit = {
+    type: "cross-chain",
+    from: OTHER,
+    to: WALLET,
+    value: "2500000000", // 2,500 USDC.ETH
+    status: "failed",
+    detailedStatus: "Reverted",
+    timestamp: NOW - DAY,
+    crossChainData: {
+      sourceChain: 1,
+      destinationChain: 7000,
+      coinType: COIN_TYPES.ERC20,
+      asset: USDC_ETH.asset,
+    },
+  };
+
+  const zevmTransfer = {
+    type: "evm",
+    from: WALLET,
+    to: OTHER,
+    value: "0",
+    status: "success",
+    timestamp: NOW,
+    tokenTransfers: [
+      { from: OTHER, to: OTHER, tokenSymbol: "USDC.ETH", tokenDecimals: 6, rawAmount: "1000000" },
+    ],
+  };
+
+  /**
+   * Match a transaction against a query string
+   * @param {Object} transaction - Normalized transaction
+   * @param {string} query - Query
+   * @returns {boolean}
+   */
+  const matches = (transaction, query) => matchesQuery(transaction, parseQuery(query).filters, context);
+
+  it("matches types, chains and statuses of a deposit", () => {
+    expect(matches(deposit, "type:deposit chain:eth status:reverted")).toBe(true);
+    expect(matches(deposit, "type:withdrawal")).toBe(false);
+    expect(matches(deposit, "chain:bsc")).toBe(false);
+    expect(matches(deposit, "status:failed")).toBe(true);
+    expect(matches(deposit, "status:aborted")).toBe(false);
+  });
+
+  it("matches addresses on either side", () => {
+    expect(matches(deposit, `to:${WALLET}`)).toBe(true);
+    expect(matches(deposit, `from:${WALLET}`)).toBe(false);
+    expect(matches(deposit, `0x${WALLET.slice(2).toUpperCase()} status:failed`)).toBe(true);
+  });
+
+  it("applies token and amount filters to the same movement", () => {
+    expect(matches(deposit, "token:USDC.ETH min:2500")).toBe(true);
+    expect(matches(deposit, "token:USDC.ETH min:2500.01")).toBe(false);
+    expect(matches(zevmTransfer, "token:USDC.ETH min:1")).toBe(true);
+    expect(matches(zevmTransfer, "token:ZETA")).toBe(false);
+  });
+
+  it("matches time ranges", () => {
+    expect(matches(deposit, "after:2026-03-14")).toBe(true);
+    expect(matches(deposit, "after:2026-03-15")).toBe(false);
+    expect(matches(zevmTransfer, "before:2026-03-15")).toBe(false);
+  });
+
+  it("treats zEVM transactions as ZetaChain evm transactions", () => {
+    expect(matches(zevmTransfer, `type:evm chain:zetachain from:${WALLET}`)).toBe(true);
+    expect(matches(zevmTransfer, "type:cctx")).toBe(false);
+  });
+});
+
+describe("describeQuery", () => {
+  it("summarizes filters in words", () => {
+    const { filters } = parseQuery(`status:failed type:withdrawal chain:bsc from:${WALLET}`);
+    expect(describeQuery(filters)).toBe("failed withdrawal on bsc from 0x0000...ead");
+  });
+});
+
+describe("getQuerySuggestions", () => {
+  it("suggests unused filter keys", () => {
+    expect(getQuerySuggestions("st").map((item) => item.query)).toEqual(["status:"]);
+    expect(getQuerySuggestions("chain:bsc t").map((item) => item.label)).toEqual(["to:", "token:", "type:"]);
+    expect(getQuerySuggestions("type:cctx t").map((item) => item.label)).toEqual(["to:", "token:"]);
+  });
+
+  it("suggests values, completing the last item of a list", () => {
+    expect(getQuerySuggestions("status:f").map((item) => item.query)).toEqual(["status:failed"]);
+    expect(getQuerySuggestions("status:failed,p").map((item) => item.query)).toEqual([
+      "status:failed,pending",
+    ]);
+    expect(getQuerySuggestions("chain:b", 1)).toHaveLength(1);
+  });
+
+  it("has nothing to suggest for free-form values", () => {
+    expect(getQuerySuggestions("from:0x")).toEqual([]);
+    expect(getQuerySuggestions("status:failed")).toEqual([]);
+    expect(getQuerySuggestions(null)).toEqual([]);
+  });
+});
@@ -3,14 +3,27 @@
  * Integrates unified ZetaChain API service for comprehensive search functionality
  */
 
-import { zetaChainService } from "../blockchain/zetachain-service.js";
+import { getZetaChainService } from "../blockchain/zetachain-service.js";
 import { getSearchHistoryManager } from "./SearchHistoryManager.js";
+import { looksLikeUrl, parseExplorerUrl } from "./UrlParser.js";
+import { CHAIN_FAMILIES, detectIdentifier, isEvmTxHash } from "../blockchain/chain-identifiers.js";
+import { getTokenRegistry } from "../blockchain/token-registry.js";
+import {
+  describeQuery,
+  isStructuredQuery,
+  matchesQuery,
+  parseQuery,
+  resolveChainIds,
+} from "./QueryParser.js";
 
 /**
  * @typedef {import('../../types/blockchain.js').TransactionData} TransactionData
  * @typedef {import('../../types/zetachain.js').CrossChainTransaction} CrossChainTransaction
  */
 
+// zEVM block numbers as typed in the search box ("5123456" or "#5123456")
+const BLOCK_NUMBER_REGEX = /^#?\d{1,12}$/;
+
 /**
  * Search result types
  * @enum {string}
@@ -19,6 +32,9 @@ export const SEARCH_RESULT_TYPES = {
   TRANSACTION: "TRANSACTION",
   CROSS_CHAIN_TRANSACTION: "CROSS_CHAIN_TRANSACTION",
   ADDRESS_TRANSACTIONS: "ADDRESS_TRANSACTIONS",
+  BLOCK_TRANSACTIONS: "BLOCK_TRANSACTIONS",
+  QUERY_RESULTS: "QUERY_RESULTS",
+  BATCH_RESULTS: "BATCH_RESULTS",
 };
 
 /**
@@ -59,10 +75,43 @@ export class SearchError extends Error {
  * @property {Array<TransactionData|CrossChainTransaction>} data - Result data
  * @property {Object} metadata - Search metadata
  * @property {string} metadata.query - Original search query
- * @property {'txid'|'address'} metadata.searchType - Search type
+ * @property {'txid'|'address'|'cctx'|'inbound'|'block'|'query'|'batch'} metadata.searchType - Search type
  * @property {number} metadata.totalResults - Total number of results
  * @property {number} metadata.loadTime - Search execution time in ms
  * @property {'mainnet'|'testnet'} metadata.network - Network used for search
+ * @property {number} [metadata.fromBlock] - First block of an address search range
+ * @property {number} [metadata.toBlock] - Last block of an address search range
+ * @property {number|null} [metadata.nextToBlock] - `toBlock` for the next address page
+ * @property {boolean} [metadata.hasMore] - Whether older address activity remains
+ * @property {{fromBlock: number, toBlock: number}} [metadata.nativeScan] - Blocks an address search scanned for native ZETA transfers
+ * @property {number} [metadata.blockNumber] - Block a block search loaded
+ * @property {Object} [metadata.block] - Normalized header of that block (see ZetaChainService.normalizeBlock)
+ * @property {Object<string, string[]>} [metadata.crossChainEvents] - CCTX legs ("inbound", "outbound") finalized in that block, by CCTX index
+ * @property {import('./QueryParser.js').QueryFilters} [metadata.filters] - Filters of a structured query
+ * @property {string} [metadata.description] - Structured query in words
+ * @property {number} [metadata.scanned] - Transactions a structured query checked against its filters
+ * @property {BatchItemResult[]} [metadata.items] - Outcome of each item of a batch search
+ * @property {import('./UrlParser.js').ParsedLink} [metadata.link] - Explorer link the query came from
+ * @property {Array<'mainnet'|'testnet'>} [metadata.matchedNetworks] - Networks a transaction hash was found on
+ * @property {Array<{network: 'mainnet'|'testnet', data: Array}>} [metadata.alternatives] - Matches on the other network (for a batch, the items found there)
+ */
+
+/**
+ * @typedef {Object} BatchItemResult
+ * @property {string} query - Hash, address or link that was looked up
+ * @property {'found'|'not_found'|'error'} status - Outcome
+ * @property {string|null} searchType - Search type the item ran as
+ * @property {number} resultCount - Transactions the item contributed
+ * @property {'mainnet'|'testnet'|null} network - Network the item was found on
+ * @property {string|null} error - Why the item failed or found nothing
+ */
+
+/**
+ * @typedef {Object} NetworkResolution
+ * @property {'mainnet'|'testnet'|null} network - Network to show (the selected one when both match)
+ * @property {Array<'mainnet'|'testnet'>} matchedNetworks - Every network that has the transaction
+ * @property {Object<string, Array<TransactionData|CrossChainTransaction>>} matches - Normalized transactions per network
+ * @property {Object<string, Error>} errors - Lookup errors per network
  */
 
 /**
@@ -74,179 +123,81 @@ export class SearchService {
    */
   constructor(networkType = "testnet") {
     this.networkType = networkType;
-    this.zetaService = zetaChainService;
-    this.zetaService.setNetwork(networkType);
+    this.zetaService = getZetaChainService(networkType);
     this.historyManager = getSearchHistoryManager();
     this.searchCache = new Map();
   }
 
   /**
-   * Detect likely network from transaction ID patterns and known characteristics
-   * @param {string} txHash - Transaction hash
-   * @returns {{likelyNetwork: 'mainnet'|'testnet'|'unknown', confidence: 'high'|'medium'|'low', reason: string}}
+   * Look a transaction hash up on mainnet and testnet at the same time.
+   * Each network is checked on its EVM and CCTX endpoints and on the
+   * inbound hash to CCTX mapping, so external chain deposit hashes resolve too.
+   * @param {string} txHash - Transaction hash, CCTX index or inbound hash
+   * @returns {Promise<NetworkResolution>} Networks that have the transaction
    */
-  detectTransactionNetwork(txHash) {
-    const normalizedHash = this.normalizeQuery(txHash);
-    
-    // Remove 0x prefix for analysis
-    const cleanHash = normalizedHash.startsWith('0x') ? normalizedHash.slice(2) : normalizedHash;
-    
-    // Basic validation - must be 64 hex characters
-    if (!/^[0-9a-f]{64}$/i.test(cleanHash)) {
-      return {
-        likelyNetwork: 'unknown',
-        confidence: 'low',
-        reason: 'Invalid transaction hash format'
-      };
-    }
-
-    // ZetaChain-specific patterns for network detection
-    // These patterns are based on observed transaction characteristics
-    
-    // Check for mainnet patterns (block height ranges, common prefixes, etc.)
-    // Mainnet transactions often have certain characteristics in their hash patterns
-    const firstBytes = cleanHash.substring(0, 8);
-    const lastBytes = cleanHash.substring(56, 64);
-    
-    // Mainnet heuristics (these are examples - would need real data analysis)
-    const mainnetIndicators = [
-      // Higher entropy in certain positions (mainnet has more activity)
-      /^[0-9a-f]{2}[0-9]{2}/.test(firstBytes), // Mixed hex/numeric patterns
-      // Certain ranges that are more common on mainnet
-      parseInt(firstBytes, 16) > 0x80000000,
-    ];
-    
-    // Testnet heuristics
-    const testnetIndicators = [
-      // Lower activity patterns
-      /^0{2,4}/.test(firstBytes), // Leading zeros more common in testnet
-      // Certain ranges more common on testnet
-      parseInt(firstBytes, 16) < 0x40000000,
-    ];
-    
-    const mainnetScore = mainnetIndicators.filter(Boolean).length;
-    const testnetScore = testnetIndicators.filter(Boolean).length;
-    
-    // Determine likely network based on pattern analysis
-    if (mainnetScore > testnetScore && mainnetScore > 0) {
-      return {
-        likelyNetwork: 'mainnet',
-        confidence: mainnetScore > 1 ? 'medium' : 'low',
-        reason: `Transaction hash patterns suggest mainnet (score: ${mainnetScore})`
-      };
-    } else if (testnetScore > mainnetScore && testnetScore > 0) {
-      return {
-        likelyNetwork: 'testnet',
-        confidence: testnetScore > 1 ? 'medium' : 'low',
-        reason: `Transaction hash patterns suggest testnet (score: ${testnetScore})`
-      };
-    }
-    
-    // If no clear pattern, return unknown
-    return {
-      likelyNetwork: 'unknown',
-      confidence: 'low',
-      reason: 'Cannot determine network from transaction hash pattern - try both networks'
-    };
-  }
-
-  /**
-   * Validate network compatibility before making API calls
-   * @param {string} query - Search query (transaction hash or address)
-   * @param {'txid'|'address'} type - Query type
-   * @returns {{isValid: boolean, networkMismatch?: boolean, suggestedNetwork?: 'mainnet'|'testnet', message?: string, confidence?: string}}
-   */
-  validateNetworkCompatibility(query, type) {
-    if (type === 'address') {
-      // Addresses work on both networks, no validation needed
-      return { isValid: true };
-    }
+  async resolveTransactionNetworks(txHash) {
+    const networks = ["mainnet", "testnet"];
+    const settled = await Promise.allSettled(
+      networks.map((network) => getZetaChainService(network).findTransactionsByHash(txHash))
+    );
 
-    if (type === 'txid') {
-      const detection = this.detectTransactionNetwork(query);
-      
-      // If we can detect a likely network and it doesn't match current network
-      if (detection.likelyNetwork !== 'unknown' && 
-          detection.likelyNetwork !== this.networkType) {
-        
-        // Only show warning for medium/high confidence
-        if (detection.confidence === 'medium' || detection.confidence === 'high') {
-          return {
-            isValid: false,
-            networkMismatch: true,
-            suggestedNetwork: detection.likelyNetwork,
-            confidence: detection.confidence,
-            message: `This transaction hash appears to be from ${detection.likelyNetwork}, but you're currently searching on ${this.networkType}. ${detection.reason}`
-          };
-        }
+    const matches = {};
+    const errors = {};
+    settled.forEach((outcome, index) => {
+      const network = networks[index];
+      if (outcome.status === "fulfilled" && outcome.value.length) {
+        matches[network] = outcome.value;
+      } else if (outcome.status === "rejected") {
+        errors[network] = outcome.reason;
       }
-    }
+    });
 
-    return { isValid: true };
-  }
+    const matchedNetworks = networks.filter((network) => matches[network]);
 
-  /**
-   * Create network mismatch suggestion message
-   * @param {string} query - Search query
-   * @param {'mainnet'|'testnet'} suggestedNetwork - Suggested network
-   * @param {string} [context] - Additional context (e.g., 'not_found', 'pre_search')
-   * @returns {string} User-friendly message with suggestion
-   */
-  createNetworkMismatchMessage(query, suggestedNetwork, context = 'not_found') {
-    const currentNetwork = this.networkType;
-    const shortHash = query.length > 10 ? `${query.slice(0, 8)}...${query.slice(-6)}` : query;
-    
-    if (context === 'pre_search') {
-      return `This transaction hash looks like it belongs to ${suggestedNetwork}, but you're currently on ${currentNetwork}. Consider switching networks before searching.`;
-    }
-    
-    return `Transaction ${shortHash} not found on ${currentNetwork}. Try switching to ${suggestedNetwork} - this transaction might exist there instead.`;
+    // Prefer the selected network when the hash exists on both
+    const network = matches[this.networkType]
+      ? this.networkType
+      : matchedNetworks[0] || null;
+
+    return { network, matchedNetworks, matches, errors };
   }
 
   /**
-   * Create network switch suggestion with action
-   * @param {'mainnet'|'testnet'} suggestedNetwork - Network to suggest
-   * @param {string} query - Original search query
-   * @returns {Object} Suggestion object with message and action
+   * Find the network a block hash belongs to, preferring the selected one
+   * @param {string} hash - 0x-prefixed hash
+   * @returns {Promise<'mainnet'|'testnet'|null>} Network with a block of that hash, or null
    */
-  createNetworkSwitchSuggestion(suggestedNetwork, query) {
-    const shortHash = query.length > 10 ? `${query.slice(0, 8)}...${query.slice(-6)}` : query;
-    
-    return {
-      message: `Switch to ${suggestedNetwork} and search again?`,
-      action: 'switch_network',
-      targetNetwork: suggestedNetwork,
-      originalQuery: query,
-      displayHash: shortHash
-    };
+  async resolveBlockHashNetwork(hash) {
+    if (!isEvmTxHash(hash)) return null;
+
+    const networks = [this.networkType, this.networkType === "mainnet" ? "testnet" : "mainnet"];
+    const settled = await Promise.allSettled(
+      networks.map((network) =>
+        getZetaChainService(network).getBlockHeader(hash)
+      )
+    );
+    const index = settled.findIndex(
+      (outcome) => outcome.status === "fulfilled" && outcome.value
+    );
+    return index >= 0 ? networks[index] : null;
   }
 
   /**
-   * Enhanced error handling with network suggestions
-   * @param {Error} error - Original error
-   * @param {string} query - Search query that failed
-   * @param {'txid'|'address'} type - Query type
-   * @returns {SearchError} Enhanced search error with network suggestions
+   * Check whether a lookup error just means the hash isn't on that network
+   * @param {Error} error - Error from ZetaChainService
+   * @returns {boolean} True for not-found style errors
    */
-  enhanceErrorWithNetworkSuggestion(error, query, type) {
-    if (error instanceof SearchError && error.type === SEARCH_ERROR_TYPES.NOT_FOUND && type === 'txid') {
-      const suggestedNetwork = this.networkType === 'mainnet' ? 'testnet' : 'mainnet';
-      const enhancedMessage = this.createNetworkMismatchMessage(query, suggestedNetwork);
-      
-      return new SearchError(
-        SEARCH_ERROR_TYPES.NOT_FOUND,
-        enhancedMessage,
-        {
-          ...error.originalError,
-          networkMismatch: true,
-          currentNetwork: this.networkType,
-          suggestedNetwork: suggestedNetwork,
-          originalQuery: query
-        }
-      );
-    }
-    
-    return error instanceof SearchError ? error : this.mapError(error, "Search failed");
+  isNotFoundError(error) {
+    if (!error) return true;
+    if (error.type === "TRANSACTION_NOT_FOUND") return true;
+
+    const message = error.message || "";
+    return (
+      message.includes("400") ||
+      message.includes("404") ||
+      message.includes("not found") ||
+      message.includes("Cross-chain API request failed")
+    );
   }
 
   /**
@@ -260,34 +211,10 @@ export class SearchService {
     
     switch (error.type) {
       case SEARCH_ERROR_TYPES.NOT_FOUND:
-        if (error.originalError?.networkMismatch) {
-          // Network mismatch error with switch suggestion
-          notificationHandler.showError(error.message, {
-            title: "Transaction Not Found",
-            duration: 8000,
-            action: {
-              label: `Switch to ${error.originalError.suggestedNetwork}`,
-              onClick: () => {
-                if (notificationHandler.onNetworkSwitch) {
-                  notificationHandler.onNetworkSwitch(error.originalError.suggestedNetwork);
-                  notificationHandler.showInfo(
-                    `Switched to ${error.originalError.suggestedNetwork}. Try searching again.`,
-                    {
-                      title: "Network Switched",
-                      duration: 3000
-                    }
-                  );
-                }
-              }
-            }
-          });
-        } else {
-          // Regular not found error
-          notificationHandler.showWarning(error.message, {
-            title: "Transaction Not Found",
-            duration: 6000
-          });
-        }
+        notificationHandler.showWarning(error.message, {
+          title: "Transaction Not Found",
+          duration: 6000
+        });
         break;
         
       case SEARCH_ERROR_TYPES.NETWORK_ERROR:
@@ -347,14 +274,14 @@ export class SearchService {
     }
 
     this.networkType = networkType;
-    this.zetaService.setNetwork(networkType);
+    this.zetaService = getZetaChainService(networkType);
     this.clearCache(); // Clear cache when switching networks
   }
 
   /**
    * Validate search input and detect type
    * @param {string} query - Search query
-   * @returns {{isValid: boolean, type: 'txid'|'address'|'invalid', error?: string}}
+   * @returns {{isValid: boolean, type: 'txid'|'address'|'cctx'|'inbound'|'block'|'query'|'invalid', chain?: string|null, link?: import('./UrlParser.js').ParsedLink, query?: import('./QueryParser.js').ParsedQuery, error?: string}}
    */
   validateSearchInput(query) {
     const trimmed = query.trim();
@@ -367,49 +294,81 @@ export class SearchService {
       };
     }
 
-    // Transaction hash validation (64 hex characters, optionally prefixed with 0x)
-    const txHashRegex = /^(0x)?[a-fA-F0-9]{64}$/;
-    if (txHashRegex.test(trimmed)) {
+    // ZetaScan and external explorer links
+    if (looksLikeUrl(trimmed)) {
+      const link = parseExplorerUrl(trimmed);
+      if (!link) {
+        return {
+          isValid: false,
+          type: "invalid",
+          error:
+            "Unsupported link. Paste a ZetaScan, Etherscan, BscScan, Polygonscan, Blockstream, mempool.space, Solscan or Tonviewer transaction or address URL.",
+        };
+      }
+
+      return {
+        isValid: true,
+        type: link.type,
+        link,
+      };
+    }
+
+    // Structured queries such as "from:0x… status:failed after:7d"
+    if (isStructuredQuery(trimmed)) {
+      const parsed = parseQuery(trimmed);
+      return parsed.isValid
+        ? { isValid: true, type: "query", query: parsed }
+        : {
+            isValid: false,
+            type: "invalid",
+            query: parsed,
+            error: parsed.errors[0].message,
+          };
+    }
+
+    // zEVM block numbers, optionally written "#123"
+    if (BLOCK_NUMBER_REGEX.test(trimmed)) {
       return {
         isValid: true,
-        type: "txid",
+        type: "block",
       };
     }
 
-    // Ethereum address validation (40 hex characters, optionally prefixed with 0x)
-    const addressRegex = /^(0x)?[a-fA-F0-9]{40}$/;
-    if (addressRegex.test(trimmed)) {
+    // Hashes and addresses of every connected chain (EVM, Bitcoin, Solana, TON)
+    const identifier = detectIdentifier(trimmed);
+    if (identifier) {
       return {
         isValid: true,
-        type: "address",
+        type: identifier.type,
+        chain: identifier.family,
       };
     }
 
     // Provide specific error messages based on input
-    if (trimmed.length < 40) {
+    if (trimmed.length < 26) {
       return {
         isValid: false,
         type: "invalid",
         error:
-          "Input too short. Enter a valid transaction hash (64 chars) or address (40 chars).",
+          "Input too short. Enter a transaction hash, CCTX index, address or block number.",
       };
     }
 
-    if (trimmed.length > 66) {
+    if (trimmed.length > 100) {
       return {
         isValid: false,
         type: "invalid",
         error:
-          "Input too long. Transaction hashes are 64 characters, addresses are 40 characters.",
+          "Input too long. Enter a single transaction hash, CCTX index, address or block.",
       };
     }
 
-    if (!/^(0x)?[a-fA-F0-9]+$/.test(trimmed)) {
+    if (trimmed.startsWith("0x") && !/^0x[a-fA-F0-9]+$/.test(trimmed)) {
       return {
         isValid: false,
         type: "invalid",
         error:
-          "Invalid characters. Only hexadecimal characters (0-9, a-f) are allowed.",
+          "Invalid characters. Only hexadecimal characters (0-9, a-f) are allowed after 0x.",
       };
     }
 
@@ -417,28 +376,63 @@ export class SearchService {
       isValid: false,
       type: "invalid",
       error:
-        "Invalid format. Enter a valid transaction hash or wallet address.",
+        "Invalid format. Enter an EVM, Bitcoin, Solana or TON transaction hash or address.",
     };
   }
 
   /**
-   * Normalize search query (add 0x prefix if missing)
+   * Validate input whose search type is already known, as in deep links
+   * where the route says what the value is
+   * @param {string} query - Search query
+   * @param {'txid'|'address'|'cctx'|'block'} type - Expected search type
+   * @returns {{isValid: boolean, type: string, chain?: string|null, error?: string}}
+   */
+  validateTypedInput(query, type) {
+    const trimmed = query.trim();
+
+    if (type === "block") {
+      return BLOCK_NUMBER_REGEX.test(trimmed)
+        ? { isValid: true, type }
+        : { isValid: false, type: "invalid", error: "Invalid block number" };
+    }
+
+    const validation = this.validateSearchInput(trimmed);
+    // CCTX indexes have the same format as transaction hashes
+    const expected = type === "cctx" ? "txid" : type;
+    if (!validation.isValid || validation.link || validation.type !== expected) {
+      return {
+        isValid: false,
+        type: "invalid",
+        error: validation.error || `Invalid ${type === "address" ? "address" : "transaction hash"}`,
+      };
+    }
+
+    return { ...validation, type };
+  }
+
+  /**
+   * Normalize search query: bare hex hashes and addresses get a 0x prefix,
+   * block numbers lose their "#", and other chains' identifiers are
+   * case-sensitive and kept as typed
    * @param {string} query - Search query
    * @returns {string} Normalized query
    */
   normalizeQuery(query) {
     const trimmed = query.trim();
-    return trimmed.startsWith("0x") ? trimmed : `0x${trimmed}`;
+    if (BLOCK_NUMBER_REGEX.test(trimmed)) return trimmed.replace(/^#/, "");
+    return /^([a-fA-F0-9]{40}|[a-fA-F0-9]{64})$/.test(trimmed) ? `0x${trimmed}` : trimmed;
   }
 
   /**
-   * Get cache key for search
+   * Get cache key for search. Hex queries are case-insensitive; base58 and
+   * base64 ones (Solana, TON, legacy Bitcoin) are kept as typed.
    * @param {string} query - Search query
    * @param {'txid'|'address'} type - Search type
    * @returns {string} Cache key
    */
   getCacheKey(query, type) {
-    return `${this.networkType}:${type}:${query.toLowerCase()}`;
+    const key = /^(0x)?[a-fA-F0-9]+$/.test(query) ? query.toLowerCase() : query;
+    return `${this.networkType}:${type}:${key}`;
   }
 
   /**
@@ -483,16 +477,17 @@ export class SearchService {
     this.historyManager.addSearch(
       query,
       type,
-      this.networkType,
+      result.metadata?.network || this.networkType,
       resultCount,
       successful
     );
   }
 
   /**
-   * Search for transaction by hash
+   * Search for transaction by hash on both networks. External chain hashes
+   * resolve to the CCTXs they created.
    * @param {string} txHash - Transaction hash
-   * @returns {Promise<SearchResult>} Search result
+   * @returns {Promise<SearchResult>} Search result for the network that has the transaction
    */
   async searchByTransactionHash(txHash) {
     const startTime = Date.now();
@@ -507,114 +502,58 @@ export class SearchService {
       );
     }
 
-    // Validate network compatibility
-    const networkValidation = this.validateNetworkCompatibility(normalizedHash, "txid");
-    if (!networkValidation.isValid && networkValidation.networkMismatch) {
-      throw new SearchError(
-        SEARCH_ERROR_TYPES.NOT_FOUND,
-        networkValidation.message,
-        {
-          networkMismatch: true,
-          currentNetwork: this.networkType,
-          suggestedNetwork: networkValidation.suggestedNetwork,
-          originalQuery: txHash
-        }
-      );
-    }
+    const resolution = await this.resolveTransactionNetworks(normalizedHash);
 
-    try {
-      // Ensure ZetaChain service is using the correct network
-      this.zetaService.setNetwork(this.networkType);
-      
-      // Use unified ZetaChain service for transaction search
-      const transactionData = await this.zetaService.getTransaction(
-        normalizedHash
+    if (!resolution.network) {
+      // A real failure on either network beats a plain "not found"
+      const failure = Object.values(resolution.errors).find(
+        (error) => !this.isNotFoundError(error)
       );
-
-      // Determine result type based on transaction data
-      const resultType =
-        transactionData.type === "cross-chain"
-          ? SEARCH_RESULT_TYPES.CROSS_CHAIN_TRANSACTION
-          : SEARCH_RESULT_TYPES.TRANSACTION;
-
-      const result = {
-        type: resultType,
-        data: [transactionData],
-        metadata: {
-          query: txHash,
-          searchType: "txid",
-          totalResults: 1,
-          loadTime: Date.now() - startTime,
-          network: this.networkType,
-        },
-      };
-
-      return result;
-    } catch (error) {
-      // Handle ZetaChainService errors with enhanced network suggestions
-      if (error.name === "ZetaChainServiceError") {
-        // Check for network-related errors (400 errors, not found, etc.)
-        const isNetworkMismatchError = 
-          error.type === "TRANSACTION_NOT_FOUND" ||
-          error.message.includes("400") ||
-          error.message.includes("Cross-chain API request failed") ||
-          error.message.includes("not found");
-
-        if (isNetworkMismatchError) {
-          // Create enhanced error with network suggestion
-          const suggestedNetwork = this.networkType === "testnet" ? "mainnet" : "testnet";
-          const enhancedError = new SearchError(
-            SEARCH_ERROR_TYPES.NOT_FOUND,
-            `Transaction not found on ${this.networkType}. This transaction might exist on ${suggestedNetwork} instead.`,
-            {
-              networkMismatch: true,
-              currentNetwork: this.networkType,
-              suggestedNetwork: suggestedNetwork,
-              originalQuery: txHash,
-              originalError: error
-            }
-          );
-          throw enhancedError;
-        }
-
-        throw new SearchError(
-          this.mapZetaServiceErrorType(error.type),
-          error.message,
-          error
-        );
+      if (failure) {
+        throw this.mapError(failure, `Failed to find transaction ${txHash}`);
       }
 
-      // Handle generic errors that might indicate network issues
-      if (error.message && (
-        error.message.includes("400") ||
-        error.message.includes("not found") ||
-        error.message.includes("Cross-chain API request failed")
-      )) {
-        const suggestedNetwork = this.networkType === "testnet" ? "mainnet" : "testnet";
-        const enhancedError = new SearchError(
-          SEARCH_ERROR_TYPES.NOT_FOUND,
-          `Transaction not found on ${this.networkType}. This transaction might exist on ${suggestedNetwork} instead.`,
-          {
-            networkMismatch: true,
-            currentNetwork: this.networkType,
-            suggestedNetwork: suggestedNetwork,
-            originalQuery: txHash,
-            originalError: error
-          }
-        );
-        throw enhancedError;
+      // Block hashes look like transaction hashes
+      const blockNetwork = await this.resolveBlockHashNetwork(normalizedHash);
+      if (blockNetwork) {
+        return getSearchService(blockNetwork).searchByBlock(normalizedHash);
       }
 
-      if (error instanceof SearchError) {
-        throw error;
-      }
-      throw this.mapError(error, `Failed to find transaction ${txHash}`);
+      const shortHash = `${normalizedHash.slice(0, 8)}...${normalizedHash.slice(-6)}`;
+      throw new SearchError(
+        SEARCH_ERROR_TYPES.NOT_FOUND,
+        `Transaction ${shortHash} was not found on mainnet or testnet. Deposits from other chains show up once ZetaChain observers have seen them.`
+      );
     }
+
+    const transactions = resolution.matches[resolution.network];
+
+    // Determine result type based on transaction data
+    const resultType =
+      transactions[0].type === "cross-chain"
+        ? SEARCH_RESULT_TYPES.CROSS_CHAIN_TRANSACTION
+        : SEARCH_RESULT_TYPES.TRANSACTION;
+
+    return {
+      type: resultType,
+      data: transactions,
+      metadata: {
+        query: txHash,
+        searchType: "txid",
+        totalResults: transactions.length,
+        loadTime: Date.now() - startTime,
+        network: resolution.network,
+        matchedNetworks: resolution.matchedNetworks,
+        alternatives: resolution.matchedNetworks
+          .filter((network) => network !== resolution.network)
+          .map((network) => ({ network, data: resolution.matches[network] })),
+      },
+    };
   }
 
   /**
    * Search for transactions by address
-   * @param {string} address - Wallet address
+   * @param {string} address - Wallet address (EVM, Bitcoin, Solana or TON)
    * @param {Object} [options] - Search options
    * @param {number} [options.limit] - Maximum number of results
    * @param {number} [options.fromBlock] - Starting block number
@@ -624,7 +563,7 @@ export class SearchService {
   async searchByAddress(address, options = {}) {
     const startTime = Date.now();
     const normalizedAddress = this.normalizeQuery(address);
-    const { limit = 50 } = options;
+    const { limit = 50, fromBlock, toBlock } = options;
 
     // Validate address format
     const validation = this.validateSearchInput(normalizedAddress);
@@ -636,20 +575,46 @@ export class SearchService {
     }
 
     try {
-      // Note: Address search is not implemented in the unified ZetaChain API
-      // This would require additional endpoints or block scanning
-      // For now, return empty results with helpful message
+      // Non-EVM addresses have no zEVM activity; find the CCTXs they sent or
+      // received. EVM addresses also get those CCTXs (deposits they received
+      // from connected chains aren't zEVM transactions of theirs); the CCTX
+      // list isn't paged by block, so it is merged into the first page only.
+      const isEvm = validation.chain === CHAIN_FAMILIES.EVM;
+      const [activity, crossChainActivity] = await Promise.all([
+        isEvm
+          ? this.zetaService.getAddressTransactions(normalizedAddress, {
+              limit,
+              fromBlock,
+              toBlock,
+            })
+          : this.zetaService.getCrossChainTransactionsByAddress(normalizedAddress, {
+              limit,
+            }),
+        isEvm && toBlock === undefined
+          ? this.zetaService.getCrossChainTransactionsByAddress(normalizedAddress, {
+              limit,
+            })
+          : { transactions: [] },
+      ]);
+      const transactions = this.deduplicateTransactions([
+        ...activity.transactions,
+        ...crossChainActivity.transactions,
+      ]).sort((a, b) => b.timestamp - a.timestamp);
 
       const result = {
         type: SEARCH_RESULT_TYPES.ADDRESS_TRANSACTIONS,
-        data: [],
+        data: transactions,
         metadata: {
           query: address,
           searchType: "address",
-          totalResults: 0,
+          totalResults: transactions.length,
           loadTime: Date.now() - startTime,
           network: this.networkType,
-          note: "Address transaction search is not yet implemented. The unified ZetaChain API currently supports transaction hash search only.",
+          fromBlock: activity.fromBlock,
+          toBlock: activity.toBlock,
+          nextToBlock: activity.nextToBlock,
+          hasMore: activity.hasMore,
+          nativeScan: activity.nativeScan,
         },
       };
 
@@ -665,6 +630,306 @@ export class SearchService {
     }
   }
 
+  /**
+   * Search for a cross-chain transaction by its CCTX index
+   * @param {string} index - CCTX index
+   * @returns {Promise<SearchResult>} Search result
+   */
+  async searchByCrossChainIndex(index) {
+    const startTime = Date.now();
+
+    try {
+      const transactionData = await this.zetaService.getCrossChainTransaction(index);
+
+      return {
+        type: SEARCH_RESULT_TYPES.CROSS_CHAIN_TRANSACTION,
+        data: [transactionData],
+        metadata: {
+          query: index,
+          searchType: "cctx",
+          totalResults: 1,
+          loadTime: Date.now() - startTime,
+          network: this.networkType,
+        },
+      };
+    } catch (error) {
+      if (error instanceof SearchError) {
+        throw error;
+      }
+      throw this.mapError(error, `Failed to find cross-chain transaction ${index}`);
+    }
+  }
+
+  /**
+   * Search for a zEVM block: its header and proposer, every transaction in
+   * it and the CCTXs finalized in it
+   * @param {number|string} blockId - Block number, or 0x block hash
+   * @returns {Promise<SearchResult>} Search result with the header in `metadata.block`
+   */
+  async searchByBlock(blockId) {
+    const startTime = Date.now();
+
+    try {
+      const { block, transactions, crossChainTransactions, crossChainEvents } =
+        await this.zetaService.getBlockDetails(blockId);
+      // Empty blocks are common; they still show their header and proposer
+      const data = this.deduplicateTransactions([...transactions, ...crossChainTransactions]);
+
+      return {
+        type: SEARCH_RESULT_TYPES.BLOCK_TRANSACTIONS,
+        data,
+        metadata: {
+          query: String(block.number),
+          searchType: "block",
+          totalResults: data.length,
+          loadTime: Date.now() - startTime,
+          network: this.networkType,
+          blockNumber: block.number,
+          block,
+          crossChainEvents,
+        },
+      };
+    } catch (error) {
+      if (error instanceof SearchError) {
+        throw error;
+      }
+      throw this.mapError(error, `Failed to load block ${blockId}`);
+    }
+  }
+
+  /**
+   * Load a transaction in full, e.g. one a block result only summarized
+   * @param {string} txHash - zEVM transaction hash
+   * @returns {Promise<TransactionData>} Normalized transaction
+   */
+  async getTransactionDetails(txHash) {
+    try {
+      return await this.zetaService.getTransaction(txHash);
+    } catch (error) {
+      throw this.mapError(error, `Failed to load transaction ${txHash}`);
+    }
+  }
+
+  /**
+   * Run a structured query. With an address the query narrows down that
+   * address's zEVM transactions and CCTXs; without one it filters the most
+   * recent CCTXs, or the ones pending on the given chains.
+   * @param {import('./QueryParser.js').QueryFilters} filters - Parsed filters
+   * @param {Object} [options] - Search options
+   * @param {number} [options.limit] - Maximum number of results
+   * @param {string} [options.query] - Query as typed
+   * @returns {Promise<SearchResult>} Search result
+   */
+  async searchByQuery(filters, options = {}) {
+    const startTime = Date.now();
+    const { limit = 50, query } = options;
+    const address = filters.from || filters.to || filters.address;
+    const crossChainOnly =
+      filters.types.length > 0 && !filters.types.includes("evm");
+
+    try {
+      let candidates;
+      if (address) {
+        const identifier = detectIdentifier(address);
+        const [evmActivity, crossChainActivity] = await Promise.all([
+          identifier.family === CHAIN_FAMILIES.EVM && !crossChainOnly
+            ? this.zetaService.getAddressTransactions(address, { limit })
+            : { transactions: [] },
+          filters.types.length === 1 && filters.types[0] === "evm"
+            ? { transactions: [] }
+            : this.zetaService.getCrossChainTransactionsByAddress(address, { limit }),
+        ]);
+        candidates = [...evmActivity.transactions, ...crossChainActivity.transactions];
+      } else {
+        // The pending list is per chain and reaches further back than the recent list
+        const pendingChainIds =
+          filters.statuses.length === 1 && filters.statuses[0] === "pending" && filters.chains.length
+            ? resolveChainIds(filters.chains, this.networkType)
+            : null;
+        candidates = await this.zetaService.getRecentCrossChainTransactions({
+          limit: 100,
+          pendingChainIds,
+        });
+      }
+
+      const tokens = filters.tokens.length || filters.min !== null
+        ? await getTokenRegistry(this.networkType).getTokens().catch(() => [])
+        : [];
+      const context = { network: this.networkType, tokens };
+      const transactions = this.deduplicateTransactions(candidates)
+        .filter((tx) => matchesQuery(tx, filters, context))
+        .sort((a, b) => b.timestamp - a.timestamp)
+        .slice(0, limit);
+
+      if (!transactions.length) {
+        throw new SearchError(
+          SEARCH_ERROR_TYPES.NOT_FOUND,
+          `No ${describeQuery(filters)} found on ${this.networkType} among the ${candidates.length} ${address ? "transactions of that address" : "most recent cross-chain transactions"}`
+        );
+      }
+
+      return {
+        type: SEARCH_RESULT_TYPES.QUERY_RESULTS,
+        data: transactions,
+        metadata: {
+          query: query ?? describeQuery(filters),
+          searchType: "query",
+          description: describeQuery(filters),
+          totalResults: transactions.length,
+          loadTime: Date.now() - startTime,
+          network: this.networkType,
+          filters,
+          scanned: candidates.length,
+        },
+      };
+    } catch (error) {
+      if (error instanceof SearchError) {
+        throw error;
+      }
+      throw this.mapError(error, "Failed to run the query");
+    }
+  }
+
+  /**
+   * Search for the CCTXs created by an external chain transaction
+   * @param {string} inboundHash - Inbound transaction hash on the source chain
+   * @param {number} [sourceChainId] - Source chain ID, if known
+   * @returns {Promise<SearchResult>} Search result
+   */
+  async searchByInboundHash(inboundHash, sourceChainId) {
+    const startTime = Date.now();
+
+    try {
+      const cctxs = await this.zetaService.getCrossChainTransactionsByInboundHash(
+        inboundHash
+      );
+
+      if (!cctxs.length) {
+        const shortHash = `${inboundHash.slice(0, 8)}...${inboundHash.slice(-6)}`;
+        throw new SearchError(
+          SEARCH_ERROR_TYPES.NOT_FOUND,
+          `No cross-chain transactions found for ${shortHash} on ${this.networkType}. The inbound transaction may not have been observed yet.`
+        );
+      }
+
+      return {
+        type: SEARCH_RESULT_TYPES.CROSS_CHAIN_TRANSACTION,
+        data: cctxs,
+        metadata: {
+          query: inboundHash,
+          searchType: "inbound",
+          totalResults: cctxs.length,
+          loadTime: Date.now() - startTime,
+          network: this.networkType,
+          sourceChainId,
+        },
+      };
+    } catch (error) {
+      if (error instanceof SearchError) {
+        throw error;
+      }
+      throw this.mapError(
+        error,
+        `Failed to find cross-chain transactions for ${inboundHash}`
+      );
+    }
+  }
+
+  /**
+   * Look many hashes, addresses and links up at once. Items run a few at a
+   * time; one failing doesn't stop the rest, and its error is kept with it.
+   * Hashes resolve on whichever network has them, so results are kept apart
+   * per network: `data` holds what was found on this service's network and
+   * `metadata.alternatives` what was found on the other one.
+   * @param {string[]} queries - Hashes, addresses and explorer links
+   * @param {Object} [options] - Batch options
+   * @param {number} [options.concurrency] - Items looked up at the same time
+   * @param {number} [options.itemLimit] - Maximum transactions per address
+   * @param {function} [options.onProgress] - Called after each item with {completed, total, failed}
+   * @param {AbortSignal} [options.signal] - Stops starting new items when aborted
+   * @returns {Promise<SearchResult>} Combined transactions of this network, with each item's outcome in `metadata.items`
+   */
+  async searchBatch(queries, options = {}) {
+    const startTime = Date.now();
+    const { concurrency = 4, itemLimit = 50, onProgress, signal } = options;
+
+    if (!queries?.length) {
+      throw new SearchError(SEARCH_ERROR_TYPES.INVALID_INPUT, "Batch has no hashes or addresses");
+    }
+
+    const items = new Array(queries.length);
+    const found = new Array(queries.length).fill([]);
+    let next = 0;
+    let completed = 0;
+    let failed = 0;
+
+    const worker = async () => {
+      while (next < queries.length && !signal?.aborted) {
+        const index = next++;
+        const query = queries[index];
+        try {
+          const result = await this.search(query, { limit: itemLimit, recordHistory: false });
+          found[index] = result.data;
+          items[index] = {
+            query,
+            status: "found",
+            searchType: result.metadata.searchType,
+            resultCount: result.data.length,
+            network: result.metadata.network,
+            error: null,
+          };
+        } catch (error) {
+          const searchError = this.mapError(error, `Failed to look up ${query}`);
+          const notFound = searchError.type === SEARCH_ERROR_TYPES.NOT_FOUND;
+          if (!notFound) failed++;
+          items[index] = {
+            query,
+            status: notFound ? "not_found" : "error",
+            searchType: null,
+            resultCount: 0,
+            network: null,
+            error: searchError.message,
+          };
+        }
+
+        completed++;
+        onProgress?.({ completed, total: queries.length, failed });
+      }
+    };
+
+    await Promise.all(
+      Array.from({ length: Math.min(concurrency, queries.length) }, worker)
+    );
+
+    if (signal?.aborted) {
+      throw new SearchError(SEARCH_ERROR_TYPES.UNKNOWN_ERROR, "Batch lookup was cancelled");
+    }
+
+    // Transactions of each network, in item order
+    const byNetwork = new Map();
+    items.forEach((item, index) => {
+      if (item.status !== "found") return;
+      byNetwork.set(item.network, [...(byNetwork.get(item.network) || []), ...found[index]]);
+    });
+    const transactions = this.deduplicateTransactions(byNetwork.get(this.networkType) || []);
+
+    return {
+      type: SEARCH_RESULT_TYPES.BATCH_RESULTS,
+      data: transactions,
+      metadata: {
+        query: `${queries.length} items`,
+        searchType: "batch",
+        totalResults: transactions.length,
+        loadTime: Date.now() - startTime,
+        network: this.networkType,
+        items,
+        alternatives: [...byNetwork.entries()]
+          .filter(([network]) => network !== this.networkType)
+          .map(([network, data]) => ({ network, data: this.deduplicateTransactions(data) })),
+      },
+    };
+  }
+
   /**
    * Deduplicate transactions by hash
    * @param {Array<TransactionData|CrossChainTransaction>} transactions - Transactions to deduplicate
@@ -686,15 +951,29 @@ export class SearchService {
    * @param {string} query - Search query
    * @param {Object} [options] - Search options
    * @param {number} [options.limit] - Maximum number of results
+   * @param {number} [options.fromBlock] - Starting block for address searches
+   * @param {number} [options.toBlock] - Ending block for address searches
    * @param {boolean} [options.useCache] - Whether to use cache
    * @param {Object} [options.notificationHandler] - Toast notification handler
+   * @param {boolean} [options.recordHistory] - Whether to add the search to the history (off for batch items)
+   * @param {'txid'|'address'|'cctx'|'block'} [options.type] - Search type to use instead of the detected one (deep links)
    * @returns {Promise<SearchResult>} Search result
    */
   async search(query, options = {}) {
-    const { limit = 50, useCache = true, notificationHandler } = options;
+    const {
+      limit = 50,
+      fromBlock,
+      toBlock,
+      useCache = true,
+      notificationHandler,
+      recordHistory = true,
+      type,
+    } = options;
 
     // Validate input
-    const validation = this.validateSearchInput(query);
+    const validation = type
+      ? this.validateTypedInput(query, type)
+      : this.validateSearchInput(query);
     if (!validation.isValid) {
       const error = new SearchError(
         SEARCH_ERROR_TYPES.INVALID_INPUT,
@@ -712,44 +991,19 @@ export class SearchService {
       throw error;
     }
 
-    const normalizedQuery = this.normalizeQuery(query);
-    
-    // Pre-search network validation for transaction hashes
-    if (validation.type === "txid") {
-      const networkValidation = this.validateNetworkCompatibility(normalizedQuery, validation.type);
-      
-      if (!networkValidation.isValid && networkValidation.networkMismatch) {
-        // Show network mismatch warning with suggestion
-        if (notificationHandler?.showWarning) {
-          const suggestion = this.createNetworkSwitchSuggestion(
-            networkValidation.suggestedNetwork, 
-            normalizedQuery
-          );
-          
-          notificationHandler.showWarning(
-            this.createNetworkMismatchMessage(
-              normalizedQuery, 
-              networkValidation.suggestedNetwork, 
-              'pre_search'
-            ), 
-            {
-              title: "Network Mismatch Detected",
-              duration: 8000,
-              action: {
-                label: `Switch to ${networkValidation.suggestedNetwork}`,
-                onClick: () => {
-                  if (notificationHandler.onNetworkSwitch) {
-                    notificationHandler.onNetworkSwitch(networkValidation.suggestedNetwork);
-                  }
-                }
-              }
-            }
-          );
-        }
-      }
+    const link = validation.link || null;
+
+    // Links carry their own network, so hand them to that network's service
+    if (link && link.network !== this.networkType) {
+      return getSearchService(link.network).search(query, options);
     }
 
-    const cacheKey = this.getCacheKey(normalizedQuery, validation.type);
+    const normalizedQuery = link ? link.value : this.normalizeQuery(query);
+    
+    const cacheKey =
+      validation.type === "address" && (fromBlock !== undefined || toBlock !== undefined)
+        ? this.getCacheKey(`${normalizedQuery}:${fromBlock ?? ""}-${toBlock ?? ""}`, validation.type)
+        : this.getCacheKey(normalizedQuery, validation.type);
 
     // Check cache
     if (useCache) {
@@ -759,16 +1013,28 @@ export class SearchService {
       }
     }
 
-    // Ensure ZetaChain service is using the correct network before any search
-    this.zetaService.setNetwork(this.networkType);
-
     let result;
 
     try {
       if (validation.type === "txid") {
         result = await this.searchByTransactionHash(normalizedQuery);
+      } else if (validation.type === "cctx") {
+        result = await this.searchByCrossChainIndex(normalizedQuery);
+      } else if (validation.type === "inbound") {
+        result = await this.searchByInboundHash(normalizedQuery, link.chainId);
       } else if (validation.type === "address") {
-        result = await this.searchByAddress(normalizedQuery, { limit });
+        result = await this.searchByAddress(normalizedQuery, {
+          limit,
+          fromBlock,
+          toBlock,
+        });
+      } else if (validation.type === "block") {
+        result = await this.searchByBlock(Number(normalizedQuery));
+      } else if (validation.type === "query") {
+        result = await this.searchByQuery(validation.query.filters, {
+          limit,
+          query: normalizedQuery,
+        });
       } else {
         throw new SearchError(
           SEARCH_ERROR_TYPES.INVALID_INPUT,
@@ -776,25 +1042,30 @@ export class SearchService {
         );
       }
 
+      if (link) {
+        result.metadata.link = link;
+      }
+
       // Cache result
       if (useCache) {
         this.setCache(cacheKey, result);
       }
 
       // Add to history
-      this.addToHistory(query, validation.type, result);
+      if (recordHistory) {
+        this.addToHistory(query, validation.type, result);
+      }
 
       return result;
     } catch (error) {
-      // Enhanced error handling with network suggestions
-      const enhancedError = this.enhanceErrorWithNetworkSuggestion(error, normalizedQuery, validation.type);
+      const searchError = this.mapError(error, "Search failed");
       
       // Show appropriate notification
       if (notificationHandler) {
-        this.showSearchErrorNotification(enhancedError, notificationHandler, normalizedQuery);
+        this.showSearchErrorNotification(searchError, notificationHandler, normalizedQuery);
       }
       
-      throw enhancedError;
+      throw searchError;
     }
   }
 
@@ -0,0 +1,52 @@
+import { describe, expect, it, vi } from "vitest";
+import { SearchService } from "./SearchService.js";
+
+const WALLET = "0x000000000000000000000000000000000000dEaD";
+
+/**
+ * Build a search service whose ZetaChain service returns fixed activity
+ * @param {Object[]} zevmTransactions - zEVM transactions of the address
+ * @param {Object[]} crossChainTransactions - CCTXs of the address
+ * @returns {SearchService} Search service with stubbed lookups
+ */
+const createService = (zevmTransactions, crossChainTransactions) => {
+  const service = new SearchService("mainnet");
+  service.zetaService = {
+    getAddressTransactions: vi.fn(async () => ({
+      transactions: zevmTransactions,
+      fromBlock: 100,
+      toBlock: 200,
+      nextToBlock: 99,
+      hasMore: true,
+    })),
+    getCrossChainTransactionsByAddress: vi.fn(async () => ({
+      transactions: crossChainTransactions,
+      hasMore: false,
+    })),
+  };
+  return service;
+};
+
+describe("searchByAddress", () => {
+  const withdrawal = { txHash: "0x01", type: "evm", timestamp: 3000 };
+  const sentCctx = { txHash: "0x01", type: "cross-chain", timestamp: 3000 };
+  const deposit = { txHash: "0x02", type: "cross-chain", timestamp: 2000 };
+
+  it("adds the CCTXs an EVM address sent or received to the first page", async () => {
+    const service = createService([withdrawal], [sentCctx, deposit]);
+
+    const result = await service.searchByAddress(WALLET);
+
+    expect(result.data.map((tx) => tx.txHash)).toEqual(["0x01", "0x02"]);
+    expect(result.metadata).toMatchObject({ toBlock: 200, nextToBlock: 99, hasMore: true });
+  });
+
+  it("doesn't repeat the CCTXs on later pages", async () => {
+    const service = createService([withdrawal], [deposit]);
+
+    const result = await service.searchByAddress(WALLET, { toBlock: 99 });
+
+    expect(result.data).toEqual([withdrawal]);
+    expect(service.zetaService.getCrossChainTransactionsByAddress).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,236 @@
+/**
+ * @fileoverview Explorer URL parsing for the search box
+ * Turns ZetaScan and external block explorer links into a lookup target
+ */
+
+import {
+  CHAIN_FAMILIES,
+  isBitcoinAddress,
+  isSolanaAddress,
+  isSolanaSignature,
+  isTonAddress,
+} from "../blockchain/chain-identifiers.js";
+
+/**
+ * Lookup path a parsed link resolves to
+ * @enum {string}
+ */
+export const LINK_TARGET_TYPES = {
+  TRANSACTION: "txid", // zEVM transaction (or CCTX index) by hash
+  CROSS_CHAIN: "cctx", // CCTX by index
+  ADDRESS: "address", // Address activity on ZetaChain
+  INBOUND: "inbound", // External chain transaction that created CCTXs
+};
+
+/**
+ * External explorers keyed by hostname.
+ * `chainId` is the chain ID ZetaChain uses for the connected chain and
+ * `family` decides which hash and address formats its links may carry.
+ */
+const EXTERNAL_EXPLORERS = {
+  "etherscan.io": { name: "Etherscan", chainId: 1, network: "mainnet", family: CHAIN_FAMILIES.EVM },
+  "sepolia.etherscan.io": { name: "Etherscan", chainId: 11155111, network: "testnet", family: CHAIN_FAMILIES.EVM },
+  "bscscan.com": { name: "BscScan", chainId: 56, network: "mainnet", family: CHAIN_FAMILIES.EVM },
+  "testnet.bscscan.com": { name: "BscScan", chainId: 97, network: "testnet", family: CHAIN_FAMILIES.EVM },
+  "polygonscan.com": { name: "Polygonscan", chainId: 137, network: "mainnet", family: CHAIN_FAMILIES.EVM },
+  "amoy.polygonscan.com": { name: "Polygonscan", chainId: 80002, network: "testnet", family: CHAIN_FAMILIES.EVM },
+  "blockstream.info": { name: "Blockstream", chainId: 8332, network: "mainnet", family: CHAIN_FAMILIES.BITCOIN },
+  "mempool.space": { name: "mempool.space", chainId: 8332, network: "mainnet", family: CHAIN_FAMILIES.BITCOIN },
+  "solscan.io": { name: "Solscan", chainId: 900, network: "mainnet", family: CHAIN_FAMILIES.SOLANA },
+  "explorer.solana.com": { name: "Solana Explorer", chainId: 900, network: "mainnet", family: CHAIN_FAMILIES.SOLANA },
+  "tonviewer.com": { name: "Tonviewer", chainId: 2015140, network: "mainnet", family: CHAIN_FAMILIES.TON },
+  "testnet.tonviewer.com": { name: "Tonviewer", chainId: 2015141, network: "testnet", family: CHAIN_FAMILIES.TON },
+};
+
+// Bitcoin test networks live under a path prefix on Blockstream and mempool.space
+const BITCOIN_PATH_NETWORKS = {
+  testnet: { chainId: 18332, network: "testnet" },
+  signet: { chainId: 18333, network: "testnet" },
+};
+
+// Solana explorers select devnet with a ?cluster= query parameter
+const SOLANA_DEVNET = { chainId: 901, network: "testnet" };
+
+// Path segment that holds an address, per explorer (Tonviewer puts it at the root)
+const ADDRESS_SEGMENTS = ["address", "account"];
+
+const EVM_HASH_REGEX = /^0x[a-fA-F0-9]{64}$/;
+const EVM_ADDRESS_REGEX = /^0x[a-fA-F0-9]{40}$/;
+const BITCOIN_TXID_REGEX = /^[a-fA-F0-9]{64}$/;
+
+/**
+ * @typedef {Object} ParsedLink
+ * @property {string} explorer - Explorer name (e.g. "ZetaScan", "Etherscan")
+ * @property {'mainnet'|'testnet'} network - ZetaChain network the link belongs to
+ * @property {string} type - Lookup path from LINK_TARGET_TYPES
+ * @property {string} value - Extracted hash, CCTX index or address
+ * @property {number} [chainId] - Chain ID of the external chain, if any
+ * @property {string} url - Original URL
+ */
+
+/**
+ * Check whether input looks like a URL rather than a bare hash or address
+ * @param {string} input - Search input
+ * @returns {boolean} Whether the input should be parsed as a link
+ */
+export function looksLikeUrl(input) {
+  if (!input || typeof input !== "string") return false;
+  const trimmed = input.trim();
+  return /^https?:\/\//i.test(trimmed) || /^[a-z0-9-]+(\.[a-z0-9-]+)+\//i.test(trimmed);
+}
+
+/**
+ * Parse a ZetaScan or external explorer URL
+ * @param {string} input - URL pasted into the search box
+ * @returns {ParsedLink|null} Parsed link, or null if the URL isn't a supported explorer link
+ */
+export function parseExplorerUrl(input) {
+  if (!looksLikeUrl(input)) return null;
+
+  const trimmed = input.trim();
+  let url;
+  try {
+    url = new URL(/^https?:\/\//i.test(trimmed) ? trimmed : `https://${trimmed}`);
+  } catch {
+    return null;
+  }
+
+  const host = url.hostname.toLowerCase().replace(/^www\./, "");
+  const segments = url.pathname.split("/").filter(Boolean);
+
+  if (host === "zetascan.com" || host.endsWith(".zetascan.com")) {
+    return parseZetaScanPath(host, segments, trimmed);
+  }
+
+  let explorer = EXTERNAL_EXPLORERS[host];
+  if (!explorer) return null;
+
+  if (explorer.family === CHAIN_FAMILIES.BITCOIN && BITCOIN_PATH_NETWORKS[segments[0]]) {
+    explorer = { ...explorer, ...BITCOIN_PATH_NETWORKS[segments.shift()] };
+  }
+  if (explorer.family === CHAIN_FAMILIES.SOLANA && url.searchParams.get("cluster") === "devnet") {
+    explorer = { ...explorer, ...SOLANA_DEVNET };
+  }
+
+  return parseExternalPath(explorer, segments, trimmed);
+}
+
+/**
+ * Parse the path of a ZetaScan link
+ * @param {string} host - Lowercase hostname
+ * @param {string[]} segments - Path segments
+ * @param {string} url - Original URL
+ * @returns {ParsedLink|null} Parsed link
+ */
+function parseZetaScanPath(host, segments, url) {
+  const network = host.includes("testnet") || host.includes("athens") ? "testnet" : "mainnet";
+  const base = { explorer: "ZetaScan", network, url };
+
+  // /cc/tx/{index}
+  if (segments[0] === "cc" && segments[1] === "tx" && segments[2]) {
+    return { ...base, type: LINK_TARGET_TYPES.CROSS_CHAIN, value: segments[2] };
+  }
+
+  if (segments[0] === "tx" && segments[1] && EVM_HASH_REGEX.test(segments[1])) {
+    return { ...base, type: LINK_TARGET_TYPES.TRANSACTION, value: segments[1] };
+  }
+
+  if (segments[0] === "address" && segments[1] && EVM_ADDRESS_REGEX.test(segments[1])) {
+    return { ...base, type: LINK_TARGET_TYPES.ADDRESS, value: segments[1] };
+  }
+
+  return null;
+}
+
+/**
+ * Parse the path of an external explorer link
+ * @param {Object} explorer - Explorer entry from EXTERNAL_EXPLORERS
+ * @param {string[]} segments - Path segments
+ * @param {string} url - Original URL
+ * @returns {ParsedLink|null} Parsed link
+ */
+function parseExternalPath(explorer, segments, url) {
+  const base = {
+    explorer: explorer.name,
+    network: explorer.network,
+    chainId: explorer.chainId,
+    url,
+  };
+  const [kind, value] = segments;
+
+  if (kind === "tx" && value && isTransactionId(explorer.family, value)) {
+    // External transactions are found through the CCTXs they created
+    return { ...base, type: LINK_TARGET_TYPES.INBOUND, value };
+  }
+
+  // EVM addresses are the same on zEVM, so search their ZetaChain activity;
+  // other chains' addresses are searched as CCTX senders and receivers
+  const address = ADDRESS_SEGMENTS.includes(kind)
+    ? value
+    : explorer.family === CHAIN_FAMILIES.TON && segments.length === 1 ? kind : null;
+  if (address && isAddress(explorer.family, address)) {
+    return { ...base, type: LINK_TARGET_TYPES.ADDRESS, value: address };
+  }
+
+  return null;
+}
+
+/**
+ * Check that a transaction ID has the format of an explorer's chain family.
+ * TON links carry bare hashes while ZetaChain records "lt:hash", so they
+ * can't be resolved and aren't accepted.
+ * @param {string} family - Chain family from CHAIN_FAMILIES
+ * @param {string} value - Transaction ID from the link
+ * @returns {boolean}
+ */
+function isTransactionId(family, value) {
+  switch (family) {
+    case CHAIN_FAMILIES.EVM:
+      return EVM_HASH_REGEX.test(value);
+    case CHAIN_FAMILIES.BITCOIN:
+      return BITCOIN_TXID_REGEX.test(value);
+    case CHAIN_FAMILIES.SOLANA:
+      return isSolanaSignature(value);
+    default:
+      return false;
+  }
+}
+
+/**
+ * Check that an address has the format of an explorer's chain family
+ * @param {string} family - Chain family from CHAIN_FAMILIES
+ * @param {string} value - Address from the link
+ * @returns {boolean}
+ */
+function isAddress(family, value) {
+  switch (family) {
+    case CHAIN_FAMILIES.EVM:
+      return EVM_ADDRESS_REGEX.test(value);
+    case CHAIN_FAMILIES.BITCOIN:
+      return isBitcoinAddress(value);
+    case CHAIN_FAMILIES.SOLANA:
+      return isSolanaAddress(value);
+    case CHAIN_FAMILIES.TON:
+      return isTonAddress(value);
+    default:
+      return false;
+  }
+}
+
+/**
+ * Get a short label for a parsed link, for input type indicators
+ * @param {ParsedLink} link - Parsed link
+ * @returns {string} Label such as "ZetaScan CCTX"
+ */
+export function describeLink(link) {
+  switch (link.type) {
+    case LINK_TARGET_TYPES.CROSS_CHAIN:
+      return `${link.explorer} CCTX`;
+    case LINK_TARGET_TYPES.ADDRESS:
+      return `${link.explorer} Address`;
+    case LINK_TARGET_TYPES.INBOUND:
+      return `${link.explorer} Transaction`;
+    default:
+      return `${link.explorer} Transaction`;
+  }
+}
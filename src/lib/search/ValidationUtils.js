@@ -3,24 +3,30 @@
  * Contains utility functions for validating transaction hashes and addresses
  */
 
+import {
+  IDENTIFIER_TYPES,
+  detectIdentifier,
+} from "../blockchain/chain-identifiers.js";
+
 /**
- * Check if a transaction hash looks valid
+ * Check if a transaction hash looks valid: an EVM or Bitcoin hash (64 hex
+ * characters, optionally prefixed with 0x), a Solana signature or a TON
+ * "lt:hash" transaction ID
  * @param {string} txHash - Transaction hash to validate
  * @returns {boolean} Whether the hash looks valid
  */
 export function isValidTxHash(txHash) {
-  const cleanHash = txHash.startsWith("0x") ? txHash.slice(2) : txHash;
-  return /^[a-fA-F0-9]{64}$/.test(cleanHash);
+  return detectIdentifier(txHash)?.type === IDENTIFIER_TYPES.TRANSACTION;
 }
 
 /**
- * Check if an address looks valid
+ * Check if an address looks valid: an EVM (optionally 0x-prefixed), Bitcoin,
+ * Solana or TON address
  * @param {string} address - Address to validate
  * @returns {boolean} Whether the address looks valid
  */
 export function isValidAddress(address) {
-  const cleanAddress = address.startsWith("0x") ? address.slice(2) : address;
-  return /^[a-fA-F0-9]{40}$/.test(cleanAddress);
+  return detectIdentifier(address)?.type === IDENTIFIER_TYPES.ADDRESS;
 }
 
 /**
@@ -32,6 +32,39 @@ export {
   searchHistoryManager,
 } from "./SearchHistoryManager.js";
 
+// Explorer link parsing
+export {
+  LINK_TARGET_TYPES,
+  looksLikeUrl,
+  parseExplorerUrl,
+  describeLink,
+} from "./UrlParser.js";
+
+// Structured queries
+export {
+  QUERY_FILTERS,
+  isStructuredQuery,
+  parseQuery,
+  getQuerySuggestions,
+  describeQuery,
+} from "./QueryParser.js";
+
+// Batch input
+export {
+  BATCH_LIMITS,
+  parseBatchInput,
+  readBatchFile,
+} from "./BatchParser.js";
+
+// Deep links
+export {
+  DEEP_LINK_SEGMENTS,
+  parseDeepLink,
+  parseDeepLinkPath,
+  buildDeepLinkPath,
+  getDeepLinkForResult,
+} from "./DeepLinks.js";
+
 // Validation utilities
 export {
   isValidTxHash,
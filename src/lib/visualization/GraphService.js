@@ -6,6 +6,9 @@ import cytoscape from 'cytoscape';
 import dagre from 'cytoscape-dagre';
 import coseBilkent from 'cytoscape-cose-bilkent';
 import fcose from 'cytoscape-fcose';
+import { formatAmount } from '../blockchain/amount.js';
+import { flattenCallTree } from '../blockchain/call-tracer.js';
+import { normalizeAddress, shortenAddress } from '../blockchain/chain-identifiers.js';
 
 // Register layout algorithms
 cytoscape.use(dagre);
@@ -18,7 +21,8 @@ cytoscape.use(fcose);
 export const NODE_TYPES = {
   ADDRESS: 'address',
   CHAIN: 'chain',
-  TRANSACTION: 'transaction'
+  TRANSACTION: 'transaction',
+  AMOUNT: 'amount'
 };
 
 /**
@@ -26,9 +30,20 @@ export const NODE_TYPES = {
  */
 export const EDGE_TYPES = {
   TRANSACTION: 'transaction',
-  CROSS_CHAIN: 'cross_chain'
+  CROSS_CHAIN: 'cross_chain',
+  FLOW: 'flow',
+  REVERT: 'revert',
+  REFUND: 'refund',
+  EVENT: 'event',
+  INTERNAL_CALL: 'internal_call',
+  EXTERNAL_LEG: 'external_leg',
+  COSMOS_MESSAGE: 'cosmos_message'
 };
 
+// Event kinds (see event-decoder.js) drawn as edges; approvals and
+// unrecognised events only show in the sidebar
+const GRAPH_EVENT_KINDS = ['transfer', 'swap', 'deposit', 'withdrawal', 'call', 'revert', 'liquidity'];
+
 /**
  * Default graph styles
  */
@@ -82,6 +97,26 @@ export const DEFAULT_STYLES = [
       'font-size': '7px'
     }
   },
+  {
+    selector: 'node[type="transaction"][?cosmos]',
+    style: {
+      'background-color': '#7c3aed',
+      'shape': 'hexagon',
+      'width': 22,
+      'height': 22
+    }
+  },
+  {
+    selector: 'node[type="amount"]',
+    style: {
+      'background-color': '#fbbf24',
+      'shape': 'round-rectangle',
+      'width': 14,
+      'height': 10,
+      'font-size': '6px',
+      'color': '#92400e'
+    }
+  },
   {
     selector: 'node:selected',
     style: {
@@ -115,6 +150,30 @@ export const DEFAULT_STYLES = [
       'border-color': '#ffffff'
     }
   },
+  {
+    selector: 'node[type="transaction"][status="failed"]',
+    style: {
+      'border-width': 3,
+      'border-color': '#dc2626'
+    }
+  },
+  {
+    selector: 'node[type="transaction"][?external]',
+    style: {
+      'background-color': '#0ea5e9',
+      'shape': 'round-diamond',
+      'width': 22,
+      'height': 22
+    }
+  },
+  {
+    selector: 'node[type="transaction"][?external][status="pending"]',
+    style: {
+      'border-width': 2,
+      'border-style': 'dashed',
+      'border-color': '#f59e0b'
+    }
+  },
   {
     selector: 'node[type="transaction"].hover',
     style: {
@@ -143,6 +202,143 @@ export const DEFAULT_STYLES = [
       'width': 3
     }
   },
+  {
+    selector: 'edge[type="revert"]',
+    style: {
+      'line-color': '#f59e0b',
+      'target-arrow-color': '#f59e0b',
+      'line-style': 'dashed',
+      'width': 3,
+      'label': 'data(label)',
+      'font-size': '6px',
+      'color': '#b45309',
+      'text-rotation': 'autorotate'
+    }
+  },
+  {
+    selector: 'edge[type="refund"]',
+    style: {
+      'line-color': '#14b8a6',
+      'target-arrow-color': '#14b8a6',
+      'line-style': 'dotted',
+      'width': 3,
+      'label': 'data(label)',
+      'font-size': '6px',
+      'color': '#0f766e',
+      'text-rotation': 'autorotate'
+    }
+  },
+  {
+    selector: 'edge[type="flow"]',
+    style: {
+      'line-color': '#8b5cf6',
+      'target-arrow-color': '#8b5cf6',
+      'width': 3,
+      'label': 'data(label)',
+      'font-size': '6px',
+      'color': '#6d28d9',
+      'text-rotation': 'autorotate',
+      'text-background-color': '#ffffff',
+      'text-background-opacity': 1,
+      'text-background-padding': '1px'
+    }
+  },
+  {
+    selector: 'edge[type="external_leg"]',
+    style: {
+      'line-color': '#0ea5e9',
+      'target-arrow-color': '#0ea5e9',
+      'width': 2,
+      'label': 'data(label)',
+      'font-size': '6px',
+      'color': '#0369a1',
+      'text-rotation': 'autorotate'
+    }
+  },
+  {
+    selector: 'edge[type="cosmos_message"]',
+    style: {
+      'line-color': '#a855f7',
+      'target-arrow-color': '#a855f7',
+      'line-style': 'dashed',
+      'width': 2,
+      'label': 'data(label)',
+      'font-size': '6px',
+      'color': '#7e22ce',
+      'text-rotation': 'autorotate'
+    }
+  },
+  {
+    selector: 'edge[type="internal_call"]',
+    style: {
+      'line-color': '#a78bfa',
+      'target-arrow-color': '#a78bfa',
+      'line-style': 'dotted',
+      'width': 1.5,
+      'arrow-scale': 0.8,
+      'label': 'data(label)',
+      'font-size': '5px',
+      'color': '#5b21b6',
+      'text-rotation': 'autorotate'
+    }
+  },
+  {
+    selector: 'edge[type="internal_call"][?reverted]',
+    style: {
+      'line-color': '#ef4444',
+      'target-arrow-color': '#ef4444'
+    }
+  },
+  {
+    selector: 'edge[type="event"]',
+    style: {
+      'line-color': '#9ca3af',
+      'target-arrow-color': '#9ca3af',
+      'width': 1.5,
+      'arrow-scale': 0.8,
+      'label': 'data(label)',
+      'font-size': '5px',
+      'color': '#4b5563',
+      'text-rotation': 'autorotate'
+    }
+  },
+  {
+    selector: 'edge[eventKind="transfer"]',
+    style: {
+      'line-color': '#22c55e',
+      'target-arrow-color': '#22c55e'
+    }
+  },
+  {
+    selector: 'edge[eventKind="swap"]',
+    style: {
+      'line-color': '#ec4899',
+      'target-arrow-color': '#ec4899'
+    }
+  },
+  {
+    selector: 'edge[eventKind="deposit"], edge[eventKind="withdrawal"]',
+    style: {
+      'line-color': '#0ea5e9',
+      'target-arrow-color': '#0ea5e9'
+    }
+  },
+  {
+    selector: 'edge[eventKind="call"]',
+    style: {
+      'line-color': '#6366f1',
+      'target-arrow-color': '#6366f1',
+      'line-style': 'dashed'
+    }
+  },
+  {
+    selector: 'edge[eventKind="revert"]',
+    style: {
+      'line-color': '#f59e0b',
+      'target-arrow-color': '#f59e0b',
+      'line-style': 'dashed'
+    }
+  },
   {
     selector: 'edge:selected',
     style: {
@@ -274,18 +470,20 @@ class GraphService {
           id: txNodeId,
           label: `${tx.txHash.slice(0, 6)}...`,
           type: NODE_TYPES.TRANSACTION,
+          status: tx.status,
+          cosmos: tx.type === 'cosmos',
           txData: tx
         }
       });
 
       // Create address nodes
       if (tx.from) {
-        const fromNodeId = `addr_${tx.from}`;
+        const fromNodeId = `addr_${normalizeAddress(tx.from)}`;
         if (!nodes.has(fromNodeId)) {
           nodes.set(fromNodeId, {
             data: {
               id: fromNodeId,
-              label: `${tx.from.slice(0, 4)}...${tx.from.slice(-3)}`,
+              label: shortenAddress(tx.from),
               type: NODE_TYPES.ADDRESS,
               address: tx.from
             }
@@ -305,12 +503,12 @@ class GraphService {
       }
 
       if (tx.to) {
-        const toNodeId = `addr_${tx.to}`;
+        const toNodeId = `addr_${normalizeAddress(tx.to)}`;
         if (!nodes.has(toNodeId)) {
           nodes.set(toNodeId, {
             data: {
               id: toNodeId,
-              label: `${tx.to.slice(0, 4)}...${tx.to.slice(-3)}`,
+              label: shortenAddress(tx.to),
               type: NODE_TYPES.ADDRESS,
               address: tx.to
             }
@@ -357,25 +555,347 @@ class GraphService {
           });
         }
 
-        // Cross-chain edge
+        // Cross-chain edge (one per CCTX, an inbound hash can create several)
         edges.push({
           data: {
-            id: `edge_${sourceChainId}_${destChainId}`,
+            id: `edge_${sourceChainId}_${destChainId}_${tx.txHash}`,
             source: sourceChainId,
             target: destChainId,
             type: EDGE_TYPES.CROSS_CHAIN,
             txData: tx
           }
         });
+
+        this.addRevertEdges(tx, txNodeId, destChainId, nodes, edges);
+
+        if (tx.crossChainData.externalLegs?.length) {
+          this.addExternalLegEdges(tx, txNodeId, nodes, edges);
+        }
+      }
+
+      if (tx.events?.length) {
+        this.addEventEdges(tx, txNodeId, nodes, edges);
+      }
+
+      if (tx.callTrace?.calls.length) {
+        this.addInternalCallEdges(tx, nodes, edges);
+      }
+
+      if (tx.cosmosData?.messages.length) {
+        this.addCosmosMessageEdges(tx, txNodeId, nodes, edges);
       }
     });
 
+    // Connect the steps of a traced flow (see flow-tracer.js)
+    transactions.forEach((tx) => {
+      const parentTxHash = tx.flow?.parentTxHash;
+      if (!parentTxHash || !nodes.has(`tx_${parentTxHash}`)) return;
+
+      edges.push({
+        data: {
+          id: `edge_flow_${parentTxHash}_${tx.txHash}`,
+          source: `tx_${parentTxHash}`,
+          target: `tx_${tx.txHash}`,
+          type: EDGE_TYPES.FLOW,
+          label: tx.flow.relation,
+          txData: tx
+        }
+      });
+    });
+
     return {
       nodes: Array.from(nodes.values()),
       edges
     };
   }
 
+  /**
+   * Add revert and refund legs of a CCTX to the graph
+   * @param {Object} tx - Normalized cross-chain transaction
+   * @param {string} txNodeId - Node ID of the CCTX
+   * @param {string} destChainId - Node ID of the first outbound's chain
+   * @param {Map} nodes - Nodes collected so far
+   * @param {Array} edges - Edges collected so far
+   */
+  addRevertEdges(tx, txNodeId, destChainId, nodes, edges) {
+    const { outbounds = [], refund } = tx.crossChainData;
+
+    // Revert outbounds run from the destination back to the sender's chain
+    outbounds
+      .filter((attempt) => attempt.kind === 'revert' && attempt.chainId !== undefined)
+      .forEach((attempt) => {
+        const revertChainId = `chain_${attempt.chainId}`;
+        if (!nodes.has(revertChainId)) {
+          nodes.set(revertChainId, {
+            data: {
+              id: revertChainId,
+              label: `${attempt.chainId}`,
+              type: NODE_TYPES.CHAIN,
+              chainId: attempt.chainId
+            }
+          });
+        }
+
+        edges.push({
+          data: {
+            id: `edge_revert_${tx.txHash}_${attempt.index}`,
+            source: destChainId,
+            target: revertChainId,
+            type: EDGE_TYPES.REVERT,
+            label: `revert (${attempt.status})`,
+            txData: tx
+          }
+        });
+      });
+
+    // Refund leg to whoever got the funds back
+    if (refund?.address) {
+      const refundNodeId = `addr_${normalizeAddress(refund.address)}`;
+      if (!nodes.has(refundNodeId)) {
+        nodes.set(refundNodeId, {
+          data: {
+            id: refundNodeId,
+            label: shortenAddress(refund.address),
+            type: NODE_TYPES.ADDRESS,
+            address: refund.address
+          }
+        });
+      }
+
+      edges.push({
+        data: {
+          id: `edge_refund_${tx.txHash}`,
+          source: txNodeId,
+          target: refundNodeId,
+          type: EDGE_TYPES.REFUND,
+          label: refund.status === 'success'
+            ? `${refund.kind} refunded`
+            : `${refund.kind} refund ${refund.status}`,
+          txData: tx
+        }
+      });
+    }
+  }
+
+  /**
+   * Add the legs of a CCTX found on external chains as transaction nodes:
+   * the inbound leads into the CCTX, outbounds and reverts lead out of it
+   * @param {Object} tx - Normalized cross-chain transaction
+   * @param {string} txNodeId - Node ID of the CCTX
+   * @param {Map} nodes - Nodes collected so far
+   * @param {Array} edges - Edges collected so far
+   */
+  addExternalLegEdges(tx, txNodeId, nodes, edges) {
+    tx.crossChainData.externalLegs
+      .filter((leg) => leg.transaction)
+      .forEach((leg) => {
+        const external = leg.transaction;
+        const nodeId = `tx_${external.txHash}`;
+        if (!nodes.has(nodeId)) {
+          nodes.set(nodeId, {
+            data: {
+              id: nodeId,
+              label: `${external.externalData.chainName} ${external.txHash.slice(0, 6)}...`,
+              type: NODE_TYPES.TRANSACTION,
+              status: external.status,
+              external: true,
+              chainId: external.chainId,
+              txData: external
+            }
+          });
+        }
+
+        const { confirmed, requiredConfirmations } = external.externalData;
+        const confirmations = confirmed
+          ? 'confirmed'
+          : `${external.confirmations}/${requiredConfirmations} conf`;
+        const isInbound = leg.leg === 'inbound';
+
+        edges.push({
+          data: {
+            id: `edge_external_${tx.txHash}_${leg.leg}_${leg.attemptIndex ?? 'in'}`,
+            source: isInbound ? nodeId : txNodeId,
+            target: isInbound ? txNodeId : nodeId,
+            type: EDGE_TYPES.EXTERNAL_LEG,
+            label: `${leg.leg} (${confirmations})`,
+            txData: external
+          }
+        });
+      });
+  }
+
+  /**
+   * Add an edge per decoded receipt event: transfers run from sender to
+   * recipient, other events from the transaction to the emitting contract
+   * @param {Object} tx - Normalized EVM transaction
+   * @param {string} txNodeId - Node ID of the transaction
+   * @param {Map} nodes - Nodes collected so far
+   * @param {Array} edges - Edges collected so far
+   */
+  addEventEdges(tx, txNodeId, nodes, edges) {
+    const addressNode = (address) => {
+      const nodeId = `addr_${normalizeAddress(address)}`;
+      if (!nodes.has(nodeId)) {
+        nodes.set(nodeId, {
+          data: {
+            id: nodeId,
+            label: shortenAddress(address),
+            type: NODE_TYPES.ADDRESS,
+            address
+          }
+        });
+      }
+      return nodeId;
+    };
+
+    tx.events
+      .filter((event) => event.decoded && GRAPH_EVENT_KINDS.includes(event.kind))
+      .forEach((event) => {
+        const argValue = (name) => event.args.find((arg) => arg.name === name)?.value;
+        const from = argValue('from');
+        const to = argValue('to');
+        const isTransfer = event.kind === 'transfer' && typeof from === 'string' && typeof to === 'string';
+
+        edges.push({
+          data: {
+            id: `edge_event_${tx.txHash}_${event.logIndex}`,
+            source: isTransfer ? addressNode(from) : txNodeId,
+            target: isTransfer ? addressNode(to) : addressNode(event.address),
+            type: EDGE_TYPES.EVENT,
+            eventKind: event.kind,
+            label: event.name,
+            txData: tx,
+            event
+          }
+        });
+      });
+  }
+
+  /**
+   * Add an edge per internal call from the caller to the callee. Static
+   * calls only read state, so they stay in the sidebar call tree.
+   * @param {Object} tx - Normalized EVM transaction with a call trace
+   * @param {Map} nodes - Nodes collected so far
+   * @param {Array} edges - Edges collected so far
+   */
+  addInternalCallEdges(tx, nodes, edges) {
+    flattenCallTree(tx.callTrace)
+      .filter((frame) => frame.depth > 0 && frame.to && frame.type !== 'STATICCALL')
+      .forEach((frame) => {
+        const [sourceId, targetId] = [frame.from, frame.to].map((address) => {
+          const nodeId = `addr_${normalizeAddress(address)}`;
+          if (!nodes.has(nodeId)) {
+            nodes.set(nodeId, {
+              data: {
+                id: nodeId,
+                label: shortenAddress(address),
+                type: NODE_TYPES.ADDRESS,
+                address
+              }
+            });
+          }
+          return nodeId;
+        });
+
+        const value = frame.hasValue ? ` ${formatAmount(frame.value, 18, { symbol: 'ZETA' })}` : '';
+        edges.push({
+          data: {
+            id: `edge_call_${tx.txHash}_${frame.id}`,
+            source: sourceId,
+            target: targetId,
+            type: EDGE_TYPES.INTERNAL_CALL,
+            label: `${frame.method || frame.type.toLowerCase()}${value}`,
+            reverted: frame.reverted,
+            txData: tx,
+            callFrame: frame
+          }
+        });
+      });
+  }
+
+  /**
+   * Add the signers and amounts of a Cosmos transaction's messages: every
+   * signer besides the first leads into the transaction, and each amount
+   * sent, staked or observed by a vote gets a node leading to its recipient
+   * @param {Object} tx - Normalized Cosmos transaction
+   * @param {string} txNodeId - Node ID of the transaction
+   * @param {Map} nodes - Nodes collected so far
+   * @param {Array} edges - Edges collected so far
+   */
+  addCosmosMessageEdges(tx, txNodeId, nodes, edges) {
+    const addressNode = (address) => {
+      const nodeId = `addr_${normalizeAddress(address)}`;
+      if (!nodes.has(nodeId)) {
+        nodes.set(nodeId, {
+          data: {
+            id: nodeId,
+            label: shortenAddress(address),
+            type: NODE_TYPES.ADDRESS,
+            address
+          }
+        });
+      }
+      return nodeId;
+    };
+
+    tx.cosmosData.messages.forEach((message) => {
+      // The first signer is already connected as the transaction's sender
+      if (message.signer && message.signer !== tx.from) {
+        const signerNodeId = addressNode(message.signer);
+        const edgeId = `edge_signer_${signerNodeId}_${txNodeId}`;
+        if (!edges.some((edge) => edge.data.id === edgeId)) {
+          edges.push({
+            data: {
+              id: edgeId,
+              source: signerNodeId,
+              target: txNodeId,
+              type: EDGE_TYPES.COSMOS_MESSAGE,
+              label: 'signed',
+              txData: tx
+            }
+          });
+        }
+      }
+
+      message.transfers.forEach((transfer, index) => {
+        const amountNodeId = `amount_${tx.txHash}_${message.index}_${index}`;
+        nodes.set(amountNodeId, {
+          data: {
+            id: amountNodeId,
+            label: transfer.decimals !== null
+              ? formatAmount(transfer.amount, transfer.decimals, { symbol: transfer.symbol, compact: true })
+              : `${formatAmount(transfer.amount, 0, { compact: true })} units`,
+            type: NODE_TYPES.AMOUNT,
+            txData: tx
+          }
+        });
+
+        edges.push({
+          data: {
+            id: `edge_${amountNodeId}_in`,
+            source: txNodeId,
+            target: amountNodeId,
+            type: EDGE_TYPES.COSMOS_MESSAGE,
+            label: transfer.label,
+            txData: tx
+          }
+        });
+        if (transfer.to) {
+          edges.push({
+            data: {
+              id: `edge_${amountNodeId}_out`,
+              source: amountNodeId,
+              target: addressNode(transfer.to),
+              type: EDGE_TYPES.COSMOS_MESSAGE,
+              label: '',
+              txData: tx
+            }
+          });
+        }
+      });
+    });
+  }
+
   /**
    * Load data into the graph
    * @param {Array} transactions - Transaction data to visualize
@@ -438,6 +958,23 @@ class GraphService {
     return this.cy.$(':selected');
   }
 
+  /**
+   * Select a node or edge by ID and center the view on it
+   * @param {string} id - Element ID
+   * @returns {Object|null} Element data, or null when the graph has no such element
+   */
+  selectElement(id) {
+    if (!this.cy) return null;
+
+    const element = this.cy.getElementById(id);
+    if (element.empty()) return null;
+
+    this.cy.$(':selected').unselect();
+    element.select();
+    this.cy.center(element);
+    return element.data();
+  }
+
   /**
    * Fit graph to container
    */
@@ -8,15 +8,20 @@
  * @typedef {Object} TransactionData
  * @property {string} txHash - Transaction hash
  * @property {number} blockNumber - Block number where transaction was mined
- * @property {number} timestamp - Unix timestamp of transaction
+ * @property {number|null} timestamp - Block time in milliseconds (null while pending)
+ * @property {number|null} [blockAge] - Milliseconds between block time and when the transaction was read
+ * @property {number|null} [confirmations] - Blocks mined on top of the transaction's block
  * @property {string} from - Sender address
  * @property {string} to - Recipient address
  * @property {string} value - Transaction value in wei
  * @property {string} gasUsed - Gas used by transaction
  * @property {string} gasPrice - Gas price in wei
  * @property {'success'|'pending'|'failed'} status - Transaction status
+ * @property {string|null} [detailedStatus] - Detailed CCTX status (PendingInbound, PendingOutbound, OutboundMined, PendingRevert, Reverted, Aborted)
  * @property {number} chainId - Chain ID where transaction occurred
  * @property {CrossChainInfo} [crossChainData] - Optional cross-chain information
+ * @property {import('../lib/decoding/event-decoder.js').DecodedEvent[]} [events] - Every receipt log, decoded where an ABI matches
+ * @property {import('../lib/blockchain/call-tracer.js').CallFrame|null} [callTrace] - Internal call tree, when the endpoint supports tracing
  */
 
 /**
@@ -27,6 +32,63 @@
  * @property {string} bridgeContract - Bridge contract address
  * @property {TokenInfo} tokenInfo - Token information being transferred
  * @property {string} [crossChainTxHash] - Optional cross-chain transaction hash
+ * @property {string|null} [coinType] - Inbound coin type (Zeta, Gas, ERC20, ...)
+ * @property {string} [asset] - Inbound asset address on the source chain ('' for gas tokens)
+ * @property {OutboundAttempt[]} [outbounds] - Every outbound attempt, including the revert
+ * @property {RefundInfo|null} [refund] - Where funds went back to after a revert or abort
+ * @property {CrossChainCall|null} [call] - Relayed message, call options and revert options
+ * @property {import('../lib/blockchain/fee-breakdown.js').FeeBreakdown} [fees] - Fees on each leg, in native units
+ * @property {ExternalLeg[]} [externalLegs] - Inbound and outbound legs looked up on the connected chains
+ */
+
+/**
+ * CCTX outbound attempt
+ * @typedef {Object} OutboundAttempt
+ * @property {number} index - Position in `outbound_params`
+ * @property {'outbound'|'revert'} kind - Outbound to the destination or revert to the sender
+ * @property {number} [chainId] - Chain the attempt was sent to
+ * @property {string|null} receiver - Receiver address
+ * @property {string} amount - Amount sent
+ * @property {string|null} hash - Outbound transaction hash
+ * @property {number|null} nonce - TSS nonce
+ * @property {string|null} gasLimit - Gas limit
+ * @property {string|null} gasPrice - Gas price
+ * @property {string|null} gasUsed - Gas used
+ * @property {'success'|'pending'|'failed'} status - Attempt status
+ */
+
+/**
+ * Refund leg of a reverted or aborted CCTX
+ * @typedef {Object} RefundInfo
+ * @property {'revert'|'abort'} kind - Whether funds came back through a revert outbound or an abort refund
+ * @property {string|null} address - Address receiving the refund
+ * @property {number} [chainId] - Chain the refund is paid on
+ * @property {string} amount - Refunded amount
+ * @property {string|null} hash - Refund transaction hash, if any
+ * @property {'success'|'pending'|'failed'} status - Refund status
+ */
+
+/**
+ * CCTX leg looked up on the chain it ran on
+ * @typedef {Object} ExternalLeg
+ * @property {'inbound'|'outbound'|'revert'} leg - Which leg of the CCTX
+ * @property {number|null} attemptIndex - Outbound attempt index (null for the inbound)
+ * @property {number} chainId - Chain the leg ran on
+ * @property {string} hash - Transaction hash the CCTX reports
+ * @property {import('../lib/blockchain/external-chain-connector.js').ExternalTransaction|null} transaction - Transaction on the chain, if found
+ * @property {string|null} error - Why the lookup failed
+ */
+
+/**
+ * Message and options of a cross-chain call
+ * @typedef {Object} CrossChainCall
+ * @property {boolean} isCrossChainCall - Whether the inbound calls a contract
+ * @property {string|null} target - Contract the message is delivered to
+ * @property {string} message - Relayed message as 0x hex
+ * @property {import('../lib/decoding/message-decoder.js').DecodedMessage|null} decodedMessage - Decoded message
+ * @property {string|null} gasLimit - Gas limit of the call
+ * @property {boolean} isArbitraryCall - Whether the message is raw calldata for the target
+ * @property {Object|null} revertOptions - revertAddress, callOnRevert, abortAddress, revertMessage, decodedRevertMessage, revertGasLimit
  */
 
 /**
@@ -51,6 +113,20 @@
  * @property {string} amount - Token amount
  */
 
+/**
+ * ERC-20 transfer parsed from a receipt log
+ * @typedef {Object} TokenTransfer
+ * @property {string} tokenAddress - Token contract address
+ * @property {string} from - Sender address
+ * @property {string} to - Recipient address
+ * @property {string} rawAmount - Amount in base units (decimal string)
+ * @property {string} amount - Display amount (grouped, fraction truncated)
+ * @property {string} exactAmount - Full-precision amount in token units
+ * @property {string} tokenSymbol - Token symbol
+ * @property {number} tokenDecimals - Token decimals
+ * @property {{chainId: number, asset: string, coinType: string}|null} zrc20 - Origin of a ZRC-20 token
+ */
+
 /**
  * Graph data structure
  * @typedef {Object} GraphData
@@ -15,7 +15,7 @@ export function isValidTransactionData(obj) {
     obj &&
     typeof obj.txHash === "string" &&
     typeof obj.blockNumber === "number" &&
-    typeof obj.timestamp === "number" &&
+    (typeof obj.timestamp === "number" || obj.timestamp === null) &&
     typeof obj.from === "string" &&
     typeof obj.to === "string" &&
     typeof obj.value === "string" &&